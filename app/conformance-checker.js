@@ -0,0 +1,504 @@
+/**
+ * TLend Conformance Checker - Flags RFC violations by the TLend iframe
+ *
+ * Watches a bridge session (inbound messages, schema failures, origin
+ * rejections and the Partner's own requests) and checks TLend's behaviour
+ * against RFC-001. Every violation keeps the exact message that broke the
+ * rule and the RFC section it cites; report() scores the session.
+ *
+ * Usage:
+ *   const checker = new ConformanceChecker();
+ *   checker.attach(bridge);
+ *   checker.startSession();            // on every iframe (re)load
+ *   const report = checker.report();   // { score, rules, violations, ... }
+ */
+
+(function (global) {
+    'use strict';
+
+    // ========================================================================
+    // Constants
+    // ========================================================================
+
+    const PROTOCOL = global.TLendProtocol
+        || (typeof require === 'function' ? require('./tlend-protocol.js') : null);
+
+    const Severity = {
+        ERROR: 'error',
+        WARNING: 'warning',
+    };
+
+    /** Score weight per severity */
+    const SEVERITY_WEIGHTS = {
+        error: 3,
+        warning: 1,
+    };
+
+    /** RFC Section 11.1 error codes */
+    const RFC_ERROR_CODES = [
+        'INVALID_ORIGIN',
+        'INVALID_MESSAGE',
+        'AUTH_EXPIRED',
+        'INVALID_SIGNATURE',
+        'INVALID_PAYLOAD',
+        'PAYLOAD_EXPIRED',
+        'DOMAIN_MISMATCH',
+        'INVALID_CHAIN',
+        'INVALID_ADDRESS_FORMAT',
+        'ADDRESS_MISMATCH',
+        'USER_REJECTED',
+        'WALLET_NOT_CONNECTED',
+        'INVALID_TRANSACTION',
+        'INSUFFICIENT_FUNDS',
+        'TRANSACTION_FAILED',
+        'TIMEOUT',
+        'REPAY_IN_PROGRESS',
+        'INTERNAL_ERROR',
+        'PARTNER_NOT_FOUND',
+        'UNSUPPORTED_LOGO_MODE',
+    ];
+
+    /** Responses TLend owes the Partner, with RFC Section 11.3 timeouts */
+    const EXPECTED_RESPONSES = {
+        AUTH_CHECK_REQUEST: { type: 'AUTH_CHECK_RESPONSE', timeoutMs: 5000 },
+        AUTH_CREDENTIALS: { type: 'AUTH_RESULT', timeoutMs: 30000 },
+    };
+
+    /** Partner messages that answer TLend rather than ask it */
+    const PARTNER_RESPONSE_TYPES = ['REPAY_RESULT', 'ERROR'];
+
+    /** Section defining each TLend -> Partner message */
+    const MESSAGE_SECTIONS = {
+        TLEND_LOADED: '6.3',
+        AUTH_CHECK_RESPONSE: '7.4',
+        AUTH_RESULT: '7.6',
+        TLEND_READY: '7.7',
+        REPAY_REQUEST: '8.3',
+        AUTH_REQUEST: '9.3',
+        ERROR: '11.2',
+    };
+
+    const RULES = [
+        { id: 'allowed-origin', section: '10.1', severity: Severity.ERROR, title: 'The iframe posts from an allowed TLend origin' },
+        { id: 'message-schema', section: '5.2', severity: Severity.ERROR, title: 'Messages match their schema' },
+        { id: 'known-message-type', section: '5.1', severity: Severity.ERROR, title: 'Only TLend -> Partner message types are sent' },
+        { id: 'loaded-first', section: '9.5', severity: Severity.ERROR, title: 'TLEND_LOADED is the first message of every iframe session' },
+        { id: 'loaded-once', section: '6.3', severity: Severity.ERROR, title: 'TLEND_LOADED is sent once per page load' },
+        { id: 'protocol-version', section: '6.3', severity: Severity.ERROR, title: 'TLEND_LOADED version is compatible with the protocol version' },
+        { id: 'auth-check-matches-requested', section: '7.4', severity: Severity.ERROR, title: 'AUTH_CHECK_RESPONSE includes matchesRequested' },
+        { id: 'auth-check-consistent', section: '7.4', severity: Severity.ERROR, title: 'AUTH_CHECK_RESPONSE fields are consistent with the request' },
+        { id: 'request-id-matches', section: '5.2', severity: Severity.ERROR, title: 'Responses answer a pending request exactly once' },
+        { id: 'response-type', section: '7.2', severity: Severity.ERROR, title: 'Requests are answered with the matching response type' },
+        { id: 'response-timeout', section: '11.3', severity: Severity.ERROR, title: 'Responses arrive within the RFC timeouts' },
+        { id: 'auth-result-address', section: '7.6', severity: Severity.ERROR, title: 'Successful AUTH_RESULT reports the credentials address' },
+        { id: 'auth-result-no-expiry', section: '7.6', severity: Severity.WARNING, title: 'AUTH_RESULT does not expose expiresAt' },
+        { id: 'ready-after-auth', section: '9.5', severity: Severity.ERROR, title: 'TLEND_READY only after a successful AUTH_RESULT' },
+        { id: 'ready-address', section: '7.7', severity: Severity.ERROR, title: 'TLEND_READY address is the authenticated address' },
+        { id: 'repay-valid-until', section: '8.3', severity: Severity.ERROR, title: 'REPAY_REQUEST validUntil is in the future' },
+        { id: 'repay-user-address', section: '8.3', severity: Severity.ERROR, title: 'REPAY_REQUEST userAddress is the authenticated address' },
+        { id: 'error-code', section: '11.1', severity: Severity.WARNING, title: 'Error codes come from the RFC error code table' },
+    ];
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function clone(message) {
+        try {
+            return JSON.parse(JSON.stringify(message));
+        } catch (error) {
+            return String(message);
+        }
+    }
+
+    function parseVersion(version) {
+        const match = /^(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/.exec(version || '');
+        return match ? match.slice(1, 4).map(Number) : null;
+    }
+
+    /** Same major version; an older minor may lack newer features but stays compatible */
+    function isCompatibleVersion(version, protocolVersion) {
+        const actual = parseVersion(version);
+        const expected = parseVersion(protocolVersion);
+        return Boolean(actual && expected && actual[0] === expected[0]);
+    }
+
+    // ========================================================================
+    // Checker
+    // ========================================================================
+
+    class ConformanceChecker {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.protocolVersion] - Version TLEND_LOADED must be compatible with
+         * @param {{ AUTH_CHECK_REQUEST?: number, AUTH_CREDENTIALS?: number }} [options.timeouts] - Response timeouts (ms)
+         * @param {(violation: Object) => void} [options.onViolation] - Called for every violation
+         * @param {() => void} [options.onUpdate] - Called whenever results change
+         */
+        constructor(options = {}) {
+            this._protocolVersion = options.protocolVersion || PROTOCOL?.TLEND_PROTOCOL_VERSION || '2.2.0';
+            this._timeouts = Object.fromEntries(Object.entries(EXPECTED_RESPONSES).map(
+                ([type, expected]) => [type, options.timeouts?.[type] ?? expected.timeoutMs]
+            ));
+            this._onViolation = options.onViolation || (() => {});
+            this._onUpdate = options.onUpdate || (() => {});
+            this._unsubscribe = [];
+            this.reset();
+        }
+
+        /** Start watching a bridge (detaches from the previous one) */
+        attach(bridge) {
+            this.detach();
+            this._unsubscribe = [
+                bridge.on('message', (message, event) => this.observeInbound(message, event)),
+                bridge.on('invalid', ({ direction, message, errors }) => {
+                    if (direction === 'inbound') this.observeInvalid(message, errors);
+                }),
+                bridge.on('rejected', (rejection, event) => {
+                    // Other frames and extensions also post to the page; only the iframe is TLend
+                    if (event?.source === bridge.targetWindow) this.observeRejected(rejection);
+                }),
+                bridge.on('send', (message) => this.observeOutbound(message)),
+            ];
+        }
+
+        detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /** Clear all results */
+        reset() {
+            this._pending?.forEach(pending => clearTimeout(pending.timer));
+            this._startedAt = Date.now();
+            this._messageCount = 0;
+            this._checks = new Map(RULES.map(rule => [rule.id, { checks: 0, violations: 0 }]));
+            this._violations = [];
+            this.startSession();
+        }
+
+        /**
+         * Mark a new iframe session (load or reload); results are kept.
+         *
+         * @param {Object} [options]
+         * @param {boolean} [options.resumed] - Joining a session already under way (skips the first-message rule)
+         * @param {string | null} [options.authenticatedAddress] - Address TLend already authenticated
+         */
+        startSession(options = {}) {
+            this._pending?.forEach(pending => clearTimeout(pending.timer));
+            this._pending = new Map();
+            this._answered = new Map();
+            this._session = {
+                firstMessage: !options.resumed,
+                loaded: Boolean(options.resumed),
+                authenticatedAddress: options.authenticatedAddress || null,
+                credentialsAddress: null,
+            };
+        }
+
+        // --------------------------------------------------------------------
+        // Observation
+        // --------------------------------------------------------------------
+
+        /** Partner -> TLend message */
+        observeOutbound(message) {
+            if (!message?.requestId || PARTNER_RESPONSE_TYPES.includes(message.type)) return;
+
+            if (message.type === 'AUTH_CREDENTIALS') {
+                this._session.credentialsAddress = message.payload?.account?.address || null;
+            }
+
+            // Any request may be answered with an ERROR; only some owe a response
+            const expected = EXPECTED_RESPONSES[message.type];
+            const pending = { request: message, expects: expected?.type || null, timer: null };
+            if (expected) {
+                const timeoutMs = this._timeouts[message.type];
+                pending.timer = setTimeout(() => {
+                    this._pending.delete(message.requestId);
+                    this._answered.set(message.requestId, 'expired');
+                    this._check('response-timeout', false, message,
+                        `No ${expected.type} for ${message.type} within ${timeoutMs}ms`);
+                    this._onUpdate();
+                }, timeoutMs);
+            }
+            this._pending.set(message.requestId, pending);
+        }
+
+        /** Valid TLend -> Partner message */
+        observeInbound(message) {
+            this._messageCount++;
+            this._checkFirst(message);
+
+            switch (message.type) {
+                case 'TLEND_LOADED':
+                    this._checkLoaded(message);
+                    break;
+                case 'AUTH_CHECK_RESPONSE':
+                    this._checkAuthCheckResponse(message);
+                    break;
+                case 'AUTH_RESULT':
+                    this._checkAuthResult(message);
+                    break;
+                case 'TLEND_READY':
+                    this._checkReady(message);
+                    break;
+                case 'REPAY_REQUEST':
+                    this._checkRepayRequest(message);
+                    break;
+                case 'ERROR':
+                    this._checkError(message);
+                    break;
+                case 'AUTH_REQUEST':
+                    this._check('known-message-type', true);
+                    break;
+                default:
+                    this._check('known-message-type', false, message,
+                        `${message.type} is a Partner -> TLend message`);
+            }
+            this._onUpdate();
+        }
+
+        /** TLend message that failed schema validation */
+        observeInvalid(message, errors) {
+            this._messageCount++;
+            this._checkFirst(message);
+
+            const section = MESSAGE_SECTIONS[message?.type];
+            const missingMatches = message?.type === 'AUTH_CHECK_RESPONSE'
+                && errors.some(error => error.field === 'payload.matchesRequested');
+            const otherErrors = errors.filter(error =>
+                !(missingMatches && error.field === 'payload.matchesRequested'));
+
+            if (missingMatches) {
+                this._check('auth-check-matches-requested', false, message,
+                    'payload.matchesRequested is missing or not a boolean');
+            }
+            if (otherErrors.length) {
+                this._check('message-schema', false, message,
+                    otherErrors.map(error => `${error.field} ${error.message}`).join('; '),
+                    section);
+            }
+
+            // Still an answer: it must not also count as a timeout
+            if (message?.requestId && this._pending.has(message.requestId)) {
+                this._answer(message);
+            }
+            this._onUpdate();
+        }
+
+        /** Message from the TLend iframe dropped by origin validation */
+        observeRejected({ origin, message }) {
+            this._check('allowed-origin', false, message,
+                `Origin ${origin} is not in the allowed origins`);
+            this._onUpdate();
+        }
+
+        // --------------------------------------------------------------------
+        // Rules
+        // --------------------------------------------------------------------
+
+        _check(ruleId, passed, message, detail, section) {
+            const rule = RULES.find(item => item.id === ruleId);
+            const counts = this._checks.get(ruleId);
+            counts.checks++;
+            if (passed) return true;
+
+            counts.violations++;
+            const violation = {
+                rule: rule.id,
+                section: section || rule.section,
+                title: rule.title,
+                severity: rule.severity,
+                detail,
+                message: clone(message),
+                at: Date.now(),
+            };
+            this._violations.push(violation);
+            this._onViolation(violation);
+            return false;
+        }
+
+        _checkFirst(message) {
+            if (!this._session.firstMessage) return;
+            this._session.firstMessage = false;
+            this._check('loaded-first', message?.type === 'TLEND_LOADED', message,
+                `First message was ${message?.type}`);
+        }
+
+        _checkLoaded(message) {
+            this._check('loaded-once', !this._session.loaded, message,
+                'TLEND_LOADED repeated without an iframe reload');
+            this._session.loaded = true;
+
+            const { version } = message.payload;
+            this._check('protocol-version', isCompatibleVersion(version, this._protocolVersion), message,
+                `Version ${version} is not compatible with ${this._protocolVersion}`);
+        }
+
+        /**
+         * Settle the pending request a response answers.
+         * @returns {Object | null} The pending request, or null if none matched
+         */
+        _answer(message) {
+            const pending = this._pending.get(message.requestId);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this._pending.delete(message.requestId);
+                this._answered.set(message.requestId, 'answered');
+                return pending;
+            }
+            return null;
+        }
+
+        _checkResponse(message) {
+            const previous = this._answered.get(message.requestId);
+            const pending = this._answer(message);
+
+            if (!pending) {
+                // Late answers were already reported as timeouts
+                if (previous !== 'expired') {
+                    this._check('request-id-matches', false, message, previous === 'answered'
+                        ? `Request ${message.requestId} was already answered`
+                        : `requestId ${message.requestId} does not match any pending request`);
+                }
+                return null;
+            }
+
+            this._check('request-id-matches', true);
+            if (pending.expects) {
+                this._check('response-timeout', true);
+            }
+            this._check('response-type', message.type === 'ERROR' || message.type === pending.expects, message,
+                pending.expects
+                    ? `${pending.request.type} was answered with ${message.type} instead of ${pending.expects}`
+                    : `${pending.request.type} expects no response other than ERROR, got ${message.type}`);
+            return pending;
+        }
+
+        _checkAuthCheckResponse(message) {
+            this._check('auth-check-matches-requested', true);
+            const pending = this._checkResponse(message);
+            if (!pending) return;
+
+            const { authenticated, matchesRequested, address } = message.payload;
+            const requested = pending.request.payload?.walletAddress;
+            const problems = [];
+
+            if (!authenticated && matchesRequested) {
+                problems.push('matchesRequested is true while not authenticated');
+            }
+            if (authenticated && !address) {
+                problems.push('authenticated without an address');
+            }
+            if (address && matchesRequested !== (address === requested)) {
+                problems.push(`matchesRequested is ${matchesRequested} but address ${address} `
+                    + `${address === requested ? 'equals' : 'differs from'} the requested ${requested}`);
+            }
+            this._check('auth-check-consistent', problems.length === 0, message, problems.join('; '));
+        }
+
+        _checkAuthResult(message) {
+            const pending = this._checkResponse(message);
+            const { success, address, error } = message.payload;
+
+            this._check('auth-result-no-expiry', !('expiresAt' in message.payload), message,
+                'AUTH_RESULT includes expiresAt; TLend manages tokens internally');
+
+            if (success) {
+                const expected = pending?.request.payload?.account?.address || this._session.credentialsAddress;
+                this._check('auth-result-address', Boolean(address) && (!expected || address === expected), message,
+                    address ? `Address ${address} differs from credentials address ${expected}` : 'Missing address');
+                this._session.authenticatedAddress = address || expected;
+            } else {
+                this._session.authenticatedAddress = null;
+                this._checkErrorCode(message, error?.code);
+            }
+        }
+
+        _checkReady(message) {
+            const authenticated = this._session.authenticatedAddress;
+            this._check('ready-after-auth', Boolean(authenticated), message,
+                'TLEND_READY arrived before a successful AUTH_RESULT in this session');
+
+            if (authenticated) {
+                this._check('ready-address', message.payload.address === authenticated, message,
+                    `TLEND_READY address ${message.payload.address} differs from authenticated ${authenticated}`);
+            }
+        }
+
+        _checkRepayRequest(message) {
+            const { validUntil } = message.payload.transaction;
+            const now = Math.floor(Date.now() / 1000);
+            this._check('repay-valid-until', validUntil > now, message,
+                `validUntil ${validUntil} is ${now - validUntil}s in the past`);
+
+            const authenticated = this._session.authenticatedAddress;
+            if (authenticated) {
+                const { userAddress } = message.payload.metadata;
+                this._check('repay-user-address', userAddress === authenticated, message,
+                    `userAddress ${userAddress} differs from authenticated ${authenticated}`);
+            }
+        }
+
+        _checkError(message) {
+            if (message.requestId) {
+                this._checkResponse(message);
+            }
+            this._checkErrorCode(message, message.payload.code);
+        }
+
+        _checkErrorCode(message, code) {
+            this._check('error-code', RFC_ERROR_CODES.includes(code), message,
+                `${code} is not an RFC Section 11.1 error code`);
+        }
+
+        // --------------------------------------------------------------------
+        // Report
+        // --------------------------------------------------------------------
+
+        /** Requests still waiting for the response they are owed */
+        get pendingCount() {
+            return [...this._pending.values()].filter(pending => pending.expects).length;
+        }
+
+        /**
+         * Score the session: the weighted share of exercised rules without
+         * violations (errors weigh 3, warnings 1). Rules that were never
+         * exercised do not count.
+         */
+        report() {
+            let total = 0;
+            let passed = 0;
+
+            const rules = RULES.map(rule => {
+                const { checks, violations } = this._checks.get(rule.id);
+                const status = checks === 0 ? 'not_checked' : violations === 0 ? 'pass' : 'fail';
+                if (status !== 'not_checked') {
+                    total += SEVERITY_WEIGHTS[rule.severity];
+                    if (status === 'pass') passed += SEVERITY_WEIGHTS[rule.severity];
+                }
+                return { ...rule, checks, violations, status };
+            });
+
+            return {
+                protocolVersion: this._protocolVersion,
+                startedAt: this._startedAt,
+                durationMs: Date.now() - this._startedAt,
+                messages: this._messageCount,
+                score: total === 0 ? null : Math.round((passed / total) * 100),
+                rules,
+                violations: this._violations.map(violation => ({ ...violation })),
+            };
+        }
+    }
+
+    ConformanceChecker.RULES = RULES;
+    ConformanceChecker.Severity = Severity;
+    ConformanceChecker.isCompatibleVersion = isCompatibleVersion;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ConformanceChecker };
+    } else {
+        global.ConformanceChecker = ConformanceChecker;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
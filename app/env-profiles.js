@@ -0,0 +1,230 @@
+/**
+ * TLend Environment Profiles - Named endpoint sets for the test stand
+ *
+ * A profile bundles everything that differs between TLend deployments
+ * (RFC Section 2.5):
+ *
+ *   { label, tlendUrl, allowedOrigins, manifestUrl, backendUrl, explorerUrl, chain }
+ *
+ * 'production', 'staging' and 'local' are built in; 'custom' starts as a
+ * copy of staging and keeps whatever the user edits. The selected profile
+ * and the custom profile are persisted in localStorage.
+ *
+ * Usage:
+ *   const profiles = new TLendEnvProfiles.ProfileStore({ storage: localStorage });
+ *   profiles.select('local');
+ *   profiles.active.backendUrl; // 'http://localhost:8787'
+ *
+ * Exposes `window.TLendEnvProfiles` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    // ========================================================================
+    // Profiles
+    // ========================================================================
+
+    const Chains = {
+        MAINNET: '-239',
+        TESTNET: '-3',
+    };
+
+    const EnvProfiles = {
+        PRODUCTION: 'production',
+        STAGING: 'staging',
+        LOCAL: 'local',
+        CUSTOM: 'custom',
+    };
+
+    const PROFILE_FIELDS = ['tlendUrl', 'allowedOrigins', 'manifestUrl', 'backendUrl', 'explorerUrl', 'chain'];
+
+    // TON Connect manifest of the test stand - FOR TESTING ONLY. In production,
+    // partners MUST use their own manifest on their domain; the manifest domain
+    // is verified by TLend and must be whitelisted (RFC 10.3, 12.1).
+    const TEST_MANIFEST_URL = 'https://app-test.tlend.co/tonconnect-manifest.json';
+
+    // Use app.tlend.co (SPA), not tlend.co (marketing site)
+    const BUILT_IN_PROFILES = {
+        [EnvProfiles.PRODUCTION]: {
+            label: 'Production',
+            tlendUrl: 'https://app.tlend.co',
+            allowedOrigins: ['https://app.tlend.co'],
+            manifestUrl: TEST_MANIFEST_URL,
+            backendUrl: 'https://backend.tlend.co',
+            explorerUrl: 'https://tonscan.org',
+            chain: Chains.MAINNET,
+        },
+        [EnvProfiles.STAGING]: {
+            label: 'Staging',
+            tlendUrl: 'https://app-test.tlend.co',
+            allowedOrigins: ['https://app-test.tlend.co'],
+            manifestUrl: TEST_MANIFEST_URL,
+            backendUrl: 'https://backend-test.tlend.co',
+            explorerUrl: 'https://tonscan.org',
+            chain: Chains.MAINNET,
+        },
+        // TLend dev server and mock-backend/ on this machine
+        [EnvProfiles.LOCAL]: {
+            label: 'Local',
+            tlendUrl: 'http://localhost:5173',
+            allowedOrigins: ['http://localhost:5173'],
+            manifestUrl: TEST_MANIFEST_URL,
+            backendUrl: 'http://localhost:8787',
+            explorerUrl: 'https://tonscan.org',
+            chain: Chains.MAINNET,
+        },
+    };
+
+    const DEFAULT_PROFILE = EnvProfiles.STAGING;
+    const STORAGE_VERSION = 1;
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function copyProfile(profile, label) {
+        return {
+            label: label ?? profile.label,
+            ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, field === 'allowedOrigins'
+                ? [...profile.allowedOrigins]
+                : profile[field]])),
+        };
+    }
+
+    function trimUrl(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * Normalize user input into profile fields. Unknown fields are dropped;
+     * allowedOrigins may be an array or a comma-separated string.
+     */
+    function normalizeFields(fields) {
+        const normalized = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (!(field in fields)) return;
+            const value = fields[field];
+            if (field === 'allowedOrigins') {
+                const origins = Array.isArray(value) ? value : String(value || '').split(',');
+                normalized.allowedOrigins = origins.map(trimUrl).filter(Boolean);
+            } else if (field === 'chain') {
+                if (!Object.values(Chains).includes(value)) {
+                    throw new RangeError(`Unsupported chain: ${value} (expected ${Object.values(Chains).join(' or ')})`);
+                }
+                normalized.chain = value;
+            } else if (field === 'manifestUrl') {
+                normalized.manifestUrl = String(value || '').trim();
+            } else {
+                normalized[field] = trimUrl(value);
+            }
+        });
+        return normalized;
+    }
+
+    /** Explorer link for a transaction hash */
+    function explorerTxUrl(profile, hash) {
+        return `${trimUrl(profile.explorerUrl)}/tx/${hash}`;
+    }
+
+    // ========================================================================
+    // ProfileStore
+    // ========================================================================
+
+    class ProfileStore {
+        /**
+         * @param {Object} [options]
+         * @param {Storage} [options.storage] - localStorage or compatible; nothing is persisted without one
+         * @param {string} [options.storageKey]
+         */
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'tlend-partner-mock:env';
+            this.activeName = DEFAULT_PROFILE;
+            this.custom = copyProfile(BUILT_IN_PROFILES[DEFAULT_PROFILE], 'Custom');
+            this._load();
+        }
+
+        /** Names of all profiles, built-in first */
+        get names() {
+            return [...Object.keys(BUILT_IN_PROFILES), EnvProfiles.CUSTOM];
+        }
+
+        /** The selected profile */
+        get active() {
+            return this.get(this.activeName);
+        }
+
+        has(name) {
+            return this.names.includes(name);
+        }
+
+        /** A copy of the named profile */
+        get(name) {
+            if (name === EnvProfiles.CUSTOM) return copyProfile(this.custom);
+            if (!BUILT_IN_PROFILES[name]) {
+                throw new Error(`Unknown environment profile: ${name}`);
+            }
+            return copyProfile(BUILT_IN_PROFILES[name]);
+        }
+
+        select(name) {
+            this.get(name);
+            this.activeName = name;
+            this._save();
+            return this.active;
+        }
+
+        /**
+         * Change custom profile fields and select it. The custom profile starts
+         * from `base` (default: the active profile) when another one is active.
+         */
+        updateCustom(fields, base = this.activeName) {
+            const start = base === EnvProfiles.CUSTOM ? this.custom : this.get(base);
+            this.custom = { ...copyProfile(start, 'Custom'), ...normalizeFields(fields) };
+            return this.select(EnvProfiles.CUSTOM);
+        }
+
+        _load() {
+            if (!this.storage) return;
+            try {
+                const saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+                if (!saved || saved.version !== STORAGE_VERSION) return;
+                if (saved.custom) {
+                    this.custom = { ...this.custom, ...normalizeFields(saved.custom) };
+                }
+                if (this.has(saved.active)) {
+                    this.activeName = saved.active;
+                }
+            } catch {
+                // Unreadable settings fall back to the defaults
+            }
+        }
+
+        _save() {
+            if (!this.storage) return;
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: STORAGE_VERSION,
+                active: this.activeName,
+                custom: this.custom,
+            }));
+        }
+    }
+
+    const TLendEnvProfiles = {
+        Chains,
+        EnvProfiles,
+        PROFILE_FIELDS,
+        BUILT_IN_PROFILES,
+        DEFAULT_PROFILE,
+        ProfileStore,
+        normalizeFields,
+        explorerTxUrl,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendEnvProfiles;
+    } else {
+        global.TLendEnvProfiles = TLendEnvProfiles;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
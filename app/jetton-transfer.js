@@ -0,0 +1,267 @@
+/**
+ * TLend Jetton Transfer - Decode and check REPAY_REQUEST transactions (RFC Section 8.3)
+ *
+ * A repayment is a jetton transfer (TEP-74) sent to the user's jetton
+ * wallet. Each `transaction.messages[].payload` is a BOC with its body:
+ *
+ *   transfer#0f8a7ea5 query_id:uint64 amount:Coins destination:MsgAddress
+ *     response_destination:MsgAddress custom_payload:(Maybe ^Cell)
+ *     forward_ton_amount:Coins forward_payload:(Either Cell ^Cell)
+ *
+ * checkRepayTransaction() decodes every message and cross-checks it with
+ * the rest of the REPAY_REQUEST: the jetton amount against `amount`, the
+ * destination against `metadata.tLendContractAddress`, the excess receiver
+ * against `metadata.userAddress`. Finding the user's jetton wallet for
+ * `metadata.jettonMasterAddress` needs a network lookup, so the caller
+ * resolves it and passes it in; everything here is plain data.
+ *
+ * Usage:
+ *   const { ok, transfers, issues } = TLendJettonTransfer.checkRepayTransaction(payload, {
+ *       jettonWallet: 'EQB59UeOkfqiM1Ka2TvLTCHbl5HSYNWoYvC9l2TAbcoUOUTS',
+ *   });
+ *
+ * Exposes `window.TLendJettonTransfer` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const CELLS = global.TLendTonCells
+        || (typeof require === 'function' ? require('./ton-cells.js') : null);
+
+    const Severity = {
+        ERROR: 'error',
+        WARNING: 'warning',
+        INFO: 'info',
+    };
+
+    const JETTON_TRANSFER_OP = 0x0f8a7ea5;
+    const TEXT_COMMENT_OP = 0;
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function formatOp(op) {
+        return `0x${op.toString(16).padStart(8, '0')}`;
+    }
+
+    /** Smallest units to a decimal string: formatUnits('50000000', 6) -> '50' */
+    function formatUnits(value, decimals) {
+        const units = BigInt(value);
+        const sign = units < 0n ? '-' : '';
+        const digits = (units < 0n ? -units : units).toString().padStart(decimals + 1, '0');
+        const whole = digits.slice(0, digits.length - decimals);
+        const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+        return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+    }
+
+    /** Whether two addresses, raw or user-friendly, are the same account */
+    function sameAddress(a, b) {
+        return CELLS.toRawAddress(a) === CELLS.toRawAddress(b);
+    }
+
+    // Snake-encoded bytes: the rest of the slice, then the first ref's chain
+    function readSnakeBytes(slice) {
+        const parts = [];
+        let current = slice;
+        for (;;) {
+            parts.push(current.loadBytes(Math.floor(current.remainingBits / 8)));
+            if (!current.remainingRefs) break;
+            current = current.loadRef().beginParse();
+        }
+        return CELLS.concatBytes(...parts);
+    }
+
+    // ========================================================================
+    // Decoding
+    // ========================================================================
+
+    function decodeForwardPayload(slice) {
+        const inRef = slice.loadBit();
+        const body = inRef ? slice.loadRef().beginParse() : slice;
+        const forward = { inRef: Boolean(inRef), bits: body.remainingBits, refs: body.remainingRefs, op: null };
+        if (body.remainingBits === 0 && body.remainingRefs === 0) return forward;
+        if (body.remainingBits < 32) return forward;
+
+        forward.op = Number(body.loadUint(32));
+        if (forward.op === TEXT_COMMENT_OP) {
+            forward.comment = new TextDecoder().decode(readSnakeBytes(body));
+        }
+        return forward;
+    }
+
+    /**
+     * Decode a jetton transfer message body.
+     * @param {string|Uint8Array} boc - Base64 or bytes
+     * @returns {{ op: number, queryId: string, amount: string, destination: string|null,
+     *   responseDestination: string|null, customPayload: boolean, forwardTonAmount: string,
+     *   forwardPayload: { inRef: boolean, bits: number, refs: number, op: number|null, comment?: string } }}
+     *   Amounts are decimal strings, addresses raw
+     * @throws {Error} When the BOC cannot be read or is not a jetton transfer
+     */
+    function decodeJettonTransfer(boc) {
+        const [root] = CELLS.parseBoc(boc);
+        if (!root) throw new Error('Bag of cells has no root cell');
+        const slice = root.beginParse();
+        if (slice.remainingBits < 32) throw new Error('Body is too short for an opcode');
+
+        const op = Number(slice.loadUint(32));
+        if (op !== JETTON_TRANSFER_OP) {
+            throw new Error(`Opcode ${formatOp(op)} is not a jetton transfer (${formatOp(JETTON_TRANSFER_OP)})`);
+        }
+        return {
+            op,
+            queryId: slice.loadUint(64).toString(),
+            amount: slice.loadCoins().toString(),
+            destination: slice.loadAddress(),
+            responseDestination: slice.loadAddress(),
+            customPayload: Boolean(slice.loadMaybeRef()),
+            forwardTonAmount: slice.loadCoins().toString(),
+            forwardPayload: decodeForwardPayload(slice),
+        };
+    }
+
+    /**
+     * Build a jetton transfer body, as TLend does for REPAY_REQUEST.
+     * Addresses may be raw or user-friendly; `comment` becomes a text forward payload.
+     * @returns {string} Base64 BOC
+     */
+    function buildJettonTransfer({ queryId = 0, amount, destination, responseDestination, forwardTonAmount = 0, comment }) {
+        const forward = comment === undefined ? null : CELLS.beginCell()
+            .storeUint(TEXT_COMMENT_OP, 32)
+            .storeBytes(new TextEncoder().encode(comment))
+            .endCell();
+        const body = CELLS.beginCell()
+            .storeUint(JETTON_TRANSFER_OP, 32)
+            .storeUint(queryId, 64)
+            .storeCoins(amount)
+            .storeAddress(CELLS.toRawAddress(destination))
+            .storeAddress(responseDestination ? CELLS.toRawAddress(responseDestination) : null)
+            .storeMaybeRef(null)
+            .storeCoins(forwardTonAmount)
+            .storeBit(forward ? 1 : 0);
+        if (forward) body.storeRef(forward);
+        return CELLS.toBase64(CELLS.serializeBoc(body.endCell()));
+    }
+
+    // ========================================================================
+    // Checks
+    // ========================================================================
+
+    function checkAddress(issues, severity, field, actual, expected, label) {
+        if (!expected) return;
+        try {
+            if (!sameAddress(actual, expected)) {
+                issues.push({ severity, field, message: `${label} ${actual || 'none'} is not ${expected}` });
+            }
+        } catch (error) {
+            issues.push({ severity: Severity.ERROR, field, message: `${label}: ${error.message}` });
+        }
+    }
+
+    // "1,000.50" and "1000.5" are the same amount
+    function normalizeDecimal(text) {
+        const plain = String(text).replace(/,/g, '').trim();
+        return plain.includes('.') ? plain.replace(/0+$/, '').replace(/\.$/, '') : plain;
+    }
+
+    /**
+     * Decode every message of a REPAY_REQUEST and cross-check it with the request.
+     * @param {import('@tlend/iframe-types').RepayRequestMessage['payload']} payload
+     * @param {Object} [options]
+     * @param {string} [options.jettonWallet] - The user's jetton wallet for
+     *   metadata.jettonMasterAddress; messages must go there. Unchecked when absent.
+     * @param {string} [options.jettonWalletError] - Why it could not be resolved
+     * @returns {{ ok: boolean, transfers: Array<{ index: number, message: Object, transfer: Object|null,
+     *   error?: string }>, issues: Array<{ severity: string, field: string, message: string }> }}
+     *   `ok` is false when there is an error
+     */
+    function checkRepayTransaction(payload, options = {}) {
+        const issues = [];
+        const issue = (severity, field, message) => issues.push({ severity, field, message });
+        const messages = payload?.transaction?.messages || [];
+        const metadata = payload?.metadata || {};
+
+        if (!messages.length) {
+            issue(Severity.ERROR, 'transaction.messages', 'Transaction has no messages');
+        } else if (messages.length > 1) {
+            issue(Severity.INFO, 'transaction.messages', `Transaction has ${messages.length} messages; a repayment usually has one`);
+        }
+
+        const transfers = messages.map((message, index) => {
+            const field = `transaction.messages[${index}]`;
+            if (!message.payload) {
+                issue(Severity.ERROR, `${field}.payload`, `Message ${index} has no payload; it would send TON only`);
+                return { index, message, transfer: null, error: 'no payload' };
+            }
+
+            let transfer;
+            try {
+                transfer = decodeJettonTransfer(message.payload);
+            } catch (error) {
+                issue(Severity.ERROR, `${field}.payload`, `Message ${index}: ${error.message}`);
+                return { index, message, transfer: null, error: error.message };
+            }
+
+            checkAddress(issues, Severity.ERROR, `${field}.payload`, transfer.destination,
+                metadata.tLendContractAddress, `Message ${index}: jetton destination`);
+            checkAddress(issues, Severity.WARNING, `${field}.payload`, transfer.responseDestination,
+                metadata.userAddress, `Message ${index}: excess TON goes to`);
+
+            if (options.jettonWallet) {
+                checkAddress(issues, Severity.ERROR, `${field}.address`, message.address,
+                    options.jettonWallet, `Message ${index}: sent to`);
+            } else {
+                issue(Severity.INFO, `${field}.address`, `Message ${index}: not checked to be the user's jetton wallet`
+                    + ` for ${metadata.jettonMasterAddress || 'the jetton'} (${options.jettonWalletError || 'not resolved'})`);
+            }
+
+            if (transfer.customPayload) {
+                issue(Severity.WARNING, `${field}.payload`, `Message ${index}: carries a custom payload for the jetton wallet`);
+            }
+            if (BigInt(transfer.forwardTonAmount) >= BigInt(message.amount || 0)) {
+                issue(Severity.WARNING, `${field}.amount`, `Message ${index}: forwards ${formatUnits(transfer.forwardTonAmount, 9)} TON`
+                    + ` but attaches only ${formatUnits(message.amount || 0, 9)} TON; the transfer will bounce`);
+            }
+            return { index, message, transfer };
+        });
+
+        const decoded = transfers.filter(entry => entry.transfer);
+        if (decoded.length && decoded.length === transfers.length && payload?.amount) {
+            const { value, decimals, formatted, currency } = payload.amount;
+            const total = decoded.reduce((sum, entry) => sum + BigInt(entry.transfer.amount), 0n);
+            if (total.toString() !== String(value)) {
+                issue(Severity.ERROR, 'amount.value', `Transfers move ${formatUnits(total, decimals)} ${currency}`
+                    + ` but the request asks for ${formatUnits(value, decimals)} ${currency}`);
+            } else if (formatted !== undefined && normalizeDecimal(formatted) !== formatUnits(value, decimals)) {
+                issue(Severity.WARNING, 'amount.formatted', `Shown amount ${formatted} ${currency}`
+                    + ` is not ${formatUnits(value, decimals)} ${currency} (value ${value}, ${decimals} decimals)`);
+            }
+        }
+
+        return {
+            ok: !issues.some(entry => entry.severity === Severity.ERROR),
+            transfers,
+            issues,
+        };
+    }
+
+    const TLendJettonTransfer = {
+        Severity,
+        JETTON_TRANSFER_OP,
+        TEXT_COMMENT_OP,
+        formatOp,
+        formatUnits,
+        sameAddress,
+        decodeJettonTransfer,
+        buildJettonTransfer,
+        checkRepayTransaction,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendJettonTransfer;
+    } else {
+        global.TLendJettonTransfer = TLendJettonTransfer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
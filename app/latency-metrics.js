@@ -0,0 +1,399 @@
+/**
+ * TLend Latency Metrics - Correlate and time every request/response pair
+ *
+ * LatencyMetrics watches a bridge and pairs requests with their responses
+ * by requestId:
+ *
+ *   AUTH_CHECK        AUTH_CHECK_REQUEST  -> AUTH_CHECK_RESPONSE  (TLend answers)
+ *   AUTH_CREDENTIALS  AUTH_CREDENTIALS    -> AUTH_RESULT          (TLend answers)
+ *   REPAY             REPAY_REQUEST       <- REPAY_RESULT         (the Partner answers)
+ *
+ * An ERROR with the request's requestId also answers it. Latency runs from
+ * the moment the request was posted (not while it was queued) to the
+ * response, on performance.now(). A request still open after its timeout
+ * counts as timed out; an answer that comes after that is recorded as late.
+ * Responses whose requestId was never requested are orphans, a second
+ * response to the same request (or the same REPAY_REQUEST twice) is a
+ * duplicate; both are reported through `onAnomaly`.
+ *
+ * summary() gives per pair: count, p50/p95 (nearest rank), min, max,
+ * errors, timeouts, late, orphans, duplicates and pending. exportJSON()
+ * writes the summary with the raw samples, and compare() diffs two exports,
+ * e.g. of two staging builds:
+ *
+ *   { "format": "tlend-latency-metrics", "version": 1, "protocolVersion": "2.2.0",
+ *     "startedAt": 1700000000000, "exportedAt": 1700000060000, "meta": { ... },
+ *     "pairs": { "AUTH_CHECK": { "count": 3, "p50": 41.2, "p95": 88.9, ... }, ... },
+ *     "samples": [ { "pair": "AUTH_CHECK", "requestId": "...", "latencyMs": 41.2, "outcome": "ok", "at": ... } ],
+ *     "anomalies": [ ... ] }
+ *
+ * Usage:
+ *   const metrics = new TLendLatencyMetrics.LatencyMetrics({
+ *       timeouts: { AUTH_CHECK: 5000, AUTH_CREDENTIALS: 30000, REPAY: 60000 },
+ *       onUpdate: () => render(metrics.summary()),
+ *       onAnomaly: (anomaly) => console.warn(anomaly.reason),
+ *   });
+ *   metrics.attach(bridge);
+ *
+ * Exposes `window.TLendLatencyMetrics` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const METRICS_FORMAT = 'tlend-latency-metrics';
+    const METRICS_VERSION = 1;
+
+    const PROTOCOL = global.TLendProtocol
+        || (typeof require === 'function' ? require('./tlend-protocol.js') : null);
+
+    // `direction` is who sends the request: 'out' is Partner -> TLend
+    const Pairs = {
+        AUTH_CHECK: { request: 'AUTH_CHECK_REQUEST', response: 'AUTH_CHECK_RESPONSE', direction: 'out' },
+        AUTH_CREDENTIALS: { request: 'AUTH_CREDENTIALS', response: 'AUTH_RESULT', direction: 'out' },
+        REPAY: { request: 'REPAY_REQUEST', response: 'REPAY_RESULT', direction: 'in' },
+    };
+
+    const Outcomes = {
+        OK: 'ok', // the expected response
+        ERROR: 'error', // an ERROR with the request's requestId
+        LATE: 'late', // answered after the request had timed out
+    };
+
+    const AnomalyKinds = {
+        TIMEOUT: 'timeout',
+        ORPHAN: 'orphan',
+        DUPLICATE: 'duplicate',
+    };
+
+    const DEFAULTS = {
+        maxSamples: 500, // per pair; the oldest are dropped beyond this
+        maxAnomalies: 50,
+        maxSettled: 200, // answered requestIds remembered for duplicate detection
+    };
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function now() {
+        return global.performance ? global.performance.now() : Date.now();
+    }
+
+    function round(ms) {
+        return Math.round(ms * 1000) / 1000;
+    }
+
+    /** Nearest-rank percentile of sorted values; null when there are none */
+    function percentile(sorted, p) {
+        if (!sorted.length) return null;
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+    }
+
+    function pairForRequest(type) {
+        return Object.keys(Pairs).find(name => Pairs[name].request === type) || null;
+    }
+
+    function pairForResponse(type) {
+        return Object.keys(Pairs).find(name => Pairs[name].response === type) || null;
+    }
+
+    function emptyCounters() {
+        return { requests: 0, errors: 0, timeouts: 0, late: 0, orphans: 0, duplicates: 0 };
+    }
+
+    // ========================================================================
+    // LatencyMetrics
+    // ========================================================================
+
+    class LatencyMetrics {
+        /**
+         * @param {Object} [options]
+         * @param {Record<string, number>} [options.timeouts] - Per pair (ms); no timeout when absent
+         * @param {() => Object} [options.meta] - Merged into exports, e.g. the TLend URL and version
+         * @param {() => void} [options.onUpdate] - Called after every change to the numbers
+         * @param {(anomaly: Object) => void} [options.onAnomaly] - Called for timeouts, orphans and duplicates
+         * @param {number} [options.maxSamples]
+         */
+        constructor(options = {}) {
+            this.timeouts = { ...options.timeouts };
+            this.maxSamples = options.maxSamples ?? DEFAULTS.maxSamples;
+            this._meta = options.meta || (() => ({}));
+            this._onUpdate = options.onUpdate || (() => {});
+            this._onAnomaly = options.onAnomaly || (() => {});
+            this._unsubscribe = [];
+            this._open = new Map(); // requestId -> { pair, type, postedAt, timer, timedOut }
+            this._settled = new Map(); // requestId -> pair
+            this._clear();
+        }
+
+        /** Correlate what a bridge sends and receives; a new bridge is a new session */
+        attach(bridge) {
+            this.detach();
+            this.startSession();
+            this._unsubscribe = [
+                bridge.on('message', message => this.received(message)),
+                bridge.on('send', message => this.sent(message)),
+            ];
+        }
+
+        detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /**
+         * The iframe was (re)loaded: open requests will never be answered and
+         * requestIds start over. The numbers so far are kept.
+         */
+        startSession() {
+            this._open.forEach(entry => clearTimeout(entry.timer));
+            this._open.clear();
+            this._settled.clear();
+            this._onUpdate();
+        }
+
+        /** Drop every number and start over */
+        reset() {
+            this._clear();
+            this._onUpdate();
+        }
+
+        /** A message from TLend */
+        received(message) {
+            this._observe(message, 'in');
+        }
+
+        /** A message posted to TLend */
+        sent(message) {
+            this._observe(message, 'out');
+        }
+
+        /** Anomalies, newest first: { at, kind, pair, type, requestId, reason } */
+        get anomalies() {
+            return this._anomalies.map(anomaly => ({ ...anomaly }));
+        }
+
+        /** Number of requests waiting for a response */
+        get pendingCount() {
+            return this._open.size;
+        }
+
+        /**
+         * Latency statistics per pair (ms, rounded to the microsecond);
+         * p50/p95/min/max/mean are null without samples
+         */
+        summary() {
+            return Object.fromEntries(Object.keys(Pairs).map(name => {
+                const latencies = this._samples[name].map(sample => sample.latencyMs).sort((a, b) => a - b);
+                const total = latencies.reduce((sum, ms) => sum + ms, 0);
+                const pending = [...this._open.values()].filter(entry => entry.pair === name).length;
+                return [name, {
+                    ...this._counters[name],
+                    count: latencies.length,
+                    pending,
+                    p50: percentile(latencies, 50),
+                    p95: percentile(latencies, 95),
+                    min: latencies.length ? latencies[0] : null,
+                    max: latencies.length ? latencies[latencies.length - 1] : null,
+                    mean: latencies.length ? round(total / latencies.length) : null,
+                }];
+            }));
+        }
+
+        /** Everything as plain data, in the export format */
+        snapshot() {
+            const samples = Object.values(this._samples).flat().sort((a, b) => a.at - b.at);
+            return {
+                format: METRICS_FORMAT,
+                version: METRICS_VERSION,
+                protocolVersion: PROTOCOL?.TLEND_PROTOCOL_VERSION || null,
+                startedAt: this._startedAt,
+                exportedAt: Date.now(),
+                meta: { ...this._meta() },
+                timeouts: { ...this.timeouts },
+                pairs: this.summary(),
+                samples: samples.map(sample => ({ ...sample })),
+                anomalies: this.anomalies,
+            };
+        }
+
+        exportJSON() {
+            return JSON.stringify(this.snapshot(), null, 2);
+        }
+
+        // --------------------------------------------------------------------
+
+        _clear() {
+            this._open.forEach(entry => clearTimeout(entry.timer));
+            this._open.clear();
+            this._settled.clear();
+            this._startedAt = Date.now();
+            this._samples = Object.fromEntries(Object.keys(Pairs).map(name => [name, []]));
+            this._counters = Object.fromEntries(Object.keys(Pairs).map(name => [name, emptyCounters()]));
+            this._anomalies = [];
+        }
+
+        _observe(message, direction) {
+            const { type, requestId } = message || {};
+            if (typeof requestId !== 'string' || !requestId) return;
+
+            const requestPair = pairForRequest(type);
+            if (requestPair && Pairs[requestPair].direction === direction) {
+                this._request(requestPair, message);
+                return;
+            }
+
+            const responsePair = pairForResponse(type);
+            if (responsePair && Pairs[responsePair].direction !== direction) {
+                this._response(responsePair, message, Outcomes.OK);
+                return;
+            }
+
+            // An ERROR answers whatever open request, of the other side, has its requestId
+            if (type === 'ERROR') {
+                const entry = this._open.get(requestId);
+                if (entry && Pairs[entry.pair].direction !== direction) {
+                    this._response(entry.pair, message, Outcomes.ERROR);
+                }
+            }
+        }
+
+        _request(pair, message) {
+            const { requestId, type } = message;
+            if (this._open.has(requestId) || this._settled.has(requestId)) {
+                this._anomaly(AnomalyKinds.DUPLICATE, pair, message, `${type} ${requestId} was already seen`);
+                return;
+            }
+
+            this._counters[pair].requests++;
+            const entry = { pair, type, postedAt: now(), timer: null, timedOut: false };
+            const timeoutMs = this.timeouts[pair];
+            if (timeoutMs > 0) {
+                entry.timer = setTimeout(() => {
+                    entry.timedOut = true;
+                    this._counters[pair].timeouts++;
+                    this._anomaly(AnomalyKinds.TIMEOUT, pair, message,
+                        `${type} ${requestId} got no ${Pairs[pair].response} within ${timeoutMs}ms`);
+                }, timeoutMs);
+            }
+            this._open.set(requestId, entry);
+            this._onUpdate();
+        }
+
+        _response(pair, message, outcome) {
+            const { requestId, type } = message;
+            const entry = this._open.get(requestId);
+
+            if (!entry) {
+                if (this._settled.has(requestId)) {
+                    this._anomaly(AnomalyKinds.DUPLICATE, pair, message, `${type} ${requestId} was already answered`);
+                } else {
+                    this._anomaly(AnomalyKinds.ORPHAN, pair, message,
+                        `${type} ${requestId} answers no ${Pairs[pair].request} of this session`);
+                }
+                return;
+            }
+            if (entry.pair !== pair) {
+                this._anomaly(AnomalyKinds.ORPHAN, pair, message,
+                    `${type} ${requestId} answers a ${entry.type}, not a ${Pairs[pair].request}`);
+                return;
+            }
+
+            clearTimeout(entry.timer);
+            this._open.delete(requestId);
+            this._settled.set(requestId, pair);
+            if (this._settled.size > DEFAULTS.maxSettled) {
+                this._settled.delete(this._settled.keys().next().value);
+            }
+
+            const final = entry.timedOut ? Outcomes.LATE : outcome;
+            if (final === Outcomes.ERROR) this._counters[pair].errors++;
+            if (final === Outcomes.LATE) this._counters[pair].late++;
+
+            const samples = this._samples[pair];
+            samples.push({
+                pair,
+                requestId,
+                latencyMs: round(now() - entry.postedAt),
+                outcome: final,
+                response: type,
+                at: Date.now(),
+            });
+            samples.splice(0, Math.max(0, samples.length - this.maxSamples));
+            this._onUpdate();
+        }
+
+        _anomaly(kind, pair, message, reason) {
+            if (kind !== AnomalyKinds.TIMEOUT) {
+                this._counters[pair][kind === AnomalyKinds.ORPHAN ? 'orphans' : 'duplicates']++;
+            }
+            const anomaly = { at: Date.now(), kind, pair, type: message.type, requestId: message.requestId, reason };
+            this._anomalies.unshift(anomaly);
+            this._anomalies.splice(DEFAULTS.maxAnomalies);
+            this._onAnomaly({ ...anomaly });
+            this._onUpdate();
+        }
+    }
+
+    // ========================================================================
+    // Exports
+    // ========================================================================
+
+    /**
+     * Parse an exported metrics file
+     * @throws {Error} When it is not a latency metrics export
+     */
+    function parse(text) {
+        const metrics = typeof text === 'string' ? JSON.parse(text) : text;
+        if (!metrics || metrics.format !== METRICS_FORMAT) {
+            throw new Error(`Not a latency metrics export (expected format "${METRICS_FORMAT}")`);
+        }
+        if (metrics.version !== METRICS_VERSION) {
+            throw new Error(`Unsupported latency metrics version ${metrics.version}`);
+        }
+        if (!metrics.pairs || typeof metrics.pairs !== 'object') {
+            throw new Error('Latency metrics export has no pairs');
+        }
+        return metrics;
+    }
+
+    /**
+     * Compare two exports pair by pair, e.g. a staging build against the last one
+     * @returns {Object<string, { base: Object|null, current: Object|null, p50Delta: number|null, p95Delta: number|null }>}
+     *   Deltas are current - base in ms; null when either side has no samples
+     */
+    function compare(base, current) {
+        const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : round(b - a));
+        const names = [...new Set([...Object.keys(base.pairs), ...Object.keys(current.pairs)])];
+        return Object.fromEntries(names.map(name => {
+            const before = base.pairs[name] || null;
+            const after = current.pairs[name] || null;
+            return [name, {
+                base: before,
+                current: after,
+                p50Delta: delta(before?.p50, after?.p50),
+                p95Delta: delta(before?.p95, after?.p95),
+            }];
+        }));
+    }
+
+    const TLendLatencyMetrics = {
+        METRICS_FORMAT,
+        METRICS_VERSION,
+        Pairs,
+        Outcomes,
+        AnomalyKinds,
+        percentile,
+        parse,
+        compare,
+        LatencyMetrics,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendLatencyMetrics;
+    } else {
+        global.TLendLatencyMetrics = TLendLatencyMetrics;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,303 @@
+/**
+ * TLend Lifecycle Machine - The iframe lifecycle as a state machine (RFC Sections 4.1, 9.4, 9.5)
+ *
+ *   LOADING --TLEND_LOADED--> PENDING_AUTH --TLEND_READY--> READY
+ *      |   (or no TLEND_LOADED  |    ^                        |
+ *      |    in time, RFC 5.3)   |    +--AUTH_REQUEST----------+
+ *      |                       |       DISCONNECT
+ *      |                       |       AUTH_CHECK_RESPONSE (not authenticated)
+ *      +--------------------> ERROR <------------------------+
+ *             ERROR (not recoverable), AUTH_CREDENTIALS given up on,
+ *             TLend not answering after the RFC 5.3 fallback
+ *
+ * An iframe load or reload starts over in LOADING from any state, and a
+ * TLEND_LOADED in any state starts a new session in PENDING_AUTH (the page
+ * in the iframe reloaded itself, RFC 9.5). TLEND_READY is only legal after a successful AUTH_RESULT in the same
+ * session (RFC 9.5). Events with no transition from the current state, or
+ * whose guard fails, are illegal: they are reported and leave the state
+ * alone. force() applies a transition anyway (manual overrides) and reports
+ * it when the graph would not have allowed it.
+ *
+ * Usage:
+ *   const machine = new TLendLifecycle.LifecycleMachine({
+ *       onChange: (entry) => render(machine.state),
+ *       onIllegal: (entry) => console.warn(entry.reason),
+ *   });
+ *   machine.attach(bridge);
+ *   machine.load();
+ *
+ * Exposes `window.TLendLifecycle` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const States = {
+        LOADING: 'LOADING',
+        PENDING_AUTH: 'PENDING_AUTH',
+        READY: 'READY',
+        ERROR: 'ERROR',
+    };
+
+    const Events = {
+        LOAD: 'load', // the iframe was loaded or reloaded
+        TLEND_LOADED: 'TLEND_LOADED',
+        TLEND_READY: 'TLEND_READY',
+        AUTH_CHECK_RESPONSE: 'AUTH_CHECK_RESPONSE', // not authenticated for the requested wallet
+        AUTH_REQUEST: 'AUTH_REQUEST',
+        DISCONNECT: 'DISCONNECT', // sent by the Partner
+        ERROR: 'ERROR', // ERROR message with recoverable: false
+        AUTH_FAILED: 'auth_failed', // AUTH_CREDENTIALS failed for good (RFC 11.4)
+        LOADED_TIMEOUT: 'loaded_timeout', // no TLEND_LOADED in time: messages are sent anyway (RFC 5.3)
+        UNRESPONSIVE: 'unresponsive', // nothing answered the messages sent anyway (RFC 5.3)
+        FORCE: 'force',
+    };
+
+    const { LOADING, PENDING_AUTH, READY, ERROR } = States;
+    const ACTIVE = [LOADING, PENDING_AUTH, READY];
+
+    const AUTHENTICATED = {
+        test: context => context.authenticated,
+        reason: 'no successful AUTH_RESULT in this session (RFC 9.5)',
+    };
+
+    // `to: null` accepts the event without a state change
+    const TRANSITIONS = [
+        { event: Events.LOAD, from: [null, ...Object.values(States)], to: LOADING },
+        { event: Events.TLEND_LOADED, from: Object.values(States), to: PENDING_AUTH },
+        { event: Events.LOADED_TIMEOUT, from: [LOADING], to: PENDING_AUTH },
+        { event: Events.TLEND_READY, from: [PENDING_AUTH, READY], to: READY, guard: AUTHENTICATED },
+        { event: Events.AUTH_CHECK_RESPONSE, from: [PENDING_AUTH, READY], to: PENDING_AUTH },
+        { event: Events.AUTH_REQUEST, from: [PENDING_AUTH, READY], to: PENDING_AUTH },
+        { event: Events.DISCONNECT, from: [PENDING_AUTH, READY], to: PENDING_AUTH },
+        // The wallet may disconnect before TLend has loaded, or after it failed
+        { event: Events.DISCONNECT, from: [LOADING, ERROR], to: null },
+        { event: Events.ERROR, from: ACTIVE, to: ERROR },
+        { event: Events.AUTH_FAILED, from: ACTIVE, to: ERROR },
+        { event: Events.UNRESPONSIVE, from: ACTIVE, to: ERROR },
+        // Further failures change nothing until the iframe is reloaded
+        { event: Events.ERROR, from: [ERROR], to: null },
+        { event: Events.AUTH_FAILED, from: [ERROR], to: null },
+        { event: Events.UNRESPONSIVE, from: [ERROR], to: null },
+    ];
+
+    const DEFAULTS = {
+        maxHistory: 50,
+    };
+
+    // ========================================================================
+    // Graph
+    // ========================================================================
+
+    function transitionsFor(event, from) {
+        return TRANSITIONS.filter(transition => transition.event === event && transition.from.includes(from));
+    }
+
+    /** Events with a transition out of `from` */
+    function allowedEvents(from) {
+        return [...new Set(TRANSITIONS.filter(transition => transition.from.includes(from)).map(transition => transition.event))];
+    }
+
+    /**
+     * Edges between different states, for drawing; the LOAD reset from every
+     * state is left out.
+     * @returns {Array<{ from: string, to: string, events: string[] }>}
+     */
+    function diagramEdges() {
+        const edges = new Map();
+        TRANSITIONS.filter(transition => transition.event !== Events.LOAD && transition.to).forEach(transition => {
+            transition.from.filter(from => from && from !== transition.to).forEach(from => {
+                const key = `${from}>${transition.to}`;
+                if (!edges.has(key)) edges.set(key, { from, to: transition.to, events: [] });
+                edges.get(key).events.push(transition.event);
+            });
+        });
+        return [...edges.values()];
+    }
+
+    /** The lifecycle event a message is, or null for messages that do not move the lifecycle */
+    function eventForMessage(message, direction = 'inbound') {
+        const { type, payload = {} } = message || {};
+        if (direction === 'outbound') {
+            return type === 'DISCONNECT' ? Events.DISCONNECT : null;
+        }
+        switch (type) {
+            case 'TLEND_LOADED': return Events.TLEND_LOADED;
+            case 'TLEND_READY': return Events.TLEND_READY;
+            case 'AUTH_REQUEST': return Events.AUTH_REQUEST;
+            case 'AUTH_CHECK_RESPONSE':
+                return payload.authenticated && payload.matchesRequested ? null : Events.AUTH_CHECK_RESPONSE;
+            case 'ERROR': return payload.recoverable ? null : Events.ERROR;
+            default: return null;
+        }
+    }
+
+    // ========================================================================
+    // LifecycleMachine
+    // ========================================================================
+
+    class LifecycleMachine {
+        /**
+         * @param {Object} [options]
+         * @param {(entry: Object) => void} [options.onChange] - Called after every state change
+         * @param {(entry: Object) => void} [options.onIllegal] - Called for every illegal transition
+         * @param {number} [options.maxHistory] - Oldest history entries are dropped beyond this
+         */
+        constructor(options = {}) {
+            this.maxHistory = options.maxHistory ?? DEFAULTS.maxHistory;
+            this._onChange = options.onChange || (() => {});
+            this._onIllegal = options.onIllegal || (() => {});
+            this._state = null;
+            this._context = { authenticated: false };
+            this._history = [];
+            this._unsubscribe = [];
+        }
+
+        /** Current state, null before the first load */
+        get state() {
+            return this._state;
+        }
+
+        /** Whether a successful AUTH_RESULT was seen since the session (re)started */
+        get authenticated() {
+            return this._context.authenticated;
+        }
+
+        /**
+         * State changes and illegal transitions, newest first:
+         * { at, event, from, to, illegal, forced, reason, messageType }
+         */
+        get history() {
+            return this._history.map(entry => ({ ...entry }));
+        }
+
+        /** Drive the machine from the messages a bridge receives and sends */
+        attach(bridge) {
+            this.detach();
+            this._unsubscribe = [
+                bridge.on('message', message => this.received(message)),
+                bridge.on('send', message => this.sent(message)),
+            ];
+        }
+
+        detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /** The iframe was loaded or reloaded: a new session in LOADING */
+        load() {
+            this._context.authenticated = false;
+            return this.dispatch(Events.LOAD);
+        }
+
+        /** A message from TLend */
+        received(message) {
+            if (message.type === 'AUTH_RESULT') {
+                this._context.authenticated = Boolean(message.payload?.success);
+                return null;
+            }
+            if (message.type === 'TLEND_LOADED') {
+                this._context.authenticated = false;
+            }
+            const event = eventForMessage(message, 'inbound');
+            if (!event) return null;
+            const entry = this.dispatch(event, { messageType: message.type });
+            if (event === Events.AUTH_REQUEST || event === Events.AUTH_CHECK_RESPONSE) {
+                this._context.authenticated = false;
+            }
+            return entry;
+        }
+
+        /** A message to TLend */
+        sent(message) {
+            const event = eventForMessage(message, 'outbound');
+            if (!event) return null;
+            const entry = this.dispatch(event, { messageType: message.type });
+            this._context.authenticated = false;
+            return entry;
+        }
+
+        /**
+         * Take the transition for an event. Returns the history entry; null
+         * when the event was accepted without a state change.
+         * @param {string} event - One of Events
+         * @param {{ messageType?: string }} [detail]
+         */
+        dispatch(event, detail = {}) {
+            const from = this._state;
+            const candidates = transitionsFor(event, from);
+            if (!candidates.length) {
+                const target = TRANSITIONS.find(transition => transition.event === event)?.to ?? null;
+                const allowed = allowedEvents(from);
+                return this._illegal(event, from, target,
+                    `${event} is not allowed in ${from || 'no state'} (allowed: ${allowed.join(', ') || 'none'})`, detail);
+            }
+
+            const transition = candidates.find(candidate => !candidate.guard || candidate.guard.test(this._context));
+            if (!transition) {
+                const { to, guard } = candidates[0];
+                return this._illegal(event, from, to, `${event} cannot move ${from} to ${to}: ${guard.reason}`, detail);
+            }
+            if (!transition.to || transition.to === from) return null;
+            return this._change({ event, from, to: transition.to, illegal: false, forced: false, ...detail });
+        }
+
+        /**
+         * Move to `state` whatever the graph says, e.g. for manual overrides.
+         * Reported as illegal unless an event could have made the same move.
+         */
+        force(state, reason = 'forced') {
+            const from = this._state;
+            if (state === from) return null;
+            const legal = TRANSITIONS.some(transition => transition.to === state && transition.from.includes(from)
+                && transition.event !== Events.LOAD && (!transition.guard || transition.guard.test(this._context)));
+            const entry = this._change({
+                event: Events.FORCE,
+                from,
+                to: state,
+                illegal: !legal && state !== LOADING,
+                forced: true,
+                reason: legal || state === LOADING ? reason : `${reason}: no transition from ${from || 'no state'} to ${state}`,
+            });
+            if (entry.illegal) this._onIllegal({ ...entry });
+            return entry;
+        }
+
+        _illegal(event, from, to, reason, detail) {
+            const entry = this._record({ event, from, to, illegal: true, forced: false, reason, ...detail });
+            this._onIllegal({ ...entry });
+            return entry;
+        }
+
+        _change(fields) {
+            this._state = fields.to;
+            const entry = this._record(fields);
+            this._onChange({ ...entry });
+            return entry;
+        }
+
+        _record(fields) {
+            const entry = { at: Date.now(), ...fields };
+            this._history.unshift(entry);
+            this._history.splice(this.maxHistory);
+            return { ...entry };
+        }
+    }
+
+    const TLendLifecycle = {
+        States,
+        Events,
+        TRANSITIONS,
+        allowedEvents,
+        diagramEdges,
+        eventForMessage,
+        LifecycleMachine,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendLifecycle;
+    } else {
+        global.TLendLifecycle = TLendLifecycle;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
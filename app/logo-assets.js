@@ -0,0 +1,230 @@
+/**
+ * TLend Logo Assets - Checks for SET_LOGO logos (RFC Section 6.5)
+ *
+ * validateLogo(config, assets) checks a SET_LOGO payload before it is sent:
+ * - fields: partner_only needs partnerLogoUrl, combined needs combinedLogoUrl;
+ *   width and height must be CSS lengths or "auto"
+ * - assets: every logo must load, be SVG, PNG or WebP and at most 100KB;
+ *   SVGs must not script (no <script>, on* handlers, javascript: URLs)
+ * - sizing: raster logos should be square or horizontal, 64-512px; a width
+ *   and height in the same unit should match the logo's aspect ratio
+ *
+ * Loading logos needs a DOM, so the caller inspects each URL and passes
+ * what it found as `assets`; everything here is plain data.
+ *
+ * Usage:
+ *   const { ok, issues } = TLendLogoAssets.validateLogo(payload, {
+ *       partnerLogoUrl: { loaded: true, type: 'image/svg+xml', bytes: 2048, width: 120, height: 32, svg: text },
+ *   });
+ *
+ * Exposes `window.TLendLogoAssets` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const Severity = {
+        ERROR: 'error',
+        WARNING: 'warning',
+        INFO: 'info',
+    };
+
+    // Logo requirements (RFC 6.5)
+    const LOGO_LIMITS = {
+        maxBytes: 100 * 1024,
+        minPixels: 64,
+        maxPixels: 512,
+        types: ['image/svg+xml', 'image/png', 'image/webp'],
+    };
+
+    // URL fields each mode cannot do without
+    const REQUIRED_URL_FIELDS = {
+        tlend_only: [],
+        partner_only: ['partnerLogoUrl'],
+        combined: ['combinedLogoUrl'],
+    };
+
+    const URL_FIELDS = ['partnerLogoUrl', 'combinedLogoUrl'];
+
+    // Requested and natural aspect ratios may differ this much (relative)
+    const ASPECT_TOLERANCE = 0.05;
+
+    const DIMENSION = /^(\d*\.?\d+)(px|%|r?em|vw|vh)?$/i;
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /** { value, unit } for a CSS width/height ("auto" -> { auto: true }), else null */
+    function parseDimension(value) {
+        const text = String(value).trim();
+        if (/^auto$/i.test(text)) return { auto: true };
+        const match = DIMENSION.exec(text);
+        if (!match) return null;
+        const number = Number(match[1]);
+        if (number !== 0 && !match[2]) return null;
+        return { value: number, unit: (match[2] || 'px').toLowerCase() };
+    }
+
+    function formatBytes(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
+
+    /**
+     * Ways an SVG could run script or pull in other documents. SVGs shown
+     * through <img> never script, but TLend may inline them.
+     * @returns {Array<{ severity: string, message: string }>}
+     */
+    function checkSvg(text) {
+        const problems = [];
+        const error = message => problems.push({ severity: Severity.ERROR, message });
+
+        if (!/<svg[\s>]/i.test(text)) error('is not an SVG document (no <svg> element)');
+        if (/<script[\s>/]/i.test(text)) error('contains a <script> element');
+        const handler = /<[^>]+\s(on[a-z]+)\s*=/i.exec(text);
+        if (handler) error(`has an event handler attribute (${handler[1]})`);
+        if (/(?:href|src)\s*=\s*["']?\s*javascript:/i.test(text)) error('links to a javascript: URL');
+        if (/<foreignObject[\s>/]/i.test(text)) error('embeds HTML with <foreignObject>');
+        if (/<!ENTITY/i.test(text)) error('declares XML entities');
+        if (/<(?:iframe|embed|object)[\s>/]/i.test(text)) error('embeds another document');
+        if (/(?:href|src)\s*=\s*["']\s*(?:https?:)?\/\//i.test(text)) {
+            problems.push({ severity: Severity.WARNING, message: 'references external resources, which TLend may not load' });
+        }
+        return problems;
+    }
+
+    /** { width, height } of an SVG from its viewBox, or width/height in px; null if neither is set */
+    function svgSize(text) {
+        const tag = /<svg\b[^>]*>/i.exec(text);
+        if (!tag) return null;
+        const attribute = name => new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(tag[0])?.[1];
+
+        const viewBox = attribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+        if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { width: viewBox[2], height: viewBox[3] };
+        }
+        const width = parseDimension(attribute('width') || '');
+        const height = parseDimension(attribute('height') || '');
+        if (width?.unit === 'px' && height?.unit === 'px' && width.value > 0 && height.value > 0) {
+            return { width: width.value, height: height.value };
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // Validation
+    // ========================================================================
+
+    function checkAsset(field, asset, issues) {
+        const issue = (severity, message) => issues.push({ severity, field, message });
+
+        if (!asset || asset.loaded === undefined) {
+            issue(Severity.INFO, `${field}: not inspected`);
+            return;
+        }
+        if (!asset.loaded) {
+            issue(Severity.ERROR, `${field}: logo does not load${asset.error ? ` (${asset.error})` : ''}`);
+            return;
+        }
+
+        if (asset.type && !LOGO_LIMITS.types.includes(asset.type)) {
+            issue(Severity.ERROR, `${field}: ${asset.type} is not SVG, PNG or WebP`);
+        }
+        if (asset.bytes === undefined) {
+            issue(Severity.INFO, `${field}: file size and content not checked (${asset.fetchError || 'not fetched'})`);
+        } else if (asset.bytes > LOGO_LIMITS.maxBytes) {
+            issue(Severity.ERROR, `${field}: ${formatBytes(asset.bytes)} exceeds ${formatBytes(LOGO_LIMITS.maxBytes)}`);
+        }
+        if (typeof asset.svg === 'string') {
+            checkSvg(asset.svg).forEach(problem => issue(problem.severity, `${field}: SVG ${problem.message}`));
+        }
+
+        const { width, height } = asset;
+        if (!(width > 0 && height > 0)) return;
+        if (height > width) {
+            issue(Severity.WARNING, `${field}: ${width}x${height} is taller than wide; logos should be square or horizontal`);
+        }
+        // SVGs scale, so only raster logos have a meaningful pixel size
+        if (asset.type !== 'image/svg+xml'
+            && (Math.min(width, height) < LOGO_LIMITS.minPixels || Math.max(width, height) > LOGO_LIMITS.maxPixels)) {
+            issue(Severity.WARNING, `${field}: ${width}x${height}px is outside `
+                + `${LOGO_LIMITS.minPixels}-${LOGO_LIMITS.maxPixels}px`);
+        }
+    }
+
+    function checkAspectRatio(config, field, asset, issues) {
+        const width = parseDimension(config.width || '');
+        const height = parseDimension(config.height || '');
+        if (!width || !height || width.auto || height.auto || width.unit !== height.unit || width.unit === '%') return;
+        if (!(asset?.width > 0 && asset.height > 0) || !(width.value > 0 && height.value > 0)) return;
+
+        const requested = width.value / height.value;
+        const natural = asset.width / asset.height;
+        if (Math.abs(requested - natural) / natural > ASPECT_TOLERANCE) {
+            issues.push({
+                severity: Severity.WARNING,
+                field,
+                message: `${field}: ${config.width} x ${config.height} (${requested.toFixed(2)}:1) does not match `
+                    + `the logo's ${asset.width}x${asset.height} (${natural.toFixed(2)}:1); it will be distorted or letterboxed`,
+            });
+        }
+    }
+
+    /**
+     * Validate a SET_LOGO payload and the logos it points to.
+     * @param {import('@tlend/iframe-types').LogoConfig} config
+     * @param {Object<string, { loaded?: boolean, error?: string, type?: string, bytes?: number,
+     *   fetchError?: string, width?: number, height?: number, svg?: string }>} [assets] - per URL field
+     * @returns {{ ok: boolean, issues: Array<{ severity: string, field: string, message: string }> }}
+     *   `ok` is false when there is an error
+     */
+    function validateLogo(config, assets = {}) {
+        const issues = [];
+
+        (REQUIRED_URL_FIELDS[config.mode] || []).forEach(field => {
+            if (!config[field]) {
+                issues.push({ severity: Severity.ERROR, field, message: `${field} is required in ${config.mode} mode` });
+            }
+        });
+
+        ['width', 'height'].forEach(field => {
+            if (config[field] && !parseDimension(config[field])) {
+                issues.push({ severity: Severity.ERROR, field,
+                    message: `${field}: "${config[field]}" is not a CSS length (e.g. 120px, 2rem, auto)` });
+            }
+        });
+
+        URL_FIELDS.filter(field => config[field]).forEach(field => {
+            checkAsset(field, assets[field], issues);
+        });
+
+        // The logo TLend shows in this mode is the one that gets sized
+        const shown = config.mode === 'combined' ? 'combinedLogoUrl' : 'partnerLogoUrl';
+        if (config.mode !== 'tlend_only' && config[shown]) {
+            checkAspectRatio(config, shown, assets[shown], issues);
+        }
+
+        return {
+            ok: !issues.some(issue => issue.severity === Severity.ERROR),
+            issues,
+        };
+    }
+
+    const TLendLogoAssets = {
+        Severity,
+        LOGO_LIMITS,
+        REQUIRED_URL_FIELDS,
+        URL_FIELDS,
+        parseDimension,
+        formatBytes,
+        checkSvg,
+        svgSize,
+        validateLogo,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendLogoAssets;
+    } else {
+        global.TLendLogoAssets = TLendLogoAssets;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
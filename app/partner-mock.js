@@ -4,6 +4,9 @@
  * This script implements the Partner (parent) side of the iframe integration
  * protocol as specified in RFC-001-TLEND-PARTNER-IFRAME-INTEGRATION.md (v2.2.0)
  *
+ * Protocol handling lives in TLendPartnerBridge (tlend-partner-bridge.js);
+ * this file is the test stand UI on top of it.
+ *
  * Includes actual TON Connect UI integration for real wallet connections.
  *
  * Supports all three tracks:
@@ -20,39 +23,87 @@ const THEME = window.TON_CONNECT_UI?.THEME || { DARK: 'DARK', LIGHT: 'LIGHT' };
 // Configuration & State
 // ============================================================================
 
+// Environment endpoints (iframe URL, origins, manifest, backend, explorer,
+// chain) come from the selected profile, see env-profiles.js
 const CONFIG = {
-    // TLend origin validation
-    // Use app.tlend.co (SPA), not tlend.co (marketing site)
-    TLEND_ORIGINS: [
-        'https://app.tlend.co',       // Production
-        'https://app-test.tlend.co',  // Staging
-    ],
     // Timeouts (ms)
     AUTH_CHECK_TIMEOUT: 5000,
     AUTH_CREDENTIALS_TIMEOUT: 30000,
+    // Without TLEND_LOADED this long (ms) after the iframe load event, messages are sent anyway (RFC 5.3)
+    TLEND_LOADED_TIMEOUT: 5000,
+    // TLend is reported as not responding when the AUTH_CHECK_REQUEST sent then gets no reply this long (ms)
+    FALLBACK_AUTH_CHECK_TIMEOUT: 5000,
+    // A REPAY_REQUEST expires this long after it arrives, or at its validUntil if sooner (RFC 11.3)
     REPAY_TIMEOUT: 60000,
-    // TON Connect manifest - FOR TESTING ONLY
-    // In production, partners MUST use their own manifest on their domain.
-    // The manifest domain is verified by TLend and must be whitelisted.
-    // See RFC Section 10.3 and 12.1 for domain whitelisting requirements.
-    TON_CONNECT_MANIFEST_URL: 'https://app-test.tlend.co/tonconnect-manifest.json',
+    // The countdown turns red this long (ms) before a repay request expires
+    REPAY_URGENT_AFTER: 10000,
+    // Option B challenge endpoint on the profile's backend; challenges expire after a minute
+    CHALLENGE_PATH: '/api/auth/challenge',
+    CHALLENGE_TTL: 60,
+    // TLend accepts a TON proof this long after it was signed (s); the session re-authenticates then
+    PROOF_MAX_AGE: TLendTonProof.DEFAULT_MAX_AGE_SECONDS,
+    // Test wallet keypair, kept across reloads (never fund it)
+    TEST_WALLET_STORAGE_KEY: 'tlend-partner-mock:test-wallet',
+    // Selected environment profile and the custom profile
+    ENV_STORAGE_KEY: 'tlend-partner-mock:env',
+    // Named partner themes from the theme designer
+    THEME_STORAGE_KEY: 'tlend-partner-mock:themes',
+    // Live preview re-sends STYLES_UPGRADE once edits pause this long (ms)
+    THEME_PREVIEW_DELAY: 300,
+    // SET_LOGO logos must load within this long (ms) to pass the logo checks
+    LOGO_LOAD_TIMEOUT: 5000,
+    // Repayment history from the repay tracker
+    REPAY_STORAGE_KEY: 'tlend-partner-mock:repays',
+    // Simulated repay transactions confirm in the fake indexer after this long (ms)
+    FAKE_CONFIRM_DELAY: 4000,
+    // Wallets used by scenarios when no wallet is connected (RFC example addresses)
+    SCENARIO_TEST_WALLETS: [
+        '0:fcb91a3a3816d0f7b8c2c76108b8a9bc5a6b7a55bd79f8ab101c52db29232260',
+        '0:d31ab96ff5a5b6715bd02e5fa7a905d1b4cc1b2f5a8498e74d64e1c090dcfa1b',
+    ],
 };
 
 // Application state
 const state = {
     iframeLoaded: false,
-    tlendState: null, // LOADING, PENDING_AUTH, READY, ERROR
+    lifecycle: null, // TLendLifecycle.LifecycleMachine: LOADING, PENDING_AUTH, READY, ERROR
     walletConnected: false,
     walletAddress: null,
     walletPublicKey: null,
     walletAccount: null,
+    walletSession: null, // { address, chain, proof } of the connected wallet; address is raw (RFC 9)
+    proofExpiryTimer: null,
     tonProof: null,
-    pendingRequests: new Map(),
+    testWallet: null, // TLendTonProof.TestWallet while the test wallet is connected
+    proofPayload: null, // { strategy, value, expiresAt } for the next TON proof (RFC 12.3)
+    bridge: null,
+    loadedTimer: null, // waits for TLEND_LOADED after the iframe load event (RFC 5.3)
+    unresponsiveTimer: null, // waits for a reply to the fallback AUTH_CHECK_REQUEST (RFC 5.3)
     pendingRepayRequest: null,
+    repayQueue: [], // REPAY_REQUESTs that arrived while another one was pending
+    repayCountdownTimer: null,
     tlendOrigin: null,
     tlendVersion: null,
     tlendCapabilities: [],
+    negotiation: null, // TLendProtocol.negotiateProtocol() result for this session's TLEND_LOADED
     tonConnectUI: null,
+    tonConnectManifestUrl: null, // manifest TON Connect was initialized with
+    profiles: null, // TLendEnvProfiles.ProfileStore
+    scenarioRunner: null,
+    conformance: null,
+    retries: {}, // RFC 11.4 retry status per request type
+    recorder: null,
+    replayTrace: null, // { name, trace } played back by the next replay
+    replay: null, // { target, runner, running }
+    metrics: null, // TLendLatencyMetrics.LatencyMetrics, kept across reloads
+    metricsBaseline: null, // { name, metrics } export the live numbers are compared with
+    themeStyles: {}, // STYLES_UPGRADE styles being edited in the theme designer
+    themeStore: null, // TLendPartnerThemes.ThemeStore
+    themePreviewTimer: null,
+    logoUploads: {}, // uploaded logo per SET_LOGO URL field: { file, name, type, bytes, svg, url }
+    repayTracker: null, // TLendRepayTracker.RepayTracker
+    fakeIndexer: null, // confirms simulated repay transactions
+    configDefaults: null, // page defaults of SHARE_FIELDS, left out of share links
 };
 
 // DOM Elements
@@ -84,10 +135,6 @@ const MessageTypes = {
 // Utility Functions
 // ============================================================================
 
-function generateRequestId(prefix = 'req') {
-    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-}
-
 function formatTimestamp(ts) {
     const d = new Date(ts);
     return d.toLocaleTimeString('en-US', {
@@ -105,10 +152,49 @@ function truncateAddress(address, chars = 8) {
     return `${address.slice(0, chars)}...${address.slice(-chars)}`;
 }
 
+function getProfile() {
+    return state.profiles.active;
+}
+
+// Origins of the profile, or the iframe URL's origin when it lists none
+function getAllowedOrigins() {
+    const { allowedOrigins, tlendUrl } = getProfile();
+    if (allowedOrigins.length) return allowedOrigins;
+    try {
+        return [new URL(tlendUrl).origin];
+    } catch {
+        return [];
+    }
+}
+
+function isStrictOriginMode() {
+    return elements.originMode?.value !== 'permissive';
+}
+
+function downloadFile(filename, content, type = 'application/json') {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function fileTimestamp(ts) {
+    return new Date(ts).toISOString().replace(/[:.]/g, '-');
+}
+
 // ============================================================================
 // Logging
 // ============================================================================
 
+// Log text comes from URLs, imported files and TLend: always set as text, never parsed as HTML
+function createLogLine(tag, className, text) {
+    const line = document.createElement(tag);
+    if (className) line.className = className;
+    line.textContent = text;
+    return line;
+}
+
 function logEvent(direction, type, payload, isError = false) {
     const logEl = elements.eventLog;
     if (!logEl) return;
@@ -120,14 +206,12 @@ function logEvent(direction, type, payload, isError = false) {
     const dirLabel = direction === 'incoming' ? 'IN' : 'OUT';
     const dirClass = direction;
 
-    entry.innerHTML = `
-        <div class="log-timestamp">${timestamp}</div>
-        <div>
-            <span class="log-direction ${dirClass}">${dirLabel}</span>
-            <span class="log-type">${type}</span>
-        </div>
-        ${payload ? `<div class="log-payload">${JSON.stringify(payload, null, 2)}</div>` : ''}
-    `;
+    const heading = document.createElement('div');
+    heading.append(createLogLine('span', `log-direction ${dirClass}`, dirLabel), ' ', createLogLine('span', 'log-type', type));
+    entry.append(createLogLine('div', 'log-timestamp', timestamp), heading);
+    if (payload) {
+        entry.appendChild(createLogLine('div', 'log-payload', JSON.stringify(payload, null, 2)));
+    }
 
     logEl.insertBefore(entry, logEl.firstChild);
 
@@ -141,55 +225,139 @@ function logInfo(message) {
 
     const entry = document.createElement('div');
     entry.className = 'log-entry info';
-    entry.innerHTML = `
-        <div class="log-timestamp">${formatTimestamp(Date.now())}</div>
-        <div>${message}</div>
-    `;
+    entry.append(createLogLine('div', 'log-timestamp', formatTimestamp(Date.now())), createLogLine('div', '', message));
     logEl.insertBefore(entry, logEl.firstChild);
     console.log(`[Partner Mock] INFO: ${message}`);
 }
 
 // ============================================================================
-// State Management
+// Lifecycle (RFC 4.1, 9.4)
 // ============================================================================
 
-function updateTLendState(newState) {
-    state.tlendState = newState;
+// Diagram boxes, laid out like RFC 4.1 (SVG units)
+const LIFECYCLE_LAYOUT = {
+    LOADING: { x: 4, y: 52 },
+    PENDING_AUTH: { x: 108, y: 52 },
+    READY: { x: 212, y: 52 },
+    ERROR: { x: 108, y: 130 },
+};
+const LIFECYCLE_NODE = { width: 84, height: 28 };
 
-    // Update UI
-    const stateItems = document.querySelectorAll('.state-item');
-    stateItems.forEach(item => {
-        item.classList.remove('active');
-        if (item.dataset.state === newState) {
-            item.classList.add('active');
-        }
+const STATUS_LABELS = {
+    LOADING: ['loading', 'Loading...'],
+    PENDING_AUTH: ['pending', 'Pending Auth'],
+    READY: ['ready', 'Ready'],
+    ERROR: ['error', 'Error'],
+};
+
+function initLifecycle() {
+    state.lifecycle = new TLendLifecycle.LifecycleMachine({
+        onChange: renderLifecycle,
+        onIllegal: handleIllegalTransition,
     });
+    renderLifecycle();
+}
+
+// Test stand overrides (manual READY, immediate modes, scenario steps);
+// reported when no message could have made the same move
+function forceLifecycleState(newState, reason) {
+    state.lifecycle.force(newState, reason);
+}
+
+function handleIllegalTransition(entry) {
+    const fromTLend = entry.messageType && entry.event !== TLendLifecycle.Events.DISCONNECT;
+    logEvent(fromTLend ? 'incoming' : 'outgoing', `Illegal transition ${entry.from || 'none'} -> ${entry.to || '?'}`, {
+        event: entry.event,
+        reason: entry.reason,
+    }, true);
+    renderLifecycle();
+}
+
+function renderLifecycle() {
+    renderLifecycleDiagram();
+    renderLifecycleHistory();
 
     // Update iframe status
     const statusDot = elements.iframeStatus?.querySelector('.status-dot');
     const statusText = elements.iframeStatus?.querySelector('.status-text');
+    const status = STATUS_LABELS[state.lifecycle?.state];
+    if (statusDot && statusText && status) {
+        statusDot.className = `status-dot ${status[0]}`;
+        statusText.textContent = status[1];
+    }
+}
 
-    if (statusDot && statusText) {
-        statusDot.className = 'status-dot';
-        switch (newState) {
-            case 'LOADING':
-                statusDot.classList.add('loading');
-                statusText.textContent = 'Loading...';
-                break;
-            case 'PENDING_AUTH':
-                statusDot.classList.add('pending');
-                statusText.textContent = 'Pending Auth';
-                break;
-            case 'READY':
-                statusDot.classList.add('ready');
-                statusText.textContent = 'Ready';
-                break;
-            case 'ERROR':
-                statusDot.classList.add('error');
-                statusText.textContent = 'Error';
-                break;
-        }
+// Straight between neighbours, down into ERROR, otherwise an arc above
+function lifecycleEdgePath(from, to) {
+    const { width, height } = LIFECYCLE_NODE;
+    const a = LIFECYCLE_LAYOUT[from];
+    const b = LIFECYCLE_LAYOUT[to];
+    const [ax, bx] = [a.x + width / 2, b.x + width / 2];
+
+    if (a.y === b.y && b.x - a.x === width + 20) {
+        return `M ${a.x + width} ${a.y + height / 2} H ${b.x}`;
+    }
+    // Up and down between stacked boxes side by side
+    if (ax === bx) {
+        return b.y > a.y ? `M ${ax - 12} ${a.y + height} V ${b.y}` : `M ${ax + 12} ${a.y} V ${b.y + height}`;
+    }
+    if (b.y > a.y) {
+        return `M ${ax} ${a.y + height} V ${b.y + height / 2} H ${bx > ax ? b.x : b.x + width}`;
+    }
+    return `M ${ax} ${a.y} Q ${(ax + bx) / 2} ${Math.min(a.y, b.y) - 40} ${bx} ${b.y}`;
+}
+
+function renderLifecycleDiagram() {
+    const container = elements.lifecycleDiagram;
+    if (!container) return;
+
+    const current = state.lifecycle?.state || null;
+    const [last] = state.lifecycle?.history || [];
+    const edge = (from, to, className, title) => `
+        <path class="lifecycle-edge ${className}" d="${lifecycleEdgePath(from, to)}" marker-end="url(#lifecycleArrow)">
+            <title>${title}</title>
+        </path>`;
+
+    const edges = TLendLifecycle.diagramEdges().map(({ from, to, events }) => {
+        const taken = last && !last.illegal && last.from === from && last.to === to;
+        return edge(from, to, taken ? 'taken' : '', events.join(', '));
+    });
+    // The last illegal attempt, drawn where it tried to go
+    if (last?.illegal && last.from && last.to && last.from !== last.to) {
+        edges.push(edge(last.from, last.to, 'illegal', last.reason));
     }
+
+    const nodes = Object.entries(LIFECYCLE_LAYOUT).map(([name, { x, y }]) => `
+        <g class="lifecycle-node${name === current ? ' active' : ''}" data-state="${name}">
+            <rect x="${x}" y="${y}" width="${LIFECYCLE_NODE.width}" height="${LIFECYCLE_NODE.height}" rx="6"></rect>
+            <text x="${x + LIFECYCLE_NODE.width / 2}" y="${y + LIFECYCLE_NODE.height / 2}">${name}</text>
+        </g>`);
+
+    container.innerHTML = `
+        <svg viewBox="0 0 300 164" role="img" aria-label="TLend lifecycle: ${current || 'not loaded'}">
+            <defs>
+                <marker id="lifecycleArrow" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z"></path>
+                </marker>
+            </defs>
+            ${edges.join('')}
+            ${nodes.join('')}
+        </svg>`;
+}
+
+function renderLifecycleHistory() {
+    const container = elements.lifecycleHistory;
+    if (!container) return;
+    container.innerHTML = '';
+
+    (state.lifecycle?.history || []).slice(0, 8).forEach(entry => {
+        const row = document.createElement('div');
+        row.className = `lifecycle-row${entry.illegal ? ' illegal' : ''}`;
+        const cause = entry.forced ? 'forced' : entry.event;
+        row.textContent = `${formatTimestamp(entry.at)} ${entry.from || '-'} -> ${entry.to || '?'} (${cause})`
+            + (entry.illegal || entry.forced ? `: ${entry.reason}` : '');
+        container.appendChild(row);
+    });
 }
 
 function updateButtonStates() {
@@ -204,8 +372,199 @@ function updateButtonStates() {
     if (elements.sendDisconnectBtn) elements.sendDisconnectBtn.disabled = !hasIframe;
     if (elements.reloadIframeBtn) elements.reloadIframeBtn.disabled = !hasIframe;
     if (elements.setReadyBtn) elements.setReadyBtn.disabled = !hasIframe;
+
+    const scenarioRunning = isScenarioRunning();
+    if (elements.runScenarioBtn) elements.runScenarioBtn.disabled = !hasIframe || scenarioRunning;
+    if (elements.stopScenarioBtn) elements.stopScenarioBtn.disabled = !scenarioRunning;
+
+    const replaying = Boolean(state.replay?.running);
+    const needsIframe = elements.replayTarget?.value !== 'synthetic';
+    if (elements.replayTraceBtn) elements.replayTraceBtn.disabled = replaying || scenarioRunning || (needsIframe && !hasIframe);
+    if (elements.stopReplayBtn) elements.stopReplayBtn.disabled = !replaying;
+}
+
+
+// ============================================================================
+// Environment Profiles
+// ============================================================================
+
+// Config inputs holding profile fields
+const PROFILE_INPUTS = {
+    tlendUrl: 'tlendUrl',
+    allowedOrigins: 'allowedOrigins',
+    manifestUrl: 'manifestUrl',
+    backendUrl: 'backendUrl',
+    explorerUrl: 'explorerUrl',
+    chain: 'chain',
+};
+
+// Stored profile, overridden by ?env= (which is then stored)
+function initProfiles() {
+    state.profiles = new TLendEnvProfiles.ProfileStore({
+        storage: window.localStorage,
+        storageKey: CONFIG.ENV_STORAGE_KEY,
+    });
+
+    const requested = new URLSearchParams(window.location.search).get('env');
+    if (requested && state.profiles.has(requested)) {
+        state.profiles.select(requested);
+    } else if (requested) {
+        logInfo(`Unknown environment "${requested}" in ?env= - using ${state.profiles.activeName}`);
+    }
+
+    if (elements.envProfile) {
+        elements.envProfile.innerHTML = '';
+        state.profiles.names.forEach(name => {
+            elements.envProfile.add(new Option(state.profiles.get(name).label, name));
+        });
+    }
+    renderProfile();
+}
+
+// Show the active profile in the config panel
+function renderProfile() {
+    const profile = getProfile();
+    if (elements.envProfile) elements.envProfile.value = state.profiles.activeName;
+    Object.entries(PROFILE_INPUTS).forEach(([field, key]) => {
+        if (!elements[key]) return;
+        elements[key].value = field === 'allowedOrigins' ? profile.allowedOrigins.join(', ') : profile[field];
+    });
+}
+
+function selectProfile(name) {
+    const previous = getProfile();
+    state.profiles.select(name);
+    renderProfile();
+    logInfo(`Environment: ${getProfile().label}`);
+    applyProfileChange(previous);
+}
+
+// Editing a profile field switches to the custom profile, starting from the current one
+function updateCustomProfile() {
+    const previous = getProfile();
+    const fields = {};
+    Object.entries(PROFILE_INPUTS).forEach(([field, key]) => {
+        if (elements[key]) fields[field] = elements[key].value;
+    });
+
+    try {
+        state.profiles.updateCustom(fields);
+    } catch (error) {
+        logInfo(`Invalid environment setting: ${error.message}`);
+    }
+    renderProfile();
+    applyProfileChange(previous);
+}
+
+function applyProfileChange(previous) {
+    const profile = getProfile();
+    const changed = field => JSON.stringify(previous[field]) !== JSON.stringify(profile[field]);
+
+    if (changed('backendUrl') && getPayloadStrategy() === TLendProofPayload.PayloadStrategies.CHALLENGE) {
+        prepareProofPayload();
+    }
+    if (changed('chain') && state.testWallet) {
+        state.testWallet.chain = profile.chain;
+        state.walletAccount = state.testWallet.account;
+    }
+    if (state.tonConnectManifestUrl && profile.manifestUrl !== state.tonConnectManifestUrl) {
+        logInfo('TON Connect keeps its manifest until the page is reloaded');
+    }
+    if (state.iframeLoaded && (changed('tlendUrl') || changed('allowedOrigins'))) {
+        logInfo('Reload the iframe to use the new TLend URL and origins');
+    }
+}
+
+// ============================================================================
+// Share Links
+// ============================================================================
+
+// Config inputs carried by share links; the HMAC secret is left out on purpose
+const SHARE_FIELDS = [
+    'partnerId', 'partnerName', 'partnerTheme', 'logoMode', 'logoWidth', 'logoHeight',
+    'partnerLogoUrl', 'combinedLogoUrl',
+    'autoReadyMode', 'skipAuth', 'originMode', 'payloadStrategy', 'walletMode', 'repayQueuePolicy', 'repaySimulation',
+];
+
+function readShareFields() {
+    const values = {};
+    SHARE_FIELDS.forEach(field => {
+        if (elements[field]) values[field] = elements[field].value;
+    });
+    return values;
+}
+
+/**
+ * Link to this page with the current setup: the environment (with its
+ * endpoints when custom) and every setting that differs from the page
+ * defaults. With `autoload`, the iframe loads as soon as the link opens.
+ */
+function buildShareLink({ autoload = false } = {}) {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    const params = url.searchParams;
+
+    params.set('env', state.profiles.activeName);
+    if (state.profiles.activeName === TLendEnvProfiles.EnvProfiles.CUSTOM) {
+        const profile = getProfile();
+        TLendEnvProfiles.PROFILE_FIELDS.forEach(field => {
+            params.set(field, field === 'allowedOrigins' ? profile.allowedOrigins.join(',') : profile[field]);
+        });
+    }
+    Object.entries(readShareFields()).forEach(([field, value]) => {
+        if (value !== state.configDefaults?.[field]) params.set(field, value);
+    });
+    if (autoload) params.set('autoload', '1');
+    return url.toString();
+}
+
+async function copyShareLink() {
+    const link = buildShareLink({ autoload: Boolean(elements.shareAutoload?.checked) });
+    try {
+        await navigator.clipboard.writeText(link);
+        logInfo('Share link copied to clipboard');
+    } catch (error) {
+        logInfo(`Cannot copy to clipboard (${error.message}) - share link: ${link}`);
+    }
+    return link;
 }
 
+/**
+ * Apply a share link's settings from the page URL (?env= is handled by
+ * initProfiles). Returns true when the link asks to auto-load the iframe.
+ */
+function restoreSharedConfig() {
+    state.configDefaults = readShareFields();
+    const params = new URLSearchParams(window.location.search);
+
+    SHARE_FIELDS.forEach(field => {
+        const input = elements[field];
+        if (!params.has(field) || !input) return;
+        const value = params.get(field);
+        if (input.tagName === 'SELECT' && ![...input.options].some(option => option.value === value)) {
+            logInfo(`Ignoring unknown ${field} "${value}" in the link`);
+            return;
+        }
+        input.value = value;
+    });
+
+    const endpoints = {};
+    TLendEnvProfiles.PROFILE_FIELDS.forEach(field => {
+        if (params.has(field)) endpoints[field] = params.get(field);
+    });
+    if (Object.keys(endpoints).length) {
+        try {
+            state.profiles.updateCustom(endpoints);
+            logInfo('Custom environment restored from the link');
+        } catch (error) {
+            logInfo(`Invalid environment setting in the link: ${error.message}`);
+        }
+        renderProfile();
+    }
+
+    return params.get('autoload') === '1';
+}
 
 // ============================================================================
 // TON Connect UI Integration
@@ -231,56 +590,45 @@ async function initTonConnect() {
 
     try {
         state.tonConnectUI = new TonConnectUI({
-            manifestUrl: 'https://app-test.tlend.co/tonconnect-manifest.json',
+            manifestUrl: getProfile().manifestUrl,
             buttonRootId: 'ton-connect-button',
             uiPreferences: {
                 theme: THEME.DARK,
             },
         });
 
+        state.tonConnectManifestUrl = getProfile().manifestUrl;
+
         // Set up TON Proof request BEFORE any connection attempt
         // This tells wallets we want a proof when connecting
-        // Using TLend's challenge endpoint (Option B per RFC Section 12.3)
-        const proofPayload = await fetchTLendChallenge();
-        state.tonConnectUI.setConnectRequestParameters({
-            state: 'ready',
-            value: {
-                tonProof: proofPayload,
-            },
-        });
-        logInfo(`TON Proof configured with TLend challenge`);
+        await prepareProofPayload();
 
         // Subscribe to wallet status changes
         state.tonConnectUI.onStatusChange(async (wallet) => {
             if (wallet) {
+                // A real wallet replaces the test wallet
+                state.testWallet = null;
+                if (elements.walletMode) elements.walletMode.value = 'tonconnect';
                 state.walletConnected = true;
                 state.walletAddress = wallet.account.address;
                 state.walletAccount = wallet.account;
 
                 console.log(`Wallet: `, wallet, `Connect items: `, wallet.connectItems);
 
-                // Check if we have TON proof
+                // Check if we have TON proof; another account's proof must not be reused
                 if (wallet.connectItems?.tonProof && 'proof' in wallet.connectItems.tonProof) {
                     state.tonProof = wallet.connectItems.tonProof.proof;
                     logInfo(`Wallet connected with TON Proof: ${truncateAddress(state.walletAddress)}`);
                 } else {
+                    if (!isSameWallet(state.walletSession, wallet.account)) state.tonProof = null;
                     logInfo(`Wallet connected (no proof): ${truncateAddress(state.walletAddress)}`);
                 }
 
                 updateButtonStates();
-            } else {
-                const wasConnected = state.walletConnected;
-                state.walletConnected = false;
-                state.walletAddress = null;
-                state.walletAccount = null;
-                state.tonProof = null;
+                trackWalletSession(wallet.account);
+            } else if (!state.testWallet) {
+                clearWallet();
                 logInfo('Wallet disconnected');
-                updateButtonStates();
-
-                // v2.0: Notify TLend of disconnection if iframe is loaded
-                if (wasConnected && state.iframeLoaded) {
-                    sendDisconnect('user_initiated');
-                }
             }
         });
 
@@ -291,6 +639,22 @@ async function initTonConnect() {
     }
 }
 
+// Forget the connected wallet and tell TLend (v2.0)
+function clearWallet() {
+    const wasConnected = state.walletConnected;
+    state.walletConnected = false;
+    state.walletAddress = null;
+    state.walletAccount = null;
+    state.tonProof = null;
+    endWalletSession();
+    updateButtonStates();
+
+    // v2.0: Notify TLend of disconnection if iframe is loaded
+    if (wasConnected && state.iframeLoaded) {
+        sendDisconnect('user_initiated');
+    }
+}
+
 // Request TON Proof when connecting
 async function connectWithProof() {
     if (!state.tonConnectUI) {
@@ -299,332 +663,1012 @@ async function connectWithProof() {
     }
 
     try {
-        // Fetch fresh challenge from TLend (Option B per RFC Section 12.3)
-        const challenge = await fetchTLendChallenge();
-        state.tonConnectUI.setConnectRequestParameters({
-            state: 'ready',
-            value: {
-                tonProof: challenge,
-            },
-        });
-
+        await prepareProofPayload();
         await state.tonConnectUI.openModal();
     } catch (error) {
         logInfo(`Connect error: ${error.message}`);
     }
 }
 
-// Fetch challenge from TLend backend (Option B per RFC Section 12.3)
+function getBackendUrl() {
+    return getProfile().backendUrl;
+}
+
+// Fetch challenge from TLend backend (Option B per RFC Section 12.3).
+// 5xx responses are retried like INTERNAL_ERROR (RFC 11.4); 429 is not.
 async function fetchTLendChallenge() {
-    try {
-        const response = await fetch('https://backend.tlend.co/api/auth/challenge');
-        if (!response.ok) {
+    // The challenge is bound to the network the proof will be signed on
+    const url = `${getBackendUrl()}${CONFIG.CHALLENGE_PATH}?chain=${encodeURIComponent(getProfile().chain)}`;
+    const policy = TLendPartnerBridge.getRetryPolicy('INTERNAL_ERROR');
+
+    for (let retry = 0; ; retry++) {
+        const response = await fetch(url);
+        if (response.ok) {
+            const data = await response.json();
+            logInfo(`Fetched TLend challenge: ${data.challenge.substring(0, 20)}...`);
+            return data.challenge;
+        }
+        if (response.status === 429) {
+            const retryAfter = response.headers.get('Retry-After');
+            throw new Error(`Challenge rate limited (429)${retryAfter ? `, retry after ${retryAfter}s` : ''}`);
+        }
+        if (response.status < 500 || retry >= policy.maxRetries) {
             throw new Error(`Challenge fetch failed: ${response.status}`);
         }
-        const data = await response.json();
-        logInfo(`Fetched TLend challenge: ${data.challenge.substring(0, 20)}...`);
-        return data.challenge;
-    } catch (error) {
-        logInfo(`Failed to fetch TLend challenge: ${error.message}`);
-        // Fallback to mock payload for offline testing
-        const timestamp = Math.floor(Date.now() / 1000) + 300;
-        return `partner-mock-fallback-${timestamp}`;
+        const delayMs = TLendPartnerBridge.getRetryDelay(policy, retry + 1);
+        logInfo(`Challenge fetch failed: ${response.status} - retry ${retry + 1}/${policy.maxRetries} in ${delayMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
     }
 }
 
-// Legacy sync function for compatibility (uses cached or generates mock)
-function generateProofPayload() {
-    // For sync contexts, return mock payload
-    // Prefer fetchTLendChallenge() for actual usage
-    const timestamp = Math.floor(Date.now() / 1000) + 300;
-    return `partner-mock-${timestamp}`;
-}
-
 // ============================================================================
-// Message Sending
+// Proof Payloads (RFC 12.3)
 // ============================================================================
 
-function sendToTLend(message) {
-    const iframe = document.querySelector('#iframeContainer iframe');
-    if (!iframe || !iframe.contentWindow) {
-        logInfo('Cannot send message: iframe not loaded');
-        return false;
+function getPayloadStrategy() {
+    return elements.payloadStrategy?.value || TLendProofPayload.PayloadStrategies.CHALLENGE;
+}
+
+function updatePayloadConfig() {
+    if (elements.hmacSecretItem) {
+        elements.hmacSecretItem.style.display = getPayloadStrategy() === TLendProofPayload.PayloadStrategies.HMAC ? '' : 'none';
+    }
+}
+
+/**
+ * Create a TON proof payload with the selected strategy. A failed challenge
+ * fetch or a missing secret falls back to a mock payload, which TLend rejects.
+ */
+async function createProofPayload() {
+    const { PayloadStrategies } = TLendProofPayload;
+    const strategy = getPayloadStrategy();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    try {
+        if (strategy === PayloadStrategies.HMAC) {
+            const value = await TLendProofPayload.generateHmacPayload(elements.hmacSecret?.value);
+            logInfo(`Generated Option A payload (expires in ${TLendProofPayload.DEFAULT_TTL_SECONDS / 60} min)`);
+            return { strategy, value, expiresAt: TLendProofPayload.readExpiration(value) };
+        }
+        if (strategy === PayloadStrategies.CHALLENGE) {
+            const value = await fetchTLendChallenge();
+            return { strategy, value, expiresAt: nowSeconds + CONFIG.CHALLENGE_TTL };
+        }
+    } catch (error) {
+        logInfo(`Cannot create ${strategy} payload: ${error.message} - using a mock payload TLend will reject`);
     }
 
-    // Use the actual iframe origin or * for testing
-    const targetOrigin = state.tlendOrigin || '*';
+    const value = TLendProofPayload.generateMockPayload();
+    return { strategy: PayloadStrategies.MOCK, value, expiresAt: TLendProofPayload.readExpiration(value) };
+}
 
-    iframe.contentWindow.postMessage(message, targetOrigin);
-    logEvent('outgoing', message.type, message);
-    return true;
+// New payload for the next TON proof, requested from wallets on connect
+async function prepareProofPayload() {
+    state.proofPayload = await createProofPayload();
+    state.tonConnectUI?.setConnectRequestParameters({
+        state: 'ready',
+        value: {
+            tonProof: state.proofPayload.value,
+        },
+    });
+    return state.proofPayload.value;
+}
+
+// Keeps the payload for mock proofs fresh and made with the selected strategy
+// (a mock fallback is replaced as soon as the strategy works again)
+async function ensureProofPayload() {
+    const payload = state.proofPayload;
+    const fresh = payload && payload.expiresAt > Math.floor(Date.now() / 1000) + 5;
+    if (!fresh || payload.strategy !== getPayloadStrategy()) {
+        await prepareProofPayload();
+    }
+    return state.proofPayload.value;
 }
 
 // ============================================================================
-// Track 1: UI/UX Customization
+// Test Wallet (RFC 10.3)
 // ============================================================================
 
-function getPartnerStyles(theme = 'dark') {
-    const styles = {
-        dark: {
-            '--primary-color': '#6366f1',
-            '--secondary-color': '#8b5cf6',
-            '--background-color': '#0f0f23',
-            '--surface-color': '#1a1a2e',
-            '--text-color': '#ffffff',
-            '--text-secondary': '#a0a0b0',
-            '--border-color': '#2d2d44',
-            '--border-radius': '12px',
-            '--button-bg': '#6366f1',
-            '--button-text': '#ffffff',
-            '--card-bg': '#1a1a2e',
-            '--success-color': '#10b981',
-            '--error-color': '#ef4444',
-            '--warning-color': '#f59e0b',
-        },
-        light: {
-            '--primary-color': '#6366f1',
-            '--secondary-color': '#8b5cf6',
-            '--background-color': '#f8fafc',
-            '--surface-color': '#ffffff',
-            '--text-color': '#1e293b',
-            '--text-secondary': '#64748b',
-            '--border-color': '#e2e8f0',
-            '--border-radius': '12px',
-            '--button-bg': '#6366f1',
-            '--button-text': '#ffffff',
-            '--card-bg': '#ffffff',
-            '--success-color': '#10b981',
-            '--error-color': '#ef4444',
-            '--warning-color': '#f59e0b',
+// Stored keypair, or a new one
+async function loadTestWallet() {
+    const { TestWallet } = TLendTonProof;
+    const saved = localStorage.getItem(CONFIG.TEST_WALLET_STORAGE_KEY);
+    if (saved) {
+        try {
+            return await TestWallet.fromJSON(JSON.parse(saved));
+        } catch (error) {
+            logInfo(`Stored test wallet is unreadable (${error.message}) - generating a new keypair`);
         }
-    };
-    return styles[theme] || styles.dark;
-}
+    }
 
-function sendStylesUpgrade() {
-    const theme = elements.partnerTheme?.value || 'dark';
+    const wallet = await TestWallet.generate();
+    localStorage.setItem(CONFIG.TEST_WALLET_STORAGE_KEY, JSON.stringify(wallet));
+    logInfo(`Generated test wallet keypair: ${truncateAddress(wallet.address)}`);
+    return wallet;
+}
 
-    const message = {
-        type: MessageTypes.STYLES_UPGRADE,
-        timestamp: Date.now(),
-        payload: {
-            styles: getPartnerStyles(theme),
-            theme: theme,
-            // Note: logo is now sent separately via SET_LOGO (RFC v2.0)
+// Connect the local keypair as if a wallet had signed in with a TON proof
+async function connectTestWallet() {
+    try {
+        const wallet = await loadTestWallet();
+        wallet.chain = getProfile().chain;
+        state.testWallet = wallet;
+        if (state.tonConnectUI?.connected) {
+            await state.tonConnectUI.disconnect();
         }
-    };
 
-    sendToTLend(message);
+        state.walletConnected = true;
+        state.walletAddress = wallet.address;
+        state.walletAccount = wallet.account;
+        state.tonProof = await signTestWalletProof();
+        logInfo(`Test wallet connected with TON Proof: ${truncateAddress(wallet.address)}`);
+        trackWalletSession(wallet.account);
+    } catch (error) {
+        state.testWallet = null;
+        if (elements.walletMode) elements.walletMode.value = 'tonconnect';
+        logInfo(`Test wallet unavailable: ${error.message}`);
+    }
+    renderTestWalletInfo();
+    updateButtonStates();
 }
 
-// v2.0: Separate logo configuration message
-// v2.3.0: Added width and height support
-function sendSetLogo() {
-    const logoMode = elements.logoMode?.value || 'combined';
-    const partnerName = elements.partnerName?.value || 'Partner Finance';
-    const logoWidth = elements.logoWidth?.value || '';
-    const logoHeight = elements.logoHeight?.value || '';
-
-    const payload = {
-        mode: logoMode,
-        partnerName: partnerName,
-        partnerLogoUrl: 'https://partner.example.com/logo.svg',
-    };
+function disconnectTestWallet() {
+    if (!state.testWallet) return;
+    state.testWallet = null;
+    clearWallet();
+    logInfo('Test wallet disconnected');
+    renderTestWalletInfo();
+}
+
+// Drop the stored keypair and connect a new one
+async function resetTestWallet() {
+    localStorage.removeItem(CONFIG.TEST_WALLET_STORAGE_KEY);
+    disconnectTestWallet();
+    if (elements.walletMode) elements.walletMode.value = 'test';
+    await connectTestWallet();
+}
+
+// Sign the current payload for this page's domain, like a wallet on connect
+async function signTestWalletProof() {
+    const payload = await ensureProofPayload();
+    return state.testWallet.signTonProof({
+        domain: window.location.host || 'partner.example',
+        payload,
+    });
+}
 
-    // v2.3.0: Add dimensions if specified
-    if (logoWidth) {
-        payload.width = logoWidth;
+// Re-sign when the payload changed or the proof would be too old for TLend
+async function refreshTestWalletProof() {
+    const payload = await ensureProofPayload();
+    const age = Math.floor(Date.now() / 1000) - (state.tonProof?.timestamp || 0);
+    if (state.tonProof?.payload !== payload || age > TLendTonProof.DEFAULT_MAX_AGE_SECONDS - 60) {
+        state.tonProof = await signTestWalletProof();
     }
-    if (logoHeight) {
-        payload.height = logoHeight;
+}
+
+function renderTestWalletInfo() {
+    if (!elements.testWalletInfo) return;
+    elements.testWalletInfo.textContent = state.testWallet
+        ? `Test wallet ${truncateAddress(state.testWallet.address)} signs TON proofs locally`
+        : 'Local ed25519 keypair with valid TON proofs (RFC 10.3)';
+}
+
+// ============================================================================
+// Wallet Session (RFC 9, 13.1 Phase 3)
+// ============================================================================
+
+// Address in raw form, so both spellings of one account compare equal
+function walletIdentity(account) {
+    let address = account.address;
+    try {
+        address = TLendTonCells.toRawAddress(address);
+    } catch {
+        // Not a TON address; compared as given
     }
+    return { address, chain: String(account.chain ?? '') };
+}
 
-    const message = {
-        type: MessageTypes.SET_LOGO,
-        timestamp: Date.now(),
-        payload: payload
-    };
+function isSameWallet(session, account) {
+    const identity = walletIdentity(account);
+    return Boolean(session) && session.address === identity.address && session.chain === identity.chain;
+}
 
-    sendToTLend(message);
+/**
+ * Record the connected wallet. Another address or chain than the session's
+ * is a wallet change: TLend gets DISCONNECT('wallet_changed') and a new auth.
+ */
+function trackWalletSession(account) {
+    const previous = state.walletSession;
+    if (isSameWallet(previous, account)) return;
+
+    endWalletSession();
+    state.walletSession = { ...walletIdentity(account), proof: null };
+    if (previous) {
+        const next = state.walletSession;
+        logInfo(`Wallet changed: ${truncateAddress(previous.address)} (chain ${previous.chain}) -> `
+            + `${truncateAddress(next.address)} (chain ${next.chain})`);
+        reauthenticate('wallet_changed');
+    }
 }
 
-// v2.0: Send DISCONNECT when wallet disconnects
-function sendDisconnect(reason = 'user_initiated') {
-    const message = {
-        type: MessageTypes.DISCONNECT,
-        timestamp: Date.now(),
-        payload: {
-            reason: reason, // 'user_initiated' | 'wallet_changed' | 'session_expired'
-        }
-    };
+function endWalletSession() {
+    clearTimeout(state.proofExpiryTimer);
+    state.proofExpiryTimer = null;
+    state.walletSession = null;
+}
+
+/**
+ * Start the session over: DISCONNECT, a fresh payload (a new challenge for
+ * Option B) and proof, then AUTH_CHECK_REQUEST; handleAuthCheckResponse
+ * follows up with AUTH_CREDENTIALS.
+ * @param {'wallet_changed'|'session_expired'} reason
+ */
+async function reauthenticate(reason) {
+    if (!state.iframeLoaded || isAutomationPaused()) return;
+
+    // The DISCONNECT moves the lifecycle back to PENDING_AUTH
+    sendDisconnect(reason);
+    if (elements.skipAuth?.value === 'yes') return;
+
+    await prepareProofPayload();
+    if (state.testWallet) {
+        state.tonProof = await signTestWalletProof();
+        logInfo('The test wallet signed a new TON proof');
+    } else if (state.tonProof && state.tonProof.timestamp + CONFIG.PROOF_MAX_AGE <= Math.floor(Date.now() / 1000)) {
+        // A real wallet signs a proof only on connect
+        state.tonProof = null;
+        logInfo('The wallet\'s TON proof has expired - reconnect the wallet to sign a new one');
+    }
+    sendAuthCheckRequest();
+}
 
-    sendToTLend(message);
-    logInfo(`Sent DISCONNECT to TLend (reason: ${reason})`);
+// Re-authenticate once the proof TLend accepted gets too old to verify again
+function scheduleProofExpiry() {
+    clearTimeout(state.proofExpiryTimer);
+    state.proofExpiryTimer = null;
+    const session = state.walletSession;
+    if (!session?.proof?.timestamp) return;
+
+    const expiresAt = (session.proof.timestamp + CONFIG.PROOF_MAX_AGE) * 1000;
+    state.proofExpiryTimer = setTimeout(() => {
+        state.proofExpiryTimer = null;
+        if (state.walletSession !== session) return;
+        logInfo(`TON proof for ${truncateAddress(session.address)} expired (${CONFIG.PROOF_MAX_AGE}s) - re-authenticating`);
+        reauthenticate('session_expired');
+    }, Math.max(0, expiresAt - Date.now()));
 }
 
 // ============================================================================
-// Track 2: Authentication Flow
+// Message Sending
 // ============================================================================
 
-function sendAuthCheckRequest() {
-    if (!state.walletAddress) {
-        logInfo('Cannot send AUTH_CHECK_REQUEST: connect wallet first');
-        return;
+// Returns the active bridge, or logs and returns null when no iframe is loaded
+function getBridge() {
+    if (!state.bridge) {
+        logInfo('Cannot send message: iframe not loaded');
     }
+    return state.bridge;
+}
+
+// Bridge send failures are logged, not thrown
+function logBridgeError(error) {
+    logInfo(error.message);
+}
+
+// ============================================================================
+// Retries (RFC 11.4)
+// ============================================================================
 
-    const walletAddress = state.walletAddress;
+function formatAttempts(error) {
+    return error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+}
 
-    const requestId = generateRequestId('auth-check');
+// Bridge 'retry' event: a failed request is resent after a backoff
+function handleRetry(info) {
+    const action = info.action === 'refresh' ? 'resending with a new proof' : 'retrying';
+    logInfo(`${info.label} attempt ${info.attempt} failed with ${info.code} - ${action} `
+        + `(${info.retry}/${info.maxRetries}) in ${info.delayMs / 1000}s`);
 
-    const message = {
-        type: MessageTypes.AUTH_CHECK_REQUEST,
-        requestId: requestId,
-        timestamp: Date.now(),
-        payload: {
-            walletAddress: walletAddress,
-        }
+    state.retries[info.label] = {
+        status: 'retrying',
+        text: `attempt ${info.attempt} failed (${info.code}), retry ${info.retry}/${info.maxRetries} `
+            + `at ${formatTimestamp(info.retryAt)}`,
     };
+    renderRetryStatus();
+}
 
-    // Store pending request for timeout handling
-    state.pendingRequests.set(requestId, {
-        type: 'AUTH_CHECK',
-        timestamp: Date.now(),
-        timeout: setTimeout(() => {
-            handleAuthCheckTimeout(requestId);
-        }, CONFIG.AUTH_CHECK_TIMEOUT)
-    });
+function setRetryOutcome(label, error) {
+    const { ErrorCodes } = TLendPartnerBridge;
+    if (error.code === ErrorCodes.RESET || error.code === ErrorCodes.DESTROYED) {
+        clearRetryStatus(label);
+        return;
+    }
 
-    sendToTLend(message);
+    const attempts = error.attempts || 1;
+    state.retries[label] = error.fatal
+        ? { status: 'fatal', text: `${error.code} is fatal - contact TLend support` }
+        : { status: 'failed', text: `gave up on ${error.code} after ${attempts} attempt${attempts > 1 ? 's' : ''}` };
+    renderRetryStatus();
 }
 
-function handleAuthCheckTimeout(requestId) {
-    const pending = state.pendingRequests.get(requestId);
-    if (pending) {
-        state.pendingRequests.delete(requestId);
-        logInfo(`AUTH_CHECK_REQUEST timed out (${CONFIG.AUTH_CHECK_TIMEOUT}ms)`);
+function clearRetryStatus(label) {
+    if (label) {
+        delete state.retries[label];
+    } else {
+        state.retries = {};
     }
+    renderRetryStatus();
 }
 
-function handleAuthCheckResponse(message) {
-    const { requestId, payload } = message;
+function renderRetryStatus() {
+    const container = elements.retryStatus;
+    if (!container) return;
+    container.innerHTML = '';
 
-    // Clear pending request timeout
-    const pending = state.pendingRequests.get(requestId);
-    if (pending) {
-        clearTimeout(pending.timeout);
-        state.pendingRequests.delete(requestId);
-    }
+    Object.entries(state.retries).forEach(([label, { status, text }]) => {
+        const row = document.createElement('div');
+        row.className = `retry-row ${status}`;
+        row.textContent = `${label}: ${text}`;
+        container.appendChild(row);
+    });
+}
 
-    const { authenticated, matchesRequested, address, expiresAt } = payload;
+// ============================================================================
+// Track 1: UI/UX Customization
+// ============================================================================
 
-    if (!authenticated || !matchesRequested) {
-        logInfo('TLend not authenticated or address mismatch - sending credentials');
-        updateTLendState('PENDING_AUTH');
-        // Auto-send credentials if wallet is connected
-        if (state.walletConnected) {
-            setTimeout(() => sendAuthCredentials(), 500);
-        }
-    } else {
-        logInfo(`TLend already authenticated for ${truncateAddress(address)}`);
-    }
+// Styles from the theme designer; empty values are not sent
+function getPartnerStyles() {
+    return Object.fromEntries(Object.entries(state.themeStyles).filter(([, value]) => value.trim() !== ''));
 }
 
-function sendAuthCredentials() {
-    if (!state.walletAddress) {
-        logInfo('Cannot send AUTH_CREDENTIALS: connect wallet first');
+function sendStylesUpgrade() {
+    const bridge = getBridge();
+    if (!bridge) return;
+
+    const unsupported = tlendUnsupported(MessageTypes.STYLES_UPGRADE);
+    if (unsupported) {
+        logInfo(`STYLES_UPGRADE not sent - ${unsupported}`);
         return;
     }
 
-    const walletAddress = state.walletAddress;
+    const theme = elements.partnerTheme?.value || 'dark';
+    const styles = getPartnerStyles();
 
-    const requestId = generateRequestId('auth-cred');
+    const lint = TLendThemeLinter.lintTheme(styles, theme);
+    if (!lint.ok && elements.themeBlockOnLint?.checked) {
+        const errors = lint.issues.filter(issue => issue.severity === TLendThemeLinter.Severity.ERROR);
+        logInfo(`STYLES_UPGRADE not sent - theme lint failed: ${errors.map(issue => issue.message).join('; ')}`);
+        return;
+    }
 
-    // Use real TON proof if available, otherwise generate mock
-    let credentials;
-    if (state.walletAccount && state.tonProof) {
-        credentials = {
-            account: {
-                address: state.walletAccount.address,
-                chain: state.walletAccount.chain,
-                publicKey: state.walletAccount.publicKey,
-                walletStateInit: state.walletAccount.walletStateInit,
-            },
-            proof: state.tonProof,
+    // Note: logo is now sent separately via SET_LOGO (RFC v2.0)
+    bridge.setStyles(styles, theme).catch(logBridgeError);
+}
+
+// v2.0: Separate logo configuration message
+// v2.3.0: Added width and height support
+async function sendSetLogo() {
+    if (!getBridge()) return;
+
+    const unsupported = tlendUnsupported(MessageTypes.SET_LOGO);
+    if (unsupported) {
+        logInfo(`SET_LOGO not sent - ${unsupported}`);
+        return;
+    }
+
+    const config = getLogoConfig();
+    const { ok, issues } = await checkLogo(config);
+    if (!ok && elements.logoBlockOnInvalid?.checked) {
+        const errors = issues.filter(issue => issue.severity === TLendLogoAssets.Severity.ERROR);
+        logInfo(`SET_LOGO not sent - logo checks failed: ${errors.map(issue => issue.message).join('; ')}`);
+        return;
+    }
+
+    // v2.3.0: Dimensions are omitted by the bridge when empty, and for an older TLend
+    const { message, removed } = state.negotiation
+        ? TLendProtocol.stripUnsupportedFields(state.negotiation, { type: MessageTypes.SET_LOGO, payload: config })
+        : { message: { payload: config }, removed: [] };
+    removed.forEach(({ field, reason }) => logInfo(`SET_LOGO sent without ${field} - ${reason}`));
+
+    const bridge = getBridge();
+    bridge?.setLogo(message.payload).catch(logBridgeError);
+}
+
+// v2.0: Send DISCONNECT when wallet disconnects
+function sendDisconnect(reason = 'user_initiated') {
+    const bridge = getBridge();
+    if (!bridge) return;
+
+    const unsupported = tlendUnsupported(MessageTypes.DISCONNECT);
+    if (unsupported) {
+        logInfo(`DISCONNECT not sent - ${unsupported}`);
+        return;
+    }
+
+    // reason: 'user_initiated' | 'wallet_changed' | 'session_expired'
+    bridge.disconnect(reason)
+        .then(() => logInfo(`Sent DISCONNECT to TLend (reason: ${reason})`))
+        .catch(logBridgeError);
+}
+
+// ============================================================================
+// Logo Assets (RFC 6.5)
+// ============================================================================
+
+const BUNDLED_COMBINED_LOGO = /^logo-combined-(dark|light)\.svg$/;
+
+function getLogoConfig() {
+    return {
+        mode: elements.logoMode?.value || 'combined',
+        partnerName: elements.partnerName?.value || 'Partner Finance',
+        partnerLogoUrl: getLogoUrl('partnerLogoUrl'),
+        combinedLogoUrl: getLogoUrl('combinedLogoUrl'),
+        width: elements.logoWidth?.value.trim() || '',
+        height: elements.logoHeight?.value.trim() || '',
+    };
+}
+
+// An uploaded file, else the URL input; relative URLs resolve against the
+// test stand so a cross-origin TLend can load them
+function getLogoUrl(field) {
+    const upload = state.logoUploads[field];
+    if (upload) return upload.url;
+
+    const value = elements[field]?.value.trim() || '';
+    if (!value) return '';
+    try {
+        return new URL(value, window.location.href).href;
+    } catch {
+        return value;
+    }
+}
+
+// The bundled combined logo follows the theme until another logo is chosen;
+// returns true when it changed
+function followThemeLogo() {
+    const input = elements.combinedLogoUrl;
+    if (!input || !BUNDLED_COMBINED_LOGO.test(input.value.trim())) return false;
+    const value = `logo-combined-${elements.partnerTheme?.value || 'dark'}.svg`;
+    const changed = input.value.trim() !== value;
+    input.value = value;
+    return changed;
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Data URLs load in any origin; blob URLs are shorter but tied to this page's origin
+async function serveLogoUpload(upload) {
+    if (upload.url?.startsWith('blob:')) URL.revokeObjectURL(upload.url);
+    upload.url = elements.logoServeMode?.value === 'blob'
+        ? URL.createObjectURL(upload.file)
+        : await readFileAsDataUrl(upload.file);
+}
+
+async function uploadLogo(field, file) {
+    const upload = {
+        file,
+        name: file.name,
+        type: file.type,
+        bytes: file.size,
+        svg: file.type === 'image/svg+xml' ? await file.text() : undefined,
+        url: null,
+    };
+    clearLogoUpload(field);
+    await serveLogoUpload(upload);
+    state.logoUploads[field] = upload;
+    if (elements[field]) elements[field].value = '';
+    renderLogoSources();
+    logInfo(`Using ${file.name} (${TLendLogoAssets.formatBytes(file.size)}) as ${field}`);
+    await checkLogo(getLogoConfig());
+}
+
+function clearLogoUpload(field) {
+    const upload = state.logoUploads[field];
+    if (!upload) return;
+    if (upload.url?.startsWith('blob:')) URL.revokeObjectURL(upload.url);
+    delete state.logoUploads[field];
+    renderLogoSources();
+}
+
+function renderLogoSources() {
+    TLendLogoAssets.URL_FIELDS.forEach(field => {
+        const note = elements[`${field}Source`];
+        if (!note) return;
+        const upload = state.logoUploads[field];
+        const served = upload?.url?.startsWith('blob:') ? 'blob URL' : 'data URL';
+        note.textContent = upload
+            ? `Uploaded ${upload.name} (${TLendLogoAssets.formatBytes(upload.bytes)}), sent as a ${served}`
+            : '';
+    });
+}
+
+// Size, type and SVG source when the logo can be fetched (CORS permitting)
+async function fetchLogo(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return { fetchError: `HTTP ${response.status}` };
+        const blob = await response.blob();
+        const type = blob.type.split(';')[0];
+        return { type, bytes: blob.size, svg: type === 'image/svg+xml' ? await blob.text() : undefined };
+    } catch (error) {
+        return { fetchError: error.message };
+    }
+}
+
+function loadLogoImage(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        const done = (result) => {
+            clearTimeout(timer);
+            image.onload = image.onerror = null;
+            resolve(result);
         };
+        const timer = setTimeout(() => done({ loaded: false, error: `not loaded within ${CONFIG.LOGO_LOAD_TIMEOUT / 1000}s` }),
+            CONFIG.LOGO_LOAD_TIMEOUT);
+        image.onload = () => done({ loaded: true, width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => done({ loaded: false, error: 'image failed to load' });
+        image.src = url;
+    });
+}
+
+async function inspectLogo(field, url) {
+    const upload = state.logoUploads[field];
+    const [details, image] = await Promise.all([
+        upload ? { type: upload.type, bytes: upload.bytes, svg: upload.svg } : fetchLogo(url),
+        loadLogoImage(url),
+    ]);
+    // SVGs without a width/height report a browser default size; their viewBox says more
+    const svgSize = typeof details.svg === 'string' ? TLendLogoAssets.svgSize(details.svg) : null;
+    return { ...details, ...image, ...(image.loaded && svgSize) };
+}
+
+/** Validate a SET_LOGO payload and its logos, and show the result */
+async function checkLogo(config) {
+    const fields = TLendLogoAssets.URL_FIELDS.filter(field => config[field]);
+    const inspected = await Promise.all(fields.map(field => inspectLogo(field, config[field])));
+    const assets = Object.fromEntries(fields.map((field, i) => [field, inspected[i]]));
+
+    const result = TLendLogoAssets.validateLogo(config, assets);
+    renderLogoReport(result);
+    return result;
+}
+
+function renderLogoReport({ ok, issues }) {
+    const container = elements.logoReport;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const warnings = issues.filter(issue => issue.severity === TLendLogoAssets.Severity.WARNING).length;
+    const summary = document.createElement('div');
+    summary.className = `conformance-score ${ok ? 'pass' : 'fail'}`;
+    summary.textContent = ok
+        ? `Logo checks passed${warnings ? ` with ${warnings} warning(s)` : ''}`
+        : 'Logo checks failed';
+    container.appendChild(summary);
+
+    issues.forEach(issue => {
+        const item = document.createElement('div');
+        item.className = `logo-issue ${issue.severity}`;
+        item.textContent = issue.message;
+        container.appendChild(item);
+    });
+}
+
+// ============================================================================
+// Theme Designer (RFC 6.7)
+// ============================================================================
+
+function initThemeDesigner() {
+    state.themeStore = new TLendPartnerThemes.ThemeStore({
+        storage: window.localStorage,
+        storageKey: CONFIG.THEME_STORAGE_KEY,
+    });
+    state.themeStyles = TLendPartnerThemes.defaultStyles(elements.partnerTheme?.value);
+    renderSavedThemes();
+    renderThemeDesigner();
+}
+
+// Every CSS_VARIABLES entry, then the variables TLend does not document
+function renderThemeDesigner() {
+    const container = elements.themeVariables;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const names = [
+        ...Object.keys(TLendPartnerThemes.CSS_VARIABLES),
+        ...TLendPartnerThemes.unknownVariables(state.themeStyles),
+    ];
+    names.forEach(name => container.appendChild(createThemeRow(name)));
+    renderThemeLint();
+}
+
+// Contrast table and value/theme issues for the styles STYLES_UPGRADE would send
+function renderThemeLint() {
+    const container = elements.themeLint;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const theme = elements.partnerTheme?.value || 'dark';
+    const styles = getPartnerStyles();
+    const { ok, issues, contrasts } = TLendThemeLinter.lintTheme(styles, theme);
+    // Pairs reference variables, or fixed colors with a leading #
+    const color = ref => (ref.startsWith('#') ? ref : styles[ref]);
+    const counts = issues.reduce((acc, issue) => ({ ...acc, [issue.severity]: (acc[issue.severity] || 0) + 1 }), {});
+
+    const summary = document.createElement('div');
+    summary.className = `conformance-score ${ok ? 'pass' : 'fail'}`;
+    summary.textContent = `${ok ? 'Lint passed' : 'Lint failed'} - ${counts.error || 0} error(s), `
+        + `${counts.warning || 0} warning(s), ${counts.info || 0} note(s)`;
+    container.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'theme-contrast';
+    contrasts.forEach(pair => {
+        const row = table.insertRow();
+        const swatch = document.createElement('span');
+        swatch.className = 'theme-swatch';
+        swatch.style.color = color(pair.fg);
+        swatch.style.background = color(pair.bg);
+        swatch.textContent = 'Aa';
+        row.insertCell().appendChild(swatch);
+        row.insertCell().textContent = pair.label;
+        row.insertCell().textContent = `${pair.ratio.toFixed(2)}:1`;
+        const level = row.insertCell();
+        level.textContent = pair.aaa ? 'AAA' : pair.aa ? 'AA' : 'fail';
+        level.className = pair.aa ? 'pass' : 'fail';
+    });
+    container.appendChild(table);
+
+    issues.filter(issue => issue.rule !== 'contrast' || issue.severity !== TLendThemeLinter.Severity.INFO)
+        .forEach(issue => {
+            const item = document.createElement('div');
+            item.className = `theme-lint-issue ${issue.severity}`;
+            item.textContent = issue.message;
+            container.appendChild(item);
+        });
+}
+
+function createThemeRow(name) {
+    const { CSS_VARIABLES, isKnownVariable, toHexColor } = TLendPartnerThemes;
+    const known = isKnownVariable(name);
+    const value = state.themeStyles[name] ?? '';
+
+    const row = document.createElement('div');
+    row.className = `theme-row ${known ? '' : 'unknown'}`;
+
+    const label = document.createElement('div');
+    label.className = 'theme-label';
+    const code = document.createElement('code');
+    code.textContent = name;
+    const description = document.createElement('small');
+    description.textContent = known ? CSS_VARIABLES[name] : 'Unknown - not in CSS_VARIABLES, TLend does not use it';
+    label.append(code, description);
+    row.appendChild(label);
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.value = value;
+    text.placeholder = 'not sent';
+
+    let picker = null;
+    if (TLendPartnerThemes.variableKind(name) === 'color') {
+        picker = document.createElement('input');
+        picker.type = 'color';
+        picker.value = toHexColor(value) || '#000000';
+        picker.addEventListener('input', () => {
+            text.value = picker.value;
+            setThemeVariable(name, picker.value);
+        });
+        row.appendChild(picker);
+    }
+    text.addEventListener('input', () => {
+        const hex = toHexColor(text.value);
+        if (picker && hex) picker.value = hex;
+        setThemeVariable(name, text.value);
+    });
+    row.appendChild(text);
+
+    if (!known) {
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-small';
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            delete state.themeStyles[name];
+            renderThemeDesigner();
+            scheduleThemePreview();
+        });
+        row.appendChild(remove);
+    }
+    return row;
+}
+
+function setThemeVariable(name, value) {
+    state.themeStyles[name] = value;
+    renderThemeLint();
+    scheduleThemePreview();
+}
+
+// Live preview: re-send STYLES_UPGRADE once edits pause
+function scheduleThemePreview() {
+    clearTimeout(state.themePreviewTimer);
+    if (!elements.themeLivePreview?.checked || !state.bridge) return;
+    state.themePreviewTimer = setTimeout(sendStylesUpgrade, CONFIG.THEME_PREVIEW_DELAY);
+}
+
+function addThemeVariable() {
+    const name = elements.themeNewVariable?.value.trim() || '';
+    if (!/^--[\w-]+$/.test(name)) {
+        logInfo(`"${name}" is not a CSS variable name (e.g. --tlend-primary)`);
+        return;
+    }
+    if (!TLendPartnerThemes.isKnownVariable(name)) {
+        logInfo(`${name} is not in CSS_VARIABLES - TLend does not use it`);
+    }
+    state.themeStyles[name] = state.themeStyles[name] ?? '';
+    elements.themeNewVariable.value = '';
+    renderThemeDesigner();
+}
+
+function applyTheme({ name, theme, styles }) {
+    state.themeStyles = { ...styles };
+    if (name && elements.themeName) elements.themeName.value = name;
+    if (theme && elements.partnerTheme) elements.partnerTheme.value = theme;
+    renderThemeDesigner();
+
+    const unknown = TLendPartnerThemes.unknownVariables(styles);
+    if (unknown.length) {
+        logInfo(`Theme uses variables outside CSS_VARIABLES: ${unknown.join(', ')}`);
+    }
+    scheduleThemePreview();
+}
+
+// True while the designer still shows one of the built-in palettes
+function isDefaultTheme() {
+    return Object.values(TLendPartnerThemes.DEFAULT_STYLES)
+        .some(styles => JSON.stringify(styles) === JSON.stringify(state.themeStyles));
+}
+
+function resetTheme() {
+    const theme = elements.partnerTheme?.value || 'dark';
+    applyTheme({ theme, styles: TLendPartnerThemes.defaultStyles(theme) });
+    logInfo(`Theme reset to the default ${theme} palette`);
+}
+
+function currentTheme() {
+    return {
+        name: elements.themeName?.value.trim() || '',
+        theme: elements.partnerTheme?.value || 'dark',
+        styles: { ...state.themeStyles },
+    };
+}
+
+function renderSavedThemes(selected = '') {
+    const select = elements.savedThemes;
+    if (!select) return;
+    select.innerHTML = '';
+    select.add(new Option('Saved themes...', ''));
+    state.themeStore.names().forEach(name => select.add(new Option(name, name)));
+    select.value = selected;
+}
+
+function saveTheme() {
+    const theme = currentTheme();
+    if (!theme.name) {
+        logInfo('Enter a theme name to save the theme');
+        return;
+    }
+    state.themeStore.save(theme);
+    renderSavedThemes(theme.name);
+    logInfo(`Saved theme "${theme.name}"`);
+}
+
+function loadSavedTheme(name) {
+    if (!name) return;
+    try {
+        applyTheme(state.themeStore.get(name));
+        logInfo(`Loaded theme "${name}"`);
+    } catch (error) {
+        logInfo(`Cannot load theme "${name}": ${error.message}`);
+    }
+}
+
+function deleteSavedTheme() {
+    const name = elements.savedThemes?.value;
+    if (!name) return;
+    state.themeStore.remove(name);
+    renderSavedThemes();
+    logInfo(`Deleted theme "${name}"`);
+}
+
+function exportTheme() {
+    const theme = currentTheme();
+    const slug = (theme.name || 'partner-theme').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadFile(`${slug}.json`, JSON.stringify(TLendPartnerThemes.exportTheme(theme), null, 2));
+}
+
+async function importTheme(file) {
+    try {
+        const theme = TLendPartnerThemes.parseTheme(await file.text());
+        applyTheme({ ...theme, name: theme.name || file.name.replace(/\.json$/i, '') });
+        logInfo(`Imported theme from ${file.name}`);
+    } catch (error) {
+        logInfo(`Cannot import ${file.name}: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// Track 2: Authentication Flow
+// ============================================================================
+
+// Returns whether the request was sent (or queued until TLEND_LOADED)
+function sendAuthCheckRequest() {
+    if (!state.walletAddress) {
+        logInfo('Cannot send AUTH_CHECK_REQUEST: connect wallet first');
+        return false;
+    }
+
+    const bridge = getBridge();
+    if (!bridge) return false;
+
+    // The bridge tracks the pending request, rejects on timeout and retries per RFC 11.4
+    clearRetryStatus(MessageTypes.AUTH_CHECK_REQUEST);
+    bridge.withRetry(() => bridge.checkAuth(state.walletAddress), {
+        label: MessageTypes.AUTH_CHECK_REQUEST,
+    })
+        .then(handleAuthCheckResponse)
+        .catch(handleAuthCheckFailure);
+    return true;
+}
+
+function handleAuthCheckFailure(error) {
+    setRetryOutcome(MessageTypes.AUTH_CHECK_REQUEST, error);
+
+    if (error.code === TLendPartnerBridge.ErrorCodes.TIMEOUT) {
+        logInfo(`AUTH_CHECK_REQUEST timed out (${CONFIG.AUTH_CHECK_TIMEOUT}ms)${formatAttempts(error)}`);
+    } else {
+        logInfo(`AUTH_CHECK_REQUEST failed${formatAttempts(error)}: ${error.message}`);
+    }
+}
+
+function handleAuthCheckResponse(message) {
+    clearRetryStatus(MessageTypes.AUTH_CHECK_REQUEST);
+    const { payload } = message;
+
+    const { authenticated, matchesRequested, address } = payload;
+
+    if (!authenticated || !matchesRequested) {
+        logInfo('TLend not authenticated or address mismatch - sending credentials');
+        // Auto-send credentials if wallet is connected
+        if (state.walletConnected) {
+            setTimeout(() => sendAuthCredentials(), 500);
+        }
+    } else {
+        logInfo(`TLend already authenticated for ${truncateAddress(address)}`);
+    }
+}
+
+function sendAuthCredentials() {
+    if (!state.walletAddress) {
+        logInfo('Cannot send AUTH_CREDENTIALS: connect wallet first');
+        return;
+    }
+
+    const bridge = getBridge();
+    if (!bridge) return;
+
+    // Failed attempts are retried per RFC 11.4; credential errors get a new proof first
+    clearRetryStatus(MessageTypes.AUTH_CREDENTIALS);
+    bridge.withRetry(() => sendCredentialsAttempt(bridge), {
+        label: MessageTypes.AUTH_CREDENTIALS,
+        refresh: refreshAuthCredentials,
+    })
+        .then(handleAuthResult)
+        .catch(handleAuthCredentialsFailure);
+}
+
+// One AUTH_CREDENTIALS attempt; a failed AUTH_RESULT rejects with its error code
+async function sendCredentialsAttempt(bridge) {
+    await ensureProofPayload();
+    if (state.testWallet) {
+        await refreshTestWalletProof();
+    }
+    const credentials = getAuthCredentials(state.walletAddress);
+    if (state.walletSession) state.walletSession.proof = credentials.proof;
+    if (state.testWallet && credentials.proof === state.tonProof) {
+        logInfo('Using TON proof signed by the test wallet');
+    } else if (credentials.proof === state.tonProof) {
         logInfo('Using real TON proof from connected wallet');
     } else {
-        credentials = generateMockTonProof(walletAddress);
         logInfo('Using mock TON proof (wallet not connected with proof)');
     }
 
     const partnerId = elements.partnerId?.value || 'partner_xyz';
 
-    const message = {
-        type: MessageTypes.AUTH_CREDENTIALS,
-        requestId: requestId,
-        timestamp: Date.now(),
-        payload: {
-            account: credentials.account,
-            proof: credentials.proof,
-            partnerId: partnerId,
-            referenceId: `${partnerId}-session-${Date.now()}`,
+    return bridge.sendCredentials({
+        account: credentials.account,
+        proof: credentials.proof,
+        partnerId: partnerId,
+        // referenceId is limited to 32 bytes (RFC Section 7.5)
+        referenceId: `${partnerId}-${Date.now().toString(36)}`.slice(0, 32),
+    }).then((message) => {
+        const { success, error } = message.payload;
+        if (!success) {
+            throw new TLendBridgeError(error?.code, `Authentication failed: ${error?.code} - ${error?.message}`, {
+                result: message,
+            });
         }
-    };
-
-    // Store pending request
-    state.pendingRequests.set(requestId, {
-        type: 'AUTH_CREDENTIALS',
-        timestamp: Date.now(),
-        timeout: setTimeout(() => {
-            handleAuthCredentialsTimeout(requestId);
-        }, CONFIG.AUTH_CREDENTIALS_TIMEOUT)
+        return message;
     });
-
-    sendToTLend(message);
 }
 
-function handleAuthCredentialsTimeout(requestId) {
-    const pending = state.pendingRequests.get(requestId);
-    if (pending) {
-        state.pendingRequests.delete(requestId);
-        logInfo(`AUTH_CREDENTIALS timed out (${CONFIG.AUTH_CREDENTIALS_TIMEOUT}ms)`);
+// RFC 11.4: credential errors are never retried with the same proof
+async function refreshAuthCredentials(error) {
+    const mockProof = !state.tonProof || getAuthCredentials(state.walletAddress).proof !== state.tonProof;
 
-        // Check if we should auto-set ready anyway
-        const autoReady = elements.autoReadyMode?.value;
-        if (autoReady === 'immediate') {
-            logInfo('Auto-setting READY state (immediate mode)');
-            updateTLendState('READY');
-        }
+    // A mock or test wallet proof is rebuilt with a new payload; a real wallet
+    // proof can only be replaced by the wallet signing that payload on reconnect
+    await prepareProofPayload();
+    if (mockProof) {
+        logInfo(`${error.code}: generating a new mock TON proof`);
+        return;
+    }
+    if (state.testWallet) {
+        state.tonProof = await signTestWalletProof();
+        logInfo(`${error.code}: the test wallet signed a new TON proof`);
+        return;
     }
+
+    state.tonProof = null;
+    throw new TLendBridgeError(error.code, `${error.message} - reconnect the wallet to sign a new TON proof`, error.details);
 }
 
-function handleAuthResult(message) {
-    const { requestId, payload } = message;
+function handleAuthCredentialsFailure(error) {
+    setRetryOutcome(MessageTypes.AUTH_CREDENTIALS, error);
 
-    // Clear pending request timeout
-    const pending = state.pendingRequests.get(requestId);
-    if (pending) {
-        clearTimeout(pending.timeout);
-        state.pendingRequests.delete(requestId);
+    const authFailed = Boolean(error.details?.result);
+    if (error.code === TLendPartnerBridge.ErrorCodes.TIMEOUT) {
+        logInfo(`AUTH_CREDENTIALS timed out (${CONFIG.AUTH_CREDENTIALS_TIMEOUT}ms)${formatAttempts(error)}`);
+    } else {
+        logInfo(`AUTH_CREDENTIALS failed${formatAttempts(error)}: ${error.message}`);
     }
 
-    if (payload.success) {
-        logInfo(`Authentication successful for ${truncateAddress(payload.address)}`);
-        state.walletAddress = payload.address;
-    } else {
-        logInfo(`Authentication failed: ${payload.error?.code} - ${payload.error?.message}`);
+    if (error.fatal) {
+        logInfo(`${error.code} is fatal (RFC 11.4) - contact TLend support`);
+        state.lifecycle.dispatch(TLendLifecycle.Events.AUTH_FAILED);
+        return;
+    }
+    if (!authFailed && error.code !== TLendPartnerBridge.ErrorCodes.TIMEOUT) {
+        return;
+    }
 
-        // Check if we should auto-set ready anyway
-        const autoReady = elements.autoReadyMode?.value;
-        if (autoReady === 'immediate') {
-            logInfo('Auto-setting READY state despite auth failure (immediate mode)');
-            updateTLendState('READY');
-        } else {
-            updateTLendState('ERROR');
-        }
+    // Check if we should auto-set ready anyway
+    const autoReady = elements.autoReadyMode?.value;
+    if (autoReady === 'immediate') {
+        logInfo(`Auto-setting READY state${authFailed ? ' despite auth failure' : ''} (immediate mode)`);
+        forceLifecycleState('READY', 'autoReadyMode=immediate');
+    } else if (authFailed) {
+        state.lifecycle.dispatch(TLendLifecycle.Events.AUTH_FAILED);
     }
 }
 
+function handleAuthResult(message) {
+    clearRetryStatus(MessageTypes.AUTH_CREDENTIALS);
+    const { payload } = message;
+
+    logInfo(`Authentication successful for ${truncateAddress(payload.address)}`);
+    state.walletAddress = payload.address;
+    scheduleProofExpiry();
+}
+
 // v2.0: Handle AUTH_REQUEST from TLend (JWT expired, needs fresh credentials)
 function handleAuthRequest(message) {
     const { payload } = message;
@@ -633,6 +1677,8 @@ function handleAuthRequest(message) {
 
     logInfo(`TLend requests re-authentication (reason: ${reason})`);
 
+    if (isAutomationPaused()) return;
+
     if (currentAddress) {
         logInfo(`TLend thinks current address is: ${truncateAddress(currentAddress)}`);
     }
@@ -640,7 +1686,6 @@ function handleAuthRequest(message) {
     // Check if user is still connected
     if (state.walletConnected && state.walletAddress) {
         logInfo('Wallet still connected - sending fresh credentials');
-        updateTLendState('PENDING_AUTH');
         // Send fresh credentials
         setTimeout(() => sendAuthCredentials(), 500);
     } else {
@@ -649,21 +1694,28 @@ function handleAuthRequest(message) {
     }
 }
 
+// Use real TON proof if the wallet signed one, otherwise generate mock
+function getAuthCredentials(walletAddress) {
+    if (state.walletAccount && state.tonProof && state.walletAccount.address === walletAddress) {
+        return {
+            account: {
+                address: state.walletAccount.address,
+                chain: state.walletAccount.chain,
+                publicKey: state.walletAccount.publicKey,
+                walletStateInit: state.walletAccount.walletStateInit,
+            },
+            proof: state.tonProof,
+        };
+    }
+    return generateMockTonProof(walletAddress);
+}
+
 /**
  * Generate mock TON proof credentials
- * Used when real TON Connect proof is not available
+ * Used when real TON Connect proof is not available. The payload comes from
+ * the selected strategy (see ensureProofPayload); the wallet signature is mock.
  */
-function generateMockTonProof(address) {
-    // Generate mock expiration timestamp (30 minutes from now)
-    const expirationTime = Math.floor(Date.now() / 1000) + (30 * 60);
-
-    // Generate mock HMAC payload (32 bytes hex = 64 chars)
-    const expirationHex = expirationTime.toString(16).padStart(8, '0');
-    const mockHmacSignature = Array.from({ length: 28 }, () =>
-        Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
-    ).join('');
-    const payloadHex = expirationHex + mockHmacSignature;
-
+function generateMockTonProof(address, payloadHex = state.proofPayload?.value || TLendProofPayload.generateMockPayload()) {
     // Generate mock public key (32 bytes hex)
     const mockPublicKey = Array.from({ length: 32 }, () =>
         Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
@@ -678,7 +1730,7 @@ function generateMockTonProof(address) {
     return {
         account: {
             address: address,
-            chain: '-239',
+            chain: getProfile().chain,
             publicKey: mockPublicKey,
             walletStateInit: mockStateInit,
         },
@@ -698,20 +1750,158 @@ function generateMockTonProof(address) {
 // Track 3: Repayment Flow
 // ============================================================================
 
+// Registered with bridge.onRepayRequest(): the returned promise settles with
+// the REPAY_RESULT payload once the user approves or rejects the request.
 function handleRepayRequest(message) {
     const { requestId, payload } = message;
 
-    state.pendingRepayRequest = {
-        requestId,
-        payload,
-        timestamp: Date.now(),
-    };
+    const unsupported = tlendUnsupported(MessageTypes.REPAY_REQUEST);
+    if (unsupported) {
+        logInfo(`Warning: REPAY_REQUEST received although ${unsupported} - handling it anyway`);
+    }
+
+    // The running scenario or replay answers REPAY_REQUEST itself
+    if (isAutomationPaused()) return null;
+
+    return new Promise((resolve) => {
+        const timestamp = Date.now();
+        const request = {
+            requestId,
+            payload,
+            timestamp,
+            ...repayDeadline(payload, timestamp),
+            resolve,
+        };
+
+        // One request is shown at a time; the policy decides what happens to the others
+        if (state.pendingRepayRequest) {
+            if (elements.repayQueuePolicy?.value === 'reject') {
+                resolve(TLendRepayErrors.repayFailure('REPAY_IN_PROGRESS',
+                    `Repayment ${state.pendingRepayRequest.requestId} is still awaiting approval`));
+                logInfo(`REPAY_REQUEST ${requestId} rejected: another repayment is pending`);
+                return;
+            }
+            state.repayQueue.push(request);
+            logInfo(`REPAY_REQUEST ${requestId} queued behind ${state.pendingRepayRequest.requestId}`);
+            updateRepayCountdown();
+            return;
+        }
+
+        openRepayRequest(request);
+    });
+}
+
+/** When a repay request stops being signable: { deadline (ms), deadlineReason } */
+function repayDeadline(payload, receivedAt) {
+    const timeout = receivedAt + CONFIG.REPAY_TIMEOUT;
+    const validUntil = payload.transaction?.validUntil * 1000;
+    return validUntil < timeout
+        ? { deadline: validUntil, deadlineReason: 'validUntil' }
+        : { deadline: timeout, deadlineReason: 'REPAY_TIMEOUT' };
+}
+
+function openRepayRequest(request) {
+    if (Date.now() >= request.deadline) {
+        expireRepayRequest(request);
+        openNextRepayRequest();
+        return;
+    }
+    state.pendingRepayRequest = request;
 
     // Show repay panel
-    showRepayPanel(payload);
+    showRepayPanel(request.payload);
 
     // Also show modal for confirmation
-    showRepayModal(payload);
+    showRepayModal(request.payload);
+
+    // Decode the messages before anyone signs them
+    inspectRepayTransaction(request.payload);
+
+    startRepayCountdown();
+}
+
+function openNextRepayRequest() {
+    const next = state.repayQueue.shift();
+    if (next) {
+        openRepayRequest(next);
+    } else {
+        stopRepayCountdown();
+    }
+}
+
+function clearPendingRepayRequest() {
+    state.pendingRepayRequest = null;
+    if (elements.repayPanel) elements.repayPanel.style.display = 'none';
+    hideRepayModal();
+    openNextRepayRequest();
+}
+
+// Answers with TIMEOUT; the transaction can no longer be signed
+function expireRepayRequest(request) {
+    const reason = request.deadlineReason === 'validUntil'
+        ? 'transaction validUntil has passed'
+        : `not approved within ${CONFIG.REPAY_TIMEOUT / 1000}s`;
+    request.resolve(TLendRepayErrors.repayFailure('TIMEOUT', `Repay request expired: ${reason}`));
+    logInfo(`REPAY_REQUEST ${request.requestId} expired (${reason}), sent TIMEOUT`);
+}
+
+// ============================================================================
+// Repay Countdown (RFC 11.3)
+// ============================================================================
+
+function startRepayCountdown() {
+    if (!state.repayCountdownTimer) {
+        state.repayCountdownTimer = setInterval(tickRepayCountdown, 1000);
+    }
+    updateRepayCountdown();
+}
+
+function stopRepayCountdown() {
+    clearInterval(state.repayCountdownTimer);
+    state.repayCountdownTimer = null;
+}
+
+function tickRepayCountdown() {
+    const now = Date.now();
+
+    // Queued requests expire while they wait, too
+    state.repayQueue
+        .filter(request => now >= request.deadline)
+        .forEach(request => {
+            state.repayQueue.splice(state.repayQueue.indexOf(request), 1);
+            expireRepayRequest(request);
+        });
+
+    // A transaction in the wallet is bounded by validUntil there
+    const pending = state.pendingRepayRequest;
+    if (pending && !pending.signing && now >= pending.deadline) {
+        expireRepayRequest(pending);
+        clearPendingRepayRequest();
+        return;
+    }
+    updateRepayCountdown();
+}
+
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updateRepayCountdown() {
+    const pending = state.pendingRepayRequest;
+    if (!pending) return;
+    const remaining = pending.deadline - Date.now();
+    const queued = state.repayQueue.length;
+
+    [elements.repayModalBody, elements.repayDetails].forEach(parent => {
+        const countdown = parent?.querySelector('.repay-countdown');
+        if (!countdown) return;
+        countdown.classList.toggle('urgent', remaining <= CONFIG.REPAY_URGENT_AFTER);
+        countdown.textContent = pending.signing
+            ? 'Waiting for the wallet...'
+            : `Expires in ${formatCountdown(remaining)} (${pending.deadlineReason})`
+                + `${queued ? `, ${queued} more request(s) queued` : ''}`;
+    });
 }
 
 function showRepayPanel(payload) {
@@ -720,24 +1910,16 @@ function showRepayPanel(payload) {
 
     if (!panel || !details) return;
 
-    details.innerHTML = `
-        <div class="detail-row">
-            <span class="detail-label">Lend ID:</span>
-            <span class="detail-value">${payload.lendId}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">NFT Index:</span>
-            <span class="detail-value">${payload.nftIndex}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">Amount:</span>
-            <span class="detail-value">${payload.amount.formatted} ${payload.amount.currency}</span>
-        </div>
-        <div class="detail-row">
-            <span class="detail-label">Valid Until:</span>
-            <span class="detail-value">${new Date(payload.transaction.validUntil * 1000).toLocaleTimeString()}</span>
-        </div>
-    `;
+    // The request comes from TLend: its values are set as text
+    details.innerHTML = '';
+    details.append(
+        detailRow('Lend ID:', payload.lendId),
+        detailRow('NFT Index:', payload.nftIndex),
+        detailRow('Amount:', repayAmountText(payload.amount)),
+        detailRow('Valid Until:', new Date(payload.transaction.validUntil * 1000).toLocaleTimeString()),
+        repayPlaceholder('repay-countdown'),
+        repayPlaceholder('repay-check'),
+    );
 
     panel.style.display = 'block';
 }
@@ -748,36 +1930,33 @@ function showRepayModal(payload) {
 
     if (!modal || !body) return;
 
-    body.innerHTML = `
-        <div class="tx-detail">
-            <span class="tx-label">Amount</span>
-            <span class="tx-value amount">${payload.amount.formatted} ${payload.amount.currency}</span>
-        </div>
-        <div class="tx-detail">
-            <span class="tx-label">Lend ID</span>
-            <span class="tx-value">#${payload.lendId}</span>
-        </div>
-        <div class="tx-detail">
-            <span class="tx-label">NFT Index</span>
-            <span class="tx-value">${payload.nftIndex}</span>
-        </div>
-        <div class="tx-detail">
-            <span class="tx-label">User Address</span>
-            <span class="tx-value address">${payload.metadata?.userAddress || 'N/A'}</span>
-        </div>
-        <div class="tx-detail">
-            <span class="tx-label">TLend Contract</span>
-            <span class="tx-value address">${payload.metadata?.tLendContractAddress || 'N/A'}</span>
-        </div>
-        <div class="tx-detail">
-            <span class="tx-label">Gas (TON)</span>
-            <span class="tx-value">${payload.transaction?.messages?.[0]?.amount ? (parseInt(payload.transaction.messages[0].amount) / 1e9).toFixed(4) : 'N/A'}</span>
-        </div>
-    `;
+    const gas = payload.transaction?.messages?.[0]?.amount;
+    body.innerHTML = '';
+    body.append(
+        repayPlaceholder('repay-countdown'),
+        txDetail('Amount', repayAmountText(payload.amount), 'amount'),
+        txDetail('Lend ID', `#${payload.lendId}`),
+        txDetail('NFT Index', payload.nftIndex),
+        txDetail('User Address', payload.metadata?.userAddress || 'N/A', 'address'),
+        txDetail('TLend Contract', payload.metadata?.tLendContractAddress || 'N/A', 'address'),
+        txDetail('Gas (TON)', gas ? (parseInt(gas) / 1e9).toFixed(4) : 'N/A'),
+        repayPlaceholder('repay-check'),
+    );
 
     modal.style.display = 'flex';
 }
 
+function repayAmountText(amount) {
+    return `${amount.formatted} ${amount.currency}`;
+}
+
+// Filled in later by updateRepayCountdown() and renderRepayCheck()
+function repayPlaceholder(className) {
+    const placeholder = document.createElement('div');
+    placeholder.className = className;
+    return placeholder;
+}
+
 function hideRepayModal() {
     const modal = elements.repayModal;
     if (modal) {
@@ -791,85 +1970,116 @@ async function approveRepayRequest() {
         return;
     }
 
-    const { requestId, payload } = state.pendingRepayRequest;
+    const pending = state.pendingRepayRequest;
+    const { requestId, payload, resolve, check } = pending;
+    if (pending.signing) {
+        logInfo('The wallet is already signing this repayment');
+        return;
+    }
+
+    // Never sign a stale transaction
+    if (Date.now() >= pending.deadline) {
+        expireRepayRequest(pending);
+        clearPendingRepayRequest();
+        return;
+    }
+    if (check && !check.ok) {
+        logInfo(`Signing repay #${payload.lendId} despite transaction mismatches`);
+    }
+    pending.signing = true;
+    updateRepayCountdown();
+
+    // Pre-flight: do not open the wallet for a transaction it cannot pay for
+    const realWallet = Boolean(state.tonConnectUI?.connected && payload.transaction);
+    const outcome = elements.repaySimulation?.value || 'success';
+    const shortfall = TLendRepayErrors.checkBalance(payload, realWallet
+        ? await fetchRepayBalances(payload.metadata || {})
+        : simulatedRepayBalances(outcome));
+    if (shortfall) {
+        resolve({ success: false, error: shortfall });
+        logInfo(`Repay #${payload.lendId} not signed: ${shortfall.message}`);
+        clearPendingRepayRequest();
+        return;
+    }
 
     // Check if we have TON Connect and can sign the actual transaction
-    if (state.tonConnectUI && state.walletConnected && payload.transaction) {
+    if (realWallet) {
         logInfo('Signing transaction with TON Connect...');
 
+        let result;
         try {
-            const result = await state.tonConnectUI.sendTransaction({
+            result = await state.tonConnectUI.sendTransaction({
                 validUntil: payload.transaction.validUntil,
+                network: getProfile().chain,
                 messages: payload.transaction.messages.map(msg => ({
                     address: msg.address,
                     amount: msg.amount,
                     payload: msg.payload,
                 })),
             });
-
-            // Transaction signed and sent
-            const txResult = {
-                type: MessageTypes.REPAY_RESULT,
-                requestId: requestId,
-                timestamp: Date.now(),
-                payload: {
-                    success: true,
-                    transactionHash: result.boc,
-                    explorerUrl: `https://tonscan.org/tx/${result.boc}`,
-                }
-            };
-
-            sendToTLend(txResult);
-            logInfo(`Transaction sent via TON Connect`);
-
         } catch (error) {
-            logInfo(`TON Connect transaction failed: ${error.message}`);
-
-            const txResult = {
-                type: MessageTypes.REPAY_RESULT,
-                requestId: requestId,
-                timestamp: Date.now(),
-                payload: {
-                    success: false,
-                    error: {
-                        code: error.message?.includes('rejected') ? 'USER_REJECTED' : 'TRANSACTION_FAILED',
-                        message: error.message,
-                        userCancelled: error.message?.includes('rejected'),
-                    }
-                }
-            };
+            const { cause, ...repayError } = TLendRepayErrors.fromTonConnectError(error, { classes: window.TON_CONNECT_UI });
+            logInfo(`TON Connect transaction failed (${cause}): ${repayError.code}`);
+            resolve({ success: false, error: repayError });
+        }
 
-            sendToTLend(txResult);
+        if (result) {
+            // The BOC is the signed external message; REPAY_RESULT reports its hash
+            const messageHash = await TLendRepayTracker.messageHash(result.boc).catch(error => {
+                logInfo(`Cannot hash the signed message (${error.message}) - reporting the BOC`);
+                return result.boc;
+            });
+            resolve({
+                success: true,
+                transactionHash: messageHash,
+                explorerUrl: TLendEnvProfiles.explorerTxUrl(getProfile(), messageHash),
+            });
+            logInfo(`Transaction sent via TON Connect: message ${truncateAddress(messageHash)}`);
+            await trackSubmittedRepay(requestId, { messageHash });
         }
     } else {
         // Simulate transaction for testing
-        logInfo('Simulating transaction (no real TON Connect)...');
+        logInfo(`Simulating transaction (no real TON Connect): ${outcome}...`);
+
+        setTimeout(async () => {
+            try {
+                if (outcome !== 'success') {
+                    const { cause, ...repayError } = TLendRepayErrors.fromTonConnectError(simulatedWalletError(outcome));
+                    resolve({ success: false, error: repayError });
+                    logInfo(`Mock wallet failed (${cause}): ${repayError.code}`);
+                    return;
+                }
 
-        setTimeout(() => {
-            const mockTxHash = Array.from({ length: 32 }, () =>
-                Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
-            ).join('');
-
-            const result = {
-                type: MessageTypes.REPAY_RESULT,
-                requestId: requestId,
-                timestamp: Date.now(),
-                payload: {
+                const mockTxHash = Array.from({ length: 32 }, () =>
+                    Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
+                ).join('');
+
+                resolve({
                     success: true,
                     transactionHash: mockTxHash,
-                    explorerUrl: `https://tonscan.org/tx/${mockTxHash}`,
-                }
-            };
-
-            sendToTLend(result);
-            logInfo(`Mock transaction sent: ${truncateAddress(mockTxHash)}`);
+                    explorerUrl: TLendEnvProfiles.explorerTxUrl(getProfile(), mockTxHash),
+                });
+                logInfo(`Mock transaction sent: ${truncateAddress(mockTxHash)}`);
+                await trackSubmittedRepay(requestId, { messageHash: mockTxHash, simulated: true });
+            } catch (error) {
+                // Answer TLend rather than let the request time out (no-op once resolved)
+                resolve(TLendRepayErrors.repayFailure('TRANSACTION_FAILED', error.message));
+                logInfo(`Mock wallet failed: ${error.message}`);
+            }
         }, 2000);
     }
 
     // Clean up
-    state.pendingRepayRequest = null;
-    if (elements.repayPanel) elements.repayPanel.style.display = 'none';
-    hideRepayModal();
+    clearPendingRepayRequest();
+}
+
+// Tracking only shows the status: the result was already sent, so failures are just logged
+async function trackSubmittedRepay(requestId, sent) {
+    try {
+        await state.repayTracker.submitted(requestId, sent);
+    } catch (error) {
+        logInfo(`Cannot track repay transaction ${truncateAddress(sent.messageHash)}: ${error.message}`);
+    }
 }
 
 function rejectRepayRequest(reason = 'USER_REJECTED') {
@@ -878,104 +2088,396 @@ function rejectRepayRequest(reason = 'USER_REJECTED') {
         return;
     }
 
-    const { requestId } = state.pendingRepayRequest;
-
-    const result = {
-        type: MessageTypes.REPAY_RESULT,
-        requestId: requestId,
-        timestamp: Date.now(),
-        payload: {
-            success: false,
-            error: {
-                code: reason,
-                message: reason === 'USER_REJECTED'
-                    ? 'Transaction was rejected by user'
-                    : 'Transaction failed',
-                userCancelled: reason === 'USER_REJECTED',
-            }
-        }
-    };
+    const { resolve } = state.pendingRepayRequest;
 
-    sendToTLend(result);
+    resolve(TLendRepayErrors.repayFailure(reason));
 
     // Clean up
-    state.pendingRepayRequest = null;
-    if (elements.repayPanel) elements.repayPanel.style.display = 'none';
-    hideRepayModal();
+    clearPendingRepayRequest();
 
     logInfo('Repay request rejected');
 }
 
 // ============================================================================
-// Message Handler
+// Repay Errors (RFC 11.1)
 // ============================================================================
 
-function handleMessage(event) {
-    // Store origin for future messages
-    if (!state.tlendOrigin) {
-        state.tlendOrigin = event.origin;
-        // Add to allowed origins for this session
-        if (!CONFIG.TLEND_ORIGINS.includes(event.origin)) {
-            CONFIG.TLEND_ORIGINS.push(event.origin);
-            logInfo(`Added TLend origin: ${event.origin}`);
-        }
+// What the simulated wallet throws; named like the TON Connect SDK's errors
+function simulatedWalletError(outcome) {
+    const error = new Error(`[TON_CONNECT_SDK_ERROR] ${outcome}\nSimulated by the test stand`);
+    error.name = outcome;
+    return error;
+}
+
+function simulatedRepayBalances(outcome) {
+    return outcome === 'insufficientFunds' ? { tonBalance: '0', jettonBalance: '0' } : {};
+}
+
+/**
+ * TON and jetton balances of the repaying wallet, from toncenter. Balances
+ * that cannot be fetched are left out, so they are not checked.
+ * @returns {Promise<{ tonBalance?: string, jettonBalance?: string }>}
+ */
+async function fetchRepayBalances(metadata) {
+    const balances = {};
+    const baseUrl = TLendRepayTracker.TONCENTER_URLS[getProfile().chain];
+    try {
+        const response = await fetch(`${baseUrl}/account?${new URLSearchParams({ address: metadata.userAddress })}`);
+        if (response.ok) balances.tonBalance = String((await response.json()).balance);
+    } catch (error) {
+        logInfo(`TON balance not checked: ${error.message}`);
     }
+    const { jettonBalance, jettonWalletError } = await resolveJettonWallet(metadata);
+    if (jettonBalance !== undefined) {
+        balances.jettonBalance = jettonBalance;
+    } else {
+        logInfo(`Jetton balance not checked: ${jettonWalletError}`);
+    }
+    return balances;
+}
 
-    const message = event.data;
+// ============================================================================
+// Repay Transaction Check (RFC 8.3)
+// ============================================================================
+
+// Checks the messages without network access first, then again once the
+// user's jetton wallet is known (real wallets only)
+async function inspectRepayTransaction(payload) {
+    const pending = state.pendingRepayRequest;
+    const realWallet = Boolean(state.tonConnectUI?.connected);
+    const show = (check) => {
+        pending.check = check;
+        renderRepayCheck(check, payload);
+    };
 
-    // Validate message structure
-    if (!message || typeof message !== 'object' || !message.type) {
-        return; // Ignore non-protocol messages
+    show(TLendJettonTransfer.checkRepayTransaction(payload, {
+        jettonWalletError: realWallet ? 'looking it up' : 'no wallet connected',
+    }));
+    pending.check.issues
+        .filter(issue => issue.severity === TLendJettonTransfer.Severity.ERROR)
+        .forEach(issue => logInfo(`REPAY_REQUEST mismatch: ${issue.message}`));
+    if (!realWallet) return;
+
+    const wallet = await resolveJettonWallet(payload.metadata || {});
+    if (state.pendingRepayRequest !== pending) return;
+    show(TLendJettonTransfer.checkRepayTransaction(payload, wallet));
+    if (wallet.jettonWallet && !pending.check.ok) {
+        logInfo(`REPAY_REQUEST is not addressed to your jetton wallet ${truncateAddress(wallet.jettonWallet)}`);
     }
+}
 
-    // Log incoming message
-    logEvent('incoming', message.type, message);
+/**
+ * The user's jetton wallet for metadata.jettonMasterAddress and its balance, from toncenter
+ * @returns {Promise<{ jettonWallet?: string, jettonBalance?: string, jettonWalletError?: string }>}
+ */
+async function resolveJettonWallet({ userAddress, jettonMasterAddress }) {
+    if (!userAddress || !jettonMasterAddress) {
+        return { jettonWalletError: 'metadata has no user or jetton master address' };
+    }
+    const baseUrl = TLendRepayTracker.TONCENTER_URLS[getProfile().chain];
+    const query = new URLSearchParams({ owner_address: userAddress, jetton_address: jettonMasterAddress, limit: '1' });
+    try {
+        const response = await fetch(`${baseUrl}/jetton/wallets?${query}`);
+        if (!response.ok) return { jettonWalletError: `toncenter answered HTTP ${response.status}` };
+        const [wallet] = (await response.json()).jetton_wallets || [];
+        return wallet
+            ? { jettonWallet: wallet.address, jettonBalance: String(wallet.balance) }
+            : { jettonWalletError: 'the user has no jetton wallet for it' };
+    } catch (error) {
+        return { jettonWalletError: `lookup failed: ${error.message}` };
+    }
+}
 
-    // Handle by message type
-    switch (message.type) {
-        case MessageTypes.TLEND_LOADED:
-            handleTLendLoaded(message);
-            break;
+function detailRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'detail-row';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'detail-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'detail-value';
+    valueEl.textContent = value;
+    row.append(labelEl, valueEl);
+    return row;
+}
 
-        case MessageTypes.AUTH_CHECK_RESPONSE:
-            handleAuthCheckResponse(message);
-            break;
+function txDetail(label, value, className = '') {
+    const row = document.createElement('div');
+    row.className = 'tx-detail';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'tx-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = `tx-value ${className}`.trim();
+    valueEl.textContent = value;
+    row.append(labelEl, valueEl);
+    return row;
+}
 
-        case MessageTypes.AUTH_RESULT:
-            handleAuthResult(message);
-            break;
+function describeForwardPayload(forward) {
+    if (forward.op === null) {
+        return forward.bits || forward.refs ? `${forward.bits} bits, ${forward.refs} ref(s), no opcode` : 'empty';
+    }
+    if (forward.comment !== undefined) return `comment "${forward.comment}"`;
+    return `opcode ${TLendJettonTransfer.formatOp(forward.op)}`;
+}
 
-        case MessageTypes.TLEND_READY:
-            handleTLendReady(message);
-            break;
+// Decoded transfers in the modal; the summary and issues in both the modal and the panel
+function renderRepayCheck({ ok, transfers, issues }, payload) {
+    const { formatUnits, formatOp, Severity } = TLendJettonTransfer;
+    const { decimals, currency } = payload.amount || {};
+    const warnings = issues.filter(issue => issue.severity === Severity.WARNING).length;
+
+    [elements.repayModalBody, elements.repayDetails].forEach(parent => {
+        const container = parent?.querySelector('.repay-check');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = `conformance-score ${ok ? 'pass' : 'fail repay-mismatch'}`;
+        summary.textContent = ok
+            ? `Transaction matches the request${warnings ? ` with ${warnings} warning(s)` : ''}`
+            : 'Transaction does NOT match the request - do not sign unless you expected this';
+        container.appendChild(summary);
+
+        if (parent === elements.repayModalBody) {
+            transfers.forEach(({ index, message, transfer, error }) => {
+                const heading = document.createElement('h4');
+                heading.textContent = `Message ${index}: ${formatUnits(message.amount || 0, 9)} TON attached`;
+                container.appendChild(heading);
+                container.appendChild(txDetail('Sent To', message.address || 'N/A', 'address'));
+                if (!transfer) {
+                    container.appendChild(txDetail('Payload', error));
+                    return;
+                }
+                container.appendChild(txDetail('Opcode', `${formatOp(transfer.op)} (jetton transfer)`));
+                container.appendChild(txDetail('Jetton Amount', decimals === undefined
+                    ? transfer.amount
+                    : `${formatUnits(transfer.amount, decimals)} ${currency} (${transfer.amount})`, 'amount'));
+                container.appendChild(txDetail('Destination', transfer.destination || 'none', 'address'));
+                container.appendChild(txDetail('Response Destination', transfer.responseDestination || 'none', 'address'));
+                container.appendChild(txDetail('Forward TON', formatUnits(transfer.forwardTonAmount, 9)));
+                container.appendChild(txDetail('Forward Payload', describeForwardPayload(transfer.forwardPayload)));
+                if (transfer.customPayload) container.appendChild(txDetail('Custom Payload', 'present'));
+            });
+        }
 
-        case MessageTypes.REPAY_REQUEST:
-            handleRepayRequest(message);
-            break;
+        issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = `repay-issue ${issue.severity}`;
+            item.textContent = issue.message;
+            container.appendChild(item);
+        });
+    });
+
+    [elements.confirmRepayBtn, elements.approveRepayBtn].forEach(button => {
+        if (!button) return;
+        button.dataset.label ??= button.textContent;
+        button.textContent = ok ? button.dataset.label : 'Sign Despite Mismatch';
+        button.classList.toggle('btn-danger', !ok);
+    });
+}
+
+// ============================================================================
+// Repay Tracking (RFC 11.3)
+// ============================================================================
+
+function initRepayTracker() {
+    state.fakeIndexer = new TLendRepayTracker.FakeIndexer({ autoConfirm: CONFIG.FAKE_CONFIRM_DELAY });
+    state.repayTracker = new TLendRepayTracker.RepayTracker({
+        indexer: createRepayIndexer(),
+        storage: window.localStorage,
+        storageKey: CONFIG.REPAY_STORAGE_KEY,
+        onUpdate: handleRepayUpdate,
+    });
+    renderRepayHistory();
+}
+
+// Simulated transactions only exist in the fake indexer; the rest are looked
+// up on the profile's chain
+function createRepayIndexer() {
+    return {
+        findTransaction(entry) {
+            if (entry.simulated) return state.fakeIndexer.findTransaction(entry);
+            return new TLendRepayTracker.ToncenterIndexer({ chain: getProfile().chain }).findTransaction(entry);
+        },
+    };
+}
+
+function handleRepayUpdate(entry, previousStatus) {
+    renderRepayHistory();
+    if (entry.status === previousStatus || entry.status === TLendRepayTracker.RepayStatus.REQUESTED) return;
+
+    const detail = entry.error ? `: ${entry.error.code} - ${entry.error.message}` : '';
+    logInfo(`Repay #${entry.lendId} ${entry.status}${detail}`);
+}
+
+function repayExplorerUrl(entry) {
+    const hash = entry.transaction?.hash || entry.messageHash;
+    return hash ? TLendEnvProfiles.explorerTxUrl(getProfile(), hash) : null;
+}
+
+function renderRepayHistory() {
+    const container = elements.repayHistory;
+    if (!container || !state.repayTracker) return;
+    container.innerHTML = '';
+
+    const history = state.repayTracker.history;
+    if (!history.length) {
+        container.textContent = 'No repay requests yet';
+        return;
+    }
+
+    history.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = `repay-entry ${entry.status}`;
+
+        const title = document.createElement('div');
+        title.className = 'repay-entry-title';
+        const amount = entry.amount ? ` - ${repayAmountText(entry.amount)}` : '';
+        title.textContent = `#${entry.lendId}${amount}`;
+        const status = document.createElement('span');
+        status.className = `repay-status ${entry.status}`;
+        status.textContent = entry.simulated ? `${entry.status} (simulated)` : entry.status;
+        title.appendChild(status);
+        row.appendChild(title);
+
+        const detail = document.createElement('div');
+        detail.className = 'repay-entry-detail';
+        detail.textContent = new Date(entry.requestedAt).toLocaleTimeString();
+        const url = repayExplorerUrl(entry);
+        if (url) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = truncateAddress(entry.transaction?.hash || entry.messageHash);
+            detail.append(' - ', link);
+        }
+        if (entry.error) {
+            detail.append(` - ${entry.error.code}`);
+            detail.title = entry.error.message;
+        }
+        if (entry.status === TLendRepayTracker.RepayStatus.PENDING) {
+            const check = document.createElement('button');
+            check.className = 'btn btn-small';
+            check.type = 'button';
+            check.textContent = 'Check';
+            check.addEventListener('click', () => state.repayTracker.check(entry.requestId));
+            detail.append(' ', check);
+        }
+        row.appendChild(detail);
+        container.appendChild(row);
+    });
+}
+
+function clearRepayHistory() {
+    state.repayTracker?.clear();
+    renderRepayHistory();
+    logInfo('Repayment history cleared');
+}
+
+// ============================================================================
+// Bridge Wiring
+// ============================================================================
+
+// AUTH_CHECK_RESPONSE and AUTH_RESULT are delivered through the promises
+// returned by bridge.checkAuth() / bridge.sendCredentials().
+// `overrides` replace the iframe target, e.g. with a synthetic TLend
+function createBridge(iframe, overrides = {}) {
+    state.bridge?.destroy();
+    clearRetryStatus();
+
+    const bridge = new TLendPartnerBridge({
+        iframe,
+        strictOrigin: isStrictOriginMode(),
+        allowedOrigins: getAllowedOrigins(),
+        timeouts: {
+            authCheck: CONFIG.AUTH_CHECK_TIMEOUT,
+            authCredentials: CONFIG.AUTH_CREDENTIALS_TIMEOUT,
+        },
+        validate: TLendProtocol.validateMessage,
+        ...overrides,
+    });
+    state.recorder?.attach(bridge);
+    // Before the handlers below, so they see the state their message moved to
+    state.lifecycle?.attach(bridge);
+
+    // Permissive mode only: the first sender's origin is trusted
+    bridge.on('origin', (origin) => {
+        state.tlendOrigin = origin;
+        logInfo(`Trusting TLend origin (permissive mode): ${origin}`);
+    });
+
+    bridge.on('rejected', ({ code, origin, reason, message }) => {
+        logEvent('incoming', code, { origin, reason, type: message.type }, true);
+    });
+
+    // Malformed inbound messages are answered with an INVALID_MESSAGE ERROR by the bridge
+    bridge.on('invalid', ({ direction, message, errors }) => {
+        logEvent(direction === 'inbound' ? 'incoming' : 'outgoing', message?.type || 'INVALID_MESSAGE', {
+            message,
+            errors,
+        }, true);
+    });
+
+    bridge.on('warning', ({ message, warnings }) => {
+        warnings.forEach(({ field, message: reason }) => logInfo(`Warning: ${message.type} ${field} ${reason}`));
+    });
+
+    bridge.on('message', (message) => {
+        logEvent('incoming', message.type, message);
+        stopUnresponsiveTimer();
+    });
+
+    bridge.on('send', (message) => {
+        logEvent('outgoing', message.type, message);
+    });
+    // After the log handlers, so anomalies are logged below the message they are about
+    state.metrics?.attach(bridge);
+
+    // Never sent before TLEND_LOADED (RFC 5.3): posted when it arrives, or when the wait is over
+    bridge.on('queued', (message, queuedCount) => {
+        logInfo(`${message.type} queued until TLEND_LOADED (${queuedCount} waiting)`);
+    });
 
-        case MessageTypes.AUTH_REQUEST:
-            handleAuthRequest(message);
-            break;
+    bridge.on('retry', handleRetry);
 
-        case MessageTypes.ERROR:
-            handleError(message);
-            break;
+    bridge.on(MessageTypes.TLEND_LOADED, handleTLendLoaded);
+    bridge.on(MessageTypes.TLEND_READY, handleTLendReady);
+    bridge.on(MessageTypes.AUTH_REQUEST, handleAuthRequest);
+    bridge.on(MessageTypes.ERROR, handleError);
+    bridge.onRepayRequest(handleRepayRequest);
+    state.repayTracker?.attach(bridge);
 
-        default:
-            logInfo(`Unknown message type: ${message.type}`);
+    if (state.conformance) {
+        state.conformance.attach(bridge);
+        state.conformance.startSession();
     }
+
+    state.bridge = bridge;
+    return bridge;
 }
 
 function handleTLendLoaded(message) {
     state.iframeLoaded = true;
     state.tlendVersion = message.payload?.version;
     state.tlendCapabilities = message.payload?.capabilities || [];
+    clearLoadTimers();
+    hideIframeError();
 
-    updateTLendState('LOADING');
     updateButtonStates();
 
     logInfo(`TLend loaded: v${state.tlendVersion}, capabilities: ${state.tlendCapabilities.join(', ')}`);
+    negotiateWithTLend();
 
+    if (isAutomationPaused()) return;
+    startLoadFlows();
+}
+
+// Styles, logo, then the auth check (or READY when skipping auth);
+// `onAuthCheck` runs once the AUTH_CHECK_REQUEST is sent
+function startLoadFlows(onAuthCheck) {
     // Auto-send styles and logo
     setTimeout(() => {
         sendStylesUpgrade();
@@ -987,29 +2489,56 @@ function handleTLendLoaded(message) {
     // Check if we should skip auth or send auth messages
     const skipAuth = elements.skipAuth?.value === 'yes';
     const autoReady = elements.autoReadyMode?.value;
+    const authUnsupported = tlendUnsupported(MessageTypes.AUTH_CHECK_REQUEST);
 
     if (skipAuth) {
         logInfo('Skipping auth flow (skipAuth=yes)');
         if (autoReady === 'immediate') {
             setTimeout(() => {
                 logInfo('Setting READY state immediately');
-                updateTLendState('READY');
+                forceLifecycleState('READY', 'skipAuth=yes, autoReadyMode=immediate');
             }, 500);
         }
+    } else if (authUnsupported) {
+        logInfo(`Skipping auth flow - ${authUnsupported}`);
     } else {
         // Send auth check
         setTimeout(() => {
-            sendAuthCheckRequest();
+            if (sendAuthCheckRequest()) onAuthCheck?.();
         }, 300);
     }
 }
 
+// ============================================================================
+// Protocol Negotiation (RFC 6.3)
+// ============================================================================
+
+// Compare TLEND_LOADED's version and capabilities with the types package
+function negotiateWithTLend() {
+    state.negotiation = TLendProtocol.negotiateProtocol(state.tlendVersion, state.tlendCapabilities);
+    const { version, protocolVersion, compatible, warnings } = state.negotiation;
+
+    if (!compatible) {
+        logEvent('incoming', 'Protocol version mismatch', { version, protocolVersion, warnings }, true);
+        return;
+    }
+    warnings.forEach(warning => logInfo(`Warning: ${warning}`));
+}
+
+// Why TLend cannot take a message (or one of its fields); null when it can,
+// or before TLEND_LOADED said what it supports
+function tlendUnsupported(type, field) {
+    return state.negotiation ? TLendProtocol.unsupportedReason(state.negotiation, type, field) : null;
+}
+
 function handleTLendReady(message) {
     state.iframeLoaded = true;
     updateButtonStates();
 
     logInfo(`TLend READY received - address: ${truncateAddress(message.payload?.address)}`);
 
+    if (isAutomationPaused()) return;
+
     // Check if we should send auth messages (TLend might not send TLEND_LOADED)
     const skipAuth = elements.skipAuth?.value === 'yes';
 
@@ -1027,20 +2556,679 @@ function handleTLendReady(message) {
             sendAuthCheckRequest();
         }, 400);
     } else if (skipAuth) {
-        updateTLendState('READY');
+        forceLifecycleState('READY', 'skipAuth=yes');
     } else {
         logInfo('Wallet not connected - connect wallet to send auth messages');
-        updateTLendState('READY');
     }
 }
 
 function handleError(message) {
     const { payload } = message;
-    logInfo(`ERROR from TLend: ${payload.code} - ${payload.message}`);
+    // The lifecycle moves to ERROR when it is not recoverable
+    logInfo(`ERROR from TLend: ${payload.code} - ${payload.message}${payload.recoverable ? '' : ' (not recoverable)'}`);
+}
+
+// ============================================================================
+// Load Timing (RFC 5.3)
+// ============================================================================
+
+// Called on the iframe load event; TLEND_LOADED may already be in
+function startLoadedTimer() {
+    clearLoadTimers();
+    if (!state.bridge || state.bridge.loaded) return;
+    state.loadedTimer = setTimeout(handleLoadedTimeout, CONFIG.TLEND_LOADED_TIMEOUT);
+}
+
+function clearLoadTimers() {
+    clearTimeout(state.loadedTimer);
+    state.loadedTimer = null;
+    stopUnresponsiveTimer();
+}
+
+function stopUnresponsiveTimer() {
+    clearTimeout(state.unresponsiveTimer);
+    state.unresponsiveTimer = null;
+}
+
+// No TLEND_LOADED in time: warn, send the queued messages and start the flows anyway
+function handleLoadedTimeout() {
+    state.loadedTimer = null;
+    const bridge = state.bridge;
+    if (!bridge || bridge.loaded) return;
+
+    const queued = bridge.queuedCount;
+    logInfo(`Warning: no TLEND_LOADED within ${CONFIG.TLEND_LOADED_TIMEOUT / 1000}s of the iframe load - `
+        + `sending messages anyway${queued ? ` (${queued} queued)` : ''}`);
+    bridge.flush();
+    if (state.lifecycle.state === TLendLifecycle.States.LOADING) {
+        state.lifecycle.dispatch(TLendLifecycle.Events.LOADED_TIMEOUT);
+    }
+
+    // TLEND_READY without TLEND_LOADED already started the flows
+    if (state.iframeLoaded) return;
+
+    state.iframeLoaded = true;
+    updateButtonStates();
+
+    if (isAutomationPaused()) return;
+    startLoadFlows(() => {
+        state.unresponsiveTimer = setTimeout(handleTLendUnresponsive, CONFIG.FALLBACK_AUTH_CHECK_TIMEOUT);
+    });
+}
+
+// Nothing came back from TLend after the fallback AUTH_CHECK_REQUEST
+function handleTLendUnresponsive() {
+    state.unresponsiveTimer = null;
+    logEvent('incoming', 'No reply from TLend', {
+        waited: `TLEND_LOADED ${CONFIG.TLEND_LOADED_TIMEOUT}ms, AUTH_CHECK_RESPONSE ${CONFIG.FALLBACK_AUTH_CHECK_TIMEOUT}ms`,
+    }, true);
+    state.lifecycle.dispatch(TLendLifecycle.Events.UNRESPONSIVE);
+    showIframeError('TLend is not responding. Check the TLend URL and your connection, then reload.');
+}
+
+function showIframeError(text) {
+    if (elements.iframeErrorText) elements.iframeErrorText.textContent = text;
+    if (elements.iframeError) elements.iframeError.style.display = 'flex';
+}
+
+function hideIframeError() {
+    if (elements.iframeError) elements.iframeError.style.display = 'none';
+}
+
+// ============================================================================
+// Scenarios
+// ============================================================================
+
+function isScenarioRunning() {
+    return Boolean(state.scenarioRunner?.running);
+}
+
+// Automatic flows (styles, auth, repay modal) pause while a scenario or an
+// iframe replay drives the session; a synthetic TLend replay needs them
+function isAutomationPaused() {
+    return isScenarioRunning() || Boolean(state.replay?.running && state.replay.target === 'iframe');
+}
+
+function getScenarioVariables() {
+    const wallet = state.walletAddress || CONFIG.SCENARIO_TEST_WALLETS[0];
+    const otherWallet = CONFIG.SCENARIO_TEST_WALLETS.find(address => address !== wallet);
+    const theme = elements.partnerTheme?.value || 'dark';
+
+    return {
+        wallet,
+        otherWallet,
+        partnerId: elements.partnerId?.value || 'partner_xyz',
+        partnerName: elements.partnerName?.value || 'Partner Finance',
+        theme,
+        styles: getPartnerStyles(),
+        combinedLogoUrl: getLogoUrl('combinedLogoUrl')
+            || new URL(`logo-combined-${theme}.svg`, window.location.href).href,
+        credentials: getAuthCredentials(wallet),
+        otherCredentials: generateMockTonProof(otherWallet),
+        mockTransactionHash: Array.from({ length: 32 }, () =>
+            Math.floor(Math.random() * 256).toString(16).padStart(2, '0')
+        ).join(''),
+    };
+}
+
+function getScenarioRunner() {
+    if (!state.scenarioRunner) {
+        state.scenarioRunner = new ScenarioRunner({
+            getBridge: () => state.bridge,
+            variables: getScenarioVariables,
+            setState: newState => forceLifecycleState(newState, 'scenario step'),
+            reload: reloadIframe,
+            onStep: renderScenarioStep,
+        });
+    }
+    return state.scenarioRunner;
+}
+
+function populateScenarioSelect() {
+    const select = elements.scenarioSelect;
+    if (!select) return;
+
+    const options = [
+        ...BUILTIN_SCENARIOS.map(scenario => [scenario.id, scenario.name]),
+        ['all', 'All phases (1-5)'],
+        ['custom', 'Custom (JSON)'],
+    ];
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+function getSelectedScenarios() {
+    const selected = elements.scenarioSelect?.value;
+
+    if (selected === 'all') {
+        return BUILTIN_SCENARIOS;
+    }
+    if (selected === 'custom') {
+        const scenario = JSON.parse(elements.scenarioJson?.value || '');
+        const problems = ScenarioRunner.validateScenario(scenario);
+        if (problems.length) {
+            throw new Error(`Invalid scenario: ${problems.join('; ')}`);
+        }
+        return [scenario];
+    }
+    return BUILTIN_SCENARIOS.filter(scenario => scenario.id === selected);
+}
+
+function runSelectedScenario() {
+    let scenarios;
+    try {
+        scenarios = getSelectedScenarios();
+    } catch (error) {
+        logInfo(`Cannot run scenario: ${error.message}`);
+        return;
+    }
+    runScenarios(scenarios);
+}
+
+// Runs scenarios one after another; resolves with their reports
+async function runScenarios(scenarios) {
+    const reports = [];
+    const runner = getScenarioRunner();
+    // Mock credentials in scenario variables carry the current payload
+    await ensureProofPayload();
+    if (elements.scenarioReport) {
+        elements.scenarioReport.innerHTML = '';
+    }
+
+    for (const scenario of scenarios) {
+        logInfo(`Scenario started: ${scenario.name}`);
+        const container = createScenarioReport(scenario);
+
+        let report;
+        const running = runner.run(scenario);
+        updateButtonStates();
+        try {
+            report = await running;
+        } catch (error) {
+            logInfo(`Scenario failed to start: ${error.message}`);
+            break;
+        } finally {
+            updateButtonStates();
+        }
+
+        renderScenarioSummary(container, report);
+        logInfo(`Scenario ${report.passed ? 'passed' : 'failed'}: ${scenario.name}`);
+        reports.push(report);
+
+        if (runner.stopped) break;
+    }
+    return reports;
+}
+
+function stopScenario() {
+    state.scenarioRunner?.stop();
+    logInfo('Scenario stopped');
+}
+
+function createScenarioReport(scenario) {
+    const container = document.createElement('div');
+    container.className = 'scenario-run';
+
+    const title = document.createElement('div');
+    title.className = 'scenario-summary';
+    title.textContent = `${scenario.name} - running...`;
+    container.appendChild(title);
+
+    scenario.steps.forEach((step, index) => {
+        const row = document.createElement('div');
+        row.className = 'scenario-step skipped';
+        row.dataset.index = index;
+        container.appendChild(row);
+    });
+
+    elements.scenarioReport?.appendChild(container);
+    return container;
+}
+
+const SCENARIO_STATUS_ICONS = {
+    running: '…',
+    pass: '✓',
+    fail: '✗',
+    warn: '!',
+    skipped: '-',
+};
+
+function renderScenarioStep(result) {
+    const runs = elements.scenarioReport?.querySelectorAll('.scenario-run');
+    const row = runs?.[runs.length - 1]?.querySelector(`.scenario-step[data-index="${result.index}"]`);
+    if (!row) return;
+
+    row.className = `scenario-step ${result.status}`;
+    row.innerHTML = '';
+
+    const status = document.createElement('span');
+    status.className = 'scenario-step-status';
+    status.textContent = SCENARIO_STATUS_ICONS[result.status] || '';
+
+    const label = document.createElement('span');
+    label.className = 'scenario-step-label';
+    label.textContent = result.label;
+
+    const time = document.createElement('span');
+    time.className = 'scenario-step-time';
+    time.textContent = result.status === 'running' ? '' : `${result.durationMs}ms`;
+
+    row.append(status, label, time);
+
+    if (result.detail) {
+        const detail = document.createElement('div');
+        detail.className = 'scenario-step-detail';
+        detail.textContent = result.detail;
+        row.appendChild(detail);
+    }
+}
+
+function renderScenarioSummary(container, report) {
+    report.steps.forEach(renderScenarioStep);
+
+    const passed = report.steps.filter(step => step.status === 'pass').length;
+    const title = container.querySelector('.scenario-summary');
+    title.className = `scenario-summary ${report.passed ? 'pass' : 'fail'}`;
+    title.textContent = `${report.scenario.name} - ${report.passed ? 'PASSED' : 'FAILED'} `
+        + `(${passed}/${report.steps.length} steps, ${(report.durationMs / 1000).toFixed(1)}s)`;
+}
+
+// ============================================================================
+// Conformance
+// ============================================================================
+
+// Watches every message from TLend and flags RFC violations
+function setConformanceMode(enabled) {
+    if (!enabled) {
+        state.conformance?.detach();
+        state.conformance = null;
+        renderConformanceReport();
+        logInfo('Conformance mode off');
+        return;
+    }
+
+    state.conformance = new ConformanceChecker({
+        onViolation: (violation) => {
+            logEvent('incoming', `RFC ${violation.section} violation: ${violation.rule}`, {
+                detail: violation.detail,
+                message: violation.message,
+            }, true);
+        },
+        onUpdate: renderConformanceReport,
+    });
+
+    if (state.bridge) {
+        state.conformance.attach(state.bridge);
+        // Joined mid-session: TLEND_LOADED and AUTH_RESULT may already be behind us
+        state.conformance.startSession({
+            resumed: state.iframeLoaded,
+            authenticatedAddress: state.lifecycle.state === TLendLifecycle.States.READY ? state.walletAddress : null,
+        });
+    }
+    renderConformanceReport();
+    logInfo('Conformance mode on: TLend messages are checked against the RFC');
+}
+
+function resetConformance() {
+    if (!state.conformance) return;
+    state.conformance.reset();
+    state.conformance.startSession({ resumed: state.iframeLoaded });
+    renderConformanceReport();
+}
+
+function exportConformanceReport() {
+    if (!state.conformance) return;
+
+    const report = state.conformance.report();
+    downloadFile(`tlend-conformance-${fileTimestamp(report.startedAt)}.json`, JSON.stringify(report, null, 2));
+}
+
+function renderConformanceReport() {
+    const container = elements.conformanceReport;
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (elements.exportConformanceBtn) elements.exportConformanceBtn.disabled = !state.conformance;
+    if (elements.resetConformanceBtn) elements.resetConformanceBtn.disabled = !state.conformance;
+    if (!state.conformance) return;
+
+    const report = state.conformance.report();
+    const checked = report.rules.filter(rule => rule.status !== 'not_checked');
+    const failed = checked.filter(rule => rule.status === 'fail');
+
+    const summary = document.createElement('div');
+    summary.className = `conformance-score ${failed.length ? 'fail' : 'pass'}`;
+    summary.textContent = report.score === null
+        ? 'No TLend messages checked yet'
+        : `Score ${report.score}/100 - ${checked.length - failed.length}/${checked.length} rules passed, `
+            + `${report.violations.length} violation(s) in ${report.messages} message(s)`;
+    container.appendChild(summary);
+
+    // Newest first, like the event log
+    [...report.violations].reverse().forEach(violation => {
+        const item = document.createElement('details');
+        item.className = `conformance-violation ${violation.severity}`;
+
+        const title = document.createElement('summary');
+        title.textContent = `§${violation.section} ${violation.title}`;
+
+        const detail = document.createElement('div');
+        detail.className = 'conformance-detail';
+        detail.textContent = violation.detail;
+
+        const message = document.createElement('pre');
+        message.className = 'conformance-message';
+        message.textContent = JSON.stringify(violation.message, null, 2);
+
+        item.append(title, detail, message);
+        container.appendChild(item);
+    });
+}
+
+// ============================================================================
+// Session Trace
+// ============================================================================
+
+function createRecorder() {
+    return new SessionRecorder({
+        meta: () => ({
+            tlendUrl: elements.tlendUrl?.value || null,
+            env: state.profiles?.activeName || null,
+            partnerId: elements.partnerId?.value || null,
+            originMode: isStrictOriginMode() ? 'strict' : 'permissive',
+            userAgent: navigator.userAgent,
+        }),
+        onRecord: renderTraceInfo,
+    });
+}
+
+function exportTrace(format) {
+    const trace = state.recorder.snapshot();
+    const name = `tlend-session-${fileTimestamp(trace.recordedAt)}`;
+    if (format === 'ndjson') {
+        downloadFile(`${name}.ndjson`, state.recorder.exportNDJSON(), 'application/x-ndjson');
+    } else {
+        downloadFile(`${name}.json`, state.recorder.exportJSON());
+    }
+    logInfo(`Exported session trace (${trace.entries.length} entries) as ${format.toUpperCase()}`);
+}
+
+async function importTrace(file) {
+    try {
+        const trace = SessionRecorder.parse(await file.text());
+        state.replayTrace = { name: file.name, trace };
+        logInfo(`Imported session trace ${file.name} (${trace.entries.length} entries)`);
+    } catch (error) {
+        logInfo(`Cannot import ${file.name}: ${error.message}`);
+    }
+    renderTraceInfo();
+}
+
+function newTrace() {
+    state.recorder.clear();
+    state.replayTrace = null;
+    logInfo('Started a new session trace');
+    renderTraceInfo();
+}
+
+// Replays the imported trace, or what was recorded so far; the replay itself
+// is recorded as a new trace so it can be exported and compared
+async function replayTrace() {
+    const source = state.replayTrace || { name: 'recorded session', trace: state.recorder.snapshot() };
+    if (!source.trace.entries.some(entry => entry.direction !== 'meta')) {
+        logInfo('Nothing to replay: the session trace is empty');
+        return;
+    }
+
+    const target = elements.replayTarget?.value || 'iframe';
+    const options = {
+        trace: source.trace,
+        onProgress: ({ index, total, entry, status }) => {
+            if (elements.replayReport) {
+                elements.replayReport.textContent = `${status} ${entry.message.type} (${index + 1}/${total})`;
+            }
+        },
+    };
+
+    state.replayTrace = source;
+    state.recorder.clear();
+    state.recorder.mark('replay', { source: source.name, target });
+
+    let runner;
+    let unsubscribers = [];
+    if (target === 'synthetic') {
+        runner = startSyntheticTLend(source, options);
+    } else {
+        // Invalid messages from the iframe still count as what it answered
+        runner = new TraceReplay({
+            ...options,
+            role: 'partner',
+            send: (message) => state.bridge.send(message, { validate: false }),
+            reload: reloadIframe,
+        });
+        unsubscribers = [
+            state.bridge.on('message', (message) => runner.observe(message)),
+            state.bridge.on('invalid', ({ direction, message }) => {
+                if (direction === 'inbound') runner.observe(message);
+            }),
+        ];
+    }
+
+    state.replay = { target, runner, get running() { return runner.running; } };
+    logInfo(`Replaying ${source.name} against ${target === 'synthetic' ? 'a synthetic TLend' : 'a fresh iframe'}`);
+
+    const running = runner.run();
+    updateButtonStates();
+    const report = await running;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    updateButtonStates();
+
+    renderReplayReport(report);
+    logInfo(`Replay ${report.matches ? 'matched the recording' : report.stopped ? 'stopped' : 'diverged from the recording'}`);
+    return report;
+}
+
+// The partner mock talks to a stand-in that plays back the recorded TLend side
+function startSyntheticTLend(source, options) {
+    const { tlend, replay } = createSyntheticReplay(source.trace, options);
+
+    if (elements.iframeContainer) {
+        // The file name and origin come from the recording: set them as text
+        const placeholder = document.createElement('div');
+        placeholder.className = 'iframe-placeholder';
+        const text = document.createElement('p');
+        text.textContent = `Synthetic TLend (${tlend.origin}) is replaying ${source.name}`;
+        placeholder.appendChild(text);
+        elements.iframeContainer.innerHTML = '';
+        elements.iframeContainer.appendChild(placeholder);
+    }
+    state.iframeLoaded = false;
+    state.tlendOrigin = tlend.origin;
+    state.negotiation = null;
+
+    createBridge(null, {
+        targetWindow: tlend,
+        listenWindow: tlend,
+        targetOrigin: tlend.origin,
+        allowedOrigins: [tlend.origin],
+        strictOrigin: true,
+    });
+    state.lifecycle.load();
+    return replay;
+}
+
+function stopReplay() {
+    state.replay?.runner.stop();
+    logInfo('Replay stopped');
+}
+
+function renderTraceInfo() {
+    if (!elements.traceInfo) return;
+    const source = state.replayTrace ? `Replays: ${state.replayTrace.name} (${state.replayTrace.trace.entries.length} entries)` : 'Replays: the recording';
+    elements.traceInfo.textContent = `${state.recorder?.size || 0} entries recorded - ${source}`;
+}
+
+function renderReplayReport(report) {
+    const container = elements.replayReport;
+    if (!container) return;
+    container.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = `scenario-summary ${report.matches ? 'pass' : 'fail'}`;
+    summary.textContent = `${report.matches ? 'MATCHED' : report.stopped ? 'STOPPED' : 'DIVERGED'} - `
+        + `${report.replayed} replayed, ${report.skipped.length} skipped, ${(report.durationMs / 1000).toFixed(1)}s`;
+    container.appendChild(summary);
+
+    const lines = [
+        `Expected: ${report.expected.join(', ') || '-'}`,
+        `Observed: ${report.observed.join(', ') || '-'}`,
+    ];
+    if (report.diverged !== null) {
+        lines.push(`First difference at #${report.diverged + 1}: expected ${report.expected[report.diverged] || 'nothing'}, `
+            + `got ${report.observed[report.diverged] || 'nothing'}`);
+    }
+    report.skipped.forEach(({ seq, type, reason }) => lines.push(`Skipped entry ${seq} (${type}): ${reason}`));
+
+    lines.forEach(text => {
+        const line = document.createElement('div');
+        line.className = 'replay-line';
+        line.textContent = text;
+        container.appendChild(line);
+    });
+}
 
-    if (!payload.recoverable) {
-        updateTLendState('ERROR');
+// ============================================================================
+// Latency Metrics
+// ============================================================================
+
+function createLatencyMetrics() {
+    return new TLendLatencyMetrics.LatencyMetrics({
+        timeouts: {
+            AUTH_CHECK: CONFIG.AUTH_CHECK_TIMEOUT,
+            AUTH_CREDENTIALS: CONFIG.AUTH_CREDENTIALS_TIMEOUT,
+            REPAY: CONFIG.REPAY_TIMEOUT,
+        },
+        meta: () => ({
+            tlendUrl: elements.tlendUrl?.value || null,
+            env: state.profiles?.activeName || null,
+            tlendVersion: state.tlendVersion,
+            tlendCapabilities: state.tlendCapabilities,
+            partnerId: elements.partnerId?.value || null,
+            userAgent: navigator.userAgent,
+        }),
+        onUpdate: renderLatencyMetrics,
+        onAnomaly: handleLatencyAnomaly,
+    });
+}
+
+// Timeouts are already reported by the request's own handler
+function handleLatencyAnomaly(anomaly) {
+    if (anomaly.kind === TLendLatencyMetrics.AnomalyKinds.TIMEOUT) return;
+    const pair = TLendLatencyMetrics.Pairs[anomaly.pair];
+    const isRequest = anomaly.type === pair.request;
+    const inbound = (pair.direction === 'in') === isRequest;
+    logEvent(inbound ? 'incoming' : 'outgoing', `${anomaly.type} (${anomaly.kind} requestId)`, {
+        requestId: anomaly.requestId,
+        reason: anomaly.reason,
+    }, true);
+}
+
+function formatLatency(ms) {
+    if (ms === null || ms === undefined) return '-';
+    return ms < 10 ? `${ms.toFixed(1)}ms` : `${Math.round(ms)}ms`;
+}
+
+function formatLatencyDelta(ms) {
+    if (ms === null) return '';
+    return ` (${ms > 0 ? '+' : ''}${formatLatency(ms)})`;
+}
+
+function renderLatencyMetrics() {
+    const container = elements.latencyMetrics;
+    if (!container || !state.metrics) return;
+    container.innerHTML = '';
+
+    const summary = state.metrics.summary();
+    const comparison = state.metricsBaseline
+        ? TLendLatencyMetrics.compare(state.metricsBaseline.metrics, { pairs: summary })
+        : null;
+
+    const table = document.createElement('table');
+    table.className = 'latency-table';
+    const header = table.createTHead().insertRow();
+    ['Round trip', 'n', 'p50', 'p95', 'max', 'Timeouts', 'Errors', 'Orphans', 'Dups'].forEach(label => {
+        const cell = document.createElement('th');
+        cell.textContent = label;
+        header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    Object.entries(summary).forEach(([name, stats]) => {
+        const row = body.insertRow();
+        const delta = comparison?.[name];
+        const pending = stats.pending ? ` +${stats.pending}` : '';
+        [
+            name,
+            `${stats.count}${pending}`,
+            formatLatency(stats.p50) + (delta ? formatLatencyDelta(delta.p50Delta) : ''),
+            formatLatency(stats.p95) + (delta ? formatLatencyDelta(delta.p95Delta) : ''),
+            formatLatency(stats.max),
+            stats.late ? `${stats.timeouts} (${stats.late} late)` : String(stats.timeouts),
+            String(stats.errors),
+            String(stats.orphans),
+            String(stats.duplicates),
+        ].forEach((text, index) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (index >= 5 && text !== '0') cell.className = 'latency-bad';
+        });
+    });
+    container.appendChild(table);
+
+    const note = document.createElement('div');
+    note.className = 'replay-line';
+    note.textContent = state.metricsBaseline
+        ? `Compared with ${state.metricsBaseline.name} (${state.metricsBaseline.metrics.meta?.tlendUrl || 'unknown build'})`
+        : 'n counts answered requests, +n those still waiting';
+    container.appendChild(note);
+
+    const anomalies = elements.latencyAnomalies;
+    if (!anomalies) return;
+    anomalies.innerHTML = '';
+    state.metrics.anomalies.slice(0, 5).forEach(anomaly => {
+        const line = document.createElement('div');
+        line.className = `replay-line latency-anomaly ${anomaly.kind}`;
+        line.textContent = `${new Date(anomaly.at).toLocaleTimeString()} ${anomaly.kind}: ${anomaly.reason}`;
+        anomalies.appendChild(line);
+    });
+}
+
+function exportLatencyMetrics() {
+    const metrics = state.metrics.snapshot();
+    downloadFile(`tlend-latency-${fileTimestamp(metrics.exportedAt)}.json`, JSON.stringify(metrics, null, 2));
+    const answered = Object.values(metrics.pairs).reduce((sum, stats) => sum + stats.count, 0);
+    logInfo(`Exported latency metrics (${answered} round trips)`);
+}
+
+// An earlier export, e.g. of another staging build, shown as p50/p95 deltas
+async function importLatencyBaseline(file) {
+    try {
+        state.metricsBaseline = { name: file.name, metrics: TLendLatencyMetrics.parse(await file.text()) };
+        logInfo(`Comparing latency with ${file.name}`);
+    } catch (error) {
+        logInfo(`Cannot import ${file.name}: ${error.message}`);
     }
+    renderLatencyMetrics();
+}
+
+function resetLatencyMetrics() {
+    state.metricsBaseline = null;
+    state.metrics.reset();
+    logInfo('Reset latency metrics');
 }
 
 // ============================================================================
@@ -1062,11 +3250,22 @@ function loadIframe() {
 
     // Reset state
     state.iframeLoaded = false;
-    state.tlendState = null;
     state.tlendOrigin = null;
     state.tlendVersion = null;
     state.tlendCapabilities = [];
-    state.pendingRequests.clear();
+    state.negotiation = null;
+    clearLoadTimers();
+    hideIframeError();
+
+    if (isStrictOriginMode()) {
+        const origin = TLendPartnerBridge.originOf(url);
+        if (!getAllowedOrigins().includes(origin)) {
+            logInfo(`Warning: ${origin} is not an allowed TLend origin - its messages will be rejected (strict mode)`);
+        }
+        state.tlendOrigin = origin;
+    } else {
+        logInfo('Permissive origin mode: trusting the first sender (dev only)');
+    }
 
     // Create iframe
     const iframe = document.createElement('iframe');
@@ -1077,31 +3276,19 @@ function loadIframe() {
     iframe.style.minHeight = '600px';
     iframe.style.border = 'none';
 
-    // Handle iframe load event (for when TLend doesn't send TLEND_LOADED)
+    // Handle iframe load event (for when TLend doesn't send TLEND_LOADED, RFC 5.3)
     iframe.onload = () => {
-        const autoReady = elements.autoReadyMode?.value;
-        const skipAuth = elements.skipAuth?.value === 'yes';
-
         if (!state.iframeLoaded) {
-            logInfo('Iframe loaded (no TLEND_LOADED received yet)');
-
-            // If in immediate mode and skipAuth, set ready after a short delay
-            if (autoReady === 'immediate' && skipAuth) {
-                setTimeout(() => {
-                    if (!state.iframeLoaded) {
-                        state.iframeLoaded = true;
-                        updateButtonStates();
-                        logInfo('Auto-setting READY (iframe loaded, immediate mode)');
-                        updateTLendState('READY');
-                    }
-                }, 2000);
-            }
+            logInfo(`Iframe loaded (no TLEND_LOADED received yet) - waiting ${CONFIG.TLEND_LOADED_TIMEOUT / 1000}s`);
         }
+        startLoadedTimer();
     };
 
     container.appendChild(iframe);
+    state.recorder?.mark('load', { url });
+    createBridge(iframe);
 
-    updateTLendState('LOADING');
+    state.lifecycle.load();
     updateButtonStates(); // Enable manual buttons now that iframe exists
     logInfo(`Loading TLend iframe: ${url}`);
 }
@@ -1111,18 +3298,27 @@ function reloadIframe() {
     if (iframe) {
         // Reset state
         state.iframeLoaded = false;
-        state.tlendState = null;
-        state.pendingRequests.clear();
+        if (!state.bridge?.strictOrigin) {
+            state.tlendOrigin = null;
+        }
+        state.negotiation = null;
+        clearLoadTimers();
+        hideIframeError();
+        state.bridge?.reset();
+        state.conformance?.startSession();
+        state.recorder?.mark('reload', { url: iframe.src });
+        state.metrics?.startSession();
+        clearRetryStatus();
 
         iframe.src = iframe.src;
-        updateTLendState('LOADING');
+        state.lifecycle.load();
         logInfo('Reloading iframe');
     }
 }
 
 function forceSetReady() {
     state.iframeLoaded = true;
-    updateTLendState('READY');
+    forceLifecycleState('READY', 'Force READY button');
     updateButtonStates();
     logInfo('Manually set to READY state');
 }
@@ -1134,6 +3330,7 @@ function forceSetReady() {
 function initializeElements() {
     elements = {
         // Config inputs
+        envProfile: document.getElementById('envProfile'),
         tlendUrl: document.getElementById('tlendUrl'),
         partnerId: document.getElementById('partnerId'),
         partnerName: document.getElementById('partnerName'),
@@ -1143,24 +3340,107 @@ function initializeElements() {
         logoHeight: document.getElementById('logoHeight'),
         autoReadyMode: document.getElementById('autoReadyMode'),
         skipAuth: document.getElementById('skipAuth'),
+        originMode: document.getElementById('originMode'),
+        allowedOrigins: document.getElementById('allowedOrigins'),
+        payloadStrategy: document.getElementById('payloadStrategy'),
+        backendUrl: document.getElementById('backendUrl'),
+        manifestUrl: document.getElementById('manifestUrl'),
+        explorerUrl: document.getElementById('explorerUrl'),
+        chain: document.getElementById('chain'),
+        hmacSecret: document.getElementById('hmacSecret'),
+        hmacSecretItem: document.getElementById('hmacSecretItem'),
+        walletMode: document.getElementById('walletMode'),
+        testWalletInfo: document.getElementById('testWalletInfo'),
+        resetTestWalletBtn: document.getElementById('resetTestWalletBtn'),
 
         // Buttons
         loadIframeBtn: document.getElementById('loadIframeBtn'),
         reloadIframeBtn: document.getElementById('reloadIframeBtn'),
+        iframeErrorReloadBtn: document.getElementById('iframeErrorReloadBtn'),
+        copyShareLinkBtn: document.getElementById('copyShareLinkBtn'),
+        shareAutoload: document.getElementById('shareAutoload'),
         sendStylesBtn: document.getElementById('sendStylesBtn'),
         sendLogoBtn: document.getElementById('sendLogoBtn'),
         sendAuthCheckBtn: document.getElementById('sendAuthCheckBtn'),
         sendAuthCredsBtn: document.getElementById('sendAuthCredsBtn'),
         sendDisconnectBtn: document.getElementById('sendDisconnectBtn'),
         setReadyBtn: document.getElementById('setReadyBtn'),
+        runScenarioBtn: document.getElementById('runScenarioBtn'),
+        stopScenarioBtn: document.getElementById('stopScenarioBtn'),
         clearLogBtn: document.getElementById('clearLogBtn'),
 
+        // Theme designer
+        savedThemes: document.getElementById('savedThemes'),
+        themeName: document.getElementById('themeName'),
+        saveThemeBtn: document.getElementById('saveThemeBtn'),
+        deleteThemeBtn: document.getElementById('deleteThemeBtn'),
+        exportThemeBtn: document.getElementById('exportThemeBtn'),
+        importThemeBtn: document.getElementById('importThemeBtn'),
+        resetThemeBtn: document.getElementById('resetThemeBtn'),
+        themeFile: document.getElementById('themeFile'),
+        partnerLogoUrl: document.getElementById('partnerLogoUrl'),
+        combinedLogoUrl: document.getElementById('combinedLogoUrl'),
+        partnerLogoUrlSource: document.getElementById('partnerLogoUrlSource'),
+        combinedLogoUrlSource: document.getElementById('combinedLogoUrlSource'),
+        partnerLogoFile: document.getElementById('partnerLogoFile'),
+        combinedLogoFile: document.getElementById('combinedLogoFile'),
+        uploadPartnerLogoBtn: document.getElementById('uploadPartnerLogoBtn'),
+        uploadCombinedLogoBtn: document.getElementById('uploadCombinedLogoBtn'),
+        logoServeMode: document.getElementById('logoServeMode'),
+        logoBlockOnInvalid: document.getElementById('logoBlockOnInvalid'),
+        checkLogoBtn: document.getElementById('checkLogoBtn'),
+        logoReport: document.getElementById('logoReport'),
+        repayHistory: document.getElementById('repayHistory'),
+        clearRepaysBtn: document.getElementById('clearRepaysBtn'),
+        repayQueuePolicy: document.getElementById('repayQueuePolicy'),
+        repaySimulation: document.getElementById('repaySimulation'),
+        themeLivePreview: document.getElementById('themeLivePreview'),
+        themeBlockOnLint: document.getElementById('themeBlockOnLint'),
+        themeLint: document.getElementById('themeLint'),
+        themeVariables: document.getElementById('themeVariables'),
+        themeNewVariable: document.getElementById('themeNewVariable'),
+        addThemeVariableBtn: document.getElementById('addThemeVariableBtn'),
+
         // Containers
         iframeContainer: document.getElementById('iframeContainer'),
         iframeStatus: document.getElementById('iframeStatus'),
+        iframeError: document.getElementById('iframeError'),
+        iframeErrorText: document.getElementById('iframeErrorText'),
+        lifecycleDiagram: document.getElementById('lifecycleDiagram'),
+        lifecycleHistory: document.getElementById('lifecycleHistory'),
+        retryStatus: document.getElementById('retryStatus'),
         walletSection: document.getElementById('walletSection'),
         eventLog: document.getElementById('eventLog'),
 
+        // Scenarios
+        scenarioSelect: document.getElementById('scenarioSelect'),
+        scenarioJson: document.getElementById('scenarioJson'),
+        scenarioReport: document.getElementById('scenarioReport'),
+
+        // Session trace
+        traceInfo: document.getElementById('traceInfo'),
+        traceFile: document.getElementById('traceFile'),
+        exportTraceJsonBtn: document.getElementById('exportTraceJsonBtn'),
+        exportTraceNdjsonBtn: document.getElementById('exportTraceNdjsonBtn'),
+        importTraceBtn: document.getElementById('importTraceBtn'),
+        newTraceBtn: document.getElementById('newTraceBtn'),
+        latencyMetrics: document.getElementById('latencyMetrics'),
+        latencyAnomalies: document.getElementById('latencyAnomalies'),
+        latencyBaselineFile: document.getElementById('latencyBaselineFile'),
+        exportLatencyBtn: document.getElementById('exportLatencyBtn'),
+        compareLatencyBtn: document.getElementById('compareLatencyBtn'),
+        resetLatencyBtn: document.getElementById('resetLatencyBtn'),
+        replayTarget: document.getElementById('replayTarget'),
+        replayTraceBtn: document.getElementById('replayTraceBtn'),
+        stopReplayBtn: document.getElementById('stopReplayBtn'),
+        replayReport: document.getElementById('replayReport'),
+
+        // Conformance
+        conformanceMode: document.getElementById('conformanceMode'),
+        conformanceReport: document.getElementById('conformanceReport'),
+        exportConformanceBtn: document.getElementById('exportConformanceBtn'),
+        resetConformanceBtn: document.getElementById('resetConformanceBtn'),
+
         // Repay
         repayPanel: document.getElementById('repayPanel'),
         repayDetails: document.getElementById('repayDetails'),
@@ -1180,6 +3460,14 @@ function bindEventListeners() {
     // Config actions
     elements.loadIframeBtn?.addEventListener('click', loadIframe);
     elements.reloadIframeBtn?.addEventListener('click', reloadIframe);
+    elements.iframeErrorReloadBtn?.addEventListener('click', reloadIframe);
+    elements.copyShareLinkBtn?.addEventListener('click', copyShareLink);
+
+    // Environment profiles
+    elements.envProfile?.addEventListener('change', () => selectProfile(elements.envProfile.value));
+    Object.values(PROFILE_INPUTS).forEach(key => {
+        elements[key]?.addEventListener('change', updateCustomProfile);
+    });
 
     // Manual actions
     elements.sendStylesBtn?.addEventListener('click', sendStylesUpgrade);
@@ -1189,6 +3477,44 @@ function bindEventListeners() {
     elements.sendDisconnectBtn?.addEventListener('click', () => sendDisconnect('user_initiated'));
     elements.setReadyBtn?.addEventListener('click', forceSetReady);
 
+    // Scenarios
+    elements.runScenarioBtn?.addEventListener('click', runSelectedScenario);
+    elements.stopScenarioBtn?.addEventListener('click', stopScenario);
+    elements.scenarioSelect?.addEventListener('change', () => {
+        if (elements.scenarioJson) {
+            elements.scenarioJson.style.display = elements.scenarioSelect.value === 'custom' ? 'block' : 'none';
+        }
+    });
+
+    // Conformance
+    elements.conformanceMode?.addEventListener('change', () => {
+        setConformanceMode(elements.conformanceMode.checked);
+    });
+    elements.exportConformanceBtn?.addEventListener('click', exportConformanceReport);
+    elements.resetConformanceBtn?.addEventListener('click', resetConformance);
+
+    // Session trace
+    elements.exportTraceJsonBtn?.addEventListener('click', () => exportTrace('json'));
+    elements.exportTraceNdjsonBtn?.addEventListener('click', () => exportTrace('ndjson'));
+    elements.importTraceBtn?.addEventListener('click', () => elements.traceFile?.click());
+    elements.traceFile?.addEventListener('change', () => {
+        const [file] = elements.traceFile.files;
+        if (file) importTrace(file);
+        elements.traceFile.value = '';
+    });
+    elements.newTraceBtn?.addEventListener('click', newTrace);
+    elements.exportLatencyBtn?.addEventListener('click', exportLatencyMetrics);
+    elements.compareLatencyBtn?.addEventListener('click', () => elements.latencyBaselineFile?.click());
+    elements.latencyBaselineFile?.addEventListener('change', () => {
+        const [file] = elements.latencyBaselineFile.files;
+        if (file) importLatencyBaseline(file);
+        elements.latencyBaselineFile.value = '';
+    });
+    elements.resetLatencyBtn?.addEventListener('click', resetLatencyMetrics);
+    elements.replayTarget?.addEventListener('change', updateButtonStates);
+    elements.replayTraceBtn?.addEventListener('click', replayTrace);
+    elements.stopReplayBtn?.addEventListener('click', stopReplay);
+
     // Log
     elements.clearLogBtn?.addEventListener('click', () => {
         if (elements.eventLog) {
@@ -1210,29 +3536,114 @@ function bindEventListeners() {
         approveRepayRequest();
     });
 
-    // Message listener
-    window.addEventListener('message', handleMessage);
+    // Wallet mode
+    elements.walletMode?.addEventListener('change', () => {
+        if (elements.walletMode.value === 'test') {
+            connectTestWallet();
+        } else {
+            disconnectTestWallet();
+        }
+    });
+    elements.resetTestWalletBtn?.addEventListener('click', resetTestWallet);
+
+    // Proof payload strategy (RFC 12.3)
+    elements.payloadStrategy?.addEventListener('change', () => {
+        updatePayloadConfig();
+        prepareProofPayload();
+    });
+    elements.hmacSecret?.addEventListener('change', () => {
+        if (getPayloadStrategy() === TLendProofPayload.PayloadStrategies.HMAC) {
+            prepareProofPayload();
+        }
+    });
+
+    // Theme designer
+    elements.savedThemes?.addEventListener('change', () => loadSavedTheme(elements.savedThemes.value));
+    elements.saveThemeBtn?.addEventListener('click', saveTheme);
+    elements.deleteThemeBtn?.addEventListener('click', deleteSavedTheme);
+    elements.exportThemeBtn?.addEventListener('click', exportTheme);
+    elements.resetThemeBtn?.addEventListener('click', resetTheme);
+    elements.addThemeVariableBtn?.addEventListener('click', addThemeVariable);
+    elements.importThemeBtn?.addEventListener('click', () => elements.themeFile?.click());
+    elements.themeFile?.addEventListener('change', () => {
+        const [file] = elements.themeFile.files;
+        if (file) importTheme(file);
+        elements.themeFile.value = '';
+    });
+
+    // Logo assets
+    [
+        ['partnerLogoUrl', elements.uploadPartnerLogoBtn, elements.partnerLogoFile],
+        ['combinedLogoUrl', elements.uploadCombinedLogoBtn, elements.combinedLogoFile],
+    ].forEach(([field, button, input]) => {
+        button?.addEventListener('click', () => input?.click());
+        input?.addEventListener('change', () => {
+            const [file] = input.files;
+            if (file) uploadLogo(field, file);
+            input.value = '';
+        });
+        // Typing a URL replaces an uploaded logo
+        elements[field]?.addEventListener('input', () => clearLogoUpload(field));
+    });
+    elements.logoServeMode?.addEventListener('change', async () => {
+        await Promise.all(Object.values(state.logoUploads).map(serveLogoUpload));
+        renderLogoSources();
+    });
+    elements.checkLogoBtn?.addEventListener('click', () => checkLogo(getLogoConfig()));
+
+    // Repayments
+    elements.clearRepaysBtn?.addEventListener('click', clearRepayHistory);
 
     // Theme change
     elements.partnerTheme?.addEventListener('change', () => {
+        const logoChanged = followThemeLogo();
+        if (isDefaultTheme()) {
+            state.themeStyles = TLendPartnerThemes.defaultStyles(elements.partnerTheme.value);
+            renderThemeDesigner();
+        } else {
+            renderThemeLint();
+        }
         if (state.iframeLoaded) {
             sendStylesUpgrade();
+            if (logoChanged) sendSetLogo();
         }
     });
 }
 
 async function initialize() {
     initializeElements();
+    initProfiles();
+    const autoload = restoreSharedConfig();
+    followThemeLogo();
+    initThemeDesigner();
+    initRepayTracker();
+    initLifecycle();
+    state.recorder = createRecorder();
+    state.metrics = createLatencyMetrics();
+    updatePayloadConfig();
+    renderTestWalletInfo();
+    populateScenarioSelect();
     bindEventListeners();
     updateButtonStates();
+    renderConformanceReport();
+    renderTraceInfo();
+    renderLatencyMetrics();
 
     // Initialize TON Connect UI
     await initTonConnect();
+    if (elements.walletMode?.value === 'test') {
+        await connectTestWallet();
+    }
 
     logInfo('Partner Mock Test Stand initialized (RFC v2.2.0)');
     logInfo('1. Connect wallet with TON Connect (top right)');
     logInfo('2. Load TLend iframe');
     logInfo('3. Auth messages will be sent automatically on TLEND_READY');
+
+    if (autoload) {
+        logInfo('Loading the iframe (autoload=1)');
+        loadIframe();
+    }
 }
 
 // Start on DOM ready
@@ -1254,8 +3665,25 @@ window.PartnerMock = {
     rejectRepayRequest,
     generateMockTonProof,
     fetchTLendChallenge,
+    prepareProofPayload,
+    selectProfile,
+    getProfile,
+    getShareLink: buildShareLink,
+    checkLogo: () => checkLogo(getLogoConfig()),
+    getRepayHistory: () => state.repayTracker?.history || [],
+    checkRepay: requestId => state.repayTracker?.check(requestId),
+    getRepayCheck: () => state.pendingRepayRequest?.check || null,
+    getLifecycleHistory: () => state.lifecycle.history,
+    connectTestWallet,
+    resetTestWallet,
+    reauthenticate,
     forceSetReady,
     connectWithProof,
+    runScenarios,
+    getConformanceReport: () => state.conformance?.report() || null,
+    getSessionTrace: () => state.recorder?.snapshot() || null,
+    getLatencyMetrics: () => state.metrics?.snapshot() || null,
+    replayTrace,
 };
 // Keep legacy export for backwards compatibility
 window.EVAAMock = window.PartnerMock;
@@ -0,0 +1,209 @@
+/**
+ * TLend Partner Themes - STYLES_UPGRADE palettes (RFC Section 6.7)
+ *
+ * A partner theme is a named set of CSS variables plus the theme hint sent
+ * with STYLES_UPGRADE, saved and shared as JSON:
+ *
+ *   { "format": "tlend-partner-theme", "version": 1, "name": "Partner Finance",
+ *     "theme": "dark", "styles": { "--tlend-primary": "#6366f1", ... } }
+ *
+ * Variables outside the CSS_VARIABLES catalogue are kept (TLend applies any
+ * variable it is sent) but reported by unknownVariables(), since TLend's
+ * stylesheet does not read them.
+ *
+ * Exposes `window.TLendPartnerThemes` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const PROTOCOL = global.TLendProtocol
+        || (typeof require === 'function' ? require('./tlend-protocol.js') : null);
+
+    const THEME_FORMAT = 'tlend-partner-theme';
+    const THEME_VERSION = 1;
+
+    const CSS_VARIABLES = PROTOCOL.CSS_VARIABLES;
+
+    const SYSTEM_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+    // Test stand defaults for the two theme hints; both pass the WCAG AA checks
+    // of theme-linter.js
+    const DEFAULT_STYLES = {
+        dark: {
+            '--tlend-primary': '#5850ec',
+            '--tlend-primary-hover': '#4f46e5',
+            '--tlend-secondary': '#8b5cf6',
+            '--tlend-background': '#0f0f23',
+            '--tlend-surface': '#1a1a2e',
+            '--tlend-text': '#ffffff',
+            '--tlend-text-secondary': '#a0a0b0',
+            '--tlend-border': '#2d2d44',
+            '--tlend-success': '#10b981',
+            '--tlend-error': '#ef4444',
+            '--tlend-warning': '#f59e0b',
+            '--tlend-font-family': SYSTEM_FONT,
+            '--tlend-border-radius': '12px',
+            '--tlend-button-radius': '8px',
+        },
+        light: {
+            '--tlend-primary': '#4f46e5',
+            '--tlend-primary-hover': '#4338ca',
+            '--tlend-secondary': '#8b5cf6',
+            '--tlend-background': '#f8fafc',
+            '--tlend-surface': '#ffffff',
+            '--tlend-text': '#1e293b',
+            '--tlend-text-secondary': '#64748b',
+            '--tlend-border': '#e2e8f0',
+            '--tlend-success': '#047857',
+            '--tlend-error': '#dc2626',
+            '--tlend-warning': '#b45309',
+            '--tlend-font-family': SYSTEM_FONT,
+            '--tlend-border-radius': '12px',
+            '--tlend-button-radius': '8px',
+        },
+    };
+
+    // ========================================================================
+    // Variables
+    // ========================================================================
+
+    function isKnownVariable(name) {
+        return Object.prototype.hasOwnProperty.call(CSS_VARIABLES, name);
+    }
+
+    function unknownVariables(styles) {
+        return Object.keys(styles).filter(name => !isKnownVariable(name));
+    }
+
+    /** 'color', 'font' or 'size'; the editor shows a color picker for colors */
+    function variableKind(name) {
+        if (name.endsWith('-font-family')) return 'font';
+        if (name.endsWith('-radius')) return 'size';
+        return 'color';
+    }
+
+    /** '#rrggbb' for a hex color value (#rgb is expanded), else null */
+    function toHexColor(value) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+        if (!match) return null;
+        const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+        return `#${hex.toLowerCase()}`;
+    }
+
+    function defaultStyles(theme = 'dark') {
+        return { ...(DEFAULT_STYLES[theme] || DEFAULT_STYLES.dark) };
+    }
+
+    // ========================================================================
+    // JSON
+    // ========================================================================
+
+    function exportTheme({ name, theme, styles }) {
+        return {
+            format: THEME_FORMAT,
+            version: THEME_VERSION,
+            name,
+            theme,
+            styles: { ...styles },
+        };
+    }
+
+    /**
+     * Read an exported theme (object or JSON text). A bare `{ "--var": "value" }`
+     * map is accepted too, as copied from a STYLES_UPGRADE payload.
+     * @returns {{ name: string|undefined, theme: string, styles: Object<string, string> }}
+     */
+    function parseTheme(input) {
+        const data = typeof input === 'string' ? JSON.parse(input) : input;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Theme must be a JSON object');
+        }
+
+        const exported = data.format === THEME_FORMAT;
+        if (exported && data.version !== THEME_VERSION) {
+            throw new Error(`Unsupported theme version: ${data.version}`);
+        }
+        const styles = exported ? data.styles : data;
+        if (!styles || typeof styles !== 'object') {
+            throw new Error('Theme has no styles');
+        }
+        Object.entries(styles).forEach(([name, value]) => {
+            if (!name.startsWith('--')) throw new Error(`${name} is not a CSS variable (must start with --)`);
+            if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+        });
+
+        return {
+            name: exported ? data.name : undefined,
+            theme: exported && data.theme === 'light' ? 'light' : 'dark',
+            styles: { ...styles },
+        };
+    }
+
+    // ========================================================================
+    // ThemeStore
+    // ========================================================================
+
+    /** Named themes kept in localStorage (or any Storage) */
+    class ThemeStore {
+        constructor(options = {}) {
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'tlend-partner-mock:themes';
+        }
+
+        _read() {
+            if (!this.storage) return {};
+            try {
+                return JSON.parse(this.storage.getItem(this.storageKey) || '{}') || {};
+            } catch {
+                return {};
+            }
+        }
+
+        _write(themes) {
+            if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(themes));
+        }
+
+        names() {
+            return Object.keys(this._read()).sort((a, b) => a.localeCompare(b));
+        }
+
+        get(name) {
+            const saved = this._read()[name];
+            return saved ? { ...parseTheme(saved), name } : null;
+        }
+
+        save(theme) {
+            if (!theme.name) throw new Error('A theme needs a name');
+            const themes = this._read();
+            themes[theme.name] = exportTheme(theme);
+            this._write(themes);
+        }
+
+        remove(name) {
+            const themes = this._read();
+            delete themes[name];
+            this._write(themes);
+        }
+    }
+
+    const TLendPartnerThemes = {
+        THEME_FORMAT,
+        CSS_VARIABLES,
+        DEFAULT_STYLES,
+        isKnownVariable,
+        unknownVariables,
+        variableKind,
+        toHexColor,
+        defaultStyles,
+        exportTheme,
+        parseTheme,
+        ThemeStore,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendPartnerThemes;
+    } else {
+        global.TLendPartnerThemes = TLendPartnerThemes;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
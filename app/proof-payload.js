@@ -0,0 +1,201 @@
+/**
+ * TLend Proof Payloads - TON proof payload strategies (RFC Section 12.3)
+ *
+ * The `proof.payload` the wallet signs must be verifiable by TLend:
+ * - Option A ('hmac'): 32 bytes, hex. Bytes 0-3 are the expiration time
+ *   (Unix seconds, big endian), bytes 4-31 the first 28 bytes of
+ *   HMAC-SHA256(expiration bytes, shared secret).
+ * - Option B ('challenge'): an opaque challenge from TLend's endpoint.
+ * - 'mock': Option A layout with random signature bytes; TLend rejects it.
+ *
+ * HMAC runs on Web Crypto, so it works in the browser (secure contexts,
+ * including localhost) and under Node 20+.
+ *
+ * Usage:
+ *   const payload = await TLendProofPayload.generateHmacPayload('secret');
+ *   const { valid, code } = await TLendProofPayload.verifyHmacPayload(payload, 'secret');
+ *
+ * Exposes `window.TLendProofPayload` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    // ========================================================================
+    // Constants
+    // ========================================================================
+
+    const PayloadStrategies = {
+        HMAC: 'hmac',           // Option A
+        CHALLENGE: 'challenge', // Option B
+        MOCK: 'mock',
+    };
+
+    const PAYLOAD_BYTES = 32;
+    const EXPIRATION_BYTES = 4;
+    const SIGNATURE_BYTES = PAYLOAD_BYTES - EXPIRATION_BYTES;
+
+    // Option A expiration window: 15 minutes by default, at most 30 (RFC 12.3)
+    const DEFAULT_TTL_SECONDS = 15 * 60;
+    const MAX_TTL_SECONDS = 30 * 60;
+
+    // ========================================================================
+    // Encoding
+    // ========================================================================
+
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+            return null;
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function encodeExpiration(seconds) {
+        const bytes = new Uint8Array(EXPIRATION_BYTES);
+        new DataView(bytes.buffer).setUint32(0, seconds, false);
+        return bytes;
+    }
+
+    function randomBytes(length) {
+        return getCrypto().getRandomValues(new Uint8Array(length));
+    }
+
+    function nowSeconds(now) {
+        return Math.floor((now ?? Date.now()) / 1000);
+    }
+
+    // ========================================================================
+    // HMAC (Option A)
+    // ========================================================================
+
+    function getCrypto() {
+        const crypto = global.crypto;
+        if (!crypto?.subtle) {
+            throw new Error('Web Crypto is not available (HMAC payloads need a secure context)');
+        }
+        return crypto;
+    }
+
+    // A string secret is used as its UTF-8 bytes
+    function importKey(secret) {
+        if (!secret || !secret.length) {
+            throw new Error('HMAC payloads need a shared secret');
+        }
+        const raw = typeof secret === 'string' ? new TextEncoder().encode(secret) : secret;
+        return getCrypto().subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+
+    async function sign(expirationBytes, secret) {
+        const key = await importKey(secret);
+        const digest = await getCrypto().subtle.sign('HMAC', key, expirationBytes);
+        return new Uint8Array(digest).subarray(0, SIGNATURE_BYTES);
+    }
+
+    /**
+     * Generate an Option A payload.
+     * @param {string|Uint8Array} secret - Shared secret agreed during onboarding
+     * @param {Object} [options]
+     * @param {number} [options.ttl=900] - Seconds until the payload expires (max 1800)
+     * @param {number} [options.now] - Current time (ms), for tests
+     * @returns {Promise<string>} 64 hex chars
+     */
+    async function generateHmacPayload(secret, options = {}) {
+        const ttl = options.ttl ?? DEFAULT_TTL_SECONDS;
+        if (!(ttl > 0 && ttl <= MAX_TTL_SECONDS)) {
+            throw new RangeError(`Payload TTL must be between 1 and ${MAX_TTL_SECONDS} seconds`);
+        }
+
+        const expiration = encodeExpiration(nowSeconds(options.now) + ttl);
+        const signature = await sign(expiration, secret);
+        return toHex(expiration) + toHex(signature);
+    }
+
+    /**
+     * Verify an Option A payload the way TLend does (RFC 12.3).
+     * @param {string} payloadHex
+     * @param {string|Uint8Array} secret
+     * @param {Object} [options]
+     * @param {number} [options.now] - Current time (ms), for tests
+     * @returns {Promise<{ valid: boolean, code?: string, reason?: string, expiresAt?: number }>}
+     *   `code` is the AUTH_RESULT error code for a rejected payload;
+     *   `expiresAt` is in Unix seconds
+     */
+    async function verifyHmacPayload(payloadHex, secret, options = {}) {
+        const bytes = fromHex(payloadHex);
+        if (!bytes || bytes.length !== PAYLOAD_BYTES) {
+            return { valid: false, code: 'INVALID_PAYLOAD', reason: `payload is not ${PAYLOAD_BYTES} bytes of hex` };
+        }
+
+        const expiresAt = readExpiration(payloadHex);
+        const now = nowSeconds(options.now);
+        if (expiresAt <= now) {
+            return { valid: false, code: 'PAYLOAD_EXPIRED', reason: `expired ${now - expiresAt}s ago`, expiresAt };
+        }
+        if (expiresAt > now + MAX_TTL_SECONDS) {
+            return {
+                valid: false,
+                code: 'INVALID_PAYLOAD',
+                reason: `expires in ${expiresAt - now}s, more than the ${MAX_TTL_SECONDS}s window`,
+                expiresAt,
+            };
+        }
+
+        const expected = await sign(bytes.subarray(0, EXPIRATION_BYTES), secret);
+        const received = bytes.subarray(EXPIRATION_BYTES, PAYLOAD_BYTES);
+        // Constant-time compare, like crypto.timingSafeEqual
+        let diff = 0;
+        for (let i = 0; i < SIGNATURE_BYTES; i++) {
+            diff |= expected[i] ^ received[i];
+        }
+        if (diff !== 0) {
+            return { valid: false, code: 'INVALID_PAYLOAD', reason: 'HMAC signature does not match the shared secret', expiresAt };
+        }
+
+        return { valid: true, expiresAt };
+    }
+
+    /**
+     * Expiration (Unix seconds) of an Option A or mock payload, or null if
+     * the payload does not have that layout.
+     */
+    function readExpiration(payloadHex) {
+        const bytes = fromHex(payloadHex);
+        if (!bytes || bytes.length < PAYLOAD_BYTES) return null;
+        return new DataView(bytes.buffer).getUint32(0, false);
+    }
+
+    /**
+     * Option A layout with a random signature, for offline testing only.
+     * @param {Object} [options]
+     * @param {number} [options.ttl=900] - Seconds until the payload expires
+     * @returns {string} 64 hex chars
+     */
+    function generateMockPayload(options = {}) {
+        const expiration = encodeExpiration(nowSeconds(options.now) + (options.ttl ?? DEFAULT_TTL_SECONDS));
+        return toHex(expiration) + toHex(randomBytes(SIGNATURE_BYTES));
+    }
+
+    const TLendProofPayload = {
+        PayloadStrategies,
+        DEFAULT_TTL_SECONDS,
+        MAX_TTL_SECONDS,
+        generateHmacPayload,
+        verifyHmacPayload,
+        generateMockPayload,
+        readExpiration,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendProofPayload;
+    } else {
+        global.TLendProofPayload = TLendProofPayload;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,222 @@
+/**
+ * TLend Repay Errors - REPAY_RESULT error codes for wallet failures (RFC Section 11.1)
+ *
+ * Repayments fail in the Partner's wallet, not in TLend, so the Partner has
+ * to turn whatever its wallet library threw into one of the RFC codes:
+ *
+ *   USER_REJECTED         the user declined (userCancelled: true)
+ *   WALLET_NOT_CONNECTED  no wallet session to sign with
+ *   INVALID_TRANSACTION   the wallet refused the request as malformed or unsupported
+ *   INSUFFICIENT_FUNDS    the pre-flight balance check failed
+ *   TRANSACTION_FAILED    sending failed for any other reason
+ *   TIMEOUT               not signed before the request expired
+ *   REPAY_IN_PROGRESS     not shown while another repayment awaits approval
+ *
+ * fromTonConnectError() classifies TON Connect SDK errors by class (when
+ * the SDK's classes are passed in), by class name, and by the wallet's
+ * SEND_TRANSACTION error code, in that order. checkBalance() is the
+ * pre-flight check; balances are fetched by the caller.
+ *
+ * Usage:
+ *   try {
+ *       await tonConnectUI.sendTransaction(transaction);
+ *   } catch (error) {
+ *       return { success: false, error: TLendRepayErrors.fromTonConnectError(error, { classes: TON_CONNECT_UI }) };
+ *   }
+ *
+ * Exposes `window.TLendRepayErrors` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const RepayErrorCodes = {
+        USER_REJECTED: 'USER_REJECTED',
+        WALLET_NOT_CONNECTED: 'WALLET_NOT_CONNECTED',
+        INVALID_TRANSACTION: 'INVALID_TRANSACTION',
+        INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+        TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+        TIMEOUT: 'TIMEOUT',
+        REPAY_IN_PROGRESS: 'REPAY_IN_PROGRESS',
+    };
+
+    // Default messages, as in RFC 11.1
+    const DEFAULT_MESSAGES = {
+        USER_REJECTED: 'Transaction was rejected by user',
+        WALLET_NOT_CONNECTED: 'No wallet is connected',
+        INVALID_TRANSACTION: 'Wallet refused the transaction request',
+        INSUFFICIENT_FUNDS: 'Not enough balance',
+        TRANSACTION_FAILED: 'Transaction failed',
+        TIMEOUT: 'Repay request expired',
+        REPAY_IN_PROGRESS: 'Another repayment is awaiting approval',
+    };
+
+    // @tonconnect/sdk error classes (re-exported by @tonconnect/ui)
+    const TON_CONNECT_ERROR_CLASSES = {
+        UserRejectsError: RepayErrorCodes.USER_REJECTED,
+        WalletNotConnectedError: RepayErrorCodes.WALLET_NOT_CONNECTED,
+        UnknownAppError: RepayErrorCodes.WALLET_NOT_CONNECTED,
+        BadRequestError: RepayErrorCodes.INVALID_TRANSACTION,
+        WalletNotSupportFeatureError: RepayErrorCodes.INVALID_TRANSACTION,
+        UnknownError: RepayErrorCodes.TRANSACTION_FAILED,
+    };
+
+    // SEND_TRANSACTION error codes of the TON Connect wallet protocol
+    const WALLET_ERROR_CODES = {
+        0: RepayErrorCodes.TRANSACTION_FAILED, // UNKNOWN_ERROR
+        1: RepayErrorCodes.INVALID_TRANSACTION, // BAD_REQUEST_ERROR
+        100: RepayErrorCodes.WALLET_NOT_CONNECTED, // UNKNOWN_APP_ERROR
+        300: RepayErrorCodes.USER_REJECTED, // USER_REJECTS_ERROR
+        400: RepayErrorCodes.INVALID_TRANSACTION, // METHOD_NOT_SUPPORTED
+    };
+
+    // @tonconnect/ui rejects with this when the user closes its modal before the wallet answers
+    const UI_NOT_SENT = /Transaction was not sent/i;
+
+    // TON left over for the wallet's own external message fee (nanotons)
+    const FEE_RESERVE = 10000000n;
+
+    // ========================================================================
+    // Results
+    // ========================================================================
+
+    function isRepayErrorCode(code) {
+        return Object.prototype.hasOwnProperty.call(RepayErrorCodes, code);
+    }
+
+    /**
+     * A REPAY_RESULT `error`. Unknown codes become TRANSACTION_FAILED.
+     * @returns {{ code: string, message: string, userCancelled: boolean }}
+     */
+    function repayError(code, message) {
+        const known = isRepayErrorCode(code) ? code : RepayErrorCodes.TRANSACTION_FAILED;
+        return {
+            code: known,
+            message: message || DEFAULT_MESSAGES[known],
+            userCancelled: known === RepayErrorCodes.USER_REJECTED,
+        };
+    }
+
+    /** A failed REPAY_RESULT payload */
+    function repayFailure(code, message) {
+        return { success: false, error: repayError(code, message) };
+    }
+
+    // ========================================================================
+    // TON Connect
+    // ========================================================================
+
+    function errorClassNames(error) {
+        const names = [];
+        for (let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            if (proto.constructor?.name) names.push(proto.constructor.name);
+        }
+        if (error.name) names.push(error.name);
+        // The SDK prefixes messages with the class name: "[TON_CONNECT_SDK_ERROR] UserRejectsError ..."
+        const prefixed = /^\[TON_CONNECT_SDK_ERROR\]\s*(\w+)/.exec(error.message || '');
+        if (prefixed) names.push(prefixed[1]);
+        return names;
+    }
+
+    /**
+     * Classify an error thrown by tonConnectUI.sendTransaction().
+     * @param {unknown} error
+     * @param {Object} [options]
+     * @param {Object} [options.classes] - Namespace with the SDK's error classes
+     *   (e.g. window.TON_CONNECT_UI); matched with instanceof, which survives minification
+     * @returns {{ code: string, message: string, userCancelled: boolean, cause: string }}
+     *   `cause` names what the code was derived from
+     */
+    function fromTonConnectError(error, options = {}) {
+        const message = error?.message || String(error);
+        const result = (code, cause) => ({ ...repayError(code, message), cause });
+
+        if (!error || typeof error !== 'object') {
+            return result(RepayErrorCodes.TRANSACTION_FAILED, 'not an Error');
+        }
+        if (isRepayErrorCode(error.code)) {
+            return result(error.code, 'repay error code');
+        }
+
+        const classes = options.classes || {};
+        for (const [name, code] of Object.entries(TON_CONNECT_ERROR_CLASSES)) {
+            if (typeof classes[name] === 'function' && error instanceof classes[name]) {
+                return result(code, name);
+            }
+        }
+
+        const name = errorClassNames(error).find(candidate => candidate in TON_CONNECT_ERROR_CLASSES);
+        if (name) return result(TON_CONNECT_ERROR_CLASSES[name], name);
+
+        if (error.code in WALLET_ERROR_CODES) {
+            return result(WALLET_ERROR_CODES[error.code], `wallet error ${error.code}`);
+        }
+        if (UI_NOT_SENT.test(message)) {
+            return result(RepayErrorCodes.USER_REJECTED, 'modal closed');
+        }
+        return result(RepayErrorCodes.TRANSACTION_FAILED, error.name || 'unknown error');
+    }
+
+    // ========================================================================
+    // Pre-flight
+    // ========================================================================
+
+    function formatUnits(value, decimals) {
+        const scale = 10n ** BigInt(decimals);
+        const units = BigInt(value);
+        const fraction = (units % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+        return `${units / scale}${fraction ? `.${fraction}` : ''}`;
+    }
+
+    /**
+     * Whether the wallet can pay for a REPAY_REQUEST: the jettons in
+     * `amount.value`, and the TON attached to its messages plus a fee reserve.
+     * A balance that is not given is not checked.
+     * @param {import('@tlend/iframe-types').RepayRequestMessage['payload']} payload
+     * @param {{ tonBalance?: string|bigint, jettonBalance?: string|bigint }} balances - Smallest units
+     * @returns {{ code: string, message: string, userCancelled: boolean }|null} The error, or null when funded
+     */
+    function checkBalance(payload, balances = {}) {
+        const shortfalls = [];
+
+        if (balances.jettonBalance !== undefined && payload.amount) {
+            const { value, decimals, currency } = payload.amount;
+            if (BigInt(balances.jettonBalance) < BigInt(value)) {
+                shortfalls.push(`${formatUnits(value, decimals)} ${currency} needed,`
+                    + ` wallet has ${formatUnits(balances.jettonBalance, decimals)}`);
+            }
+        }
+
+        if (balances.tonBalance !== undefined) {
+            const attached = (payload.transaction?.messages || [])
+                .reduce((sum, message) => sum + BigInt(message.amount || 0), 0n);
+            const needed = attached + FEE_RESERVE;
+            if (BigInt(balances.tonBalance) < needed) {
+                shortfalls.push(`${formatUnits(needed, 9)} TON needed for fees, wallet has ${formatUnits(balances.tonBalance, 9)}`);
+            }
+        }
+
+        return shortfalls.length
+            ? repayError(RepayErrorCodes.INSUFFICIENT_FUNDS, `Not enough balance: ${shortfalls.join('; ')}`)
+            : null;
+    }
+
+    const TLendRepayErrors = {
+        RepayErrorCodes,
+        DEFAULT_MESSAGES,
+        TON_CONNECT_ERROR_CLASSES,
+        WALLET_ERROR_CODES,
+        FEE_RESERVE,
+        isRepayErrorCode,
+        repayError,
+        repayFailure,
+        fromTonConnectError,
+        checkBalance,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendRepayErrors;
+    } else {
+        global.TLendRepayErrors = TLendRepayErrors;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,381 @@
+/**
+ * TLend Repay Tracker - Follows repayments after REPAY_RESULT (RFC Section 11.3)
+ *
+ * Keeps a history of every REPAY_REQUEST with its outcome and, for sent
+ * transactions, polls a chain indexer until the transaction shows up:
+ *
+ *   requested -> rejected                  (REPAY_RESULT success: false)
+ *             -> pending -> confirmed      (on chain, not aborted)
+ *                        -> failed         (aborted, or not on chain by validUntil)
+ *
+ * TON Connect's sendTransaction() returns the BOC of the external message
+ * the wallet broadcast; its cell hash is the message hash indexers look
+ * transactions up by (messageHash()). "confirmed" means the wallet's
+ * transaction went through; the jetton transfer it starts is not followed.
+ *
+ * Indexers are pluggable: anything with `findTransaction(entry)` resolving
+ * to null (not found yet) or { hash, lt, success, exitCode }. Two ship here:
+ * ToncenterIndexer (toncenter.com API v3) and FakeIndexer for local tests.
+ *
+ * Usage:
+ *   const tracker = new TLendRepayTracker.RepayTracker({ indexer, storage: localStorage });
+ *   tracker.attach(bridge);
+ *   const entry = await tracker.submitted(requestId, { boc: result.boc });
+ *   // REPAY_RESULT with transactionHash: entry.messageHash
+ *
+ * Exposes `window.TLendRepayTracker` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const Cells = global.TLendTonCells
+        || (typeof require === 'function' ? require('./ton-cells.js') : null);
+
+    const RepayStatus = {
+        REQUESTED: 'requested',
+        REJECTED: 'rejected',
+        PENDING: 'pending',
+        CONFIRMED: 'confirmed',
+        FAILED: 'failed',
+    };
+
+    const TONCENTER_URLS = {
+        '-239': 'https://toncenter.com/api/v3',
+        '-3': 'https://testnet.toncenter.com/api/v3',
+    };
+
+    const DEFAULTS = {
+        pollInterval: 5000,
+        // An external message can still land shortly after validUntil is checked
+        graceSeconds: 60,
+        maxEntries: 50,
+    };
+
+    const STORAGE_VERSION = 1;
+
+    // ========================================================================
+    // Message Hash
+    // ========================================================================
+
+    /**
+     * Hash (hex) of the message in a BOC, e.g. the `boc` returned by TON
+     * Connect's sendTransaction()
+     * @param {string|Uint8Array} boc - base64 or bytes
+     * @returns {Promise<string>}
+     */
+    async function messageHash(boc) {
+        const [root] = Cells.parseBoc(boc);
+        if (!root) throw new Error('BOC has no root cell');
+        return Cells.toHex(await root.hash());
+    }
+
+    // ========================================================================
+    // Indexers
+    // ========================================================================
+
+    /** Looks transactions up by inbound message hash on toncenter.com (API v3) */
+    class ToncenterIndexer {
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.chain='-239'] - Selects the mainnet or testnet API
+         * @param {string} [options.baseUrl] - Overrides the chain's API URL
+         * @param {string} [options.apiKey] - Without one, toncenter allows 1 request per second
+         * @param {typeof fetch} [options.fetch]
+         */
+        constructor(options = {}) {
+            this.baseUrl = (options.baseUrl || TONCENTER_URLS[options.chain || '-239']).replace(/\/+$/, '');
+            this.apiKey = options.apiKey || '';
+            this._fetch = options.fetch || ((...args) => global.fetch(...args));
+        }
+
+        async findTransaction(entry) {
+            const url = `${this.baseUrl}/transactionsByMessage?direction=in&msg_hash=${entry.messageHash}`;
+            const response = await this._fetch(url, {
+                headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {},
+            });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Indexer answered HTTP ${response.status}`);
+            }
+
+            const [transaction] = (await response.json()).transactions || [];
+            if (!transaction) return null;
+
+            const { aborted, compute_ph: compute = {}, action } = transaction.description || {};
+            return {
+                hash: Cells.toHex(Cells.fromBase64(transaction.hash)),
+                lt: String(transaction.lt),
+                success: !aborted && compute.success !== false && action?.success !== false,
+                exitCode: compute.exit_code ?? null,
+            };
+        }
+    }
+
+    /**
+     * In-memory indexer for tests. Transactions are added with add(); with
+     * `autoConfirm`, any message hash it is asked about confirms that many
+     * milliseconds after the first lookup.
+     */
+    class FakeIndexer {
+        /**
+         * @param {Object} [options]
+         * @param {number|null} [options.autoConfirm] - Delay (ms) before unknown hashes confirm; null never confirms them
+         * @param {() => number} [options.now]
+         */
+        constructor(options = {}) {
+            this.autoConfirm = options.autoConfirm ?? null;
+            this._now = options.now || Date.now;
+            this._transactions = new Map();
+        }
+
+        /**
+         * Make a message hash resolve to a transaction.
+         * @param {string} hash - Message hash (hex)
+         * @param {Object} [outcome]
+         * @param {boolean} [outcome.success=true]
+         * @param {number} [outcome.exitCode=0]
+         * @param {number} [outcome.after=0] - Delay (ms) before the transaction is visible
+         */
+        add(hash, { success = true, exitCode = success ? 0 : 1, after = 0 } = {}) {
+            this._transactions.set(hash.toLowerCase(), {
+                visibleAt: this._now() + after,
+                transaction: {
+                    hash: Array.from({ length: 32 }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join(''),
+                    lt: String(this._now() * 1000),
+                    success,
+                    exitCode,
+                },
+            });
+        }
+
+        async findTransaction(entry) {
+            const hash = entry.messageHash.toLowerCase();
+            if (!this._transactions.has(hash) && this.autoConfirm !== null) {
+                this.add(hash, { after: this.autoConfirm });
+            }
+            const known = this._transactions.get(hash);
+            return known && known.visibleAt <= this._now() ? { ...known.transaction } : null;
+        }
+    }
+
+    // ========================================================================
+    // RepayTracker
+    // ========================================================================
+
+    class RepayTracker {
+        /**
+         * @param {Object} [options]
+         * @param {{ findTransaction: (entry: Object) => Promise<Object|null> }} [options.indexer] - Nothing is polled without one
+         * @param {Storage} [options.storage] - localStorage or compatible; history is kept in memory without one
+         * @param {string} [options.storageKey]
+         * @param {number} [options.pollInterval] - ms between indexer lookups
+         * @param {number} [options.graceSeconds] - How long after validUntil a missing transaction counts as failed
+         * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this
+         * @param {(entry: Object, previousStatus: string|null) => void} [options.onUpdate] - Called whenever an entry changes
+         */
+        constructor(options = {}) {
+            this.indexer = options.indexer || null;
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'tlend-partner-mock:repays';
+            this.pollInterval = options.pollInterval ?? DEFAULTS.pollInterval;
+            this.graceSeconds = options.graceSeconds ?? DEFAULTS.graceSeconds;
+            this.maxEntries = options.maxEntries ?? DEFAULTS.maxEntries;
+            this._onUpdate = options.onUpdate || (() => {});
+            this._entries = [];
+            this._timers = new Map();
+            this._unsubscribe = [];
+            this._load();
+            this._entries.filter(entry => entry.status === RepayStatus.PENDING).forEach(entry => this._schedule(entry, 0));
+        }
+
+        /** Entries, newest first */
+        get history() {
+            return this._entries.map(entry => ({ ...entry }));
+        }
+
+        get(requestId) {
+            const entry = this._find(requestId);
+            return entry ? { ...entry } : null;
+        }
+
+        /** Track the REPAY_REQUESTs a bridge receives and the REPAY_RESULTs it sends */
+        attach(bridge) {
+            this.detach();
+            this._unsubscribe = [
+                bridge.on('message', (message) => {
+                    if (message.type === 'REPAY_REQUEST') this.requested(message);
+                }),
+                bridge.on('send', (message) => {
+                    if (message.type === 'REPAY_RESULT') this.resolved(message.requestId, message.payload);
+                }),
+            ];
+        }
+
+        detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /** Record a REPAY_REQUEST message */
+        requested({ requestId, payload }) {
+            if (this._find(requestId)) return this.get(requestId);
+            const entry = {
+                requestId,
+                lendId: payload.lendId,
+                nftIndex: payload.nftIndex,
+                amount: payload.amount ? { formatted: payload.amount.formatted, currency: payload.amount.currency } : null,
+                userAddress: payload.metadata?.userAddress || null,
+                validUntil: payload.transaction?.validUntil || null,
+                status: RepayStatus.REQUESTED,
+                requestedAt: Date.now(),
+                messageHash: null,
+                simulated: false,
+                transaction: null,
+                error: null,
+            };
+            this._entries.unshift(entry);
+            this._entries.splice(this.maxEntries);
+            this._changed(entry, null);
+            return { ...entry };
+        }
+
+        /**
+         * Note the transaction the wallet sent, before REPAY_RESULT goes out.
+         * @param {string} requestId
+         * @param {Object} sent
+         * @param {string} [sent.boc] - BOC returned by sendTransaction(); its hash becomes messageHash
+         * @param {string} [sent.messageHash] - Hash (hex) when there is no BOC, e.g. simulated transactions
+         * @param {boolean} [sent.simulated]
+         * @returns {Promise<Object>} the entry, with messageHash to report as transactionHash
+         */
+        async submitted(requestId, { boc, messageHash: hash, simulated = false }) {
+            const entry = this._find(requestId);
+            if (!entry) throw new Error(`Unknown repay request: ${requestId}`);
+            entry.messageHash = boc ? await messageHash(boc) : hash;
+            entry.simulated = simulated;
+            this._changed(entry);
+            return { ...entry };
+        }
+
+        /** Record a REPAY_RESULT payload; successful ones are polled until confirmed or failed */
+        resolved(requestId, result) {
+            const entry = this._find(requestId);
+            if (!entry) return null;
+            const previous = entry.status;
+            entry.resolvedAt = Date.now();
+
+            if (!result.success) {
+                entry.status = result.error?.userCancelled ? RepayStatus.REJECTED : RepayStatus.FAILED;
+                entry.error = result.error ? { code: result.error.code, message: result.error.message } : null;
+                this._changed(entry, previous);
+                return { ...entry };
+            }
+
+            entry.messageHash = entry.messageHash || result.transactionHash || null;
+            entry.status = RepayStatus.PENDING;
+            this._changed(entry, previous);
+            this._schedule(entry, 0);
+            return { ...entry };
+        }
+
+        /** Look a pending entry up now ("check tx status") */
+        async check(requestId) {
+            const entry = this._find(requestId);
+            if (!entry || entry.status !== RepayStatus.PENDING) return entry ? { ...entry } : null;
+            clearTimeout(this._timers.get(requestId));
+            await this._poll(entry);
+            return { ...entry };
+        }
+
+        clear() {
+            this._timers.forEach(timer => clearTimeout(timer));
+            this._timers.clear();
+            this._entries = [];
+            this._save();
+        }
+
+        destroy() {
+            this.detach();
+            this._timers.forEach(timer => clearTimeout(timer));
+            this._timers.clear();
+        }
+
+        _find(requestId) {
+            return this._entries.find(entry => entry.requestId === requestId);
+        }
+
+        _schedule(entry, delay = this.pollInterval) {
+            if (!this.indexer || !entry.messageHash) return;
+            clearTimeout(this._timers.get(entry.requestId));
+            this._timers.set(entry.requestId, setTimeout(() => this._poll(entry), delay));
+        }
+
+        async _poll(entry) {
+            this._timers.delete(entry.requestId);
+            if (!this.indexer || !entry.messageHash || entry.status !== RepayStatus.PENDING) return;
+
+            entry.checkedAt = Date.now();
+            let transaction = null;
+            try {
+                transaction = await this.indexer.findTransaction({ ...entry });
+                entry.error = null;
+            } catch (error) {
+                entry.error = { code: 'INDEXER_ERROR', message: error.message };
+            }
+            if (entry.status !== RepayStatus.PENDING) return;
+
+            if (transaction) {
+                entry.transaction = transaction;
+                entry.status = transaction.success ? RepayStatus.CONFIRMED : RepayStatus.FAILED;
+                if (!transaction.success) {
+                    entry.error = { code: 'TRANSACTION_FAILED', message: `Transaction aborted (exit code ${transaction.exitCode})` };
+                }
+            } else if (entry.validUntil && Date.now() / 1000 > entry.validUntil + this.graceSeconds) {
+                entry.status = RepayStatus.FAILED;
+                entry.error = { code: 'NOT_FOUND', message: 'No transaction on chain before validUntil' };
+            } else {
+                this._schedule(entry);
+            }
+            this._changed(entry, RepayStatus.PENDING);
+        }
+
+        _changed(entry, previousStatus = entry.status) {
+            entry.updatedAt = Date.now();
+            this._save();
+            this._onUpdate({ ...entry }, previousStatus);
+        }
+
+        _load() {
+            if (!this.storage) return;
+            try {
+                const saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+                if (saved?.version === STORAGE_VERSION && Array.isArray(saved.entries)) {
+                    this._entries = saved.entries;
+                }
+            } catch {
+                // Unreadable history starts over
+            }
+        }
+
+        _save() {
+            if (!this.storage) return;
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: STORAGE_VERSION, entries: this._entries }));
+        }
+    }
+
+    const TLendRepayTracker = {
+        RepayStatus,
+        TONCENTER_URLS,
+        messageHash,
+        ToncenterIndexer,
+        FakeIndexer,
+        RepayTracker,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendRepayTracker;
+    } else {
+        global.TLendRepayTracker = TLendRepayTracker;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
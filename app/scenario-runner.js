@@ -0,0 +1,710 @@
+/**
+ * TLend Scenario Runner - Scripted protocol tests with pass/fail assertions
+ *
+ * Runs a scenario (a list of steps) against the TLend iframe through a
+ * TLendPartnerBridge and produces a per-step report. Scenarios are plain
+ * JSON, so they can be pasted into the test stand or kept in a repo:
+ *
+ *   {
+ *     "id": "auth-check",
+ *     "name": "Auth check answers within 5s",
+ *     "steps": [
+ *       { "send": { "type": "AUTH_CHECK_REQUEST", "payload": { "walletAddress": "{{wallet}}" } } },
+ *       { "expect": "AUTH_CHECK_RESPONSE", "within": 5000, "correlate": true,
+ *         "assert": { "payload.authenticated": { "type": "boolean" } } },
+ *       { "setState": "PENDING_AUTH" }
+ *     ]
+ *   }
+ *
+ * Step actions (exactly one per step):
+ * - send: message to post; `timestamp` and, for request types, `requestId`
+ *   are filled in. `raw: true` skips outbound validation.
+ * - expect: wait `within` ms for an inbound message of that type;
+ *   `correlate: true` requires the requestId of the last sent message,
+ *   `assert` checks fields, `as` stores the message as a variable.
+ * - expectNone: fail if a message of that type arrives within `within` ms.
+ * - setState: change the test stand's lifecycle state.
+ * - reload: reload the iframe.
+ * - wait: pause for N ms.
+ * - run: (JS scenarios only) async function receiving the step context.
+ *
+ * Common step options: `name` (report label), `prompt` (instruction shown
+ * while the step waits, e.g. for actions inside the iframe) and `optional`
+ * (a failure is reported as a warning and the scenario continues).
+ *
+ * Strings may reference variables with {{path}}; a string that is exactly
+ * one reference is replaced by the referenced value itself (objects included).
+ *
+ * Assertions map a message path (e.g. "payload.amount.decimals") to either
+ * an expected value or a matcher object combining: equals, oneOf, type,
+ * matches, exists, contains, gt, gte, lt, lte.
+ */
+
+(function (global) {
+    'use strict';
+
+    // ========================================================================
+    // Constants
+    // ========================================================================
+
+    const STEP_ACTIONS = ['send', 'expect', 'expectNone', 'setState', 'reload', 'wait', 'run'];
+
+    /** Message types that carry a requestId (RFC Section 5.2) */
+    const REQUEST_ID_TYPES = [
+        'AUTH_CHECK_REQUEST',
+        'AUTH_CHECK_RESPONSE',
+        'AUTH_CREDENTIALS',
+        'AUTH_RESULT',
+        'REPAY_REQUEST',
+        'REPAY_RESULT',
+    ];
+
+    const DEFAULT_EXPECT_TIMEOUT = 5000;
+
+    const StepStatus = {
+        PASS: 'pass',
+        FAIL: 'fail',
+        WARN: 'warn',
+        SKIPPED: 'skipped',
+    };
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function getPath(value, path) {
+        return path.split(/[.[\]]/).filter(Boolean).reduce(
+            (current, key) => (current === undefined || current === null ? undefined : current[key]),
+            value
+        );
+    }
+
+    /** Replace {{path}} references with values from `vars` */
+    function resolveTemplate(value, vars) {
+        if (typeof value === 'string') {
+            const whole = /^\{\{\s*([\w.[\]]+)\s*\}\}$/.exec(value);
+            if (whole) {
+                return getPath(vars, whole[1]);
+            }
+            return value.replace(/\{\{\s*([\w.[\]]+)\s*\}\}/g, (_, path) => {
+                const resolved = getPath(vars, path);
+                return resolved === undefined ? '' : String(resolved);
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => resolveTemplate(item, vars));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, vars)])
+            );
+        }
+        return value;
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function format(value) {
+        return value === undefined ? 'undefined' : JSON.stringify(value);
+    }
+
+    function isMatcher(value) {
+        return typeOf(value) === 'object';
+    }
+
+    /**
+     * Check one field against an expected value or matcher.
+     * @returns {string[]} Failure descriptions
+     */
+    function checkField(path, actual, expected) {
+        if (!isMatcher(expected)) {
+            return actual === expected ? [] : [`${path}: expected ${format(expected)}, got ${format(actual)}`];
+        }
+
+        const failures = [];
+        const fail = (message) => failures.push(`${path}: ${message}, got ${format(actual)}`);
+
+        if ('exists' in expected && (actual !== undefined) !== expected.exists) {
+            fail(expected.exists ? 'expected to be present' : 'expected to be absent');
+        }
+        if ('equals' in expected && JSON.stringify(actual) !== JSON.stringify(expected.equals)) {
+            fail(`expected ${format(expected.equals)}`);
+        }
+        if ('oneOf' in expected && !expected.oneOf.includes(actual)) {
+            fail(`expected one of ${format(expected.oneOf)}`);
+        }
+        if ('type' in expected && typeOf(actual) !== expected.type) {
+            fail(`expected type ${expected.type}`);
+        }
+        if ('matches' in expected && !(typeof actual === 'string' && new RegExp(expected.matches).test(actual))) {
+            fail(`expected to match /${expected.matches}/`);
+        }
+        if ('contains' in expected && !((Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected.contains))) {
+            fail(`expected to contain ${format(expected.contains)}`);
+        }
+        if ('gt' in expected && !(actual > expected.gt)) fail(`expected > ${expected.gt}`);
+        if ('gte' in expected && !(actual >= expected.gte)) fail(`expected >= ${expected.gte}`);
+        if ('lt' in expected && !(actual < expected.lt)) fail(`expected < ${expected.lt}`);
+        if ('lte' in expected && !(actual <= expected.lte)) fail(`expected <= ${expected.lte}`);
+
+        return failures;
+    }
+
+    function checkAssertions(message, assertions) {
+        return Object.entries(assertions || {}).flatMap(
+            ([path, expected]) => checkField(path, getPath(message, path), expected)
+        );
+    }
+
+    function stepAction(step) {
+        return STEP_ACTIONS.find(action => action in step);
+    }
+
+    function describeStep(step) {
+        if (step.name) return step.name;
+
+        switch (stepAction(step)) {
+            case 'send': return `Send ${step.send?.type}${step.raw ? ' (unvalidated)' : ''}`;
+            case 'expect': return `Expect ${step.expect} within ${step.within ?? DEFAULT_EXPECT_TIMEOUT}ms`;
+            case 'expectNone': return `No ${step.expectNone} within ${step.within ?? DEFAULT_EXPECT_TIMEOUT}ms`;
+            case 'setState': return `Set state ${step.setState}`;
+            case 'reload': return 'Reload iframe';
+            case 'wait': return `Wait ${step.wait}ms`;
+            default: return 'Run custom step';
+        }
+    }
+
+    /**
+     * Check that a value is a well-formed scenario.
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validateScenario(scenario) {
+        if (!scenario || typeof scenario !== 'object') {
+            return ['scenario must be an object'];
+        }
+
+        const problems = [];
+        if (typeof scenario.name !== 'string' || !scenario.name) {
+            problems.push('name must be a non-empty string');
+        }
+        if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+            problems.push('steps must be a non-empty array');
+            return problems;
+        }
+
+        scenario.steps.forEach((step, i) => {
+            const actions = STEP_ACTIONS.filter(action => step && typeof step === 'object' && action in step);
+            if (actions.length !== 1) {
+                problems.push(`steps[${i}] must have exactly one of: ${STEP_ACTIONS.join(', ')}`);
+            } else if (actions[0] === 'send' && typeof step.send?.type !== 'string') {
+                problems.push(`steps[${i}].send.type must be a string`);
+            } else if ((actions[0] === 'expect' || actions[0] === 'expectNone') && typeof step[actions[0]] !== 'string') {
+                problems.push(`steps[${i}].${actions[0]} must be a message type`);
+            } else if (actions[0] === 'run' && typeof step.run !== 'function') {
+                problems.push(`steps[${i}].run must be a function`);
+            }
+        });
+        return problems;
+    }
+
+    // ========================================================================
+    // Runner
+    // ========================================================================
+
+    class ScenarioRunner {
+        /**
+         * @param {Object} options
+         * @param {() => TLendPartnerBridge | null} options.getBridge - Current bridge (may change on reload)
+         * @param {() => Object} [options.variables] - Variables available to {{...}} templates
+         * @param {(state: string) => void} [options.setState] - Lifecycle state setter
+         * @param {() => void | Promise<void>} [options.reload] - Reloads the TLend iframe
+         * @param {(result: Object, report: Object) => void} [options.onStep] - Called when a step starts
+         *   (status 'running') and when it finishes
+         */
+        constructor(options) {
+            this._getBridge = options.getBridge;
+            this._variables = options.variables || (() => ({}));
+            this._setState = options.setState || (() => {});
+            this._reload = options.reload || (() => {});
+            this._onStep = options.onStep || (() => {});
+
+            this._bridge = null;
+            this._unsubscribe = [];
+            this._inbox = [];
+            this._invalid = [];
+            this._waiters = new Set();
+            this._captured = {};
+            this._lastSent = null;
+            this._running = false;
+            this._stopped = false;
+        }
+
+        /** Whether a scenario is in progress */
+        get running() {
+            return this._running;
+        }
+
+        /** Whether the last run was stopped with stop() */
+        get stopped() {
+            return this._stopped;
+        }
+
+        /**
+         * Run a scenario and resolve with its report. Steps after the first
+         * non-optional failure are skipped.
+         */
+        async run(scenario) {
+            if (this._running) {
+                throw new Error('A scenario is already running');
+            }
+
+            const problems = validateScenario(scenario);
+            if (problems.length) {
+                throw new TypeError(`Invalid scenario: ${problems.join('; ')}`);
+            }
+
+            const report = {
+                scenario: { id: scenario.id, name: scenario.name },
+                startedAt: Date.now(),
+                durationMs: 0,
+                passed: true,
+                steps: scenario.steps.map((step, index) => ({
+                    index,
+                    label: describeStep(step),
+                    status: StepStatus.SKIPPED,
+                    durationMs: 0,
+                    detail: '',
+                })),
+            };
+
+            this._running = true;
+            this._stopped = false;
+            this._inbox = [];
+            this._invalid = [];
+            this._captured = {};
+            this._lastSent = null;
+
+            try {
+                this._attach();
+
+                for (const [index, step] of scenario.steps.entries()) {
+                    const result = report.steps[index];
+                    if (this._stopped) {
+                        result.detail = 'Stopped';
+                        continue;
+                    }
+                    if (!report.passed) continue;
+
+                    result.status = 'running';
+                    result.detail = step.prompt || '';
+                    this._onStep(result, report);
+
+                    const started = Date.now();
+                    try {
+                        result.detail = await this._runStep(step) || '';
+                        result.status = StepStatus.PASS;
+                    } catch (error) {
+                        result.detail = error.message;
+                        result.status = step.optional ? StepStatus.WARN : StepStatus.FAIL;
+                        if (!step.optional) {
+                            report.passed = false;
+                        }
+                    }
+                    result.durationMs = Date.now() - started;
+                    this._onStep(result, report);
+                }
+            } finally {
+                this._detach();
+                this._running = false;
+            }
+
+            if (this._stopped) {
+                report.passed = false;
+            }
+            report.durationMs = Date.now() - report.startedAt;
+            return report;
+        }
+
+        /** Abort the running scenario; the current step fails. */
+        stop() {
+            this._stopped = true;
+            this._waiters.forEach(waiter => waiter.cancel());
+        }
+
+        // --------------------------------------------------------------------
+        // Inbound Messages
+        // --------------------------------------------------------------------
+
+        _attach() {
+            const bridge = this._getBridge();
+            if (!bridge) {
+                throw new Error('TLend iframe is not loaded');
+            }
+            if (bridge === this._bridge) return;
+
+            this._detach();
+            this._bridge = bridge;
+            this._unsubscribe = [
+                bridge.on('message', (message) => this._receive(message)),
+                bridge.on('invalid', ({ direction, message, errors }) => {
+                    if (direction === 'inbound') {
+                        this._invalid.push({ message, errors, at: Date.now() });
+                    }
+                }),
+            ];
+        }
+
+        _detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+            this._bridge = null;
+        }
+
+        _receive(message) {
+            this._inbox.push({ message, at: Date.now(), consumed: false });
+            this._waiters.forEach(waiter => waiter.check());
+        }
+
+        /**
+         * Resolve with the first inbox entry matching `predicate` (received
+         * at or after `since`), or null after `timeoutMs`.
+         */
+        _waitFor(predicate, timeoutMs, since) {
+            const find = () => this._inbox.find(entry =>
+                !entry.consumed && entry.at >= since && predicate(entry.message));
+
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    check: () => {
+                        const entry = find();
+                        if (entry) finish(() => resolve(entry));
+                    },
+                    cancel: () => finish(() => reject(new Error('Stopped'))),
+                };
+                const timer = setTimeout(() => finish(() => resolve(null)), timeoutMs);
+                const finish = (settle) => {
+                    clearTimeout(timer);
+                    this._waiters.delete(waiter);
+                    settle();
+                };
+
+                this._waiters.add(waiter);
+                waiter.check();
+            });
+        }
+
+        _sleep(ms) {
+            return this._waitFor(() => false, ms, Infinity);
+        }
+
+        // --------------------------------------------------------------------
+        // Steps
+        // --------------------------------------------------------------------
+
+        _vars() {
+            const now = Date.now();
+            return {
+                ...this._variables(),
+                ...this._captured,
+                last: this._lastSent,
+                now,
+                nowSeconds: Math.floor(now / 1000),
+            };
+        }
+
+        /** @returns {Promise<string>} Detail shown in the report */
+        async _runStep(step) {
+            this._attach();
+            const vars = this._vars();
+
+            switch (stepAction(step)) {
+                case 'send':
+                    return this._send(step, vars);
+                case 'expect':
+                    return this._expect(step, vars);
+                case 'expectNone':
+                    return this._expectNone(step);
+                case 'setState':
+                    this._setState(step.setState);
+                    return `State: ${step.setState}`;
+                case 'reload':
+                    this._inbox = [];
+                    await this._reload();
+                    this._attach();
+                    return '';
+                case 'wait':
+                    await this._sleep(step.wait);
+                    return '';
+                case 'run':
+                    return await step.run({
+                        bridge: this._bridge,
+                        vars,
+                        inbox: this._inbox.map(entry => entry.message),
+                        checkAssertions,
+                    }) || '';
+            }
+        }
+
+        _send(step, vars) {
+            const message = resolveTemplate(step.send, vars);
+            if (message.timestamp === undefined) {
+                message.timestamp = Date.now();
+            }
+            if (message.requestId === undefined && REQUEST_ID_TYPES.includes(message.type)) {
+                message.requestId = `scenario-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            }
+
+            this._bridge.send(message, { validate: !step.raw });
+            this._lastSent = { message, at: Date.now() };
+            return message.requestId ? `requestId ${message.requestId}` : '';
+        }
+
+        async _expect(step, vars) {
+            const type = step.expect;
+            const within = step.within ?? DEFAULT_EXPECT_TIMEOUT;
+            const requestId = step.correlate ? this._lastSent?.message.requestId : undefined;
+            const since = step.correlate ? this._lastSent?.at ?? 0 : 0;
+            const started = Date.now();
+            const matches = message => message?.type === type && (!step.correlate || message.requestId === requestId);
+
+            const entry = await this._waitFor(matches, within, since);
+
+            if (!entry) {
+                const invalid = this._invalid.find(item => item.at >= since && matches(item.message));
+                if (invalid) {
+                    throw new Error(`${type} received but failed validation: ${invalid.errors.map(e => e.field).join(', ')}`);
+                }
+                throw new Error(`No ${type}${requestId ? ` for ${requestId}` : ''} within ${within}ms`);
+            }
+            entry.consumed = true;
+
+            const failures = checkAssertions(entry.message, resolveTemplate(step.assert, vars));
+            if (failures.length) {
+                throw new Error(failures.join('; '));
+            }
+
+            if (step.as) {
+                this._captured[step.as] = entry.message;
+            }
+
+            const latency = entry.at - (this._lastSent?.at ?? started);
+            return this._lastSent && entry.at >= this._lastSent.at
+                ? `${type} after ${latency}ms`
+                : `${type} received`;
+        }
+
+        async _expectNone(step) {
+            const type = step.expectNone;
+            const within = step.within ?? DEFAULT_EXPECT_TIMEOUT;
+            const since = this._lastSent?.at ?? Date.now();
+
+            const entry = await this._waitFor(message => message.type === type, within, since);
+            if (entry) {
+                entry.consumed = true;
+                const payload = entry.message.payload || {};
+                throw new Error(`Unexpected ${type}${payload.code ? `: ${payload.code} - ${payload.message}` : ''}`);
+            }
+            return '';
+        }
+    }
+
+    // ========================================================================
+    // Built-in Scenarios (RFC Section 13.1 checklist phases)
+    // ========================================================================
+
+    const authenticateSteps = (wallet, credentials) => [
+        {
+            send: {
+                type: 'AUTH_CREDENTIALS',
+                payload: {
+                    account: `{{${credentials}.account}}`,
+                    proof: `{{${credentials}.proof}}`,
+                    partnerId: '{{partnerId}}',
+                },
+            },
+        },
+        {
+            expect: 'AUTH_RESULT',
+            within: 30000,
+            correlate: true,
+            assert: { 'payload.success': true, 'payload.address': `{{${wallet}}}` },
+        },
+    ];
+
+    const BUILTIN_SCENARIOS = [
+        {
+            id: 'basic-integration',
+            name: 'Phase 1: Basic Integration',
+            description: 'TLEND_LOADED on load; STYLES_UPGRADE and SET_LOGO are accepted',
+            steps: [
+                { reload: true },
+                {
+                    expect: 'TLEND_LOADED',
+                    within: 10000,
+                    assert: {
+                        'payload.version': { type: 'string' },
+                        'payload.capabilities': { type: 'array' },
+                    },
+                },
+                { setState: 'PENDING_AUTH' },
+                { send: { type: 'STYLES_UPGRADE', payload: { styles: '{{styles}}', theme: '{{theme}}' } } },
+                {
+                    send: {
+                        type: 'SET_LOGO',
+                        payload: { mode: 'combined', partnerName: '{{partnerName}}', combinedLogoUrl: '{{combinedLogoUrl}}' },
+                    },
+                },
+                { name: 'STYLES_UPGRADE and SET_LOGO accepted without ERROR', expectNone: 'ERROR', within: 1000 },
+            ],
+        },
+        {
+            id: 'authentication',
+            name: 'Phase 2: Authentication',
+            description: 'AUTH_CHECK_REQUEST, AUTH_CREDENTIALS, AUTH_RESULT and TLEND_READY',
+            steps: [
+                { send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{wallet}}' } } },
+                {
+                    expect: 'AUTH_CHECK_RESPONSE',
+                    within: 5000,
+                    correlate: true,
+                    assert: {
+                        'payload.authenticated': { type: 'boolean' },
+                        'payload.matchesRequested': { type: 'boolean' },
+                    },
+                },
+                { setState: 'PENDING_AUTH' },
+                ...authenticateSteps('wallet', 'credentials'),
+                { expect: 'TLEND_READY', within: 5000, assert: { 'payload.address': '{{wallet}}' } },
+                { setState: 'READY' },
+                { name: 'Session is reported after authentication', send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{wallet}}' } } },
+                {
+                    expect: 'AUTH_CHECK_RESPONSE',
+                    within: 5000,
+                    correlate: true,
+                    assert: {
+                        'payload.authenticated': true,
+                        'payload.matchesRequested': true,
+                        'payload.address': '{{wallet}}',
+                    },
+                },
+            ],
+        },
+        {
+            id: 'session-management',
+            name: 'Phase 3: Session Management',
+            description: 'Wallet change and DISCONNECT clear the TLend session',
+            steps: [
+                ...authenticateSteps('wallet', 'credentials'),
+                { setState: 'READY' },
+                { name: 'Detect wallet change', send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{otherWallet}}' } } },
+                { expect: 'AUTH_CHECK_RESPONSE', within: 5000, correlate: true, assert: { 'payload.matchesRequested': false } },
+                { send: { type: 'DISCONNECT', payload: { reason: 'wallet_changed' } } },
+                { setState: 'PENDING_AUTH' },
+                ...authenticateSteps('otherWallet', 'otherCredentials'),
+                { setState: 'READY' },
+                { send: { type: 'DISCONNECT', payload: { reason: 'user_initiated' } } },
+                { name: 'Session cleared after DISCONNECT', send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{otherWallet}}' } } },
+                { expect: 'AUTH_CHECK_RESPONSE', within: 5000, correlate: true, assert: { 'payload.authenticated': false } },
+                { setState: 'PENDING_AUTH' },
+            ],
+        },
+        {
+            id: 'repayment',
+            name: 'Phase 4: Repayment',
+            description: 'REPAY_REQUEST shape, user rejection and success (requires an authenticated session)',
+            steps: [
+                {
+                    expect: 'REPAY_REQUEST',
+                    within: 120000,
+                    prompt: 'Start a repayment in the TLend iframe',
+                    as: 'repay',
+                    assert: {
+                        'payload.amount.formatted': { type: 'string' },
+                        'payload.transaction.validUntil': { gt: '{{nowSeconds}}' },
+                        'payload.transaction.messages': { type: 'array' },
+                        'payload.metadata.userAddress': { exists: true },
+                    },
+                },
+                {
+                    name: 'Reject repayment (user cancelled)',
+                    send: {
+                        type: 'REPAY_RESULT',
+                        requestId: '{{repay.requestId}}',
+                        payload: {
+                            success: false,
+                            error: { code: 'USER_REJECTED', message: 'Transaction was rejected by user', userCancelled: true },
+                        },
+                    },
+                },
+                { name: 'Rejection handled without ERROR', expectNone: 'ERROR', within: 2000 },
+                {
+                    expect: 'REPAY_REQUEST',
+                    within: 120000,
+                    prompt: 'Start the repayment again',
+                    as: 'repay',
+                },
+                {
+                    name: 'Confirm repayment',
+                    send: {
+                        type: 'REPAY_RESULT',
+                        requestId: '{{repay.requestId}}',
+                        payload: { success: true, transactionHash: '{{mockTransactionHash}}' },
+                    },
+                },
+                { name: 'Result handled without ERROR', expectNone: 'ERROR', within: 2000 },
+            ],
+        },
+        {
+            id: 'error-handling',
+            name: 'Phase 5: Error Handling',
+            description: 'Malformed and unknown messages are answered with ERROR; responses meet timeouts',
+            steps: [
+                {
+                    name: 'Send AUTH_CHECK_REQUEST with a malformed address',
+                    raw: true,
+                    send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: 'not-a-ton-address' } },
+                },
+                {
+                    expect: 'ERROR',
+                    within: 5000,
+                    correlate: true,
+                    assert: {
+                        'payload.code': 'INVALID_MESSAGE',
+                        'payload.details.fields': { contains: 'payload.walletAddress' },
+                        'payload.recoverable': true,
+                    },
+                },
+                { name: 'Send an unknown message type', raw: true, send: { type: 'UNKNOWN_MESSAGE', payload: {} } },
+                {
+                    expect: 'ERROR',
+                    within: 5000,
+                    optional: true,
+                    assert: { 'payload.code': { oneOf: ['UNSUPPORTED_MESSAGE', 'INVALID_MESSAGE'] } },
+                },
+                { send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{wallet}}' } } },
+                {
+                    name: 'AUTH_CHECK_RESPONSE within the 5s timeout (RFC 11.3)',
+                    expect: 'AUTH_CHECK_RESPONSE',
+                    within: 5000,
+                    correlate: true,
+                },
+            ],
+        },
+    ];
+
+    ScenarioRunner.StepStatus = StepStatus;
+    ScenarioRunner.validateScenario = validateScenario;
+    ScenarioRunner.checkAssertions = checkAssertions;
+    ScenarioRunner.resolveTemplate = resolveTemplate;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ScenarioRunner, BUILTIN_SCENARIOS };
+    } else {
+        global.ScenarioRunner = ScenarioRunner;
+        global.BUILTIN_SCENARIOS = BUILTIN_SCENARIOS;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,533 @@
+/**
+ * TLend Session Recorder - Record, export and replay protocol sessions
+ *
+ * SessionRecorder captures every message a bridge sends or receives (including
+ * messages dropped by origin or schema validation) with high-resolution
+ * timestamps into a session trace, exported as JSON or NDJSON:
+ *
+ *   { "format": "tlend-session-trace", "version": 1, "protocolVersion": "2.2.0",
+ *     "recordedAt": 1700000000000, "meta": { ... },
+ *     "entries": [
+ *       { "seq": 0, "t": 0, "at": 1700000000000, "direction": "meta", "event": "load", "details": { ... } },
+ *       { "seq": 1, "t": 412.3, "at": 1700000000412, "direction": "in", "status": "ok",
+ *         "origin": "https://app.tlend.co", "message": { "type": "TLEND_LOADED", ... } }
+ *     ] }
+ *
+ * `t` is milliseconds since the trace started (performance.now()), `at` the
+ * wall clock time. `direction` is 'in' (TLend -> Partner), 'out'
+ * (Partner -> TLend) or 'meta' (iframe load/reload marks); `status` is 'ok',
+ * 'invalid' (failed schema validation) or 'rejected' (failed origin
+ * validation). NDJSON puts the header on the first line and one entry per
+ * following line.
+ *
+ * TraceReplay plays one side of a trace back with the original timing:
+ * - role 'partner': recorded outbound messages against a fresh TLend iframe,
+ *   anchored on its TLEND_LOADED
+ * - role 'tlend': recorded inbound messages against a live Partner, e.g.
+ *   through a SyntheticTLend standing in for the recorded iframe
+ * Responses are held until the live side has sent the request they answer,
+ * keep the recorded latency, and get the live requestId.
+ */
+
+(function (global) {
+    'use strict';
+
+    const TRACE_FORMAT = 'tlend-session-trace';
+    const TRACE_VERSION = 1;
+
+    const PROTOCOL = global.TLendProtocol
+        || (typeof require === 'function' ? require('./tlend-protocol.js') : null);
+
+    const Direction = {
+        IN: 'in',
+        OUT: 'out',
+        META: 'meta',
+    };
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    function now() {
+        return global.performance ? global.performance.now() : Date.now();
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function round(ms) {
+        return Math.round(ms * 1000) / 1000;
+    }
+
+    /** Throws unless `trace` looks like a session trace */
+    function checkTrace(trace) {
+        if (!trace || trace.format !== TRACE_FORMAT) {
+            throw new Error(`Not a session trace (expected format "${TRACE_FORMAT}")`);
+        }
+        if (trace.version !== TRACE_VERSION) {
+            throw new Error(`Unsupported session trace version ${trace.version}`);
+        }
+        if (!Array.isArray(trace.entries)) {
+            throw new Error('Session trace has no entries');
+        }
+        trace.entries.forEach((entry, index) => {
+            if (typeof entry?.t !== 'number' || !Object.values(Direction).includes(entry.direction)) {
+                throw new Error(`Session trace entry ${index} needs a numeric t and a direction`);
+            }
+            if (entry.direction !== Direction.META && (!entry.message || typeof entry.message !== 'object')) {
+                throw new Error(`Session trace entry ${index} has no message`);
+            }
+        });
+        return trace;
+    }
+
+    // ========================================================================
+    // Recorder
+    // ========================================================================
+
+    class SessionRecorder {
+        /**
+         * @param {Object} [options]
+         * @param {() => Object} [options.meta] - Context stored in the trace header (URL, partnerId, ...)
+         * @param {(entry: Object) => void} [options.onRecord] - Called for every recorded entry
+         */
+        constructor(options = {}) {
+            this._meta = options.meta || (() => ({}));
+            this._onRecord = options.onRecord || (() => {});
+            this._unsubscribe = [];
+            this.clear();
+        }
+
+        /** Record a bridge's traffic (detaches from the previous bridge, keeps the trace) */
+        attach(bridge) {
+            this.detach();
+            this._unsubscribe = [
+                bridge.on('message', (message, event) => {
+                    this._record(Direction.IN, message, { origin: event?.origin });
+                }),
+                bridge.on('invalid', ({ direction, message }, event) => {
+                    if (direction === 'inbound') {
+                        this._record(Direction.IN, message, { origin: event?.origin, status: 'invalid' });
+                    }
+                }),
+                bridge.on('rejected', ({ origin, message }) => {
+                    this._record(Direction.IN, message, { origin, status: 'rejected' });
+                }),
+                bridge.on('send', (message, targetOrigin) => {
+                    this._record(Direction.OUT, message, { origin: targetOrigin });
+                }),
+            ];
+        }
+
+        detach() {
+            this._unsubscribe.forEach(unsubscribe => unsubscribe());
+            this._unsubscribe = [];
+        }
+
+        /** Start a new, empty trace */
+        clear() {
+            this._startedAt = Date.now();
+            this._startedPerf = now();
+            this._entries = [];
+        }
+
+        /** Mark an iframe lifecycle event ('load', 'reload') */
+        mark(event, details) {
+            this._push({ direction: Direction.META, event, details: clone(details) });
+        }
+
+        /** Number of recorded entries */
+        get size() {
+            return this._entries.length;
+        }
+
+        _record(direction, message, { origin, status = 'ok' }) {
+            this._push({ direction, status, origin: origin || null, message: clone(message) });
+        }
+
+        _push(fields) {
+            const entry = {
+                seq: this._entries.length,
+                t: round(now() - this._startedPerf),
+                at: Date.now(),
+                ...fields,
+            };
+            this._entries.push(entry);
+            this._onRecord(entry);
+        }
+
+        /** @returns {Object} The trace recorded so far */
+        snapshot() {
+            return {
+                format: TRACE_FORMAT,
+                version: TRACE_VERSION,
+                protocolVersion: PROTOCOL?.TLEND_PROTOCOL_VERSION || null,
+                recordedAt: this._startedAt,
+                meta: clone(this._meta()),
+                entries: clone(this._entries),
+            };
+        }
+
+        exportJSON() {
+            return JSON.stringify(this.snapshot(), null, 2);
+        }
+
+        exportNDJSON() {
+            const { entries, ...header } = this.snapshot();
+            return [header, ...entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+        }
+
+        /**
+         * Parse an exported trace (JSON or NDJSON).
+         * @param {string} text
+         * @returns {Object} The trace
+         * @throws {Error} When the text is not a session trace
+         */
+        static parse(text) {
+            const source = String(text).trim();
+            let parsed = null;
+            try {
+                parsed = JSON.parse(source);
+            } catch (error) {
+                // Not a single JSON document: try NDJSON
+            }
+            if (parsed !== null) {
+                return checkTrace(parsed);
+            }
+
+            const lines = source.split(/\r?\n/).filter(line => line.trim());
+            let records;
+            try {
+                records = lines.map(line => JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Neither JSON nor NDJSON: ${error.message}`);
+            }
+            const [header, ...entries] = records;
+            return checkTrace({ ...header, entries });
+        }
+    }
+
+    // ========================================================================
+    // Replay
+    // ========================================================================
+
+    class TraceReplay {
+        /**
+         * @param {Object} options
+         * @param {Object} options.trace - Session trace to replay
+         * @param {'partner' | 'tlend'} options.role - Side of the trace to play back
+         * @param {(message: Object) => void} options.send - Posts a replayed message to the live side
+         * @param {() => void} [options.reload] - Reloads the TLend iframe (role 'partner')
+         * @param {number} [options.speed=1] - Timing multiplier (2 = twice as fast)
+         * @param {number} [options.waitTimeout=10000] - How long to wait for a live request
+         *   (or TLEND_LOADED) before skipping the recorded response, and for missing
+         *   live messages at the end (ms)
+         * @param {(progress: { index: number, total: number, entry: Object, status: string }) => void} [options.onProgress]
+         */
+        constructor(options) {
+            checkTrace(options.trace);
+            this._role = options.role;
+            this._send = options.send;
+            this._reload = options.reload || (() => {});
+            this._speed = options.speed || 1;
+            this._waitTimeout = options.waitTimeout ?? 10000;
+            this._onProgress = options.onProgress || (() => {});
+
+            this._playDirection = this._role === 'partner' ? Direction.OUT : Direction.IN;
+            this._liveDirection = this._role === 'partner' ? Direction.IN : Direction.OUT;
+            this._entries = options.trace.entries.filter(entry => entry.direction === Direction.META
+                || entry.status !== 'rejected');
+
+            // Requests the live side sent (it used the requestId first), with their occurrence key
+            this._recordedRequests = new Map();
+            const owners = new Map();
+            const counts = {};
+            this._entries
+                .filter(entry => entry.direction !== Direction.META && entry.message.requestId)
+                .forEach(entry => {
+                    const { type, requestId } = entry.message;
+                    if (!owners.has(requestId)) owners.set(requestId, entry.direction);
+                    if (entry.direction !== this._liveDirection || owners.get(requestId) !== this._liveDirection) return;
+
+                    counts[type] = (counts[type] || 0) + 1;
+                    if (!this._recordedRequests.has(requestId)) {
+                        this._recordedRequests.set(requestId, { entry, key: `${type}#${counts[type]}` });
+                    }
+                });
+
+            this._live = [];
+            this._liveKeys = new Map();
+            this._sentRequestIds = new Set();
+            this._liveCounts = {};
+            this._waiters = [];
+            this._running = false;
+            this._stopped = false;
+        }
+
+        get running() {
+            return this._running;
+        }
+
+        /** Feed a message the live side sent */
+        observe(message) {
+            if (!this._running || !message?.type) return;
+
+            const arrival = { message, time: now() };
+            this._live.push(arrival);
+            if (message.requestId && !this._sentRequestIds.has(message.requestId)) {
+                const count = (this._liveCounts[message.type] || 0) + 1;
+                this._liveCounts[message.type] = count;
+                this._liveKeys.set(`${message.type}#${count}`, arrival);
+            }
+            this._waiters = this._waiters.filter(waiter => !waiter(arrival));
+        }
+
+        stop() {
+            this._stopped = true;
+            this._waiters.forEach(waiter => waiter(null));
+            this._waiters = [];
+            clearTimeout(this._sleepTimer);
+            this._wake?.();
+        }
+
+        /**
+         * Play the trace back.
+         * @returns {Promise<Object>} Report comparing the live side with the recording
+         */
+        async run() {
+            if (this._running) throw new Error('Replay is already running');
+            this._running = true;
+            const startedAt = Date.now();
+            const skipped = [];
+            let replayed = 0;
+
+            try {
+                const firstLoaded = this._entries.find(entry => entry.direction === Direction.IN
+                    && entry.message.type === 'TLEND_LOADED');
+                let anchor = await this._anchor(firstLoaded, skipped);
+
+                const total = this._entries.length;
+                for (let index = 0; index < total && !this._stopped; index++) {
+                    const entry = this._entries[index];
+
+                    if (entry.direction === Direction.META) {
+                        // Later (re)loads restart the iframe and re-anchor on its TLEND_LOADED
+                        if (this._role === 'partner' && firstLoaded && entry.t > firstLoaded.t) {
+                            const nextLoaded = this._entries.slice(index + 1).find(next =>
+                                next.direction === Direction.IN && next.message.type === 'TLEND_LOADED');
+                            anchor = await this._anchor(nextLoaded, skipped);
+                        }
+                        continue;
+                    }
+                    if (entry.direction !== this._playDirection) continue;
+
+                    const message = clone(entry.message);
+                    let notBefore = anchor.live + (entry.t - anchor.recorded) / this._speed;
+
+                    // A response waits for the live request it answers
+                    const request = this._recordedRequests.get(message.requestId);
+                    if (request) {
+                        await this._waitFor(() => this._liveKeys.has(request.key));
+                        const arrival = this._liveKeys.get(request.key);
+                        if (!arrival || this._stopped) {
+                            skipped.push({ seq: entry.seq, type: message.type, reason: `no live ${request.key.replace('#', ' #')}` });
+                            this._onProgress({ index, total, entry, status: 'skipped' });
+                            continue;
+                        }
+                        message.requestId = arrival.message.requestId;
+                        notBefore = Math.max(notBefore, arrival.time + (entry.t - request.entry.t) / this._speed);
+                    }
+
+                    await this._sleepUntil(notBefore);
+                    if (this._stopped) break;
+
+                    // Only the protocol timestamp is refreshed; the content is replayed as recorded
+                    if (typeof message.timestamp === 'number') {
+                        message.timestamp = Date.now();
+                    }
+                    try {
+                        if (message.requestId) this._sentRequestIds.add(message.requestId);
+                        this._send(message);
+                        replayed++;
+                        this._onProgress({ index, total, entry, status: 'sent' });
+                    } catch (error) {
+                        skipped.push({ seq: entry.seq, type: message.type, reason: error.message });
+                        this._onProgress({ index, total, entry, status: 'failed' });
+                    }
+                }
+
+                // Give the live side the recorded tail time to answer, and a
+                // slower live side up to waitTimeout to catch up
+                const last = this._entries[this._entries.length - 1];
+                if (last && !this._stopped) {
+                    await this._sleepUntil(anchor.live + (last.t - anchor.recorded) / this._speed);
+                    const expected = this._entries.filter(entry => entry.direction === this._liveDirection).length;
+                    if (this._live.length < expected) {
+                        await this._waitFor(() => this._live.length >= expected);
+                    }
+                }
+            } finally {
+                this._running = false;
+            }
+
+            return this._report(startedAt, replayed, skipped);
+        }
+
+        /**
+         * Pair a recorded TLEND_LOADED with the live clock. Role 'partner'
+         * reloads the iframe and waits for the live TLEND_LOADED; without one
+         * the replay carries on from now.
+         */
+        async _anchor(recordedLoaded, skipped) {
+            const recorded = recordedLoaded ? recordedLoaded.t : (this._entries[0]?.t || 0);
+            if (this._role !== 'partner') {
+                return { recorded, live: now() };
+            }
+
+            const seen = this._live.length;
+            const isLoaded = arrival => arrival.message.type === 'TLEND_LOADED';
+            this._reload();
+            if (recordedLoaded && !(await this._waitFor(isLoaded, seen)) && !this._stopped) {
+                skipped.push({ seq: recordedLoaded.seq, type: 'TLEND_LOADED', reason: 'iframe sent no TLEND_LOADED' });
+            }
+
+            const loaded = this._live.slice(seen).find(isLoaded);
+            return { recorded, live: loaded ? loaded.time : now() };
+        }
+
+        /** Resolves once a live arrival (from index `since`) matches, or after waitTimeout */
+        _waitFor(match, since = 0) {
+            if (this._live.slice(since).some(match)) return Promise.resolve(true);
+            if (this._stopped) return Promise.resolve(false);
+
+            return new Promise((resolve) => {
+                const timer = setTimeout(() => {
+                    this._waiters = this._waiters.filter(item => item !== waiter);
+                    resolve(false);
+                }, this._waitTimeout);
+                const waiter = (arrival) => {
+                    if (arrival && !match(arrival)) return false;
+                    clearTimeout(timer);
+                    resolve(Boolean(arrival));
+                    return true;
+                };
+                this._waiters.push(waiter);
+            });
+        }
+
+        _sleepUntil(time) {
+            const delay = time - now();
+            if (delay <= 0 || this._stopped) return Promise.resolve();
+            return new Promise((resolve) => {
+                this._wake = resolve;
+                this._sleepTimer = setTimeout(resolve, delay);
+            });
+        }
+
+        _report(startedAt, replayed, skipped) {
+            const expected = this._entries
+                .filter(entry => entry.direction === this._liveDirection)
+                .map(entry => entry.message.type);
+            const observed = this._live.map(arrival => arrival.message.type);
+            const length = Math.max(expected.length, observed.length);
+            let diverged = null;
+            for (let index = 0; index < length; index++) {
+                if (expected[index] !== observed[index]) {
+                    diverged = index;
+                    break;
+                }
+            }
+
+            return {
+                role: this._role,
+                startedAt,
+                durationMs: Date.now() - startedAt,
+                stopped: this._stopped,
+                replayed,
+                skipped,
+                expected,
+                observed,
+                diverged,
+                matches: diverged === null && skipped.length === 0 && !this._stopped,
+            };
+        }
+    }
+
+    // ========================================================================
+    // Synthetic TLend
+    // ========================================================================
+
+    /**
+     * Window-like stand-in for the TLend iframe. Pass it as both `targetWindow`
+     * and `listenWindow` of a TLendPartnerBridge: the bridge posts to it, and
+     * deliver() dispatches messages to the bridge as if the iframe sent them.
+     */
+    class SyntheticTLend {
+        /**
+         * @param {Object} options
+         * @param {string} options.origin - Origin the messages appear to come from
+         * @param {(message: Object) => void} [options.onMessage] - Receives what the Partner posts
+         */
+        constructor(options) {
+            this.origin = options.origin;
+            this._onMessage = options.onMessage || (() => {});
+            this._listeners = new Set();
+        }
+
+        postMessage(message) {
+            const data = clone(message);
+            setTimeout(() => this._onMessage(data), 0);
+        }
+
+        addEventListener(type, listener) {
+            if (type === 'message') this._listeners.add(listener);
+        }
+
+        removeEventListener(type, listener) {
+            this._listeners.delete(listener);
+        }
+
+        /** Deliver a message to the Partner, asynchronously like postMessage */
+        deliver(message) {
+            const event = { data: clone(message), origin: this.origin, source: this };
+            setTimeout(() => this._listeners.forEach(listener => listener(event)), 0);
+        }
+    }
+
+    /**
+     * Replay a trace's TLend side against a live Partner bridge.
+     * @param {Object} trace
+     * @param {Object} [options] - TraceReplay options (speed, waitTimeout, onProgress)
+     * @returns {{ tlend: SyntheticTLend, replay: TraceReplay }}
+     */
+    function createSyntheticReplay(trace, options = {}) {
+        checkTrace(trace);
+        const recordedOrigin = trace.entries.find(entry =>
+            entry.direction === Direction.IN && entry.status === 'ok' && entry.origin)?.origin;
+
+        let replay = null;
+        const tlend = new SyntheticTLend({
+            origin: options.origin || recordedOrigin || 'https://app.tlend.co',
+            onMessage: (message) => replay.observe(message),
+        });
+        replay = new TraceReplay({
+            ...options,
+            trace,
+            role: 'tlend',
+            send: (message) => tlend.deliver(message),
+        });
+        return { tlend, replay };
+    }
+
+    SessionRecorder.FORMAT = TRACE_FORMAT;
+    SessionRecorder.VERSION = TRACE_VERSION;
+
+    const exported = { SessionRecorder, TraceReplay, SyntheticTLend, createSyntheticReplay };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
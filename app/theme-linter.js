@@ -0,0 +1,307 @@
+/**
+ * TLend Theme Linter - Sanity checks for STYLES_UPGRADE payloads
+ *
+ * lintTheme(styles, theme) checks a partner palette before it is sent:
+ * - values: colors must be legal CSS colors, radii CSS lengths, the font
+ *   family a non-empty font list
+ * - contrast: WCAG 2.1 contrast ratios for the pairs TLend renders (text on
+ *   background and surface, status colors, button labels). Below AA is an
+ *   error; AA without AAA is reported as info
+ * - theme: the `theme` hint must match the background's luminance
+ *
+ * Colors are resolved without a DOM: hex, rgb()/rgba(), hsl()/hsla() and
+ * the CSS named colors. Values that cannot be resolved here (var(),
+ * currentColor, color-mix(), ...) are reported as not checked.
+ *
+ * Usage:
+ *   const { ok, issues, contrasts } = TLendThemeLinter.lintTheme(styles, 'dark');
+ *
+ * Exposes `window.TLendThemeLinter` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const Severity = {
+        ERROR: 'error',
+        WARNING: 'warning',
+        INFO: 'info',
+    };
+
+    // WCAG 2.1 minimum ratios: 1.4.3 / 1.4.6 for text, 1.4.11 for large text and UI components
+    const THRESHOLDS = {
+        text: { aa: 4.5, aaa: 7 },
+        large: { aa: 3, aaa: 4.5 },
+    };
+
+    // Foreground/background pairs TLend renders; a leading # is a fixed color
+    const CONTRAST_PAIRS = [
+        { fg: '--tlend-text', bg: '--tlend-background', size: 'text', label: 'Text on background' },
+        { fg: '--tlend-text', bg: '--tlend-surface', size: 'text', label: 'Text on surface' },
+        { fg: '--tlend-text-secondary', bg: '--tlend-background', size: 'text', label: 'Secondary text on background' },
+        { fg: '--tlend-text-secondary', bg: '--tlend-surface', size: 'text', label: 'Secondary text on surface' },
+        { fg: '#ffffff', bg: '--tlend-primary', size: 'text', label: 'Button label (white) on primary' },
+        { fg: '#ffffff', bg: '--tlend-primary-hover', size: 'text', label: 'Button label (white) on primary hover' },
+        { fg: '--tlend-primary', bg: '--tlend-background', size: 'large', label: 'Primary (links, outlines) on background' },
+        { fg: '--tlend-primary', bg: '--tlend-surface', size: 'large', label: 'Primary (links, outlines) on surface' },
+        { fg: '--tlend-success', bg: '--tlend-surface', size: 'large', label: 'Success on surface' },
+        { fg: '--tlend-error', bg: '--tlend-surface', size: 'large', label: 'Error on surface' },
+        { fg: '--tlend-warning', bg: '--tlend-surface', size: 'large', label: 'Warning on surface' },
+    ];
+
+    // CSS Color Module Level 4 named colors
+    const NAMED_COLORS = 'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff '
+        + 'beige:f5f5dc bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 '
+        + 'brown:a52a2a burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 '
+        + 'cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b '
+        + 'darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b '
+        + 'darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 '
+        + 'darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f '
+        + 'darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff '
+        + 'dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 '
+        + 'forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 '
+        + 'goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 '
+        + 'hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa '
+        + 'lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 '
+        + 'lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 '
+        + 'lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa '
+        + 'lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 '
+        + 'limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa '
+        + 'mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 '
+        + 'mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 '
+        + 'midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead '
+        + 'navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 '
+        + 'orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 '
+        + 'papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6 '
+        + 'purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 '
+        + 'saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d '
+        + 'silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa '
+        + 'springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 '
+        + 'turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 '
+        + 'yellowgreen:9acd32';
+
+    const NAMED = Object.fromEntries(NAMED_COLORS.split(' ').map(entry => entry.split(':')));
+
+    const LENGTH_UNITS = ['px', 'em', 'rem', '%', 'vh', 'vw', 'vmin', 'vmax', 'ch', 'ex', 'pt', 'pc', 'cm', 'mm', 'in', 'q'];
+    const LENGTH = new RegExp(`^(?:0|\\d*\\.?\\d+(?:${LENGTH_UNITS.join('|')}))$`, 'i');
+
+    // Colors valid in CSS that cannot be resolved without a document
+    const UNRESOLVED_COLOR = /^(?:var|color-mix|color|lab|lch|oklab|oklch|hwb|light-dark)\(|^(?:currentcolor|inherit|initial|unset|revert)$/i;
+
+    // ========================================================================
+    // Colors
+    // ========================================================================
+
+    function clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // rgb()/hsl() arguments, comma or space separated, optional "/ alpha"
+    function splitArgs(body) {
+        const [main, slashAlpha] = body.split('/');
+        const parts = main.trim().split(/\s*,\s*|\s+/).filter(Boolean);
+        if (slashAlpha !== undefined) parts.push(slashAlpha.trim());
+        return parts;
+    }
+
+    function parseNumber(text, percentScale) {
+        const match = /^(-?\d*\.?\d+)(%?)$/.exec(text);
+        if (!match) return NaN;
+        const number = parseFloat(match[1]);
+        return match[2] ? number / 100 * percentScale : number;
+    }
+
+    function parseAlpha(text) {
+        return text === undefined ? 1 : clamp(parseNumber(text, 1), 0, 1);
+    }
+
+    function hslToRgb(h, s, l) {
+        const k = n => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        return [f(0) * 255, f(8) * 255, f(4) * 255];
+    }
+
+    /**
+     * Resolve a CSS color.
+     * @returns {{ r: number, g: number, b: number, a: number } | null}
+     *   channels 0-255, alpha 0-1; null if it is not a color this linter reads
+     */
+    function parseColor(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+        if (NAMED[text]) return parseColor(`#${NAMED[text]}`);
+
+        const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+        if (hex) {
+            const digits = hex[1].length <= 4 ? hex[1].replace(/./g, c => c + c) : hex[1];
+            const channel = i => parseInt(digits.substr(i * 2, 2), 16);
+            return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+        }
+
+        const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+        if (!fn) return null;
+        const args = splitArgs(fn[2]);
+        if (args.length !== 3 && args.length !== 4) return null;
+
+        let rgb;
+        if (fn[1].startsWith('rgb')) {
+            rgb = args.slice(0, 3).map(arg => parseNumber(arg, 255));
+        } else {
+            const hue = parseFloat(args[0].replace(/deg$/, ''));
+            const [s, l] = args.slice(1, 3).map(arg => parseNumber(arg, 1));
+            if (!args[1].endsWith('%') || !args[2].endsWith('%')) return null;
+            rgb = hslToRgb(((hue % 360) + 360) % 360, clamp(s, 0, 1), clamp(l, 0, 1));
+        }
+        const a = parseAlpha(args[3]);
+        if (rgb.some(Number.isNaN) || Number.isNaN(a)) return null;
+
+        const [r, g, b] = rgb.map(channel => clamp(channel, 0, 255));
+        return { r, g, b, a };
+    }
+
+    /** Composite a translucent color over an opaque one */
+    function composite(color, under) {
+        const mix = channel => color[channel] * color.a + under[channel] * (1 - color.a);
+        return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+    }
+
+    /** WCAG 2.1 relative luminance of an opaque color */
+    function luminance({ r, g, b }) {
+        const linear = channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+    }
+
+    function contrastRatio(foreground, background) {
+        const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+        return (light + 0.05) / (dark + 0.05);
+    }
+
+    // ========================================================================
+    // Values
+    // ========================================================================
+
+    function valueKind(name) {
+        if (name.endsWith('-font-family')) return 'font';
+        if (name.endsWith('-radius')) return 'length';
+        return 'color';
+    }
+
+    // calc() and friends are accepted unchecked
+    function isLength(value) {
+        return LENGTH.test(value) || /^(?:calc|min|max|clamp|var)\(.+\)$/i.test(value);
+    }
+
+    function isFontList(value) {
+        const families = value.split(',').map(family => family.trim());
+        return families.every(family => family.length > 0
+            && (/^(['"]).+\1$/.test(family) || /^[a-z_-][\w\s-]*$/i.test(family)));
+    }
+
+    function checkValue(name, value, issues) {
+        const kind = valueKind(name);
+        const text = value.trim();
+
+        if (kind === 'color') {
+            if (parseColor(text)) return;
+            if (UNRESOLVED_COLOR.test(text)) {
+                issues.push({ severity: Severity.INFO, variables: [name], rule: 'value',
+                    message: `${name}: ${text} cannot be resolved here, its contrast is not checked` });
+                return;
+            }
+            issues.push({ severity: Severity.ERROR, variables: [name], rule: 'value',
+                message: `${name}: "${text}" is not a CSS color` });
+        } else if (kind === 'length' && !isLength(text)) {
+            issues.push({ severity: Severity.ERROR, variables: [name], rule: 'value',
+                message: `${name}: "${text}" is not a CSS length (e.g. 12px, 0.75rem)` });
+        } else if (kind === 'font' && !isFontList(text)) {
+            issues.push({ severity: Severity.ERROR, variables: [name], rule: 'value',
+                message: `${name}: "${text}" is not a font family list (quote names with special characters)` });
+        }
+    }
+
+    // ========================================================================
+    // Lint
+    // ========================================================================
+
+    /**
+     * Lint a STYLES_UPGRADE payload.
+     * @param {Object<string, string>} styles
+     * @param {'light'|'dark'} [theme]
+     * @returns {{
+     *   ok: boolean,
+     *   issues: Array<{ severity: string, variables: string[], rule: string, message: string }>,
+     *   contrasts: Array<{ label: string, fg: string, bg: string, ratio: number, aa: boolean, aaa: boolean, minimum: number }>
+     * }} `ok` is false when there is an error
+     */
+    function lintTheme(styles, theme) {
+        const issues = [];
+        const contrasts = [];
+
+        Object.entries(styles).forEach(([name, value]) => checkValue(name, value, issues));
+
+        // Backgrounds with alpha sit on the page background (white when unknown)
+        const page = parseColor(styles['--tlend-background'] || '');
+        const base = page ? composite(page, { r: 255, g: 255, b: 255, a: 1 }) : { r: 255, g: 255, b: 255, a: 1 };
+        const resolve = ref => (ref.startsWith('#') ? parseColor(ref) : styles[ref] && parseColor(styles[ref]));
+
+        CONTRAST_PAIRS.forEach(({ fg, bg, size, label }) => {
+            const foreground = resolve(fg);
+            const background = resolve(bg);
+            if (!foreground || !background) return;
+
+            const opaqueBackground = background.a < 1 ? composite(background, base) : background;
+            const opaqueForeground = foreground.a < 1 ? composite(foreground, opaqueBackground) : foreground;
+            const ratio = Math.round(contrastRatio(opaqueForeground, opaqueBackground) * 100) / 100;
+            const { aa, aaa } = THRESHOLDS[size];
+            const result = { label, fg, bg, ratio, aa: ratio >= aa, aaa: ratio >= aaa, minimum: aa };
+            contrasts.push(result);
+
+            const variables = [fg, bg].filter(ref => ref.startsWith('--'));
+            if (!result.aa) {
+                issues.push({ severity: Severity.ERROR, variables, rule: 'contrast',
+                    message: `${label}: ${ratio}:1 is below WCAG AA (${aa}:1)` });
+            } else if (!result.aaa) {
+                issues.push({ severity: Severity.INFO, variables, rule: 'contrast',
+                    message: `${label}: ${ratio}:1 passes AA, not AAA (${aaa}:1)` });
+            }
+        });
+
+        // Dark palettes contrast more with white than with black
+        if (theme && page) {
+            const white = { r: 255, g: 255, b: 255, a: 1 };
+            const black = { r: 0, g: 0, b: 0, a: 1 };
+            const palette = contrastRatio(base, white) > contrastRatio(base, black) ? 'dark' : 'light';
+            if (palette !== theme) {
+                issues.push({ severity: Severity.WARNING, variables: ['--tlend-background'], rule: 'theme',
+                    message: `theme is "${theme}" but --tlend-background is a ${palette} color` });
+            }
+        }
+
+        return {
+            ok: !issues.some(issue => issue.severity === Severity.ERROR),
+            issues,
+            contrasts,
+        };
+    }
+
+    const TLendThemeLinter = {
+        Severity,
+        THRESHOLDS,
+        CONTRAST_PAIRS,
+        parseColor,
+        luminance,
+        contrastRatio,
+        isLength,
+        lintTheme,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendThemeLinter;
+    } else {
+        global.TLendThemeLinter = TLendThemeLinter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,893 @@
+/**
+ * TLend Partner Bridge - Partner-side SDK for the TLend Iframe Integration
+ *
+ * Framework-agnostic implementation of the Partner (parent) side of the
+ * protocol specified in RFC-001-TLEND-PARTNER-IFRAME-INTEGRATION.md (v2.2.0).
+ *
+ * The bridge never touches the DOM: it only needs the TLend iframe (or a
+ * window + origin pair) to post messages to, and the window that receives
+ * TLend's messages. UI concerns (logs, modals, state indicators) belong to
+ * the embedding application, which subscribes to bridge events.
+ *
+ * Origin validation (RFC Sections 4.2, 10.1) is strict by default: only
+ * messages from an allowed origin whose source is the TLend window are
+ * processed, and messages are never posted with a '*' target origin.
+ *
+ * Nothing is posted before TLEND_LOADED (RFC Section 5.3): messages sent
+ * earlier wait in a queue and go out, in order, when TLend announces
+ * itself. If TLEND_LOADED never comes, flush() sends them anyway.
+ *
+ * Message shapes follow the interfaces in @tlend/iframe-types. Pass a
+ * `validate` function (e.g. TLendProtocol.validateMessage) to enforce them
+ * at runtime: malformed inbound messages are answered with an
+ * INVALID_MESSAGE ERROR, malformed outbound messages are never posted.
+ *
+ * Usage:
+ *   const bridge = new TLendPartnerBridge({ iframe });
+ *   bridge.on('TLEND_LOADED', (message) => { ... });
+ *   bridge.onRepayRequest(async (request) => ({ success: true, transactionHash }));
+ *   const { payload } = await bridge.checkAuth('0:abc...');
+ */
+
+(function (global) {
+    'use strict';
+
+    /**
+     * @typedef {import('@tlend/iframe-types').IframeMessage} IframeMessage
+     * @typedef {import('@tlend/iframe-types').MessageType} MessageType
+     * @typedef {import('@tlend/iframe-types').AuthCheckResponseMessage} AuthCheckResponseMessage
+     * @typedef {import('@tlend/iframe-types').AuthResultMessage} AuthResultMessage
+     * @typedef {import('@tlend/iframe-types').RepayRequestMessage} RepayRequestMessage
+     * @typedef {import('@tlend/iframe-types').RepayResultMessage} RepayResultMessage
+     * @typedef {import('@tlend/iframe-types').TonAccount} TonAccount
+     * @typedef {import('@tlend/iframe-types').TonProof} TonProof
+     * @typedef {import('@tlend/iframe-types').LogoConfig} LogoConfig
+     * @typedef {import('@tlend/iframe-types').DisconnectReason} DisconnectReason
+     * @typedef {import('@tlend/iframe-types').MessageHandler} MessageHandler
+     * @typedef {import('@tlend/iframe-types').Unsubscribe} Unsubscribe
+     * @typedef {import('@tlend/iframe-types').ValidationResult} ValidationResult
+     */
+
+    /**
+     * @typedef {Object} RetryPolicy
+     * @property {'retry' | 'refresh' | 'stop' | 'fatal'} action - retry: resend after a backoff;
+     *   refresh: resend with fresh credentials; stop: give up; fatal: give up, needs TLend support
+     * @property {number} [maxRetries]
+     * @property {'exponential' | 'linear'} [backoff]
+     * @property {number} [baseDelay] - First delay (ms)
+     */
+
+    /**
+     * @typedef {Object} RetryInfo
+     * @property {string} label - What is being retried (e.g. 'AUTH_CREDENTIALS')
+     * @property {string} code - Error code of the failed attempt
+     * @property {RetryPolicy['action']} action
+     * @property {number} attempt - Failed attempt number (starting at 1)
+     * @property {number} retry - Retry number for this code
+     * @property {number} maxRetries
+     * @property {number} delayMs
+     * @property {number} retryAt - When the next attempt is sent (ms since epoch)
+     * @property {Error} error
+     */
+
+    // ========================================================================
+    // Protocol Constants
+    // ========================================================================
+
+    const MessageTypes = {
+        // TLend -> Partner
+        TLEND_LOADED: 'TLEND_LOADED',
+        AUTH_CHECK_RESPONSE: 'AUTH_CHECK_RESPONSE',
+        AUTH_RESULT: 'AUTH_RESULT',
+        AUTH_REQUEST: 'AUTH_REQUEST',
+        TLEND_READY: 'TLEND_READY',
+        REPAY_REQUEST: 'REPAY_REQUEST',
+        ERROR: 'ERROR',
+        // Partner -> TLend
+        STYLES_UPGRADE: 'STYLES_UPGRADE',
+        SET_LOGO: 'SET_LOGO',
+        AUTH_CHECK_REQUEST: 'AUTH_CHECK_REQUEST',
+        AUTH_CREDENTIALS: 'AUTH_CREDENTIALS',
+        DISCONNECT: 'DISCONNECT',
+        REPAY_RESULT: 'REPAY_RESULT',
+    };
+
+    /** Default response timeouts (ms), see RFC Section 11.3 */
+    const DEFAULT_TIMEOUTS = {
+        authCheck: 5000,
+        authCredentials: 30000,
+    };
+
+    /** Bridge-level error codes (protocol error codes are passed through as-is) */
+    const BridgeErrorCodes = {
+        NOT_CONNECTED: 'NOT_CONNECTED',
+        INVALID_ORIGIN: 'INVALID_ORIGIN',
+        TIMEOUT: 'TIMEOUT',
+        DESTROYED: 'DESTROYED',
+        RESET: 'RESET',
+        INVALID_MESSAGE: 'INVALID_MESSAGE',
+    };
+
+    /** The only codes allowed in a failed REPAY_RESULT (RFC Section 11.1) */
+    const RepayErrorCodes = {
+        USER_REJECTED: 'USER_REJECTED',
+        WALLET_NOT_CONNECTED: 'WALLET_NOT_CONNECTED',
+        INVALID_TRANSACTION: 'INVALID_TRANSACTION',
+        INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+        TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+        TIMEOUT: 'TIMEOUT',
+        REPAY_IN_PROGRESS: 'REPAY_IN_PROGRESS',
+    };
+
+    /**
+     * Retry policy per error code, see RFC Section 11.4. Codes that are not
+     * listed are not retriable.
+     * @type {Record<string, RetryPolicy>}
+     */
+    const RetryPolicies = {
+        TIMEOUT: { action: 'retry', maxRetries: 3, backoff: 'exponential', baseDelay: 1000 },
+        INTERNAL_ERROR: { action: 'retry', maxRetries: 2, backoff: 'linear', baseDelay: 2000 },
+        // Never replay the same credentials: resend once with a new proof
+        INVALID_SIGNATURE: { action: 'refresh', maxRetries: 1 },
+        INVALID_PAYLOAD: { action: 'refresh', maxRetries: 1 },
+        PAYLOAD_EXPIRED: { action: 'refresh', maxRetries: 1 },
+        DOMAIN_MISMATCH: { action: 'fatal' },
+        PARTNER_NOT_FOUND: { action: 'fatal' },
+    };
+
+    const NO_RETRY = { action: 'stop' };
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    class TLendBridgeError extends Error {
+        /**
+         * @param {string} code - Bridge or protocol error code
+         * @param {string} message - Human-readable message
+         * @param {Object} [details] - Additional context
+         */
+        constructor(code, message, details) {
+            super(message);
+            this.name = 'TLendBridgeError';
+            this.code = code;
+            this.details = details;
+        }
+    }
+
+    function generateRequestId(prefix = 'req') {
+        return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /** @returns {RetryPolicy} */
+    function getRetryPolicy(code) {
+        return RetryPolicies[code] || NO_RETRY;
+    }
+
+    /**
+     * Delay before retry number `retry` (starting at 1): exponential doubles
+     * the base delay (1s, 2s, 4s), linear adds it (2s, 4s).
+     */
+    function getRetryDelay(policy, retry) {
+        if (!policy.baseDelay) return 0;
+        return policy.backoff === 'exponential'
+            ? policy.baseDelay * Math.pow(2, retry - 1)
+            : policy.baseDelay * retry;
+    }
+
+    function originOf(url) {
+        try {
+            return new URL(url).origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ========================================================================
+    // Bridge
+    // ========================================================================
+
+    class TLendPartnerBridge {
+        /**
+         * @param {Object} options
+         * @param {HTMLIFrameElement} [options.iframe] - TLend iframe element
+         * @param {Window} [options.targetWindow] - TLend window (alternative to iframe)
+         * @param {string} [options.targetOrigin] - TLend origin; derived from the iframe URL if omitted
+         * @param {string[]} [options.allowedOrigins] - Origins accepted in strict mode (defaults to [targetOrigin])
+         * @param {boolean} [options.strictOrigin=true] - Set to false for permissive dev mode: trust the
+         *   first sender's origin and fall back to '*' until it is known
+         * @param {Window} [options.listenWindow] - Window receiving TLend messages (defaults to global window)
+         * @param {{ authCheck?: number, authCredentials?: number }} [options.timeouts] - Response timeouts (ms)
+         * @param {(message: unknown) => ValidationResult} [options.validate] - Schema validator applied to
+         *   every inbound and outbound message
+         * @param {boolean} [options.bufferUntilLoaded=true] - Queue outbound messages until TLEND_LOADED;
+         *   set to false to post them right away
+         */
+        constructor(options = {}) {
+            if (!options.iframe && !options.targetWindow) {
+                throw new TypeError('TLendPartnerBridge requires an iframe or a targetWindow');
+            }
+
+            this._iframe = options.iframe || null;
+            this._targetWindow = options.targetWindow || null;
+            this._configuredOrigin = options.targetOrigin || null;
+            this._origin = this._configuredOrigin;
+            this._strictOrigin = options.strictOrigin !== false;
+            this._allowedOrigins = options.allowedOrigins
+                || (this._configuredOrigin ? [this._configuredOrigin] : []);
+            this._listenWindow = options.listenWindow || global;
+            this._timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+            this._validate = options.validate || null;
+            this._bufferUntilLoaded = options.bufferUntilLoaded !== false;
+
+            this._pending = new Map();
+            // Messages sent before TLEND_LOADED: { message, onPost }
+            this._queue = [];
+            this._loaded = false;
+            this._listeners = new Map();
+            this._repayHandler = null;
+            this._destroyed = false;
+            // Bumped by reset() so in-flight retries are abandoned
+            this._generation = 0;
+
+            this._handleMessage = this._handleMessage.bind(this);
+            this._listenWindow.addEventListener('message', this._handleMessage);
+        }
+
+        /** Window that messages are posted to */
+        get targetWindow() {
+            return this._iframe ? this._iframe.contentWindow : this._targetWindow;
+        }
+
+        /** Current TLend origin (configured or learned), or null */
+        get origin() {
+            return this._origin;
+        }
+
+        /** Whether strict origin validation is enabled */
+        get strictOrigin() {
+            return this._strictOrigin;
+        }
+
+        /** Number of requests awaiting a response */
+        get pendingCount() {
+            return this._pending.size;
+        }
+
+        /** Whether messages are posted right away: TLEND_LOADED arrived, flush() was called, or buffering is off */
+        get loaded() {
+            return this._loaded || !this._bufferUntilLoaded;
+        }
+
+        /** Number of messages waiting for TLEND_LOADED */
+        get queuedCount() {
+            return this._queue.length;
+        }
+
+        // --------------------------------------------------------------------
+        // Events
+        // --------------------------------------------------------------------
+
+        /**
+         * Subscribe to bridge events.
+         *
+         * Events:
+         * - any MessageType: inbound message of that type
+         * - 'message': every inbound protocol message
+         * - 'send': every outbound protocol message, called with (message, targetOrigin)
+         * - 'queued': outbound message held until TLEND_LOADED, called with (message, queuedCount)
+         * - 'origin': TLend origin learned from the first message (permissive mode)
+         * - 'rejected': inbound message dropped by origin validation,
+         *   called with ({ code: 'INVALID_ORIGIN', origin, reason, message })
+         * - 'invalid': message failing schema validation,
+         *   called with ({ direction: 'inbound' | 'outbound', message, errors }, event);
+         *   event is the MessageEvent for inbound messages
+         * - 'warning': inbound message that passed validation with warnings (e.g. an
+         *   amount whose `formatted` text does not match its value), called with
+         *   ({ direction: 'inbound', message, warnings }, event); the message is still processed
+         * - 'retry': a failed request will be retried, called with (RetryInfo)
+         *
+         * @param {string} event
+         * @param {Function} handler
+         * @returns {Unsubscribe}
+         */
+        on(event, handler) {
+            if (!this._listeners.has(event)) {
+                this._listeners.set(event, new Set());
+            }
+            this._listeners.get(event).add(handler);
+            return () => this._listeners.get(event)?.delete(handler);
+        }
+
+        /**
+         * Register the handler that executes repayments.
+         *
+         * The handler receives the REPAY_REQUEST message and returns (or
+         * resolves to) a REPAY_RESULT payload. It is called exactly once per
+         * request: the handler moves money, and a timeout after the wallet
+         * signed must not send a second transfer, so the RFC Section 11.4
+         * retries do not apply. A thrown error is reported to TLend as a
+         * failed REPAY_RESULT using `error.code` when it is one of
+         * RepayErrorCodes, TRANSACTION_FAILED otherwise.
+         *
+         * @param {(request: RepayRequestMessage) => RepayResultMessage['payload'] | Promise<RepayResultMessage['payload']>} handler
+         * @returns {Unsubscribe}
+         */
+        onRepayRequest(handler) {
+            this._repayHandler = handler;
+            return () => {
+                if (this._repayHandler === handler) {
+                    this._repayHandler = null;
+                }
+            };
+        }
+
+        _emit(event, ...args) {
+            const handlers = this._listeners.get(event);
+            if (!handlers) return;
+            handlers.forEach(handler => {
+                try {
+                    handler(...args);
+                } catch (error) {
+                    console.error(`[TLendPartnerBridge] ${event} handler failed:`, error);
+                }
+            });
+        }
+
+        // --------------------------------------------------------------------
+        // Sending
+        // --------------------------------------------------------------------
+
+        /**
+         * Post a raw protocol message to TLend, or queue it until TLEND_LOADED.
+         * @param {IframeMessage} message
+         * @param {{ validate?: boolean }} [options] - Pass `validate: false` to deliberately
+         *   send a malformed message (conformance testing)
+         * @throws {TLendBridgeError} NOT_CONNECTED when there is no target window,
+         *   INVALID_MESSAGE when the message fails validation
+         */
+        send(message, options = {}) {
+            this._send(message, options, null);
+        }
+
+        // `onPost` runs once the message is actually posted
+        _send(message, options, onPost) {
+            if (this._destroyed) {
+                throw new TLendBridgeError(BridgeErrorCodes.DESTROYED, 'Bridge has been destroyed');
+            }
+
+            if (this._validate && options.validate !== false) {
+                const { valid, errors } = this._validate(message);
+                if (!valid) {
+                    this._emit('invalid', { direction: 'outbound', message, errors });
+                    throw new TLendBridgeError(
+                        BridgeErrorCodes.INVALID_MESSAGE,
+                        `Refusing to send malformed ${message?.type || 'message'}: ${errors.map(e => e.field).join(', ')}`,
+                        { errors }
+                    );
+                }
+            }
+
+            if (!this.loaded) {
+                this._queue.push({ message, onPost });
+                this._emit('queued', message, this._queue.length);
+                return;
+            }
+
+            this._post(message);
+            onPost?.();
+        }
+
+        _post(message) {
+            const target = this.targetWindow;
+            if (!target) {
+                throw new TLendBridgeError(BridgeErrorCodes.NOT_CONNECTED, 'Cannot send message: iframe not loaded');
+            }
+
+            const targetOrigin = this._resolveTargetOrigin();
+            target.postMessage(message, targetOrigin);
+            this._emit('send', message, targetOrigin);
+        }
+
+        /**
+         * Stop waiting for TLEND_LOADED and post the queued messages, e.g.
+         * when it has not arrived in time (RFC Section 5.3).
+         * @returns {number} Number of messages posted
+         */
+        flush() {
+            this._loaded = true;
+            const queued = this._queue.splice(0);
+            let posted = 0;
+            queued.forEach(({ message, onPost }) => {
+                try {
+                    this._post(message);
+                    onPost?.();
+                    posted++;
+                } catch (error) {
+                    this._failQueued(message, error);
+                }
+            });
+            return posted;
+        }
+
+        // A queued request that cannot be posted fails like a direct send would
+        _failQueued(message, error) {
+            const pending = message.requestId && this._pending.get(message.requestId);
+            if (pending && pending.type === message.type) {
+                this._pending.delete(message.requestId);
+                pending.reject(error);
+            } else {
+                console.error(`[TLendPartnerBridge] Failed to send queued ${message.type}:`, error);
+            }
+        }
+
+        _resolveTargetOrigin() {
+            if (!this._strictOrigin) {
+                return this._origin || '*';
+            }
+
+            const origin = this._origin || (this._iframe && originOf(this._iframe.src));
+            if (!origin || !this._allowedOrigins.includes(origin)) {
+                throw new TLendBridgeError(
+                    BridgeErrorCodes.INVALID_ORIGIN,
+                    `Cannot send message: TLend origin ${origin || '(unknown)'} is not in the allowed origins`,
+                    { origin, allowedOrigins: this._allowedOrigins }
+                );
+            }
+            return origin;
+        }
+
+        /**
+         * Send a request and wait for the matching response.
+         * @returns {Promise<IframeMessage>}
+         */
+        _request(message, expects, timeoutMs) {
+            return new Promise((resolve, reject) => {
+                const { requestId } = message;
+                const pending = {
+                    type: message.type,
+                    expects,
+                    timestamp: Date.now(),
+                    timer: null,
+                    resolve,
+                    reject,
+                };
+                this._pending.set(requestId, pending);
+
+                // The timeout starts when the request is posted, not while it is queued
+                const startTimer = () => {
+                    pending.timer = setTimeout(() => {
+                        if (this._pending.delete(requestId)) {
+                            reject(new TLendBridgeError(
+                                BridgeErrorCodes.TIMEOUT,
+                                `${message.type} timed out (${timeoutMs}ms)`,
+                                { requestId, timeoutMs }
+                            ));
+                        }
+                    }, timeoutMs);
+                };
+
+                try {
+                    this._send(message, {}, startTimer);
+                } catch (error) {
+                    clearTimeout(pending.timer);
+                    this._pending.delete(requestId);
+                    reject(error);
+                }
+            });
+        }
+
+        _settle(message) {
+            const pending = this._pending.get(message.requestId);
+            if (!pending) return;
+
+            if (message.type === MessageTypes.ERROR) {
+                clearTimeout(pending.timer);
+                this._pending.delete(message.requestId);
+                pending.reject(new TLendBridgeError(
+                    message.payload?.code,
+                    message.payload?.message,
+                    message.payload?.details
+                ));
+            } else if (message.type === pending.expects) {
+                clearTimeout(pending.timer);
+                this._pending.delete(message.requestId);
+                pending.resolve(message);
+            }
+        }
+
+        /**
+         * Run a request under the RFC Section 11.4 retry policy.
+         *
+         * `attemptFn` sends the request and rejects with a coded error.
+         * TIMEOUT and INTERNAL_ERROR are retried after a backoff; credential
+         * errors are retried once after `options.refresh` has obtained fresh
+         * credentials, and not at all without it. Any other error rejects
+         * immediately with `error.fatal` set when it needs TLend support, and
+         * the final error carries `error.attempts`. Resetting or destroying
+         * the bridge abandons pending retries.
+         *
+         * @template T
+         * @param {(attempt: number) => Promise<T>} attemptFn - Attempt numbers start at 1
+         * @param {Object} [options]
+         * @param {string} [options.label] - Reported in 'retry' events
+         * @param {(error: Error) => Promise<void> | void} [options.refresh] - Obtain fresh credentials
+         *   before a refresh retry; throwing stops the retries
+         * @param {number} [options.deadline] - No retry is scheduled at or after this time (ms since epoch)
+         * @returns {Promise<T>}
+         */
+        async withRetry(attemptFn, options = {}) {
+            const generation = this._generation;
+            const retries = {};
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await attemptFn(attempt);
+                } catch (error) {
+                    const policy = getRetryPolicy(error?.code);
+                    const retry = (retries[error?.code] || 0) + 1;
+                    const delayMs = getRetryDelay(policy, retry);
+                    const retryAt = Date.now() + delayMs;
+
+                    const canRetry = (policy.action === 'retry' || (policy.action === 'refresh' && options.refresh))
+                        && retry <= policy.maxRetries
+                        && !(options.deadline && retryAt >= options.deadline);
+                    if (!canRetry) {
+                        if (error && typeof error === 'object') {
+                            error.fatal = policy.action === 'fatal';
+                            error.attempts = attempt;
+                        }
+                        throw error;
+                    }
+                    retries[error.code] = retry;
+
+                    this._emit('retry', {
+                        label: options.label || 'request',
+                        code: error.code,
+                        action: policy.action,
+                        attempt,
+                        retry,
+                        maxRetries: policy.maxRetries,
+                        delayMs,
+                        retryAt,
+                        error,
+                    });
+
+                    if (policy.action === 'refresh') {
+                        await options.refresh(error);
+                    }
+                    await new Promise(resolve => setTimeout(resolve, delayMs));
+
+                    if (this._destroyed || this._generation !== generation) {
+                        throw new TLendBridgeError(
+                            this._destroyed ? BridgeErrorCodes.DESTROYED : BridgeErrorCodes.RESET,
+                            `${options.label || 'Request'} retry abandoned: bridge was ${this._destroyed ? 'destroyed' : 'reset'}`,
+                            { attempts: attempt }
+                        );
+                    }
+                }
+            }
+        }
+
+        // --------------------------------------------------------------------
+        // Track 1: UI/UX Customization
+        // --------------------------------------------------------------------
+
+        /**
+         * Send STYLES_UPGRADE.
+         * @param {Record<string, string>} styles - CSS variable overrides
+         * @param {'light' | 'dark'} [theme] - Optional theme hint
+         * @returns {Promise<void>}
+         */
+        async setStyles(styles, theme) {
+            const payload = { styles };
+            if (theme) {
+                payload.theme = theme;
+            }
+            this.send({
+                type: MessageTypes.STYLES_UPGRADE,
+                timestamp: Date.now(),
+                payload,
+            });
+        }
+
+        /**
+         * Send SET_LOGO. Empty fields are omitted from the payload.
+         * @param {LogoConfig} config
+         * @returns {Promise<void>}
+         */
+        async setLogo(config) {
+            const payload = {};
+            Object.entries(config).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    payload[key] = value;
+                }
+            });
+            this.send({
+                type: MessageTypes.SET_LOGO,
+                timestamp: Date.now(),
+                payload,
+            });
+        }
+
+        // --------------------------------------------------------------------
+        // Track 2: Authentication Flow
+        // --------------------------------------------------------------------
+
+        /**
+         * Send AUTH_CHECK_REQUEST and wait for AUTH_CHECK_RESPONSE.
+         * @param {string} walletAddress - Wallet address (raw format 0:...)
+         * @returns {Promise<AuthCheckResponseMessage>}
+         */
+        checkAuth(walletAddress) {
+            return this._request({
+                type: MessageTypes.AUTH_CHECK_REQUEST,
+                requestId: generateRequestId('auth-check'),
+                timestamp: Date.now(),
+                payload: {
+                    walletAddress,
+                },
+            }, MessageTypes.AUTH_CHECK_RESPONSE, this._timeouts.authCheck);
+        }
+
+        /**
+         * Send AUTH_CREDENTIALS and wait for AUTH_RESULT.
+         *
+         * Resolves with the AUTH_RESULT message whether or not authentication
+         * succeeded; check `payload.success`.
+         *
+         * @param {Object} credentials
+         * @param {TonAccount} credentials.account
+         * @param {TonProof} credentials.proof
+         * @param {string} credentials.partnerId
+         * @param {string} [credentials.referenceId]
+         * @returns {Promise<AuthResultMessage>}
+         */
+        sendCredentials({ account, proof, partnerId, referenceId }) {
+            const payload = { account, proof, partnerId };
+            if (referenceId) {
+                payload.referenceId = referenceId;
+            }
+            return this._request({
+                type: MessageTypes.AUTH_CREDENTIALS,
+                requestId: generateRequestId('auth-cred'),
+                timestamp: Date.now(),
+                payload,
+            }, MessageTypes.AUTH_RESULT, this._timeouts.authCredentials);
+        }
+
+        /**
+         * Send DISCONNECT.
+         * @param {DisconnectReason} [reason]
+         * @returns {Promise<void>}
+         */
+        async disconnect(reason = 'user_initiated') {
+            this.send({
+                type: MessageTypes.DISCONNECT,
+                timestamp: Date.now(),
+                payload: {
+                    reason,
+                },
+            });
+        }
+
+        // --------------------------------------------------------------------
+        // Track 3: Repayment Flow
+        // --------------------------------------------------------------------
+
+        /**
+         * Send REPAY_RESULT for a REPAY_REQUEST.
+         * @param {string} requestId - requestId of the REPAY_REQUEST
+         * @param {RepayResultMessage['payload']} result
+         */
+        sendRepayResult(requestId, result) {
+            this.send({
+                type: MessageTypes.REPAY_RESULT,
+                requestId,
+                timestamp: Date.now(),
+                payload: result,
+            });
+        }
+
+        async _handleRepayRequest(message) {
+            const handler = this._repayHandler;
+            if (!handler) return;
+
+            // Never retried: a second call could send a second transfer
+            let result;
+            try {
+                result = await handler(message);
+            } catch (error) {
+                // Codes outside the repay set (e.g. INTERNAL_ERROR) would make REPAY_RESULT invalid
+                const code = Object.values(RepayErrorCodes).includes(error?.code)
+                    ? error.code
+                    : RepayErrorCodes.TRANSACTION_FAILED;
+                result = {
+                    success: false,
+                    error: {
+                        code,
+                        message: error?.message || String(error),
+                        userCancelled: code === RepayErrorCodes.USER_REJECTED,
+                    },
+                };
+            }
+
+            if (result && !this._destroyed) {
+                try {
+                    this.sendRepayResult(message.requestId, result);
+                } catch (error) {
+                    console.error('[TLendPartnerBridge] Failed to send REPAY_RESULT:', error);
+                }
+            }
+        }
+
+        // --------------------------------------------------------------------
+        // Inbound Messages
+        // --------------------------------------------------------------------
+
+        /**
+         * Check an inbound event against the origin policy.
+         * @returns {string | null} Rejection reason, or null if accepted
+         */
+        _checkOrigin(event) {
+            if (!this._strictOrigin) {
+                return null;
+            }
+            if (!this._allowedOrigins.includes(event.origin)) {
+                return 'origin_not_allowed';
+            }
+            if (event.source !== this.targetWindow) {
+                return 'unexpected_source';
+            }
+            return null;
+        }
+
+        _handleMessage(event) {
+            const message = event.data;
+
+            // Ignore non-protocol messages
+            if (!message || typeof message !== 'object' || !message.type) {
+                return;
+            }
+
+            const rejection = this._checkOrigin(event);
+            if (rejection) {
+                this._emit('rejected', {
+                    code: BridgeErrorCodes.INVALID_ORIGIN,
+                    origin: event.origin,
+                    reason: rejection,
+                    message,
+                }, event);
+                return;
+            }
+
+            if (!this._origin) {
+                this._origin = event.origin;
+                if (!this._strictOrigin) {
+                    this._emit('origin', event.origin);
+                }
+            }
+
+            if (this._validate) {
+                const { valid, errors, warnings } = this._validate(message);
+                if (!valid) {
+                    this._rejectInvalid(message, errors, event);
+                    return;
+                }
+                if (warnings?.length) {
+                    this._emit('warning', { direction: 'inbound', message, warnings }, event);
+                }
+            }
+
+            this._emit('message', message, event);
+
+            // TLend announced itself: what was sent meanwhile goes out before anything else
+            if (message.type === MessageTypes.TLEND_LOADED) {
+                this.flush();
+            }
+
+            if (message.requestId) {
+                this._settle(message);
+            }
+
+            if (message.type === MessageTypes.REPAY_REQUEST) {
+                this._handleRepayRequest(message);
+            }
+
+            this._emit(message.type, message, event);
+        }
+
+        /**
+         * Drop a malformed inbound message: fail the request it answers and
+         * report the failing fields back to TLend (RFC Section 11.1).
+         */
+        _rejectInvalid(message, errors, event) {
+            const fields = errors.map(e => e.field);
+            this._emit('invalid', { direction: 'inbound', message, errors }, event);
+
+            const pending = message.requestId && this._pending.get(message.requestId);
+            if (pending) {
+                clearTimeout(pending.timer);
+                this._pending.delete(message.requestId);
+                pending.reject(new TLendBridgeError(
+                    BridgeErrorCodes.INVALID_MESSAGE,
+                    `Malformed ${message.type}: ${fields.join(', ')}`,
+                    { errors }
+                ));
+            }
+
+            // Never answer an ERROR with an ERROR
+            if (message.type === MessageTypes.ERROR) return;
+
+            const reply = {
+                type: MessageTypes.ERROR,
+                timestamp: Date.now(),
+                payload: {
+                    code: BridgeErrorCodes.INVALID_MESSAGE,
+                    message: `Malformed ${message.type}: ${fields.join(', ')}`,
+                    details: { type: message.type, fields, errors },
+                    recoverable: true,
+                },
+            };
+            if (typeof message.requestId === 'string' && message.requestId) {
+                reply.requestId = message.requestId;
+            }
+
+            try {
+                this.send(reply);
+            } catch (error) {
+                console.error('[TLendPartnerBridge] Failed to report invalid message:', error);
+            }
+        }
+
+        // --------------------------------------------------------------------
+        // Lifecycle
+        // --------------------------------------------------------------------
+
+        _rejectPending(code, reason) {
+            this._pending.forEach(pending => {
+                clearTimeout(pending.timer);
+                pending.reject(new TLendBridgeError(code, reason));
+            });
+            this._pending.clear();
+        }
+
+        /**
+         * Forget the learned origin, drop queued messages, abandon pending
+         * requests and wait for TLEND_LOADED again (e.g. when the iframe is reloaded).
+         */
+        reset() {
+            this._generation++;
+            this._queue = [];
+            this._loaded = false;
+            this._rejectPending(BridgeErrorCodes.RESET, 'Bridge was reset');
+            this._origin = this._configuredOrigin;
+        }
+
+        /** Stop listening and reject all pending requests. */
+        destroy() {
+            if (this._destroyed) return;
+            this._queue = [];
+            this._rejectPending(BridgeErrorCodes.DESTROYED, 'Bridge has been destroyed');
+            this._listenWindow.removeEventListener('message', this._handleMessage);
+            this._listeners.clear();
+            this._repayHandler = null;
+            this._destroyed = true;
+        }
+    }
+
+    TLendPartnerBridge.MessageTypes = MessageTypes;
+    TLendPartnerBridge.ErrorCodes = BridgeErrorCodes;
+    TLendPartnerBridge.RepayErrorCodes = RepayErrorCodes;
+    TLendPartnerBridge.RetryPolicies = RetryPolicies;
+    TLendPartnerBridge.getRetryPolicy = getRetryPolicy;
+    TLendPartnerBridge.getRetryDelay = getRetryDelay;
+    TLendPartnerBridge.originOf = originOf;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { TLendPartnerBridge, TLendBridgeError };
+    } else {
+        global.TLendPartnerBridge = TLendPartnerBridge;
+        global.TLendBridgeError = TLendBridgeError;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,630 @@
+/* Generated from packages/tlend-iframe-types by `npm run build:app` - do not edit */
+"use strict";
+var TLendProtocol = (() => {
+  var __defProp = Object.defineProperty;
+  var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __hasOwnProp = Object.prototype.hasOwnProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+  var __copyProps = (to, from, except, desc) => {
+    if (from && typeof from === "object" || typeof from === "function") {
+      for (let key of __getOwnPropNames(from))
+        if (!__hasOwnProp.call(to, key) && key !== except)
+          __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+    }
+    return to;
+  };
+  var __toCommonJS = (mod) => __copyProps(__defProp({}, "__esModule", { value: true }), mod);
+
+  // src/index.ts
+  var src_exports = {};
+  __export(src_exports, {
+    AUTH_ERROR_CODES: () => AUTH_ERROR_CODES,
+    CSS_VARIABLES: () => CSS_VARIABLES,
+    GENERAL_ERROR_CODES: () => GENERAL_ERROR_CODES,
+    PROTOCOL_COMPATIBILITY: () => PROTOCOL_COMPATIBILITY,
+    REPAY_ERROR_CODES: () => REPAY_ERROR_CODES,
+    TIMEOUTS: () => TIMEOUTS,
+    TLEND_CAPABILITIES: () => TLEND_CAPABILITIES,
+    TLEND_PROTOCOL_VERSION: () => TLEND_PROTOCOL_VERSION,
+    compareVersions: () => compareVersions,
+    createBaseMessage: () => createBaseMessage,
+    createInvalidMessageError: () => createInvalidMessageError,
+    generateRequestId: () => generateRequestId,
+    isIframeMessage: () => isIframeMessage,
+    isPartnerToTLendMessage: () => isPartnerToTLendMessage,
+    isSupported: () => isSupported,
+    isTLendToPartnerMessage: () => isTLendToPartnerMessage,
+    isValidMessage: () => isValidMessage,
+    isValidMessageType: () => isValidMessageType,
+    isValidTonAddress: () => isValidTonAddress,
+    negotiateProtocol: () => negotiateProtocol,
+    parseVersion: () => parseVersion,
+    stripUnsupportedFields: () => stripUnsupportedFields,
+    unsupportedReason: () => unsupportedReason,
+    validateMessage: () => validateMessage
+  });
+
+  // src/constants.ts
+  var TLEND_PROTOCOL_VERSION = "2.2.0";
+  var TLEND_CAPABILITIES = [
+    "auth_delegation",
+    "repay_delegation",
+    "custom_styles",
+    "custom_logo"
+  ];
+  var AUTH_ERROR_CODES = {
+    /** Invalid or expired TON Proof */
+    INVALID_PROOF: "INVALID_PROOF",
+    /** Proof timestamp outside acceptable window */
+    PROOF_EXPIRED: "PROOF_EXPIRED",
+    /** Partner ID not recognized */
+    UNKNOWN_PARTNER: "UNKNOWN_PARTNER",
+    /** Server-side verification failed */
+    VERIFICATION_FAILED: "VERIFICATION_FAILED",
+    /** Internal server error */
+    INTERNAL_ERROR: "INTERNAL_ERROR",
+    /** User is blocked */
+    USER_BLOCKED: "USER_BLOCKED"
+  };
+  var REPAY_ERROR_CODES = {
+    /** User declined the transaction (userCancelled: true) */
+    USER_REJECTED: "USER_REJECTED",
+    /** Partner has no wallet connected to sign with */
+    WALLET_NOT_CONNECTED: "WALLET_NOT_CONNECTED",
+    /** Wallet refused the transaction request as malformed or unsupported */
+    INVALID_TRANSACTION: "INVALID_TRANSACTION",
+    /** Not enough jettons, or TON for fees */
+    INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+    /** Sending failed for any other reason */
+    TRANSACTION_FAILED: "TRANSACTION_FAILED",
+    /** Not signed before the request expired */
+    TIMEOUT: "TIMEOUT",
+    /** Not shown: another repayment is still awaiting the user's approval */
+    REPAY_IN_PROGRESS: "REPAY_IN_PROGRESS",
+    /** @deprecated Use USER_REJECTED (removed in 2.0.0) */
+    USER_CANCELLED: "USER_REJECTED",
+    /** @deprecated Use USER_REJECTED (removed in 2.0.0) */
+    REJECTED: "USER_REJECTED",
+    /** @deprecated Use TRANSACTION_FAILED (removed in 2.0.0) */
+    NETWORK_ERROR: "TRANSACTION_FAILED",
+    /** @deprecated Use TRANSACTION_FAILED (removed in 2.0.0) */
+    UNKNOWN_ERROR: "TRANSACTION_FAILED"
+  };
+  var GENERAL_ERROR_CODES = {
+    /** Message origin not in allowed list */
+    INVALID_ORIGIN: "INVALID_ORIGIN",
+    /** Malformed message format */
+    INVALID_MESSAGE: "INVALID_MESSAGE",
+    /** Unsupported message type */
+    UNSUPPORTED_MESSAGE: "UNSUPPORTED_MESSAGE",
+    /** Unsupported logo mode */
+    UNSUPPORTED_LOGO_MODE: "UNSUPPORTED_LOGO_MODE"
+  };
+  var TIMEOUTS = {
+    /** Auth credentials processing timeout */
+    AUTH_TIMEOUT: 3e4,
+    /** Repayment transaction timeout */
+    REPAY_TIMEOUT: 6e4,
+    /** Message response timeout */
+    MESSAGE_TIMEOUT: 1e4
+  };
+  var CSS_VARIABLES = {
+    // Colors
+    "--tlend-primary": "Primary brand color",
+    "--tlend-primary-hover": "Primary color on hover",
+    "--tlend-secondary": "Secondary brand color",
+    "--tlend-background": "Main background color",
+    "--tlend-surface": "Card/surface background",
+    "--tlend-text": "Primary text color",
+    "--tlend-text-secondary": "Secondary text color",
+    "--tlend-border": "Border color",
+    "--tlend-success": "Success state color",
+    "--tlend-error": "Error state color",
+    "--tlend-warning": "Warning state color",
+    // Typography
+    "--tlend-font-family": "Font family",
+    // Spacing & Sizing
+    "--tlend-border-radius": "Border radius",
+    "--tlend-button-radius": "Button border radius"
+  };
+
+  // src/utilities.ts
+  function isIframeMessage(value) {
+    if (typeof value !== "object" || value === null) {
+      return false;
+    }
+    const msg = value;
+    return typeof msg.type === "string" && typeof msg.timestamp === "number" && isValidMessageType(msg.type);
+  }
+  function isValidMessageType(type) {
+    const validTypes = [
+      "TLEND_LOADED",
+      "STYLES_UPGRADE",
+      "SET_LOGO",
+      "AUTH_CHECK_REQUEST",
+      "AUTH_CHECK_RESPONSE",
+      "AUTH_CREDENTIALS",
+      "AUTH_RESULT",
+      "AUTH_REQUEST",
+      "TLEND_READY",
+      "DISCONNECT",
+      "REPAY_REQUEST",
+      "REPAY_RESULT",
+      "ERROR"
+    ];
+    return validTypes.includes(type);
+  }
+  function isTLendToPartnerMessage(msg) {
+    const tlendTypes = [
+      "TLEND_LOADED",
+      "AUTH_CHECK_RESPONSE",
+      "AUTH_RESULT",
+      "AUTH_REQUEST",
+      "TLEND_READY",
+      "REPAY_REQUEST",
+      "ERROR"
+    ];
+    return tlendTypes.includes(msg.type);
+  }
+  function isPartnerToTLendMessage(msg) {
+    const partnerTypes = [
+      "STYLES_UPGRADE",
+      "SET_LOGO",
+      "AUTH_CHECK_REQUEST",
+      "AUTH_CREDENTIALS",
+      "DISCONNECT",
+      "REPAY_RESULT"
+    ];
+    return partnerTypes.includes(msg.type);
+  }
+  function createBaseMessage(type) {
+    return {
+      type,
+      timestamp: Date.now()
+    };
+  }
+  function generateRequestId(prefix = "req") {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    return `${prefix}_${timestamp}_${random}`;
+  }
+  function isValidTonAddress(address, format) {
+    if (!address || typeof address !== "string") {
+      return false;
+    }
+    if (format === "raw") {
+      return /^-?\d+:[a-fA-F0-9]{64}$/.test(address);
+    }
+    if (format === "user-friendly") {
+      return /^[EU]Q[A-Za-z0-9_-]{46}$/.test(address);
+    }
+    return /^-?\d+:[a-fA-F0-9]{64}$/.test(address) || /^[EU]Q[A-Za-z0-9_-]{46}$/.test(address);
+  }
+
+  // src/validation.ts
+  var MIN_TIMESTAMP_MS = 1e12;
+  var MAX_TIMESTAMP_SECONDS = 1e11;
+  var MAX_REFERENCE_ID_BYTES = 32;
+  var SUPPORTED_CHAINS = ["-239", "-3"];
+  var LOGO_MODES = ["tlend_only", "partner_only", "combined"];
+  var DISCONNECT_REASONS = ["user_initiated", "wallet_changed", "session_expired"];
+  var AUTH_REQUEST_REASONS = ["jwt_expired", "session_invalid", "storage_unavailable"];
+  var REPAY_ERROR_CODE_VALUES = Object.values(REPAY_ERROR_CODES);
+  var REQUEST_ID_TYPES = [
+    "AUTH_CHECK_REQUEST",
+    "AUTH_CHECK_RESPONSE",
+    "AUTH_CREDENTIALS",
+    "AUTH_RESULT",
+    "REPAY_REQUEST",
+    "REPAY_RESULT"
+  ];
+  var Checker = class {
+    constructor() {
+      this.errors = [];
+      this.warnings = [];
+    }
+    fail(field, message) {
+      this.errors.push({ field, message });
+    }
+    warn(field, message) {
+      this.warnings.push({ field, message });
+    }
+    object(value, field) {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        this.fail(field, "must be an object");
+        return false;
+      }
+      return true;
+    }
+    string(value, field, optional = false) {
+      if (value === void 0 && optional) return false;
+      if (typeof value !== "string" || value.length === 0) {
+        this.fail(field, "must be a non-empty string");
+        return false;
+      }
+      return true;
+    }
+    boolean(value, field, optional = false) {
+      if (value === void 0 && optional) return;
+      if (typeof value !== "boolean") {
+        this.fail(field, "must be a boolean");
+      }
+    }
+    integer(value, field, min = 0, max = Number.MAX_SAFE_INTEGER) {
+      if (typeof value !== "number" || !Number.isInteger(value) || value < min || value > max) {
+        this.fail(field, `must be an integer between ${min} and ${max}`);
+        return false;
+      }
+      return true;
+    }
+    oneOf(value, allowed, field, optional = false) {
+      if (value === void 0 && optional) return;
+      if (typeof value !== "string" || !allowed.includes(value)) {
+        this.fail(field, `must be one of: ${allowed.join(", ")}`);
+      }
+    }
+    digits(value, field) {
+      if (typeof value !== "string" || !/^\d+$/.test(value)) {
+        this.fail(field, "must be a string of decimal digits");
+        return false;
+      }
+      return true;
+    }
+    hex(value, field, bytes) {
+      if (typeof value !== "string" || !new RegExp(`^[a-fA-F0-9]{${bytes * 2}}$`).test(value)) {
+        this.fail(field, `must be ${bytes} bytes of hex`);
+      }
+    }
+    base64(value, field, optional = false) {
+      if (value === void 0 && optional) return;
+      if (typeof value !== "string" || !isBase64(value)) {
+        this.fail(field, "must be a base64 string");
+      }
+    }
+    address(value, field, format, optional = false) {
+      if (value === void 0 && optional) return;
+      if (typeof value !== "string" || !isValidTonAddress(value, format)) {
+        const expected = format === "raw" ? "raw format (0:<64 hex>)" : format === "user-friendly" ? "user-friendly format (EQ.../UQ...)" : "raw or user-friendly format";
+        this.fail(field, `must be a TON address in ${expected}`);
+      }
+    }
+    /** Unix timestamp in milliseconds */
+    timestampMs(value, field) {
+      if (typeof value !== "number" || !Number.isInteger(value) || value < MIN_TIMESTAMP_MS) {
+        this.fail(field, "must be a Unix timestamp in milliseconds");
+      }
+    }
+    /** Unix timestamp in seconds */
+    timestampSeconds(value, field) {
+      if (typeof value !== "number" || !Number.isInteger(value) || value <= 0 || value >= MAX_TIMESTAMP_SECONDS) {
+        this.fail(field, "must be a Unix timestamp in seconds");
+      }
+    }
+    error(value, field) {
+      if (!this.object(value, field)) return false;
+      this.string(value.code, `${field}.code`);
+      this.string(value.message, `${field}.message`);
+      return true;
+    }
+  };
+  function isBase64(value) {
+    return value.length > 0 && value.length % 4 === 0 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(value);
+  }
+  function utf8Length(value) {
+    return encodeURIComponent(value).replace(/%[A-F\d]{2}/g, "_").length;
+  }
+  function formattedMatchesValue(formatted, value, decimals) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(formatted.replace(/[,'\s]/g, ""));
+    if (!match) return false;
+    const fraction = match[2] || "";
+    const shown = BigInt(match[1] + fraction);
+    const raw = BigInt(value);
+    if (fraction.length >= decimals) {
+      return shown === raw * 10n ** BigInt(fraction.length - decimals);
+    }
+    const divisor = 10n ** BigInt(decimals - fraction.length);
+    const truncated = raw / divisor;
+    const rounded = (raw + divisor / 2n) / divisor;
+    return shown === truncated || shown === rounded;
+  }
+  var PAYLOAD_VALIDATORS = {
+    TLEND_LOADED(payload, check) {
+      check.string(payload.version, "payload.version");
+      if (!Array.isArray(payload.capabilities)) {
+        check.fail("payload.capabilities", "must be an array of strings");
+      } else {
+        payload.capabilities.forEach(
+          (capability, i) => check.string(capability, `payload.capabilities[${i}]`)
+        );
+      }
+    },
+    AUTH_CHECK_RESPONSE(payload, check) {
+      check.boolean(payload.authenticated, "payload.authenticated");
+      check.boolean(payload.matchesRequested, "payload.matchesRequested");
+      check.address(payload.address, "payload.address", "raw", true);
+    },
+    AUTH_RESULT(payload, check) {
+      check.boolean(payload.success, "payload.success");
+      check.address(payload.address, "payload.address", "raw", true);
+      if (payload.success === false) {
+        check.error(payload.error, "payload.error");
+      }
+    },
+    AUTH_REQUEST(payload, check) {
+      check.oneOf(payload.reason, AUTH_REQUEST_REASONS, "payload.reason");
+      check.address(payload.currentAddress, "payload.currentAddress", "raw", true);
+    },
+    TLEND_READY(payload, check) {
+      check.address(payload.address, "payload.address", "raw");
+    },
+    REPAY_REQUEST(payload, check) {
+      check.integer(payload.lendId, "payload.lendId");
+      check.digits(payload.nftIndex, "payload.nftIndex");
+      if (check.object(payload.amount, "payload.amount")) {
+        const { value, decimals, formatted, currency } = payload.amount;
+        const hasValue = check.digits(value, "payload.amount.value");
+        const hasDecimals = check.integer(decimals, "payload.amount.decimals", 0, 255);
+        if (check.string(formatted, "payload.amount.formatted") && hasValue && hasDecimals) {
+          if (!formattedMatchesValue(formatted, value, decimals)) {
+            check.warn(
+              "payload.amount.formatted",
+              `does not match value ${value} with ${decimals} decimals`
+            );
+          }
+        }
+        check.string(currency, "payload.amount.currency");
+      }
+      if (check.object(payload.transaction, "payload.transaction")) {
+        const { validUntil, messages } = payload.transaction;
+        check.timestampSeconds(validUntil, "payload.transaction.validUntil");
+        if (!Array.isArray(messages) || messages.length === 0) {
+          check.fail("payload.transaction.messages", "must be a non-empty array");
+        } else {
+          messages.forEach((message, i) => {
+            const field = `payload.transaction.messages[${i}]`;
+            if (!check.object(message, field)) return;
+            check.address(message.address, `${field}.address`, "user-friendly");
+            check.digits(message.amount, `${field}.amount`);
+            check.base64(message.payload, `${field}.payload`, true);
+          });
+        }
+      }
+      if (check.object(payload.metadata, "payload.metadata")) {
+        const { userAddress, tLendContractAddress, jettonMasterAddress } = payload.metadata;
+        check.address(userAddress, "payload.metadata.userAddress", "raw");
+        check.address(tLendContractAddress, "payload.metadata.tLendContractAddress");
+        check.address(jettonMasterAddress, "payload.metadata.jettonMasterAddress");
+      }
+    },
+    ERROR(payload, check) {
+      check.string(payload.code, "payload.code");
+      check.string(payload.message, "payload.message");
+      check.boolean(payload.recoverable, "payload.recoverable");
+      if (payload.details !== void 0) {
+        check.object(payload.details, "payload.details");
+      }
+    },
+    STYLES_UPGRADE(payload, check) {
+      if (check.object(payload.styles, "payload.styles")) {
+        Object.entries(payload.styles).forEach(([name, value]) => {
+          if (typeof value !== "string") {
+            check.fail(`payload.styles.${name}`, "must be a string");
+          }
+        });
+      }
+      check.oneOf(payload.theme, ["light", "dark"], "payload.theme", true);
+    },
+    SET_LOGO(payload, check) {
+      check.oneOf(payload.mode, LOGO_MODES, "payload.mode");
+      check.string(payload.partnerLogoUrl, "payload.partnerLogoUrl", true);
+      check.string(payload.partnerName, "payload.partnerName", true);
+      check.string(payload.combinedLogoUrl, "payload.combinedLogoUrl", true);
+      check.string(payload.width, "payload.width", true);
+      check.string(payload.height, "payload.height", true);
+      if (payload.mode === "partner_only" && payload.partnerLogoUrl === void 0) {
+        check.fail("payload.partnerLogoUrl", "is required in partner_only mode");
+      }
+      if (payload.mode === "combined" && payload.combinedLogoUrl === void 0) {
+        check.fail("payload.combinedLogoUrl", "is required in combined mode");
+      }
+    },
+    AUTH_CHECK_REQUEST(payload, check) {
+      check.address(payload.walletAddress, "payload.walletAddress", "raw");
+    },
+    AUTH_CREDENTIALS(payload, check) {
+      if (check.object(payload.account, "payload.account")) {
+        const { address, chain, publicKey, walletStateInit } = payload.account;
+        check.address(address, "payload.account.address", "raw");
+        check.oneOf(chain, SUPPORTED_CHAINS, "payload.account.chain");
+        check.hex(publicKey, "payload.account.publicKey", 32);
+        check.base64(walletStateInit, "payload.account.walletStateInit", true);
+      }
+      if (check.object(payload.proof, "payload.proof")) {
+        const { timestamp, domain, payload: proofPayload, signature } = payload.proof;
+        check.timestampSeconds(timestamp, "payload.proof.timestamp");
+        if (check.object(domain, "payload.proof.domain")) {
+          const hasLength = check.integer(domain.lengthBytes, "payload.proof.domain.lengthBytes", 1);
+          if (check.string(domain.value, "payload.proof.domain.value") && hasLength) {
+            if (utf8Length(domain.value) !== domain.lengthBytes) {
+              check.fail("payload.proof.domain.lengthBytes", "does not match the byte length of domain.value");
+            }
+          }
+        }
+        check.string(proofPayload, "payload.proof.payload");
+        check.base64(signature, "payload.proof.signature");
+      }
+      check.string(payload.partnerId, "payload.partnerId");
+      if (check.string(payload.referenceId, "payload.referenceId", true)) {
+        if (utf8Length(payload.referenceId) > MAX_REFERENCE_ID_BYTES) {
+          check.fail("payload.referenceId", `must be at most ${MAX_REFERENCE_ID_BYTES} bytes`);
+        }
+      }
+    },
+    DISCONNECT(payload, check) {
+      check.oneOf(payload.reason, DISCONNECT_REASONS, "payload.reason", true);
+    },
+    REPAY_RESULT(payload, check) {
+      check.boolean(payload.success, "payload.success");
+      if (payload.success === true) {
+        check.string(payload.transactionHash, "payload.transactionHash");
+      }
+      check.string(payload.explorerUrl, "payload.explorerUrl", true);
+      if (payload.success === false && check.error(payload.error, "payload.error")) {
+        check.oneOf(payload.error.code, REPAY_ERROR_CODE_VALUES, "payload.error.code");
+        check.boolean(payload.error.userCancelled, "payload.error.userCancelled", true);
+      }
+    }
+  };
+  function validateMessage(value) {
+    const check = new Checker();
+    if (!check.object(value, "message")) {
+      return { valid: false, errors: check.errors, warnings: check.warnings };
+    }
+    const { type, timestamp, requestId, payload } = value;
+    if (typeof type !== "string" || !isValidMessageType(type)) {
+      check.fail("type", "must be a known message type");
+      return { valid: false, errors: check.errors, warnings: check.warnings };
+    }
+    check.timestampMs(timestamp, "timestamp");
+    if (REQUEST_ID_TYPES.includes(type)) {
+      check.string(requestId, "requestId");
+    } else {
+      check.string(requestId, "requestId", true);
+    }
+    if (check.object(payload, "payload")) {
+      PAYLOAD_VALIDATORS[type](payload, check);
+    }
+    return { valid: check.errors.length === 0, errors: check.errors, warnings: check.warnings };
+  }
+  function isValidMessage(value) {
+    return validateMessage(value).valid;
+  }
+  function createInvalidMessageError(message, errors) {
+    const source = typeof message === "object" && message !== null ? message : {};
+    const type = typeof source.type === "string" ? source.type : void 0;
+    const fields = errors.map((e) => e.field);
+    const error = {
+      ...createBaseMessage("ERROR"),
+      payload: {
+        code: GENERAL_ERROR_CODES.INVALID_MESSAGE,
+        message: `Malformed ${type || "message"}: ${fields.join(", ")}`,
+        details: { type, fields, errors },
+        recoverable: true
+      }
+    };
+    if (typeof source.requestId === "string" && source.requestId) {
+      error.requestId = source.requestId;
+    }
+    return error;
+  }
+
+  // src/compatibility.ts
+  var PROTOCOL_COMPATIBILITY = {
+    TLEND_LOADED: { since: "1.0.0" },
+    STYLES_UPGRADE: { since: "1.0.0", capability: "custom_styles" },
+    SET_LOGO: {
+      since: "2.0.0",
+      capability: "custom_logo",
+      fields: { "payload.width": "2.3.0", "payload.height": "2.3.0" }
+    },
+    AUTH_CHECK_REQUEST: { since: "1.0.0", capability: "auth_delegation" },
+    AUTH_CHECK_RESPONSE: { since: "1.0.0", capability: "auth_delegation" },
+    AUTH_CREDENTIALS: { since: "1.0.0", capability: "auth_delegation" },
+    AUTH_RESULT: { since: "1.0.0", capability: "auth_delegation" },
+    AUTH_REQUEST: { since: "2.0.0", capability: "auth_delegation" },
+    TLEND_READY: { since: "1.0.0" },
+    DISCONNECT: { since: "2.0.0", capability: "auth_delegation" },
+    REPAY_REQUEST: { since: "1.0.0", capability: "repay_delegation" },
+    REPAY_RESULT: { since: "1.0.0", capability: "repay_delegation" },
+    ERROR: { since: "1.0.0" }
+  };
+  function parseVersion(version) {
+    if (typeof version !== "string") return null;
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/.exec(version.trim());
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+  }
+  function isPrerelease(version) {
+    return /^[^+]*-/.test(version.trim());
+  }
+  function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    if (!left || !right) return null;
+    for (let i = 0; i < 3; i++) {
+      if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return Number(isPrerelease(b)) - Number(isPrerelease(a));
+  }
+  function negotiateProtocol(version, capabilities = [], protocolVersion = TLEND_PROTOCOL_VERSION) {
+    const actual = parseVersion(version);
+    const expected = parseVersion(protocolVersion);
+    const order = compareVersions(version, protocolVersion);
+    const known = TLEND_CAPABILITIES;
+    const warnings = [];
+    const compatible = Boolean(actual && expected && actual[0] === expected[0]);
+    if (!actual) {
+      warnings.push(`TLend version "${version}" is not a semver version`);
+    } else if (!compatible) {
+      warnings.push(`TLend ${version} is a different major version than ${protocolVersion}; messages may not be understood`);
+    } else if (order !== null && order < 0) {
+      warnings.push(`TLend ${version} is older than ${protocolVersion}; newer messages and fields are left out`);
+    }
+    const missingCapabilities = TLEND_CAPABILITIES.filter((capability) => !capabilities.includes(capability));
+    if (missingCapabilities.length) {
+      warnings.push(`TLend does not advertise ${missingCapabilities.join(", ")}`);
+    }
+    const unknownCapabilities = capabilities.filter((capability) => !known.includes(capability));
+    return {
+      version,
+      protocolVersion,
+      compatible,
+      relation: order === null ? null : order < 0 ? "older" : order > 0 ? "newer" : "same",
+      capabilities: [...capabilities],
+      missingCapabilities,
+      unknownCapabilities,
+      warnings
+    };
+  }
+  function unsupportedReason(result, type, field) {
+    const entry = PROTOCOL_COMPATIBILITY[type];
+    if (!entry) return `${type} is not a protocol message`;
+    const since = field ? entry.fields?.[field] ?? entry.since : entry.since;
+    const order = compareVersions(result.version, since);
+    const name = field ? `${type} ${field}` : type;
+    if (order !== null && order < 0) {
+      return `${name} needs v${since}, TLend is v${result.version}`;
+    }
+    if (entry.capability && !result.capabilities.includes(entry.capability)) {
+      return `${name} needs the ${entry.capability} capability`;
+    }
+    return null;
+  }
+  function isSupported(result, type, field) {
+    return unsupportedReason(result, type, field) === null;
+  }
+  function stripUnsupportedFields(result, message) {
+    const copy = JSON.parse(JSON.stringify(message));
+    const removed = [];
+    Object.keys(PROTOCOL_COMPATIBILITY[message.type]?.fields || {}).forEach((field) => {
+      const path = field.split(".");
+      const key = path.pop();
+      const parent = path.reduce(
+        (node, segment) => node?.[segment],
+        copy
+      );
+      if (!parent || !(key in parent)) return;
+      const reason = unsupportedReason(result, message.type, field);
+      if (reason) {
+        delete parent[key];
+        removed.push({ field, reason });
+      }
+    });
+    return { message: copy, removed };
+  }
+  return __toCommonJS(src_exports);
+})();
+if (typeof module !== 'undefined' && module.exports) module.exports = TLendProtocol;
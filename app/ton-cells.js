@@ -0,0 +1,545 @@
+/**
+ * TON Cells - Minimal cell, BOC and address helpers for the mocks
+ *
+ * Enough of the TON data model to build a wallet state init, derive its
+ * address and read bag-of-cells payloads, without a bundler or @ton/core:
+ * - Builder / Slice: write and read bits and references of a cell
+ * - Cell: ordinary cells with representation hash and depth
+ * - parseBoc / serializeBoc: bag of cells (with CRC32C) to and from bytes
+ * - parseRawAddress / formatRawAddress: `workchain:hex` addresses;
+ *   toRawAddress also reads user-friendly ones
+ *
+ * Hashes use Web Crypto SHA-256, so hash() is async. Exotic cells
+ * (pruned branches, library cells, ...) are not supported.
+ *
+ * Exposes `window.TLendTonCells` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const MAX_CELL_BITS = 1023;
+    const MAX_CELL_REFS = 4;
+    const BOC_MAGIC = 0xb5ee9c72;
+
+    // ========================================================================
+    // Bytes
+    // ========================================================================
+
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+            throw new Error('Invalid hex string');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    // Accepts standard and URL-safe base64
+    function fromBase64(base64) {
+        const normalized = base64.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(normalized);
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    function concatBytes(...parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    async function sha256(bytes) {
+        if (!global.crypto?.subtle) {
+            throw new Error('Web Crypto is not available (cell hashes need a secure context)');
+        }
+        return new Uint8Array(await global.crypto.subtle.digest('SHA-256', bytes));
+    }
+
+    // CRC32C (Castagnoli), as used by BOC files
+    let crcTable = null;
+    function crc32c(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // ========================================================================
+    // Cell
+    // ========================================================================
+
+    class Cell {
+        /**
+         * @param {Object} [options]
+         * @param {Uint8Array} [options.bits] - Data, most significant bit first
+         * @param {number} [options.bitLength=0]
+         * @param {Cell[]} [options.refs]
+         */
+        constructor(options = {}) {
+            const bitLength = options.bitLength || 0;
+            const refs = options.refs || [];
+            if (bitLength > MAX_CELL_BITS || refs.length > MAX_CELL_REFS) {
+                throw new RangeError(`Cell overflow: ${bitLength} bits, ${refs.length} refs`);
+            }
+            this.bits = (options.bits || new Uint8Array(0)).slice(0, Math.ceil(bitLength / 8));
+            this.bitLength = bitLength;
+            this.refs = refs;
+            this._hash = null;
+            this._depth = null;
+        }
+
+        /** Maximum distance to a leaf cell */
+        depth() {
+            if (this._depth === null) {
+                this._depth = this.refs.length ? Math.max(...this.refs.map(ref => ref.depth())) + 1 : 0;
+            }
+            return this._depth;
+        }
+
+        /** Descriptor bytes d1, d2 (ordinary cell, level 0) */
+        descriptors() {
+            return new Uint8Array([this.refs.length, Math.ceil(this.bitLength / 8) + Math.floor(this.bitLength / 8)]);
+        }
+
+        /** Data padded to whole bytes with a completion tag (a 1 bit, then zeros) */
+        paddedBits() {
+            const bytes = new Uint8Array(Math.ceil(this.bitLength / 8));
+            bytes.set(this.bits.subarray(0, bytes.length));
+            const rest = this.bitLength % 8;
+            if (rest) {
+                const last = bytes.length - 1;
+                bytes[last] = (bytes[last] & (0xff << (8 - rest))) | (1 << (7 - rest));
+            }
+            return bytes;
+        }
+
+        /** Representation hash (32 bytes) */
+        hash() {
+            if (!this._hash) {
+                this._hash = Promise.all(this.refs.map(ref => ref.hash())).then((refHashes) => {
+                    const depths = this.refs.map(ref => new Uint8Array([ref.depth() >> 8, ref.depth() & 0xff]));
+                    return sha256(concatBytes(this.descriptors(), this.paddedBits(), ...depths, ...refHashes));
+                });
+            }
+            return this._hash;
+        }
+
+        beginParse() {
+            return new Slice(this);
+        }
+    }
+
+    // ========================================================================
+    // Builder / Slice
+    // ========================================================================
+
+    class Builder {
+        constructor() {
+            this._bits = new Uint8Array(128);
+            this._length = 0;
+            this._refs = [];
+        }
+
+        get bitLength() {
+            return this._length;
+        }
+
+        storeBit(bit) {
+            if (this._length >= MAX_CELL_BITS) {
+                throw new RangeError('Cell overflow: more than 1023 bits');
+            }
+            if (bit) {
+                this._bits[this._length >> 3] |= 1 << (7 - (this._length & 7));
+            }
+            this._length++;
+            return this;
+        }
+
+        /** Unsigned big-endian integer (number or bigint) */
+        storeUint(value, bits) {
+            const big = BigInt(value);
+            if (big < 0n || big >= (1n << BigInt(bits))) {
+                throw new RangeError(`${value} does not fit in ${bits} bits`);
+            }
+            for (let i = bits - 1; i >= 0; i--) {
+                this.storeBit((big >> BigInt(i)) & 1n);
+            }
+            return this;
+        }
+
+        /** Two's complement big-endian integer */
+        storeInt(value, bits) {
+            const big = BigInt(value);
+            const limit = 1n << BigInt(bits - 1);
+            if (big < -limit || big >= limit) {
+                throw new RangeError(`${value} does not fit in ${bits} signed bits`);
+            }
+            return this.storeUint(big < 0n ? (1n << BigInt(bits)) + big : big, bits);
+        }
+
+        storeBytes(bytes) {
+            bytes.forEach(byte => this.storeUint(byte, 8));
+            return this;
+        }
+
+        /** Amount in nanotons or jetton units (VarUInteger 16) */
+        storeCoins(value) {
+            const big = BigInt(value);
+            if (big === 0n) return this.storeUint(0, 4);
+            const bytes = Math.ceil(big.toString(16).length / 2);
+            return this.storeUint(bytes, 4).storeUint(big, bytes * 8);
+        }
+
+        /** MsgAddressInt (addr_std) from a raw address, or addr_none for null */
+        storeAddress(address) {
+            if (!address) return this.storeUint(0, 2);
+            const { workchain, hash } = typeof address === 'string' ? parseRawAddress(address) : address;
+            return this.storeUint(0b100, 3).storeInt(workchain, 8).storeBytes(hash);
+        }
+
+        storeRef(cell) {
+            if (this._refs.length >= MAX_CELL_REFS) {
+                throw new RangeError('Cell overflow: more than 4 refs');
+            }
+            this._refs.push(cell);
+            return this;
+        }
+
+        /** Maybe ^Cell: a presence bit, then the reference */
+        storeMaybeRef(cell) {
+            this.storeBit(cell ? 1 : 0);
+            return cell ? this.storeRef(cell) : this;
+        }
+
+        endCell() {
+            return new Cell({ bits: this._bits, bitLength: this._length, refs: [...this._refs] });
+        }
+    }
+
+    class Slice {
+        constructor(cell) {
+            this._cell = cell;
+            this._offset = 0;
+            this._ref = 0;
+        }
+
+        get remainingBits() {
+            return this._cell.bitLength - this._offset;
+        }
+
+        get remainingRefs() {
+            return this._cell.refs.length - this._ref;
+        }
+
+        loadBit() {
+            if (this._offset >= this._cell.bitLength) {
+                throw new RangeError('Slice underflow: no bits left');
+            }
+            const bit = (this._cell.bits[this._offset >> 3] >> (7 - (this._offset & 7))) & 1;
+            this._offset++;
+            return bit;
+        }
+
+        /** @returns {bigint} */
+        loadUint(bits) {
+            let value = 0n;
+            for (let i = 0; i < bits; i++) {
+                value = (value << 1n) | BigInt(this.loadBit());
+            }
+            return value;
+        }
+
+        /** @returns {bigint} */
+        loadInt(bits) {
+            const value = this.loadUint(bits);
+            return value >= (1n << BigInt(bits - 1)) ? value - (1n << BigInt(bits)) : value;
+        }
+
+        loadBytes(length) {
+            return Uint8Array.from({ length }, () => Number(this.loadUint(8)));
+        }
+
+        /** @returns {bigint} */
+        loadCoins() {
+            const length = Number(this.loadUint(4));
+            return length ? this.loadUint(length * 8) : 0n;
+        }
+
+        /** MsgAddress as a raw address string, or null for addr_none */
+        loadAddress() {
+            const tag = Number(this.loadUint(2));
+            if (tag === 0) return null;
+            if (tag !== 0b10) {
+                throw new Error(`Unsupported address type ${tag.toString(2)}`);
+            }
+            if (this.loadBit()) {
+                throw new Error('Anycast addresses are not supported');
+            }
+            const workchain = Number(this.loadInt(8));
+            return formatRawAddress(workchain, this.loadBytes(32));
+        }
+
+        loadRef() {
+            if (this._ref >= this._cell.refs.length) {
+                throw new RangeError('Slice underflow: no refs left');
+            }
+            return this._cell.refs[this._ref++];
+        }
+
+        loadMaybeRef() {
+            return this.loadBit() ? this.loadRef() : null;
+        }
+    }
+
+    function beginCell() {
+        return new Builder();
+    }
+
+    // ========================================================================
+    // Bag of Cells
+    // ========================================================================
+
+    function readUint(bytes, offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = value * 256 + bytes[offset + i];
+        }
+        return value;
+    }
+
+    /**
+     * Parse a bag of cells.
+     * @param {Uint8Array|string} boc - Bytes or base64
+     * @returns {Cell[]} Root cells
+     */
+    function parseBoc(boc) {
+        const bytes = typeof boc === 'string' ? fromBase64(boc) : boc;
+        if (bytes.length < 6 || readUint(bytes, 0, 4) !== BOC_MAGIC) {
+            throw new Error('Not a bag of cells');
+        }
+
+        const flags = bytes[4];
+        const hasIndex = Boolean(flags & 0x80);
+        const hasCrc = Boolean(flags & 0x40);
+        const size = flags & 0x07;
+        const offsetSize = bytes[5];
+        let offset = 6;
+        const read = (length) => {
+            if (offset + length > bytes.length) throw new Error('Truncated bag of cells');
+            const value = readUint(bytes, offset, length);
+            offset += length;
+            return value;
+        };
+
+        const cellCount = read(size);
+        const rootCount = read(size);
+        read(size); // absent cells
+        const dataSize = read(offsetSize);
+        const roots = Array.from({ length: rootCount }, () => read(size));
+        if (hasIndex) offset += cellCount * offsetSize;
+
+        if (hasCrc) {
+            // Stored little-endian
+            const n = bytes.length;
+            const stored = (bytes[n - 4] | bytes[n - 3] << 8 | bytes[n - 2] << 16 | bytes[n - 1] << 24) >>> 0;
+            if (crc32c(bytes.subarray(0, n - 4)) !== stored) {
+                throw new Error('Bag of cells CRC32C mismatch');
+            }
+        }
+
+        const end = offset + dataSize;
+        const raw = [];
+        for (let i = 0; i < cellCount; i++) {
+            const d1 = read(1);
+            const d2 = read(1);
+            if (d1 & 0x08) throw new Error('Exotic cells are not supported');
+            if (d1 & 0x10) offset += 34 * (((d1 >> 5) & 0x07) + 1); // stored hashes and depths
+            const refCount = d1 & 0x07;
+            const byteLength = Math.ceil(d2 / 2);
+            const data = bytes.slice(offset, offset + byteLength);
+            offset += byteLength;
+
+            let bitLength = byteLength * 8;
+            if (d2 % 2) {
+                // Strip the completion tag: the last 1 bit and the zeros after it
+                const last = data[byteLength - 1];
+                if (!last) throw new Error(`Cell ${i} has no completion tag`);
+                bitLength -= Math.log2(last & -last) + 1;
+            }
+            raw.push({ data, bitLength, refs: Array.from({ length: refCount }, () => read(size)) });
+        }
+        if (offset > end) throw new Error('Truncated bag of cells');
+
+        // References always point forward, so build cells from the end
+        const cells = new Array(cellCount);
+        for (let i = cellCount - 1; i >= 0; i--) {
+            const { data, bitLength, refs } = raw[i];
+            cells[i] = new Cell({
+                bits: data,
+                bitLength,
+                refs: refs.map(index => {
+                    if (index <= i || !cells[index]) throw new Error(`Invalid reference ${index} in cell ${i}`);
+                    return cells[index];
+                }),
+            });
+        }
+        return roots.map(index => cells[index]);
+    }
+
+    /**
+     * Serialize a cell tree as a bag of cells with CRC32C.
+     * @param {Cell} root
+     * @returns {Uint8Array}
+     */
+    function serializeBoc(root) {
+        // Parents before children (reverse post-order), each cell once
+        const order = [];
+        const seen = new Set();
+        const visit = (cell) => {
+            if (seen.has(cell)) return;
+            seen.add(cell);
+            cell.refs.forEach(visit);
+            order.push(cell);
+        };
+        visit(root);
+        order.reverse();
+        const index = new Map(order.map((cell, i) => [cell, i]));
+
+        const size = Math.max(1, Math.ceil(Math.log2(order.length + 1) / 8));
+        const cellData = concatBytes(...order.map(cell => {
+            const refIndexes = new Uint8Array(cell.refs.length * size);
+            cell.refs.forEach((ref, i) => {
+                for (let b = 0; b < size; b++) {
+                    refIndexes[i * size + b] = (index.get(ref) >> (8 * (size - 1 - b))) & 0xff;
+                }
+            });
+            return concatBytes(cell.descriptors(), cell.paddedBits(), refIndexes);
+        }));
+        const offsetSize = Math.max(1, Math.ceil(Math.log2(cellData.length + 1) / 8));
+
+        const header = [];
+        const write = (value, length) => {
+            for (let b = length - 1; b >= 0; b--) header.push(Math.floor(value / 2 ** (8 * b)) & 0xff);
+        };
+        write(BOC_MAGIC, 4);
+        header.push(0x40 | size); // has_crc32c
+        header.push(offsetSize);
+        write(order.length, size);
+        write(1, size); // roots
+        write(0, size); // absent
+        write(cellData.length, offsetSize);
+        write(0, size); // root index
+
+        const body = concatBytes(new Uint8Array(header), cellData);
+        const crc = crc32c(body);
+        return concatBytes(body, new Uint8Array([crc & 0xff, (crc >>> 8) & 0xff, (crc >>> 16) & 0xff, crc >>> 24]));
+    }
+
+    // ========================================================================
+    // Addresses
+    // ========================================================================
+
+    /** `0:<64 hex>` to { workchain, hash } */
+    function parseRawAddress(address) {
+        const match = /^(-?\d+):([0-9a-fA-F]{64})$/.exec(address || '');
+        if (!match) {
+            throw new Error(`Not a raw address: ${address}`);
+        }
+        return { workchain: Number(match[1]), hash: fromHex(match[2]) };
+    }
+
+    function formatRawAddress(workchain, hash) {
+        return `${workchain}:${toHex(hash)}`;
+    }
+
+    // CRC16-XMODEM, the checksum of user-friendly addresses
+    function crc16(bytes) {
+        let crc = 0;
+        for (const byte of bytes) {
+            crc ^= byte << 8;
+            for (let i = 0; i < 8; i++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        }
+        return crc;
+    }
+
+    /**
+     * Raw or user-friendly (EQ.../UQ..., base64 or base64url) address to
+     * lowercase raw form, for comparing addresses written either way
+     */
+    function toRawAddress(address) {
+        if (/^-?\d+:[0-9a-fA-F]{64}$/.test(address || '')) {
+            const { workchain, hash } = parseRawAddress(address);
+            return formatRawAddress(workchain, hash);
+        }
+        if (typeof address !== 'string' || address.length !== 48) {
+            throw new Error(`Not a TON address: ${address}`);
+        }
+        const bytes = fromBase64(address);
+        const checksum = (bytes[34] << 8) | bytes[35];
+        if (bytes.length !== 36 || crc16(bytes.subarray(0, 34)) !== checksum) {
+            throw new Error(`Bad checksum in address: ${address}`);
+        }
+        const workchain = bytes[1] === 0xff ? -1 : bytes[1];
+        return formatRawAddress(workchain, bytes.subarray(2, 34));
+    }
+
+    /** Address of a contract: the hash of its StateInit cell */
+    async function contractAddress(workchain, stateInit) {
+        return formatRawAddress(workchain, await stateInit.hash());
+    }
+
+    const TLendTonCells = {
+        Cell,
+        Builder,
+        Slice,
+        beginCell,
+        parseBoc,
+        serializeBoc,
+        parseRawAddress,
+        formatRawAddress,
+        toRawAddress,
+        contractAddress,
+        crc32c,
+        sha256,
+        toHex,
+        fromHex,
+        toBase64,
+        fromBase64,
+        concatBytes,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendTonCells;
+    } else {
+        global.TLendTonCells = TLendTonCells;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,339 @@
+/**
+ * TLend TON Proof - Test wallet, ton_proof signing and verification
+ *
+ * TestWallet is a local ed25519 keypair behind a wallet v4r2 state init, so
+ * the test stand can produce TON proofs that pass the RFC Section 10.3
+ * checks without a real wallet. verifyTonProof() runs those checks the way
+ * TLend's backend does:
+ *
+ *   1. domain     proof.domain.value is a registered Partner domain
+ *   2. timestamp  proof.timestamp is recent
+ *   3. payload    proof.payload passes the Partner's payload check (RFC 12.3)
+ *   4. signature  proof.signature verifies against account.publicKey
+ *   5. stateInit  account.walletStateInit hashes to account.address
+ *
+ * The signed message follows the TON Connect spec:
+ *   message   = "ton-proof-item-v2/" ++ workchain (int32 BE) ++ address hash
+ *               ++ domain length (uint32 LE) ++ domain ++ timestamp (uint64 LE)
+ *               ++ payload
+ *   signature = ed25519(sha256(0xffff ++ "ton-connect" ++ sha256(message)))
+ *
+ * Ed25519 runs on Web Crypto (current browsers, Node 20+).
+ *
+ * Exposes `window.TLendTonProof` (or module.exports under Node).
+ */
+
+(function (global) {
+    'use strict';
+
+    const Cells = global.TLendTonCells
+        || (typeof require === 'function' ? require('./ton-cells.js') : null);
+
+    // ========================================================================
+    // Constants
+    // ========================================================================
+
+    const TON_PROOF_PREFIX = 'ton-proof-item-v2/';
+    const TON_CONNECT_PREFIX = 'ton-connect';
+    const MAINNET_CHAIN = '-239';
+
+    // How old a proof may be (TON Connect recommends 15 minutes)
+    const DEFAULT_MAX_AGE_SECONDS = 15 * 60;
+
+    // Wallet v4r2 code; its data is seqno:uint32 subwallet_id:uint32 public_key:bits256 plugins:(HashmapE)
+    const WALLET_V4R2_CODE = 'te6cckECFAEAAtQAART/APSkE/S88sgLAQIBIAIPAgFIAwYC5tAB0NMDIXGwkl8E4CLXScEgkl8E4ALTHyGCEHBsdWe9IoIQZHN0cr2wkl8F4AP6QDAg+kQByMoHy//J0O1E0IEBQNch9AQwXIEBCPQKb6Exs5JfB+AF0z/IJYIQcGx1Z7qSODDjDQOCEGRzdHK6kl8G4w0EBQB4AfoA9AQw+CdvIjBQCqEhvvLgUIIQcGx1Z4MesXCAGFAEywUmzxZY+gIZ9ADLaRfLH1Jgyz8gyYBA+wAGAIpQBIEBCPRZMO1E0IEBQNcgyAHPFvQAye1UAXKwjiOCEGRzdHKDHrFwgBhQBcsFUAPPFiP6AhPLassfyz/JgED7AJJfA+ICASAHDgIBIAgNAgFYCQoAPbKd+1E0IEBQNch9AQwAsjKB8v/ydABgQEI9ApvoTGACASALDAAZrc52omhAIGuQ64X/wAAZrx32omhAEGuQ64WPwAARuMl+1E0NcLH4AFm9JCtvaiaECAoGuQ+gIYRw1AgIR6STfSmRDOaQPp/5g3gSgBt4EBSJhxWfMYQE+PKDCNcYINMf0x/THwL4I7vyZO1E0NMf0x/T//QE0VFDuvKhUVG68qIF+QFUEGT5EPKj+AAkpMjLH1JAyx9SMMv/UhD0AMntVPgPAdMHIcAAn2xRkyDXSpbTB9QC+wDoMOAhwAHjACHAAuMAAcADkTDjDQOkyMsfEssfy/8QERITAG7SB/oA1NQi+QAFyMoHFcv/ydB3dIAYyMsFywIizxZQBfoCFMtrEszMyXP7AMhAFIEBCPRR8qcCAHCBAQjXGPoA0z/IVCBHgQEI9FHyp4IQbm90ZXB0gBjIywXLAlAGzxZQBPoCFMtqEssfyz/Jc/sAAgBsgQEI1xj6ANM/MFIkgQEI9Fnyp4IQZHN0cnB0gBjIywXLAlAFzxZQA/oCE8tqyx8Syz/Jc/sAAAr0AMntVAj45Sg=';
+    const WALLET_V4R2_CODE_HASH = 'feb5ff6820e2ff0d9483e7e0d62c817d846789fb4ae580c878866d959dabd5c0';
+    const DEFAULT_SUBWALLET_ID = 698983191;
+
+    // RFC 11.1 error code for each failed check
+    const CheckErrorCodes = {
+        domain: 'DOMAIN_MISMATCH',
+        timestamp: 'PAYLOAD_EXPIRED',
+        payload: 'INVALID_PAYLOAD',
+        signature: 'INVALID_SIGNATURE',
+        stateInit: 'ADDRESS_MISMATCH',
+    };
+
+    const ED25519 = { name: 'Ed25519' };
+
+    function getSubtle() {
+        if (!global.crypto?.subtle) {
+            throw new Error('Web Crypto is not available (TON proofs need a secure context)');
+        }
+        return global.crypto.subtle;
+    }
+
+    // ========================================================================
+    // ton_proof message
+    // ========================================================================
+
+    function encodeUtf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /** Bytes the wallet signs for a ton_proof (see the header) */
+    async function tonProofDigest(address, proof) {
+        const { workchain, hash } = Cells.parseRawAddress(address);
+        const domain = encodeUtf8(proof.domain.value);
+
+        const header = new Uint8Array(4 + 4);
+        const view = new DataView(header.buffer);
+        view.setInt32(0, workchain, false);
+        view.setUint32(4, domain.length, true);
+        const timestamp = new Uint8Array(8);
+        new DataView(timestamp.buffer).setBigUint64(0, BigInt(proof.timestamp), true);
+
+        const message = Cells.concatBytes(
+            encodeUtf8(TON_PROOF_PREFIX), header.subarray(0, 4), hash, header.subarray(4),
+            domain, timestamp, encodeUtf8(proof.payload),
+        );
+        const messageHash = await Cells.sha256(message);
+        return Cells.sha256(Cells.concatBytes(new Uint8Array([0xff, 0xff]), encodeUtf8(TON_CONNECT_PREFIX), messageHash));
+    }
+
+    // ========================================================================
+    // Wallet state init
+    // ========================================================================
+
+    function walletV4StateInit(publicKey, subwalletId = DEFAULT_SUBWALLET_ID) {
+        const [code] = Cells.parseBoc(WALLET_V4R2_CODE);
+        const data = Cells.beginCell()
+            .storeUint(0, 32)
+            .storeUint(subwalletId, 32)
+            .storeBytes(publicKey)
+            .storeBit(0)
+            .endCell();
+        return stateInitCell(code, data);
+    }
+
+    // StateInit: no split_depth, no special, code and data, no libraries
+    function stateInitCell(code, data) {
+        return Cells.beginCell()
+            .storeBit(0)
+            .storeBit(0)
+            .storeMaybeRef(code)
+            .storeMaybeRef(data)
+            .storeBit(0)
+            .endCell();
+    }
+
+    /**
+     * Read a StateInit BOC.
+     * @returns {Promise<{ cell: Cell, code: Cell|null, data: Cell|null, publicKey: string|null }>}
+     *   `publicKey` (hex) when the code is a known wallet
+     */
+    async function readStateInit(stateInitBoc) {
+        const [cell] = Cells.parseBoc(stateInitBoc);
+        const slice = cell.beginParse();
+        if (slice.loadBit()) slice.loadUint(5); // split_depth
+        if (slice.loadBit()) slice.loadUint(2); // special
+        const code = slice.loadMaybeRef();
+        const data = slice.loadMaybeRef();
+
+        let publicKey = null;
+        if (code && data && Cells.toHex(await code.hash()) === WALLET_V4R2_CODE_HASH) {
+            const fields = data.beginParse();
+            fields.loadUint(64); // seqno, subwallet_id
+            publicKey = Cells.toHex(fields.loadBytes(32));
+        }
+        return { cell, code, data, publicKey };
+    }
+
+    // ========================================================================
+    // Test Wallet
+    // ========================================================================
+
+    /**
+     * Local ed25519 keypair with a wallet v4r2 address, for offline testing.
+     * Never fund it: the private key lives in the browser.
+     */
+    class TestWallet {
+        constructor({ privateKey, pkcs8, publicKey, stateInit, address }) {
+            this._privateKey = privateKey;
+            this._pkcs8 = pkcs8;
+            this.publicKey = publicKey; // hex
+            this.stateInit = stateInit; // base64 BOC
+            this.address = address; // raw
+            this.chain = MAINNET_CHAIN;
+        }
+
+        static async generate() {
+            const keys = await getSubtle().generateKey(ED25519, true, ['sign', 'verify']);
+            const pkcs8 = new Uint8Array(await getSubtle().exportKey('pkcs8', keys.privateKey));
+            return TestWallet._fromKeys(keys.privateKey, pkcs8, keys.publicKey);
+        }
+
+        /** Restore a wallet saved with toJSON() */
+        static async fromJSON(json) {
+            const pkcs8 = Cells.fromBase64(json.privateKey);
+            const privateKey = await getSubtle().importKey('pkcs8', pkcs8, ED25519, true, ['sign']);
+            const publicKey = await getSubtle().importKey('raw', Cells.fromHex(json.publicKey), ED25519, true, ['verify']);
+            return TestWallet._fromKeys(privateKey, pkcs8, publicKey);
+        }
+
+        static async _fromKeys(privateKey, pkcs8, publicKey) {
+            const rawPublicKey = new Uint8Array(await getSubtle().exportKey('raw', publicKey));
+            const stateInit = walletV4StateInit(rawPublicKey);
+            return new TestWallet({
+                privateKey,
+                pkcs8,
+                publicKey: Cells.toHex(rawPublicKey),
+                stateInit: Cells.toBase64(Cells.serializeBoc(stateInit)),
+                address: await Cells.contractAddress(0, stateInit),
+            });
+        }
+
+        /** TON Connect `account` object */
+        get account() {
+            return {
+                address: this.address,
+                chain: this.chain,
+                publicKey: this.publicKey,
+                walletStateInit: this.stateInit,
+            };
+        }
+
+        /**
+         * Sign a ton_proof like a wallet does on connect.
+         * @param {Object} options
+         * @param {string} options.domain - App domain, e.g. location.host
+         * @param {string} options.payload - Payload requested by the app
+         * @param {number} [options.timestamp] - Unix seconds (default: now)
+         * @returns {Promise<Object>} TON Connect `proof` object
+         */
+        async signTonProof({ domain, payload, timestamp = Math.floor(Date.now() / 1000) }) {
+            const proof = {
+                timestamp,
+                domain: {
+                    lengthBytes: encodeUtf8(domain).length,
+                    value: domain,
+                },
+                payload,
+            };
+            const digest = await tonProofDigest(this.address, proof);
+            const signature = new Uint8Array(await getSubtle().sign(ED25519, this._privateKey, digest));
+            return { ...proof, signature: Cells.toBase64(signature) };
+        }
+
+        /** Serializable form, including the private key */
+        toJSON() {
+            return {
+                privateKey: Cells.toBase64(this._pkcs8),
+                publicKey: this.publicKey,
+            };
+        }
+    }
+
+    // ========================================================================
+    // Verification (RFC 10.3)
+    // ========================================================================
+
+    async function checkSignature(account, proof) {
+        const publicKey = await getSubtle().importKey('raw', Cells.fromHex(account.publicKey), ED25519, false, ['verify']);
+        const digest = await tonProofDigest(account.address, proof);
+        return getSubtle().verify(ED25519, publicKey, Cells.fromBase64(proof.signature), digest);
+    }
+
+    async function checkStateInit(account) {
+        if (!account.walletStateInit) {
+            return { passed: false, detail: 'account.walletStateInit is missing' };
+        }
+        const { cell, publicKey } = await readStateInit(account.walletStateInit);
+        const { workchain } = Cells.parseRawAddress(account.address);
+        const derived = await Cells.contractAddress(workchain, cell);
+        if (derived.toLowerCase() !== account.address.toLowerCase()) {
+            return { passed: false, detail: `state init hashes to ${derived}, not ${account.address}` };
+        }
+        if (publicKey && publicKey !== account.publicKey.toLowerCase()) {
+            return { passed: false, detail: `state init holds public key ${publicKey}, not account.publicKey` };
+        }
+        return {
+            passed: true,
+            detail: publicKey ? 'wallet v4r2 state init with account.publicKey' : 'address matches (unknown wallet code, public key not compared)',
+        };
+    }
+
+    /**
+     * Run the RFC 10.3 checks on AUTH_CREDENTIALS `account` and `proof`.
+     * @param {Object} credentials - { account, proof }
+     * @param {Object} [options]
+     * @param {string[]} [options.allowedDomains] - Registered Partner domains (check 1)
+     * @param {number} [options.maxAge=900] - Oldest accepted proof.timestamp, in seconds (check 2)
+     * @param {(payload: string) => Promise<{ valid: boolean, code?: string, reason?: string }>} [options.verifyPayload]
+     *   Partner payload check (check 3); skipped when omitted
+     * @param {number} [options.now] - Current time (ms), for tests
+     * @returns {Promise<{ valid: boolean, code?: string, checks: Array<{ check: string, passed: boolean|null, detail: string }> }>}
+     *   `code` is the AUTH_RESULT error code of the first failed check; passed is null for a skipped check
+     */
+    async function verifyTonProof({ account, proof }, options = {}) {
+        const now = Math.floor((options.now ?? Date.now()) / 1000);
+        const maxAge = options.maxAge ?? DEFAULT_MAX_AGE_SECONDS;
+        const checks = [];
+        const record = (check, passed, detail) => checks.push({ check, passed, detail });
+
+        const domain = proof.domain?.value;
+        if (!options.allowedDomains) {
+            record('domain', null, 'no registered domains configured');
+        } else if (options.allowedDomains.includes(domain)) {
+            record('domain', true, domain);
+        } else {
+            record('domain', false, `${domain} is not one of ${options.allowedDomains.join(', ')}`);
+        }
+
+        const age = now - proof.timestamp;
+        if (age > maxAge) {
+            record('timestamp', false, `signed ${age}s ago (max ${maxAge}s)`);
+        } else if (age < -60) {
+            record('timestamp', false, `signed ${-age}s in the future`);
+        } else {
+            record('timestamp', true, `signed ${Math.max(0, age)}s ago`);
+        }
+
+        // The payload check may name a more precise code (PAYLOAD_EXPIRED)
+        let payloadCode = null;
+        if (!options.verifyPayload) {
+            record('payload', null, 'no payload verification configured');
+        } else {
+            const result = await options.verifyPayload(proof.payload);
+            record('payload', result.valid, result.valid ? 'payload verified' : result.reason);
+            payloadCode = result.code || null;
+        }
+
+        try {
+            const valid = await checkSignature(account, proof);
+            record('signature', valid, valid ? 'ed25519 signature verified' : 'signature does not match account.publicKey');
+        } catch (error) {
+            record('signature', false, error.message);
+        }
+
+        try {
+            const { passed, detail } = await checkStateInit(account);
+            record('stateInit', passed, detail);
+        } catch (error) {
+            record('stateInit', false, `unreadable state init: ${error.message}`);
+        }
+
+        const failed = checks.find(check => check.passed === false);
+        if (!failed) {
+            return { valid: true, checks };
+        }
+        const code = failed.check === 'payload' && payloadCode ? payloadCode : CheckErrorCodes[failed.check];
+        return { valid: false, code, checks };
+    }
+
+    const TLendTonProof = {
+        TestWallet,
+        verifyTonProof,
+        tonProofDigest,
+        readStateInit,
+        walletV4StateInit,
+        CheckErrorCodes,
+        DEFAULT_MAX_AGE_SECONDS,
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TLendTonProof;
+    } else {
+        global.TLendTonProof = TLendTonProof;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * TLend Mock Backend - Local stand-in for TLend's auth API
+ *
+ * Serves the endpoints the RFC relies on, with Node built-ins only:
+ *
+ *   GET  /api/auth/challenge  Option B challenge (RFC 12.3), valid for 1 minute, single use;
+ *                             ?chain=-3 binds it to testnet (default: --chain)
+ *   POST /api/auth/verify     AUTH_CREDENTIALS payload ({ partnerId, account, proof });
+ *                             runs the RFC 10.3 checks and returns { accessToken, address }
+ *   GET  /health              Liveness and current settings
+ *
+ * Errors are JSON: { error: { code, message } } with RFC 11.1 codes. Like
+ * the real backend, the challenge endpoint allows 60 requests per minute
+ * per IP and verify 10 (RFC 10.6); over the limit it answers 429 with
+ * Retry-After. --fail-rate makes a share of requests fail with 500.
+ *
+ * Usage:
+ *   node mock-backend/server.js [--port 8787] [--domains localhost:8080]
+ *     [--hmac-secret <secret>] [--partners partner_xyz] [--fail-rate 0.2] [--chain=-3]
+ *
+ * Every option can also be set through the environment (PORT, DOMAINS,
+ * HMAC_SECRET, PARTNERS, FAIL_RATE, CHAIN, JWT_SECRET, JWT_TTL, CHALLENGE_LIMIT,
+ * VERIFY_LIMIT). Point the test stand's "TLend Backend URL" and the iframe
+ * mock's `backend` parameter at http://localhost:8787.
+ */
+
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+const TLendProofPayload = require(path.join(APP_DIR, 'proof-payload.js'));
+const TLendTonProof = require(path.join(APP_DIR, 'ton-proof.js'));
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const CHALLENGE_TTL_SECONDS = 60;
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_BODY_BYTES = 64 * 1024;
+// TON Connect chain ids: mainnet and testnet
+const CHAINS = ['-239', '-3'];
+
+function readConfig(argv = process.argv.slice(2), env = process.env) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string', default: env.PORT || '8787' },
+            domains: { type: 'string', default: env.DOMAINS || '' },
+            'hmac-secret': { type: 'string', default: env.HMAC_SECRET || '' },
+            partners: { type: 'string', default: env.PARTNERS || '' },
+            'fail-rate': { type: 'string', default: env.FAIL_RATE || '0' },
+            chain: { type: 'string', default: env.CHAIN || '-239' },
+            'jwt-secret': { type: 'string', default: env.JWT_SECRET || '' },
+            'jwt-ttl': { type: 'string', default: env.JWT_TTL || '3600' },
+            'challenge-limit': { type: 'string', default: env.CHALLENGE_LIMIT || '60' },
+            'verify-limit': { type: 'string', default: env.VERIFY_LIMIT || '10' },
+        },
+    });
+    const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    const config = {
+        port: Number(values.port),
+        // Registered Partner domains; empty accepts any domain
+        domains: list(values.domains),
+        hmacSecret: values['hmac-secret'],
+        // Known partnerIds; empty accepts any
+        partners: list(values.partners),
+        failRate: Number(values['fail-rate']),
+        // Expected account.chain for Option A payloads and challenges requested without ?chain=
+        chain: values.chain,
+        jwtSecret: values['jwt-secret'] || crypto.randomBytes(32).toString('hex'),
+        jwtTtl: Number(values['jwt-ttl']),
+        limits: {
+            challenge: Number(values['challenge-limit']),
+            verify: Number(values['verify-limit']),
+        },
+    };
+    if (!(config.failRate >= 0 && config.failRate <= 1)) {
+        throw new RangeError('--fail-rate must be between 0 and 1');
+    }
+    if (!CHAINS.includes(config.chain)) {
+        throw new RangeError(`--chain must be ${CHAINS.join(' or ')}`);
+    }
+    return config;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+class HttpError extends Error {
+    constructor(status, code, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.extra = extra;
+    }
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+/** HS256 JWT */
+function signJwt(claims, secret) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+}
+
+// Sliding one-minute window of request times per key
+function createRateLimiter(limit) {
+    const hits = new Map();
+    return (key, now = Date.now()) => {
+        const recent = (hits.get(key) || []).filter(time => now - time < RATE_WINDOW_MS);
+        if (recent.length >= limit) {
+            hits.set(key, recent);
+            return Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+        }
+        recent.push(now);
+        hits.set(key, recent);
+        return 0;
+    };
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'INVALID_MESSAGE', 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new HttpError(400, 'INVALID_MESSAGE', `Body is not JSON: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...headers,
+    });
+    res.end(JSON.stringify(body));
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+function createServer(config) {
+    // Issued Option B challenges: challenge -> { expiresAt (Unix seconds), chain }
+    const challenges = new Map();
+    const defaultChain = config.chain || CHAINS[0];
+    const limiters = {
+        challenge: createRateLimiter(config.limits.challenge),
+        verify: createRateLimiter(config.limits.verify),
+    };
+
+    // The Partner names its network, e.g. from the test stand's environment profile
+    function issueChallenge(chain = defaultChain) {
+        if (!CHAINS.includes(chain)) {
+            throw new HttpError(400, 'INVALID_CHAIN', `Unsupported chain ${chain} (expected ${CHAINS.join(' or ')})`);
+        }
+        const now = Math.floor(Date.now() / 1000);
+        challenges.forEach(({ expiresAt }, challenge) => {
+            if (expiresAt <= now) challenges.delete(challenge);
+        });
+        const challenge = crypto.randomBytes(32).toString('base64');
+        challenges.set(challenge, { expiresAt: now + CHALLENGE_TTL_SECONDS, chain });
+        return { challenge };
+    }
+
+    // Option B challenges are single use (RFC 10.4); anything else must be an Option A payload
+    async function verifyPayload(payload) {
+        if (challenges.has(payload)) {
+            const { expiresAt } = challenges.get(payload);
+            challenges.delete(payload);
+            return expiresAt > Math.floor(Date.now() / 1000)
+                ? { valid: true }
+                : { valid: false, code: 'PAYLOAD_EXPIRED', reason: 'challenge expired' };
+        }
+        if (config.hmacSecret) {
+            return TLendProofPayload.verifyHmacPayload(payload, config.hmacSecret);
+        }
+        return { valid: false, code: 'INVALID_PAYLOAD', reason: 'unknown challenge and no Option A secret configured' };
+    }
+
+    async function verify(body) {
+        const { partnerId, account, proof } = body;
+        if (!account?.address || !account.publicKey || !proof?.signature || !proof.domain) {
+            throw new HttpError(400, 'INVALID_MESSAGE', 'Expected { partnerId, account, proof } from AUTH_CREDENTIALS');
+        }
+        if (config.partners.length && !config.partners.includes(partnerId)) {
+            throw new HttpError(404, 'PARTNER_NOT_FOUND', `Unknown partnerId: ${partnerId}`);
+        }
+        // A challenge carries the chain it was requested for; Option A payloads use --chain
+        const expectedChain = challenges.get(proof.payload)?.chain || defaultChain;
+        if (account.chain !== expectedChain) {
+            throw new HttpError(401, 'INVALID_CHAIN', `Unsupported chain ${account.chain} (expected ${expectedChain})`);
+        }
+
+        const result = await TLendTonProof.verifyTonProof({ account, proof }, {
+            allowedDomains: config.domains.length ? config.domains : undefined,
+            verifyPayload,
+        });
+        if (!result.valid) {
+            const failed = result.checks.find(check => check.passed === false);
+            throw new HttpError(401, result.code, `${failed.check} check failed: ${failed.detail}`, { checks: result.checks });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const expiresAt = now + config.jwtTtl;
+        return {
+            accessToken: signJwt({ sub: account.address, partnerId, iat: now, exp: expiresAt }, config.jwtSecret),
+            address: account.address,
+            expiresAt,
+            checks: result.checks,
+        };
+    }
+
+    const routes = {
+        'GET /api/auth/challenge': {
+            limiter: limiters.challenge,
+            handle: req => issueChallenge(new URL(req.url, 'http://localhost').searchParams.get('chain') || undefined),
+        },
+        'POST /api/auth/verify': { limiter: limiters.verify, handle: async req => verify(await readJson(req)) },
+        'GET /health': {
+            handle: () => ({
+                status: 'ok',
+                domains: config.domains,
+                optionA: Boolean(config.hmacSecret),
+                partners: config.partners,
+                chain: defaultChain,
+                failRate: config.failRate,
+                pendingChallenges: challenges.size,
+            }),
+        },
+    };
+
+    return http.createServer(async (req, res) => {
+        // The challenge endpoint supports CORS (RFC 12.3); so does the rest of the mock
+        const cors = {
+            'Access-Control-Allow-Origin': req.headers.origin || '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Expose-Headers': 'Retry-After',
+            Vary: 'Origin',
+        };
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const key = `${req.method} ${pathname}`;
+        const started = Date.now();
+        const log = (status, detail = '') => {
+            console.log(`${new Date().toISOString()} ${key} ${status} ${Date.now() - started}ms${detail ? ` ${detail}` : ''}`);
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            res.end();
+            return;
+        }
+
+        const route = routes[key];
+        try {
+            if (!route) {
+                throw new HttpError(404, 'NOT_FOUND', `No route for ${key}`);
+            }
+            const retryAfter = route.limiter?.(req.socket.remoteAddress);
+            if (retryAfter) {
+                throw new HttpError(429, 'RATE_LIMITED', `Too many requests, retry in ${retryAfter}s`, { retryAfter });
+            }
+            if (route.limiter && Math.random() < config.failRate) {
+                throw new HttpError(500, 'INTERNAL_ERROR', 'Simulated backend failure (--fail-rate)');
+            }
+
+            send(res, 200, await route.handle(req), cors);
+            log(200);
+        } catch (error) {
+            const status = error.status || 500;
+            const code = error.code || 'INTERNAL_ERROR';
+            const headers = error.extra?.retryAfter ? { ...cors, 'Retry-After': String(error.extra.retryAfter) } : cors;
+            const { retryAfter, ...extra } = error.extra || {};
+            send(res, status, { error: { code, message: error.message }, ...extra }, headers);
+            log(status, `${code}: ${error.message}`);
+        }
+    });
+}
+
+if (require.main === module) {
+    const config = readConfig();
+    createServer(config).listen(config.port, () => {
+        console.log(`TLend mock backend on http://localhost:${config.port}`);
+        console.log(`  domains: ${config.domains.join(', ') || 'any'}`);
+        console.log(`  Option A secret: ${config.hmacSecret ? 'set' : 'not set (Option B challenges only)'}`);
+        console.log(`  partners: ${config.partners.join(', ') || 'any'}`);
+        console.log(`  chain: ${config.chain}`);
+        console.log(`  fail rate: ${config.failRate}`);
+    });
+}
+
+module.exports = { createServer, readConfig, signJwt };
@@ -0,0 +1,202 @@
+/**
+ * TLend Partner Iframe Integration Protocol - Version & Capability Negotiation
+ * Based on RFC-001-TLEND-PARTNER-IFRAME-INTEGRATION.md v2.2.0
+ *
+ * TLEND_LOADED reports TLend's protocol version and capabilities (RFC
+ * Section 6.3). negotiateProtocol() compares them with TLEND_PROTOCOL_VERSION
+ * and TLEND_CAPABILITIES: another major version is incompatible, and an
+ * older minor lacks the messages and fields added since. PROTOCOL_COMPATIBILITY
+ * records which version and capability each message and field needs.
+ */
+
+import { TLEND_CAPABILITIES, TLEND_PROTOCOL_VERSION } from './constants'
+import type { TLendCapability } from './constants'
+import type { IframeMessage, MessageType } from './messages'
+
+// =============================================================================
+// Compatibility Matrix
+// =============================================================================
+
+/** When a message type can be used */
+export interface MessageCompatibility {
+  /** First protocol version with the message */
+  since: string
+  /** Capability TLend must advertise in TLEND_LOADED */
+  capability?: TLendCapability
+  /** Fields added later, by path (e.g. "payload.width"), with the version that added them */
+  fields?: Record<string, string>
+}
+
+/** Which messages and fields exist in which protocol version (RFC Section 14.6) */
+export const PROTOCOL_COMPATIBILITY: Record<MessageType, MessageCompatibility> = {
+  TLEND_LOADED: { since: '1.0.0' },
+  STYLES_UPGRADE: { since: '1.0.0', capability: 'custom_styles' },
+  SET_LOGO: {
+    since: '2.0.0',
+    capability: 'custom_logo',
+    fields: { 'payload.width': '2.3.0', 'payload.height': '2.3.0' },
+  },
+  AUTH_CHECK_REQUEST: { since: '1.0.0', capability: 'auth_delegation' },
+  AUTH_CHECK_RESPONSE: { since: '1.0.0', capability: 'auth_delegation' },
+  AUTH_CREDENTIALS: { since: '1.0.0', capability: 'auth_delegation' },
+  AUTH_RESULT: { since: '1.0.0', capability: 'auth_delegation' },
+  AUTH_REQUEST: { since: '2.0.0', capability: 'auth_delegation' },
+  TLEND_READY: { since: '1.0.0' },
+  DISCONNECT: { since: '2.0.0', capability: 'auth_delegation' },
+  REPAY_REQUEST: { since: '1.0.0', capability: 'repay_delegation' },
+  REPAY_RESULT: { since: '1.0.0', capability: 'repay_delegation' },
+  ERROR: { since: '1.0.0' },
+}
+
+// =============================================================================
+// Versions
+// =============================================================================
+
+/** [major, minor, patch] */
+export type ProtocolVersion = [number, number, number]
+
+/** Parse a semver version ("2.2.0", "2.3.0-beta.1"); null when it is not one */
+export function parseVersion(version: unknown): ProtocolVersion | null {
+  if (typeof version !== 'string') return null
+  const match = /^v?(\d+)\.(\d+)\.(\d+)(?:[-+].*)?$/.exec(version.trim())
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null
+}
+
+function isPrerelease(version: string): boolean {
+  return /^[^+]*-/.test(version.trim())
+}
+
+/**
+ * Compare two versions by major, minor and patch
+ * @returns Negative, zero or positive like a sort comparator; null when either is not semver
+ */
+export function compareVersions(a: string, b: string): number | null {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  if (!left || !right) return null
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i]
+  }
+  // A pre-release comes before its release: 2.3.0-beta.1 < 2.3.0
+  return Number(isPrerelease(b)) - Number(isPrerelease(a))
+}
+
+// =============================================================================
+// Negotiation
+// =============================================================================
+
+/** Outcome of comparing TLEND_LOADED with the Partner's protocol */
+export interface NegotiationResult {
+  /** Version TLend reported */
+  version: string
+  /** Partner protocol version it was compared with */
+  protocolVersion: string
+  /** Same major version; false also when TLend's version is not semver */
+  compatible: boolean
+  /** TLend's version relative to the Partner's; null when it is not semver */
+  relation: 'older' | 'same' | 'newer' | null
+  /** Capabilities TLend advertised */
+  capabilities: string[]
+  /** Partner capabilities TLend did not advertise */
+  missingCapabilities: TLendCapability[]
+  /** Advertised capabilities the Partner does not know */
+  unknownCapabilities: string[]
+  /** Human-readable problems, most serious first */
+  warnings: string[]
+}
+
+/**
+ * Compare the version and capabilities from TLEND_LOADED with the Partner's
+ */
+export function negotiateProtocol(
+  version: string,
+  capabilities: readonly string[] = [],
+  protocolVersion: string = TLEND_PROTOCOL_VERSION
+): NegotiationResult {
+  const actual = parseVersion(version)
+  const expected = parseVersion(protocolVersion)
+  const order = compareVersions(version, protocolVersion)
+  const known: readonly string[] = TLEND_CAPABILITIES
+  const warnings: string[] = []
+
+  const compatible = Boolean(actual && expected && actual[0] === expected[0])
+  if (!actual) {
+    warnings.push(`TLend version "${version}" is not a semver version`)
+  } else if (!compatible) {
+    warnings.push(`TLend ${version} is a different major version than ${protocolVersion}; messages may not be understood`)
+  } else if (order !== null && order < 0) {
+    warnings.push(`TLend ${version} is older than ${protocolVersion}; newer messages and fields are left out`)
+  }
+
+  const missingCapabilities = TLEND_CAPABILITIES.filter(capability => !capabilities.includes(capability))
+  if (missingCapabilities.length) {
+    warnings.push(`TLend does not advertise ${missingCapabilities.join(', ')}`)
+  }
+  const unknownCapabilities = capabilities.filter(capability => !known.includes(capability))
+
+  return {
+    version,
+    protocolVersion,
+    compatible,
+    relation: order === null ? null : order < 0 ? 'older' : order > 0 ? 'newer' : 'same',
+    capabilities: [...capabilities],
+    missingCapabilities,
+    unknownCapabilities,
+    warnings,
+  }
+}
+
+/**
+ * Why TLend cannot take a message type, or one of its fields
+ * @returns The reason, or null when it is supported
+ */
+export function unsupportedReason(result: NegotiationResult, type: MessageType, field?: string): string | null {
+  const entry = PROTOCOL_COMPATIBILITY[type]
+  if (!entry) return `${type} is not a protocol message`
+
+  const since = field ? entry.fields?.[field] ?? entry.since : entry.since
+  const order = compareVersions(result.version, since)
+  const name = field ? `${type} ${field}` : type
+  if (order !== null && order < 0) {
+    return `${name} needs v${since}, TLend is v${result.version}`
+  }
+  if (entry.capability && !result.capabilities.includes(entry.capability)) {
+    return `${name} needs the ${entry.capability} capability`
+  }
+  return null
+}
+
+/** Whether TLend can take a message type, or one of its fields */
+export function isSupported(result: NegotiationResult, type: MessageType, field?: string): boolean {
+  return unsupportedReason(result, type, field) === null
+}
+
+/**
+ * Drop the fields TLend's version does not have from a message
+ * @returns A copy without those fields, and what was removed
+ */
+export function stripUnsupportedFields<T extends IframeMessage>(
+  result: NegotiationResult,
+  message: T
+): { message: T; removed: Array<{ field: string; reason: string }> } {
+  const copy = JSON.parse(JSON.stringify(message)) as T
+  const removed: Array<{ field: string; reason: string }> = []
+
+  Object.keys(PROTOCOL_COMPATIBILITY[message.type]?.fields || {}).forEach(field => {
+    const path = field.split('.')
+    const key = path.pop() as string
+    const parent = path.reduce<Record<string, unknown> | undefined>(
+      (node, segment) => node?.[segment] as Record<string, unknown> | undefined,
+      copy as unknown as Record<string, unknown>
+    )
+    if (!parent || !(key in parent)) return
+
+    const reason = unsupportedReason(result, message.type, field)
+    if (reason) {
+      delete parent[key]
+      removed.push({ field, reason })
+    }
+  })
+
+  return { message: copy, removed }
+}
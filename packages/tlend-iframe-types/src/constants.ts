@@ -42,20 +42,30 @@ export const AUTH_ERROR_CODES = {
 
 export type AuthErrorCode = (typeof AUTH_ERROR_CODES)[keyof typeof AUTH_ERROR_CODES]
 
-/** Repayment error codes */
+/** Repayment error codes: the only codes allowed in REPAY_RESULT (RFC Section 11.1) */
 export const REPAY_ERROR_CODES = {
-  /** User cancelled the transaction */
-  USER_CANCELLED: 'USER_CANCELLED',
-  /** Transaction rejected by wallet */
-  REJECTED: 'REJECTED',
-  /** Insufficient funds for transaction */
+  /** User declined the transaction (userCancelled: true) */
+  USER_REJECTED: 'USER_REJECTED',
+  /** Partner has no wallet connected to sign with */
+  WALLET_NOT_CONNECTED: 'WALLET_NOT_CONNECTED',
+  /** Wallet refused the transaction request as malformed or unsupported */
+  INVALID_TRANSACTION: 'INVALID_TRANSACTION',
+  /** Not enough jettons, or TON for fees */
   INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
-  /** Transaction timed out */
+  /** Sending failed for any other reason */
+  TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  /** Not signed before the request expired */
   TIMEOUT: 'TIMEOUT',
-  /** Network error during transaction */
-  NETWORK_ERROR: 'NETWORK_ERROR',
-  /** Unknown/unexpected error */
-  UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+  /** Not shown: another repayment is still awaiting the user's approval */
+  REPAY_IN_PROGRESS: 'REPAY_IN_PROGRESS',
+  /** @deprecated Use USER_REJECTED (removed in 2.0.0) */
+  USER_CANCELLED: 'USER_REJECTED',
+  /** @deprecated Use USER_REJECTED (removed in 2.0.0) */
+  REJECTED: 'USER_REJECTED',
+  /** @deprecated Use TRANSACTION_FAILED (removed in 2.0.0) */
+  NETWORK_ERROR: 'TRANSACTION_FAILED',
+  /** @deprecated Use TRANSACTION_FAILED (removed in 2.0.0) */
+  UNKNOWN_ERROR: 'TRANSACTION_FAILED',
 } as const
 
 export type RepayErrorCode = (typeof REPAY_ERROR_CODES)[keyof typeof REPAY_ERROR_CODES]
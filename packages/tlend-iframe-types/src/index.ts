@@ -86,3 +86,21 @@ export type {
   Unsubscribe,
   MessageListenerOptions,
 } from './utilities'
+
+// Validation - Runtime schema validation for every message type
+export { validateMessage, isValidMessage, createInvalidMessageError } from './validation'
+
+export type { ValidationIssue, ValidationResult } from './validation'
+
+// Compatibility - Version and capability negotiation
+export {
+  PROTOCOL_COMPATIBILITY,
+  parseVersion,
+  compareVersions,
+  negotiateProtocol,
+  unsupportedReason,
+  isSupported,
+  stripUnsupportedFields,
+} from './compatibility'
+
+export type { MessageCompatibility, ProtocolVersion, NegotiationResult } from './compatibility'
@@ -28,11 +28,11 @@ export type LogoMode = 'tlend_only' | 'partner_only' | 'combined'
 export interface LogoConfig {
   /** Display mode */
   mode: LogoMode
-  /** Partner logo URL (for partner_only mode) */
+  /** Partner logo URL (required in partner_only mode) */
   partnerLogoUrl?: string
   /** Partner name (for alt text) */
   partnerName?: string
-  /** Combined logo URL (for combined mode) */
+  /** Combined logo URL (required in combined mode) */
   combinedLogoUrl?: string
   /** Logo width (CSS value, e.g., "120px", "auto") */
   width?: string
@@ -190,11 +190,11 @@ export interface SetLogoMessage extends BaseMessage {
   payload: {
     /** Logo display mode */
     mode: 'tlend_only' | 'partner_only' | 'combined'
-    /** Partner logo URL (for partner_only mode) */
+    /** Partner logo URL (required in partner_only mode) */
     partnerLogoUrl?: string
     /** Partner name (for alt text) */
     partnerName?: string
-    /** Combined logo URL (for combined mode) */
+    /** Combined logo URL (required in combined mode) */
     combinedLogoUrl?: string
     /** Logo width (CSS value, e.g., "120px", "auto") */
     width?: string
@@ -0,0 +1,449 @@
+/**
+ * TLend Partner Iframe Integration Protocol - Runtime Message Validation
+ * Based on RFC-001-TLEND-PARTNER-IFRAME-INTEGRATION.md v2.2.0
+ *
+ * Unlike the shallow type guards in utilities.ts, these validators check
+ * every field of every message interface in messages.ts.
+ */
+
+import { GENERAL_ERROR_CODES, REPAY_ERROR_CODES } from './constants'
+import type { ErrorMessage, IframeMessage, MessageType } from './messages'
+import { createBaseMessage, isValidMessageType, isValidTonAddress } from './utilities'
+
+// =============================================================================
+// Result Types
+// =============================================================================
+
+/** A single failed check */
+export interface ValidationIssue {
+  /** Path of the failing field (e.g. "payload.amount.decimals") */
+  field: string
+  /** Why the field is invalid */
+  message: string
+}
+
+/** Outcome of validating a message */
+export interface ValidationResult {
+  valid: boolean
+  errors: ValidationIssue[]
+  /** Suspicious but harmless fields; they do not make the message invalid */
+  warnings: ValidationIssue[]
+}
+
+// =============================================================================
+// Field Checks
+// =============================================================================
+
+type Fields = Record<string, unknown>
+
+/** Smallest millisecond timestamp accepted (2001-09-09), catches seconds/ms mixups */
+const MIN_TIMESTAMP_MS = 1e12
+
+/** Largest seconds timestamp accepted (5138-11-16), catches seconds/ms mixups */
+const MAX_TIMESTAMP_SECONDS = 1e11
+
+/** Maximum referenceId length in bytes (RFC Section 7.5) */
+const MAX_REFERENCE_ID_BYTES = 32
+
+const SUPPORTED_CHAINS = ['-239', '-3']
+const LOGO_MODES = ['tlend_only', 'partner_only', 'combined']
+const DISCONNECT_REASONS = ['user_initiated', 'wallet_changed', 'session_expired']
+const AUTH_REQUEST_REASONS = ['jwt_expired', 'session_invalid', 'storage_unavailable']
+const REPAY_ERROR_CODE_VALUES: string[] = Object.values(REPAY_ERROR_CODES)
+
+/** Message types that must carry a requestId */
+const REQUEST_ID_TYPES: MessageType[] = [
+  'AUTH_CHECK_REQUEST',
+  'AUTH_CHECK_RESPONSE',
+  'AUTH_CREDENTIALS',
+  'AUTH_RESULT',
+  'REPAY_REQUEST',
+  'REPAY_RESULT',
+]
+
+class Checker {
+  readonly errors: ValidationIssue[] = []
+  readonly warnings: ValidationIssue[] = []
+
+  fail(field: string, message: string): void {
+    this.errors.push({ field, message })
+  }
+
+  warn(field: string, message: string): void {
+    this.warnings.push({ field, message })
+  }
+
+  object(value: unknown, field: string): value is Fields {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      this.fail(field, 'must be an object')
+      return false
+    }
+    return true
+  }
+
+  string(value: unknown, field: string, optional = false): value is string {
+    if (value === undefined && optional) return false
+    if (typeof value !== 'string' || value.length === 0) {
+      this.fail(field, 'must be a non-empty string')
+      return false
+    }
+    return true
+  }
+
+  boolean(value: unknown, field: string, optional = false): void {
+    if (value === undefined && optional) return
+    if (typeof value !== 'boolean') {
+      this.fail(field, 'must be a boolean')
+    }
+  }
+
+  integer(value: unknown, field: string, min = 0, max = Number.MAX_SAFE_INTEGER): value is number {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+      this.fail(field, `must be an integer between ${min} and ${max}`)
+      return false
+    }
+    return true
+  }
+
+  oneOf(value: unknown, allowed: string[], field: string, optional = false): void {
+    if (value === undefined && optional) return
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+      this.fail(field, `must be one of: ${allowed.join(', ')}`)
+    }
+  }
+
+  digits(value: unknown, field: string): value is string {
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+      this.fail(field, 'must be a string of decimal digits')
+      return false
+    }
+    return true
+  }
+
+  hex(value: unknown, field: string, bytes: number): void {
+    if (typeof value !== 'string' || !new RegExp(`^[a-fA-F0-9]{${bytes * 2}}$`).test(value)) {
+      this.fail(field, `must be ${bytes} bytes of hex`)
+    }
+  }
+
+  base64(value: unknown, field: string, optional = false): void {
+    if (value === undefined && optional) return
+    if (typeof value !== 'string' || !isBase64(value)) {
+      this.fail(field, 'must be a base64 string')
+    }
+  }
+
+  address(value: unknown, field: string, format?: 'raw' | 'user-friendly', optional = false): void {
+    if (value === undefined && optional) return
+    if (typeof value !== 'string' || !isValidTonAddress(value, format)) {
+      const expected =
+        format === 'raw' ? 'raw format (0:<64 hex>)'
+        : format === 'user-friendly' ? 'user-friendly format (EQ.../UQ...)'
+        : 'raw or user-friendly format'
+      this.fail(field, `must be a TON address in ${expected}`)
+    }
+  }
+
+  /** Unix timestamp in milliseconds */
+  timestampMs(value: unknown, field: string): void {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < MIN_TIMESTAMP_MS) {
+      this.fail(field, 'must be a Unix timestamp in milliseconds')
+    }
+  }
+
+  /** Unix timestamp in seconds */
+  timestampSeconds(value: unknown, field: string): void {
+    if (
+      typeof value !== 'number' ||
+      !Number.isInteger(value) ||
+      value <= 0 ||
+      value >= MAX_TIMESTAMP_SECONDS
+    ) {
+      this.fail(field, 'must be a Unix timestamp in seconds')
+    }
+  }
+
+  error(value: unknown, field: string): value is Fields {
+    if (!this.object(value, field)) return false
+    this.string(value.code, `${field}.code`)
+    this.string(value.message, `${field}.message`)
+    return true
+  }
+}
+
+function isBase64(value: string): boolean {
+  return value.length > 0 && value.length % 4 === 0 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(value)
+}
+
+function utf8Length(value: string): number {
+  // Each percent-escape is one UTF-8 byte
+  return encodeURIComponent(value).replace(/%[A-F\d]{2}/g, '_').length
+}
+
+/**
+ * Check that a human-readable amount matches value / 10^decimals,
+ * either rounded or truncated to the precision of `formatted`.
+ * Thousands separators (commas, spaces, apostrophes) are ignored.
+ */
+function formattedMatchesValue(formatted: string, value: string, decimals: number): boolean {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(formatted.replace(/[,'\s]/g, ''))
+  if (!match) return false
+
+  const fraction = match[2] || ''
+  const shown = BigInt(match[1] + fraction)
+  const raw = BigInt(value)
+
+  if (fraction.length >= decimals) {
+    return shown === raw * 10n ** BigInt(fraction.length - decimals)
+  }
+
+  const divisor = 10n ** BigInt(decimals - fraction.length)
+  const truncated = raw / divisor
+  const rounded = (raw + divisor / 2n) / divisor
+  return shown === truncated || shown === rounded
+}
+
+// =============================================================================
+// Payload Validators
+// =============================================================================
+
+type PayloadValidator = (payload: Fields, check: Checker) => void
+
+const PAYLOAD_VALIDATORS: Record<MessageType, PayloadValidator> = {
+  TLEND_LOADED(payload, check) {
+    check.string(payload.version, 'payload.version')
+    if (!Array.isArray(payload.capabilities)) {
+      check.fail('payload.capabilities', 'must be an array of strings')
+    } else {
+      payload.capabilities.forEach((capability, i) =>
+        check.string(capability, `payload.capabilities[${i}]`)
+      )
+    }
+  },
+
+  AUTH_CHECK_RESPONSE(payload, check) {
+    check.boolean(payload.authenticated, 'payload.authenticated')
+    check.boolean(payload.matchesRequested, 'payload.matchesRequested')
+    check.address(payload.address, 'payload.address', 'raw', true)
+  },
+
+  AUTH_RESULT(payload, check) {
+    check.boolean(payload.success, 'payload.success')
+    check.address(payload.address, 'payload.address', 'raw', true)
+    if (payload.success === false) {
+      check.error(payload.error, 'payload.error')
+    }
+  },
+
+  AUTH_REQUEST(payload, check) {
+    check.oneOf(payload.reason, AUTH_REQUEST_REASONS, 'payload.reason')
+    check.address(payload.currentAddress, 'payload.currentAddress', 'raw', true)
+  },
+
+  TLEND_READY(payload, check) {
+    check.address(payload.address, 'payload.address', 'raw')
+  },
+
+  REPAY_REQUEST(payload, check) {
+    check.integer(payload.lendId, 'payload.lendId')
+    check.digits(payload.nftIndex, 'payload.nftIndex')
+
+    if (check.object(payload.amount, 'payload.amount')) {
+      const { value, decimals, formatted, currency } = payload.amount
+      const hasValue = check.digits(value, 'payload.amount.value')
+      const hasDecimals = check.integer(decimals, 'payload.amount.decimals', 0, 255)
+      if (check.string(formatted, 'payload.amount.formatted') && hasValue && hasDecimals) {
+        // Display only: the transaction carries `value`, so a mismatch must not block the repayment
+        if (!formattedMatchesValue(formatted, value, decimals)) {
+          check.warn(
+            'payload.amount.formatted',
+            `does not match value ${value} with ${decimals} decimals`
+          )
+        }
+      }
+      check.string(currency, 'payload.amount.currency')
+    }
+
+    if (check.object(payload.transaction, 'payload.transaction')) {
+      const { validUntil, messages } = payload.transaction
+      check.timestampSeconds(validUntil, 'payload.transaction.validUntil')
+      if (!Array.isArray(messages) || messages.length === 0) {
+        check.fail('payload.transaction.messages', 'must be a non-empty array')
+      } else {
+        messages.forEach((message, i) => {
+          const field = `payload.transaction.messages[${i}]`
+          if (!check.object(message, field)) return
+          check.address(message.address, `${field}.address`, 'user-friendly')
+          check.digits(message.amount, `${field}.amount`)
+          check.base64(message.payload, `${field}.payload`, true)
+        })
+      }
+    }
+
+    if (check.object(payload.metadata, 'payload.metadata')) {
+      const { userAddress, tLendContractAddress, jettonMasterAddress } = payload.metadata
+      check.address(userAddress, 'payload.metadata.userAddress', 'raw')
+      check.address(tLendContractAddress, 'payload.metadata.tLendContractAddress')
+      check.address(jettonMasterAddress, 'payload.metadata.jettonMasterAddress')
+    }
+  },
+
+  ERROR(payload, check) {
+    check.string(payload.code, 'payload.code')
+    check.string(payload.message, 'payload.message')
+    check.boolean(payload.recoverable, 'payload.recoverable')
+    if (payload.details !== undefined) {
+      check.object(payload.details, 'payload.details')
+    }
+  },
+
+  STYLES_UPGRADE(payload, check) {
+    if (check.object(payload.styles, 'payload.styles')) {
+      Object.entries(payload.styles).forEach(([name, value]) => {
+        if (typeof value !== 'string') {
+          check.fail(`payload.styles.${name}`, 'must be a string')
+        }
+      })
+    }
+    check.oneOf(payload.theme, ['light', 'dark'], 'payload.theme', true)
+  },
+
+  SET_LOGO(payload, check) {
+    check.oneOf(payload.mode, LOGO_MODES, 'payload.mode')
+    check.string(payload.partnerLogoUrl, 'payload.partnerLogoUrl', true)
+    check.string(payload.partnerName, 'payload.partnerName', true)
+    check.string(payload.combinedLogoUrl, 'payload.combinedLogoUrl', true)
+    check.string(payload.width, 'payload.width', true)
+    check.string(payload.height, 'payload.height', true)
+    if (payload.mode === 'partner_only' && payload.partnerLogoUrl === undefined) {
+      check.fail('payload.partnerLogoUrl', 'is required in partner_only mode')
+    }
+    if (payload.mode === 'combined' && payload.combinedLogoUrl === undefined) {
+      check.fail('payload.combinedLogoUrl', 'is required in combined mode')
+    }
+  },
+
+  AUTH_CHECK_REQUEST(payload, check) {
+    check.address(payload.walletAddress, 'payload.walletAddress', 'raw')
+  },
+
+  AUTH_CREDENTIALS(payload, check) {
+    if (check.object(payload.account, 'payload.account')) {
+      const { address, chain, publicKey, walletStateInit } = payload.account
+      check.address(address, 'payload.account.address', 'raw')
+      check.oneOf(chain, SUPPORTED_CHAINS, 'payload.account.chain')
+      check.hex(publicKey, 'payload.account.publicKey', 32)
+      check.base64(walletStateInit, 'payload.account.walletStateInit', true)
+    }
+
+    if (check.object(payload.proof, 'payload.proof')) {
+      const { timestamp, domain, payload: proofPayload, signature } = payload.proof
+      check.timestampSeconds(timestamp, 'payload.proof.timestamp')
+      if (check.object(domain, 'payload.proof.domain')) {
+        const hasLength = check.integer(domain.lengthBytes, 'payload.proof.domain.lengthBytes', 1)
+        if (check.string(domain.value, 'payload.proof.domain.value') && hasLength) {
+          if (utf8Length(domain.value) !== domain.lengthBytes) {
+            check.fail('payload.proof.domain.lengthBytes', 'does not match the byte length of domain.value')
+          }
+        }
+      }
+      check.string(proofPayload, 'payload.proof.payload')
+      check.base64(signature, 'payload.proof.signature')
+    }
+
+    check.string(payload.partnerId, 'payload.partnerId')
+    if (check.string(payload.referenceId, 'payload.referenceId', true)) {
+      if (utf8Length(payload.referenceId) > MAX_REFERENCE_ID_BYTES) {
+        check.fail('payload.referenceId', `must be at most ${MAX_REFERENCE_ID_BYTES} bytes`)
+      }
+    }
+  },
+
+  DISCONNECT(payload, check) {
+    check.oneOf(payload.reason, DISCONNECT_REASONS, 'payload.reason', true)
+  },
+
+  REPAY_RESULT(payload, check) {
+    check.boolean(payload.success, 'payload.success')
+    if (payload.success === true) {
+      check.string(payload.transactionHash, 'payload.transactionHash')
+    }
+    check.string(payload.explorerUrl, 'payload.explorerUrl', true)
+    if (payload.success === false && check.error(payload.error, 'payload.error')) {
+      check.oneOf(payload.error.code, REPAY_ERROR_CODE_VALUES, 'payload.error.code')
+      check.boolean(payload.error.userCancelled, 'payload.error.userCancelled', true)
+    }
+  },
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+/**
+ * Validate a message against the schema of its type.
+ *
+ * Checks the base fields (type, timestamp in ms, requestId where required)
+ * and every payload field, including address formats, amount decimals and
+ * seconds-based timestamps. An amount whose `formatted` text does not match
+ * `value` is only a warning.
+ */
+export function validateMessage(value: unknown): ValidationResult {
+  const check = new Checker()
+
+  if (!check.object(value, 'message')) {
+    return { valid: false, errors: check.errors, warnings: check.warnings }
+  }
+
+  const { type, timestamp, requestId, payload } = value
+
+  if (typeof type !== 'string' || !isValidMessageType(type)) {
+    check.fail('type', 'must be a known message type')
+    return { valid: false, errors: check.errors, warnings: check.warnings }
+  }
+
+  check.timestampMs(timestamp, 'timestamp')
+
+  if (REQUEST_ID_TYPES.includes(type)) {
+    check.string(requestId, 'requestId')
+  } else {
+    check.string(requestId, 'requestId', true)
+  }
+
+  if (check.object(payload, 'payload')) {
+    PAYLOAD_VALIDATORS[type](payload, check)
+  }
+
+  return { valid: check.errors.length === 0, errors: check.errors, warnings: check.warnings }
+}
+
+/**
+ * Deep type guard: true if the value passes validateMessage()
+ */
+export function isValidMessage(value: unknown): value is IframeMessage {
+  return validateMessage(value).valid
+}
+
+/**
+ * Build the ERROR message answering an invalid message (RFC Section 11.1).
+ * Echoes the requestId so the sender can settle its pending request.
+ */
+export function createInvalidMessageError(message: unknown, errors: ValidationIssue[]): ErrorMessage {
+  const source = (typeof message === 'object' && message !== null ? message : {}) as Fields
+  const type = typeof source.type === 'string' ? source.type : undefined
+  const fields = errors.map(e => e.field)
+
+  const error: ErrorMessage = {
+    ...createBaseMessage('ERROR'),
+    payload: {
+      code: GENERAL_ERROR_CODES.INVALID_MESSAGE,
+      message: `Malformed ${type || 'message'}: ${fields.join(', ')}`,
+      details: { type, fields, errors },
+      recoverable: true,
+    },
+  }
+  if (typeof source.requestId === 'string' && source.requestId) {
+    error.requestId = source.requestId
+  }
+  return error
+}
@@ -0,0 +1,27 @@
+import { defineConfig } from 'tsup'
+
+/**
+ * Browser build of the runtime helpers for the mock pages in app/, which are
+ * static files without a build step: `npm run build:app` writes
+ * app/tlend-protocol.js, which exposes `window.TLendProtocol` (or
+ * module.exports under Node). Never edit that file by hand.
+ */
+export default defineConfig({
+  entry: { 'tlend-protocol': 'src/index.ts' },
+  outDir: '../../app',
+  format: ['iife'],
+  globalName: 'TLendProtocol',
+  outExtension: () => ({ js: '.js' }),
+  target: 'es2020',
+  platform: 'browser',
+  clean: false,
+  dts: false,
+  sourcemap: false,
+  splitting: false,
+  banner: {
+    js: '/* Generated from packages/tlend-iframe-types by `npm run build:app` - do not edit */',
+  },
+  footer: {
+    js: "if (typeof module !== 'undefined' && module.exports) module.exports = TLendProtocol;",
+  },
+})
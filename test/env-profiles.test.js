@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TLendEnvProfiles = require('../app/env-profiles.js');
+
+const { EnvProfiles, ProfileStore } = TLendEnvProfiles;
+
+// localStorage stand-in
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+test('staging is selected by default', () => {
+    const profiles = new ProfileStore();
+    assert.equal(profiles.activeName, EnvProfiles.STAGING);
+    assert.equal(profiles.active.tlendUrl, 'https://app-test.tlend.co');
+});
+
+test('the custom profile starts from the active one and normalizes its fields', () => {
+    const profiles = new ProfileStore();
+    profiles.select(EnvProfiles.LOCAL);
+
+    const custom = profiles.updateCustom({
+        tlendUrl: ' http://localhost:5174/ ',
+        allowedOrigins: 'http://localhost:5174/, http://127.0.0.1:5174',
+        unknown: 'dropped',
+    });
+
+    assert.equal(profiles.activeName, EnvProfiles.CUSTOM);
+    assert.equal(custom.label, 'Custom');
+    assert.equal(custom.tlendUrl, 'http://localhost:5174');
+    assert.deepEqual(custom.allowedOrigins, ['http://localhost:5174', 'http://127.0.0.1:5174']);
+    assert.equal(custom.backendUrl, TLendEnvProfiles.BUILT_IN_PROFILES.local.backendUrl);
+    assert.equal('unknown' in custom, false);
+});
+
+test('an unsupported chain is refused and leaves the profile unchanged', () => {
+    const profiles = new ProfileStore();
+    assert.throws(() => profiles.updateCustom({ chain: '42' }), RangeError);
+    assert.equal(profiles.activeName, EnvProfiles.STAGING);
+
+    assert.equal(profiles.updateCustom({ chain: '-3' }).chain, '-3');
+});
+
+test('the selection and the custom profile are persisted', () => {
+    const storage = memoryStorage();
+    new ProfileStore({ storage }).updateCustom({ backendUrl: 'http://localhost:9000' });
+
+    const restored = new ProfileStore({ storage });
+    assert.equal(restored.activeName, EnvProfiles.CUSTOM);
+    assert.equal(restored.active.backendUrl, 'http://localhost:9000');
+
+    restored.select(EnvProfiles.PRODUCTION);
+    assert.equal(new ProfileStore({ storage }).activeName, EnvProfiles.PRODUCTION);
+});
+
+test('unreadable or outdated saved settings fall back to the defaults', () => {
+    const storage = memoryStorage();
+    storage.setItem('tlend-partner-mock:env', '{not json');
+    assert.equal(new ProfileStore({ storage }).activeName, EnvProfiles.STAGING);
+
+    storage.setItem('tlend-partner-mock:env', JSON.stringify({ version: 0, active: EnvProfiles.LOCAL }));
+    assert.equal(new ProfileStore({ storage }).activeName, EnvProfiles.STAGING);
+});
+
+test('profiles are handed out as copies', () => {
+    const profiles = new ProfileStore();
+    profiles.active.allowedOrigins.push('https://evil.example');
+    assert.deepEqual(profiles.active.allowedOrigins, ['https://app-test.tlend.co']);
+});
+
+test('explorer links use the profile explorer', () => {
+    const profile = { explorerUrl: 'https://testnet.tonscan.org/' };
+    assert.equal(TLendEnvProfiles.explorerTxUrl(profile, 'abc'), 'https://testnet.tonscan.org/tx/abc');
+});
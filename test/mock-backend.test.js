@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createServer, readConfig } = require('../mock-backend/server.js');
+const TLendTonProof = require('../app/ton-proof.js');
+const TLendProofPayload = require('../app/proof-payload.js');
+
+const DOMAIN = 'localhost:8080';
+
+async function startServer(t, args = []) {
+    const server = createServer(readConfig(['--domains', DOMAIN, ...args], {}));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    t.mock.method(console, 'log', () => {});
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function verify(baseUrl, wallet, payload) {
+    const proof = await wallet.signTonProof({ domain: DOMAIN, payload });
+    const response = await fetch(`${baseUrl}/api/auth/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ partnerId: 'partner_xyz', account: wallet.account, proof }),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function challenge(baseUrl, query = '') {
+    const response = await fetch(`${baseUrl}/api/auth/challenge${query}`);
+    return (await response.json()).challenge;
+}
+
+test('a testnet wallet verifies against a challenge requested for testnet', async (t) => {
+    const baseUrl = await startServer(t);
+    const wallet = await TLendTonProof.TestWallet.generate();
+    wallet.chain = '-3';
+
+    const { status, body } = await verify(baseUrl, wallet, await challenge(baseUrl, '?chain=-3'));
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.address, wallet.address);
+});
+
+test('a mainnet wallet fails a testnet challenge with INVALID_CHAIN', async (t) => {
+    const baseUrl = await startServer(t);
+    const wallet = await TLendTonProof.TestWallet.generate();
+
+    const { status, body } = await verify(baseUrl, wallet, await challenge(baseUrl, '?chain=-3'));
+    assert.equal(status, 401);
+    assert.equal(body.error.code, 'INVALID_CHAIN');
+});
+
+test('challenges default to mainnet', async (t) => {
+    const baseUrl = await startServer(t);
+    const wallet = await TLendTonProof.TestWallet.generate();
+
+    const { status } = await verify(baseUrl, wallet, await challenge(baseUrl));
+    assert.equal(status, 200);
+});
+
+test('Option A payloads are checked against --chain', async (t) => {
+    const baseUrl = await startServer(t, ['--chain=-3', '--hmac-secret', 'test-secret']);
+    const wallet = await TLendTonProof.TestWallet.generate();
+    wallet.chain = '-3';
+
+    const { status, body } = await verify(baseUrl, wallet, await TLendProofPayload.generateHmacPayload('test-secret'));
+    assert.equal(status, 200, JSON.stringify(body));
+});
+
+test('an unknown chain in the challenge request is refused', async (t) => {
+    const baseUrl = await startServer(t);
+    const response = await fetch(`${baseUrl}/api/auth/challenge?chain=42`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, 'INVALID_CHAIN');
+});
@@ -0,0 +1,248 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { webcrypto } = require('node:crypto');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+const HOSTILE = '<img src=x onerror="window.injected = true">';
+
+// Serves app/ for localhost; third-party scripts (TON Connect UI) load as empty files
+class AppLoader extends ResourceLoader {
+    fetch(url) {
+        const { hostname, pathname } = new URL(url);
+        if (hostname !== 'localhost') return Promise.resolve(Buffer.from(''));
+        return Promise.resolve(fs.readFileSync(path.join(APP_DIR, pathname)));
+    }
+}
+
+async function loadPartnerMock(t, query = '') {
+    t.mock.method(console, 'log', () => {});
+    const dom = await JSDOM.fromFile(path.join(APP_DIR, 'index.html'), {
+        url: `http://localhost:8080/index.html${query}`,
+        runScripts: 'dangerously',
+        resources: new AppLoader(),
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            window.fetch = async () => { throw new Error('offline'); };
+            Object.defineProperty(window, 'crypto', { value: webcrypto });
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+        },
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    t.after(() => dom.window.close());
+    return dom.window;
+}
+
+function assertLoggedAsText(window, text) {
+    const log = window.document.getElementById('eventLog');
+    assert.equal(log.querySelector('img'), null);
+    assert.ok(log.textContent.includes(text), `event log should show ${text}`);
+    assert.equal(window.injected, undefined);
+}
+
+test('?env= selects a profile and remembers it', async t => {
+    const window = await loadPartnerMock(t, '?env=local');
+
+    assert.equal(window.PartnerMock.state.profiles.activeName, 'local');
+    assert.equal(window.document.getElementById('envProfile').value, 'local');
+    assert.equal(JSON.parse(window.localStorage.getItem('tlend-partner-mock:env')).active, 'local');
+});
+
+test('an unknown ?env= is logged as text', async t => {
+    const window = await loadPartnerMock(t, `?env=${encodeURIComponent(HOSTILE)}`);
+
+    assertLoggedAsText(window, `Unknown environment "${HOSTILE}"`);
+});
+
+test('a share link restores the settings it was built from', async t => {
+    const source = await loadPartnerMock(t);
+    const set = (id, value) => {
+        const input = source.document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new source.Event('change'));
+    };
+    set('partnerName', 'Linked Partner');
+    set('partnerTheme', 'light');
+    set('repayQueuePolicy', 'reject');
+    source.PartnerMock.state.profiles.updateCustom({ tlendUrl: 'https://staging.tlend.example/app', chain: '-3' });
+
+    const link = source.buildShareLink();
+    assert.equal(new URL(link).searchParams.get('env'), 'custom');
+    assert.equal(new URL(link).searchParams.has('partnerId'), false, 'defaults are left out');
+    assert.equal(new URL(source.buildShareLink({ autoload: true })).searchParams.get('autoload'), '1');
+
+    const target = await loadPartnerMock(t, new URL(link).search);
+    ['partnerName', 'partnerTheme', 'combinedLogoUrl', 'repayQueuePolicy', 'partnerId'].forEach(id => {
+        assert.equal(target.document.getElementById(id).value, source.document.getElementById(id).value, id);
+    });
+    const profile = target.PartnerMock.state.profiles.active;
+    assert.equal(profile.tlendUrl, 'https://staging.tlend.example/app');
+    assert.equal(profile.chain, '-3');
+    assert.equal(target.buildShareLink(), link);
+});
+
+test('an unknown select value in a share link is logged as text', async t => {
+    const window = await loadPartnerMock(t, `?partnerTheme=${encodeURIComponent(HOSTILE)}`);
+
+    assertLoggedAsText(window, `Ignoring unknown partnerTheme "${HOSTILE}"`);
+});
+
+test('a share link that cannot be copied is logged as text', async t => {
+    const window = await loadPartnerMock(t, `?partnerName=${encodeURIComponent(HOSTILE)}`);
+    Object.defineProperty(window.navigator, 'clipboard', {
+        value: { writeText: async () => { throw new Error('denied'); } },
+    });
+
+    const link = await window.copyShareLink();
+
+    assert.equal(new URL(link).searchParams.get('partnerName'), HOSTILE);
+    assertLoggedAsText(window, `share link: ${link}`);
+});
+
+test('an imported theme name is logged as text', async t => {
+    const window = await loadPartnerMock(t);
+    const exported = window.TLendPartnerThemes.exportTheme({ name: HOSTILE, theme: 'dark', styles: { '--bg': '#000' } });
+    // jsdom's File has no text(); importTheme only reads name and text()
+    const file = { name: `${HOSTILE}.json`, text: async () => JSON.stringify(exported) };
+
+    await window.importTheme(file);
+    window.saveTheme();
+
+    assertLoggedAsText(window, `Imported theme from ${HOSTILE}.json`);
+    assertLoggedAsText(window, `Saved theme "${HOSTILE}"`);
+    assert.ok([...window.document.getElementById('savedThemes').options].some(option => option.value === HOSTILE));
+});
+
+test('a custom scenario name is logged as text', async t => {
+    const window = await loadPartnerMock(t);
+    const scenario = { name: HOSTILE, steps: [{ wait: 1 }] };
+
+    // Without a loaded iframe the run stops right after reporting the start
+    await window.runScenarios([scenario]);
+
+    assertLoggedAsText(window, `Scenario started: ${HOSTILE}`);
+    const report = window.document.getElementById('scenarioReport');
+    assert.equal(report.querySelector('img'), null);
+    assert.ok(report.textContent.includes(HOSTILE));
+});
+
+test('a repayment that cannot be tracked is still reported as sent', async t => {
+    const window = await loadPartnerMock(t);
+    const { state } = window.PartnerMock;
+    t.mock.method(state.repayTracker, 'submitted', async () => { throw new Error('Unknown repay request: req-1'); });
+    const result = new Promise(resolve => {
+        state.pendingRepayRequest = {
+            requestId: 'req-1',
+            payload: {
+                lendId: 7,
+                amount: { formatted: '10.5', currency: 'USDT', value: '10500000', decimals: 6 },
+                transaction: { validUntil: Math.floor(Date.now() / 1000) + 300, messages: [] },
+            },
+            deadline: Date.now() + 60000,
+            resolve,
+        };
+    });
+
+    await window.approveRepayRequest();
+
+    const payload = await result;
+    assert.equal(payload.success, true);
+    assert.match(payload.transactionHash, /^[0-9a-f]{64}$/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(window.document.getElementById('eventLog').textContent.includes('Cannot track repay transaction'));
+});
+
+test('repay request values are shown as text', async t => {
+    const window = await loadPartnerMock(t);
+    const payload = {
+        lendId: 7,
+        nftIndex: HOSTILE,
+        amount: { formatted: HOSTILE, currency: HOSTILE, value: '10500000', decimals: 6 },
+        transaction: { validUntil: Math.floor(Date.now() / 1000) + 300, messages: [] },
+        metadata: { userAddress: HOSTILE },
+    };
+
+    window.showRepayPanel(payload);
+    window.showRepayModal(payload);
+
+    ['repayDetails', 'repayModalBody'].forEach(id => {
+        const container = window.document.getElementById(id);
+        assert.equal(container.querySelector('img'), null, id);
+        assert.ok(container.textContent.includes(`${HOSTILE} ${HOSTILE}`), id);
+        assert.ok(container.querySelector('.repay-countdown') && container.querySelector('.repay-check'), id);
+    });
+    assert.equal(window.injected, undefined);
+});
+
+function repayMessage(requestId) {
+    return {
+        type: 'REPAY_REQUEST',
+        requestId,
+        timestamp: Date.now(),
+        payload: {
+            lendId: 7,
+            nftIndex: '42',
+            amount: { formatted: '10.5', currency: 'USDT', value: '10500000', decimals: 6 },
+            transaction: { validUntil: Math.floor(Date.now() / 1000) + 300, messages: [] },
+        },
+    };
+}
+
+test('a repay request that arrives while another is pending is rejected with REPAY_IN_PROGRESS', async t => {
+    const window = await loadPartnerMock(t);
+    window.document.getElementById('repayQueuePolicy').value = 'reject';
+
+    window.handleRepayRequest(repayMessage('req-1'));
+    const second = await window.handleRepayRequest(repayMessage('req-2'));
+
+    assert.equal(second.success, false);
+    assert.equal(second.error.code, 'REPAY_IN_PROGRESS');
+    assert.equal(second.error.userCancelled, false);
+    const result = { type: 'REPAY_RESULT', requestId: 'req-2', timestamp: Date.now(), payload: second };
+    assert.equal(window.TLendProtocol.validateMessage(result).valid, true);
+    assert.equal(window.PartnerMock.state.pendingRepayRequest.requestId, 'req-1');
+});
+
+test('a repay request that arrives while another is pending is queued by default', async t => {
+    const window = await loadPartnerMock(t);
+    const { state } = window.PartnerMock;
+
+    const first = window.handleRepayRequest(repayMessage('req-1'));
+    const second = window.handleRepayRequest(repayMessage('req-2'));
+    assert.deepEqual([...state.repayQueue].map(request => request.requestId), ['req-2']);
+
+    window.rejectRepayRequest();
+    assert.equal((await first).error.code, 'USER_REJECTED');
+    assert.equal(state.pendingRepayRequest.requestId, 'req-2');
+
+    window.rejectRepayRequest();
+    assert.equal((await second).error.code, 'USER_REJECTED');
+});
+
+test('pending and queued repay requests expire with TIMEOUT', async t => {
+    const window = await loadPartnerMock(t);
+    const { state } = window.PartnerMock;
+    const soon = repayMessage('req-2');
+    soon.payload.transaction.validUntil = Math.floor(Date.now() / 1000) + 5;
+
+    const first = window.handleRepayRequest(repayMessage('req-1'));
+    const second = window.handleRepayRequest(soon);
+    assert.equal(state.pendingRepayRequest.deadlineReason, 'REPAY_TIMEOUT');
+    assert.equal(state.repayQueue[0].deadlineReason, 'validUntil');
+
+    // The queued request runs out first, then the one on screen
+    state.repayQueue[0].deadline = Date.now() - 1;
+    window.tickRepayCountdown();
+    assert.equal((await second).error.code, 'TIMEOUT');
+    assert.equal(state.pendingRepayRequest.requestId, 'req-1');
+
+    state.pendingRepayRequest.deadline = Date.now() - 1;
+    window.tickRepayCountdown();
+    assert.equal((await first).error.code, 'TIMEOUT');
+    assert.equal(state.pendingRepayRequest, null);
+});
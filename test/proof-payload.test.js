@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TLendProofPayload = require('../app/proof-payload.js');
+
+const SECRET = 'test-secret';
+
+test('a generated Option A payload verifies', async () => {
+    const payload = await TLendProofPayload.generateHmacPayload(SECRET);
+    const result = await TLendProofPayload.verifyHmacPayload(payload, SECRET);
+    assert.equal(result.valid, true);
+});
+
+test('a payload with a trailing byte is rejected', async () => {
+    const payload = await TLendProofPayload.generateHmacPayload(SECRET);
+    const result = await TLendProofPayload.verifyHmacPayload(`${payload}00`, SECRET);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, 'INVALID_PAYLOAD');
+});
+
+test('a truncated payload is rejected', async () => {
+    const payload = await TLendProofPayload.generateHmacPayload(SECRET);
+    const result = await TLendProofPayload.verifyHmacPayload(payload.slice(0, -2), SECRET);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, 'INVALID_PAYLOAD');
+});
+
+test('a payload expires after its TTL', async () => {
+    const now = Date.now();
+    const payload = await TLendProofPayload.generateHmacPayload(SECRET, { ttl: 60, now });
+
+    const fresh = await TLendProofPayload.verifyHmacPayload(payload, SECRET, { now: now + 59 * 1000 });
+    assert.equal(fresh.valid, true);
+    assert.equal(fresh.expiresAt, Math.floor(now / 1000) + 60);
+
+    const expired = await TLendProofPayload.verifyHmacPayload(payload, SECRET, { now: now + 60 * 1000 });
+    assert.equal(expired.valid, false);
+    assert.equal(expired.code, 'PAYLOAD_EXPIRED');
+});
+
+test('a payload that expires beyond the 30 minute window is rejected', async () => {
+    const now = Date.now();
+    const payload = await TLendProofPayload.generateHmacPayload(SECRET, { ttl: TLendProofPayload.MAX_TTL_SECONDS, now });
+
+    // Signed for 30 minutes from an hour ahead: valid HMAC, too far out
+    const early = await TLendProofPayload.verifyHmacPayload(payload, SECRET, { now: now - 60 * 60 * 1000 });
+    assert.equal(early.valid, false);
+    assert.equal(early.code, 'INVALID_PAYLOAD');
+    assert.match(early.reason, /window/);
+});
+
+test('TTLs outside 1s to 30 minutes are refused', async () => {
+    await assert.rejects(TLendProofPayload.generateHmacPayload(SECRET, { ttl: 0 }), RangeError);
+    await assert.rejects(TLendProofPayload.generateHmacPayload(SECRET, { ttl: TLendProofPayload.MAX_TTL_SECONDS + 1 }), RangeError);
+});
+
+test('a payload signed with another secret is rejected', async () => {
+    const payload = await TLendProofPayload.generateHmacPayload('other-secret');
+    const result = await TLendProofPayload.verifyHmacPayload(payload, SECRET);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, 'INVALID_PAYLOAD');
+    assert.match(result.reason, /HMAC/);
+});
+
+test('a mock payload has the Option A layout but does not verify', async () => {
+    const now = Date.now();
+    const payload = TLendProofPayload.generateMockPayload({ now });
+    assert.match(payload, /^[0-9a-f]{64}$/);
+    assert.equal(TLendProofPayload.readExpiration(payload), Math.floor(now / 1000) + TLendProofPayload.DEFAULT_TTL_SECONDS);
+
+    const result = await TLendProofPayload.verifyHmacPayload(payload, SECRET, { now });
+    assert.equal(result.code, 'INVALID_PAYLOAD');
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TLendTonCells = require('../app/ton-cells.js');
+const TLendRepayTracker = require('../app/repay-tracker.js');
+
+const { FakeIndexer, RepayStatus, RepayTracker } = TLendRepayTracker;
+
+const HASH = 'ab'.repeat(32);
+
+function repayRequest(requestId, validUntil = Math.floor(Date.now() / 1000) + 300) {
+    return {
+        requestId,
+        payload: {
+            lendId: 7,
+            nftIndex: '42',
+            amount: { formatted: '10.5', currency: 'USDT', value: '10500000', decimals: 6 },
+            transaction: { validUntil, messages: [] },
+        },
+    };
+}
+
+// Polls only when check() is called
+function createTracker(t, indexer) {
+    const tracker = new RepayTracker({ indexer, pollInterval: 60 * 60 * 1000 });
+    t.after(() => tracker.destroy());
+    return tracker;
+}
+
+test('the message hash of a BOC is the hash of its root cell', async () => {
+    const cell = TLendTonCells.beginCell().storeUint(0x0f8a7ea5, 32).storeUint(42, 64).endCell();
+    const boc = TLendTonCells.toBase64(TLendTonCells.serializeBoc(cell));
+
+    assert.equal(await TLendRepayTracker.messageHash(boc), TLendTonCells.toHex(await cell.hash()));
+});
+
+test('a sent repayment is pending until the indexer confirms it', async t => {
+    const indexer = new FakeIndexer();
+    const tracker = createTracker(t, indexer);
+    tracker.requested(repayRequest('req-1'));
+    await tracker.submitted('req-1', { messageHash: HASH });
+
+    assert.equal(tracker.resolved('req-1', { success: true, transactionHash: HASH }).status, RepayStatus.PENDING);
+    assert.equal((await tracker.check('req-1')).status, RepayStatus.PENDING);
+
+    indexer.add(HASH);
+    const entry = await tracker.check('req-1');
+    assert.equal(entry.status, RepayStatus.CONFIRMED);
+    assert.equal(entry.transaction.success, true);
+});
+
+test('an aborted transaction fails with its exit code', async t => {
+    const indexer = new FakeIndexer();
+    indexer.add(HASH, { success: false, exitCode: 709 });
+    const tracker = createTracker(t, indexer);
+    tracker.requested(repayRequest('req-1'));
+    tracker.resolved('req-1', { success: true, transactionHash: HASH });
+
+    const entry = await tracker.check('req-1');
+    assert.equal(entry.status, RepayStatus.FAILED);
+    assert.match(entry.error.message, /exit code 709/);
+});
+
+test('a transaction missing from the chain after validUntil fails', async t => {
+    const tracker = createTracker(t, new FakeIndexer());
+    const expired = Math.floor(Date.now() / 1000) - tracker.graceSeconds - 1;
+    tracker.requested(repayRequest('req-1', expired));
+    tracker.resolved('req-1', { success: true, transactionHash: HASH });
+
+    const entry = await tracker.check('req-1');
+    assert.equal(entry.status, RepayStatus.FAILED);
+    assert.equal(entry.error.code, 'NOT_FOUND');
+});
+
+test('failed results are rejected when the user cancelled and failed otherwise', t => {
+    const tracker = createTracker(t, new FakeIndexer());
+    tracker.requested(repayRequest('req-1'));
+    tracker.requested(repayRequest('req-2'));
+
+    const cancelled = tracker.resolved('req-1', {
+        success: false,
+        error: { code: 'USER_REJECTED', message: 'Transaction was rejected by user', userCancelled: true },
+    });
+    const failed = tracker.resolved('req-2', {
+        success: false,
+        error: { code: 'INSUFFICIENT_FUNDS', message: 'Not enough balance' },
+    });
+
+    assert.equal(cancelled.status, RepayStatus.REJECTED);
+    assert.equal(failed.status, RepayStatus.FAILED);
+    assert.equal(failed.error.code, 'INSUFFICIENT_FUNDS');
+    assert.deepEqual(tracker.history.map(entry => entry.requestId), ['req-2', 'req-1']);
+});
+
+test('indexer errors are kept on the entry and it stays pending', async t => {
+    const tracker = createTracker(t, { findTransaction: async () => { throw new Error('HTTP 429'); } });
+    tracker.requested(repayRequest('req-1'));
+    tracker.resolved('req-1', { success: true, transactionHash: HASH });
+
+    const entry = await tracker.check('req-1');
+    assert.equal(entry.status, RepayStatus.PENDING);
+    assert.equal(entry.error.code, 'INDEXER_ERROR');
+});
+
+test('a transaction for an unknown request is refused', async t => {
+    const tracker = createTracker(t, new FakeIndexer());
+    await assert.rejects(tracker.submitted('nope', { messageHash: HASH }), /Unknown repay request/);
+});
+
+test('toncenter transactions are looked up by message hash', async () => {
+    const requested = [];
+    const indexer = new TLendRepayTracker.ToncenterIndexer({
+        chain: '-3',
+        fetch: async (url) => {
+            requested.push(url);
+            return {
+                ok: true,
+                status: 200,
+                json: async () => ({
+                    transactions: [{
+                        hash: TLendTonCells.toBase64(TLendTonCells.fromHex('cd'.repeat(32))),
+                        lt: 47000000000001,
+                        description: { aborted: false, compute_ph: { success: true, exit_code: 0 }, action: { success: true } },
+                    }],
+                }),
+            };
+        },
+    });
+
+    const transaction = await indexer.findTransaction({ messageHash: HASH });
+
+    assert.deepEqual(requested, [`https://testnet.toncenter.com/api/v3/transactionsByMessage?direction=in&msg_hash=${HASH}`]);
+    assert.deepEqual(transaction, { hash: 'cd'.repeat(32), lt: '47000000000001', success: true, exitCode: 0 });
+});
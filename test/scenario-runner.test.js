@@ -0,0 +1,183 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ScenarioRunner, BUILTIN_SCENARIOS } = require('../app/scenario-runner.js');
+
+const WALLET = '0:1d6f931b6f03f3a3a3a1337b939adc76c45099fe93b5d0e74d4b92068baa2b49';
+
+// Bridge stand-in: `answer` maps a sent message to TLend's replies
+function createBridge(answer = () => []) {
+    const handlers = { message: new Set(), invalid: new Set() };
+    const sent = [];
+    const bridge = {
+        on(event, handler) {
+            handlers[event].add(handler);
+            return () => handlers[event].delete(handler);
+        },
+        send(message) {
+            sent.push(message);
+            answer(message).forEach(reply => setTimeout(() => handlers.message.forEach(handler => handler(reply)), 5));
+        },
+    };
+    return { bridge, sent };
+}
+
+function createRunner(bridge, options = {}) {
+    return new ScenarioRunner({ getBridge: () => bridge, variables: () => ({ wallet: WALLET }), ...options });
+}
+
+const authCheckReply = message => (message.type === 'AUTH_CHECK_REQUEST'
+    ? [{
+        type: 'AUTH_CHECK_RESPONSE',
+        requestId: message.requestId,
+        timestamp: Date.now(),
+        payload: { authenticated: true, address: message.payload.walletAddress },
+    }]
+    : []);
+
+test('built-in scenarios are valid', () => {
+    BUILTIN_SCENARIOS.forEach(scenario => assert.deepEqual(ScenarioRunner.validateScenario(scenario), [], scenario.id));
+});
+
+test('malformed scenarios are described', () => {
+    assert.deepEqual(ScenarioRunner.validateScenario({ steps: [] }), [
+        'name must be a non-empty string',
+        'steps must be a non-empty array',
+    ]);
+    const problems = ScenarioRunner.validateScenario({ name: 'x', steps: [{ send: {} }, { wait: 1, reload: true }, { expect: 5 }] });
+    assert.equal(problems.length, 3);
+    assert.match(problems[0], /steps\[0\]\.send\.type/);
+    assert.match(problems[1], /steps\[1\] must have exactly one/);
+    assert.match(problems[2], /steps\[2\]\.expect/);
+});
+
+test('a template that is one reference keeps the value, others are interpolated', () => {
+    const vars = { wallet: WALLET, credentials: { account: { chain: '-239' } } };
+    assert.deepEqual(ScenarioRunner.resolveTemplate('{{credentials.account}}', vars), { chain: '-239' });
+    assert.equal(ScenarioRunner.resolveTemplate('wallet {{wallet}} on {{credentials.account.chain}}{{missing}}', vars),
+        `wallet ${WALLET} on -239`);
+    assert.deepEqual(ScenarioRunner.resolveTemplate({ list: ['{{wallet}}', 1] }, vars), { list: [WALLET, 1] });
+});
+
+test('assertions report every failed matcher', () => {
+    const message = { payload: { code: 'TIMEOUT', capabilities: ['auth_delegation'], decimals: 6 } };
+    assert.deepEqual(ScenarioRunner.checkAssertions(message, {
+        'payload.code': { oneOf: ['TIMEOUT', 'INTERNAL_ERROR'], matches: '^TIME' },
+        'payload.capabilities': { type: 'array', contains: 'auth_delegation' },
+        'payload.decimals': { gte: 6, lt: 10 },
+        'payload.missing': { exists: false },
+    }), []);
+
+    const failures = ScenarioRunner.checkAssertions(message, {
+        'payload.code': 'INTERNAL_ERROR',
+        'payload.decimals': { gt: 6, type: 'string' },
+    });
+    assert.deepEqual(failures, [
+        'payload.code: expected "INTERNAL_ERROR", got "TIMEOUT"',
+        'payload.decimals: expected type string, got 6',
+        'payload.decimals: expected > 6, got 6',
+    ]);
+});
+
+test('a correlated response passes and can be captured for later steps', async () => {
+    const { bridge, sent } = createBridge(authCheckReply);
+    const runner = createRunner(bridge);
+
+    const report = await runner.run({
+        name: 'Auth check',
+        steps: [
+            { send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{wallet}}' } } },
+            {
+                expect: 'AUTH_CHECK_RESPONSE',
+                within: 1000,
+                correlate: true,
+                assert: { 'payload.authenticated': true, 'payload.address': '{{wallet}}' },
+                as: 'check',
+            },
+            { send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{check.payload.address}}' } } },
+        ],
+    });
+
+    assert.equal(report.passed, true, JSON.stringify(report.steps));
+    assert.deepEqual(report.steps.map(step => step.status), ['pass', 'pass', 'pass']);
+    assert.match(sent[0].requestId, /^scenario-/);
+    assert.equal(sent[1].payload.walletAddress, WALLET);
+});
+
+test('a response to another request does not satisfy a correlated expect', async () => {
+    const { bridge } = createBridge(message => authCheckReply({ ...message, requestId: 'someone-else' }));
+    const report = await createRunner(bridge).run({
+        name: 'Auth check',
+        steps: [
+            { send: { type: 'AUTH_CHECK_REQUEST', payload: { walletAddress: '{{wallet}}' } } },
+            { expect: 'AUTH_CHECK_RESPONSE', within: 100, correlate: true },
+        ],
+    });
+
+    assert.equal(report.passed, false);
+    assert.match(report.steps[1].detail, /^No AUTH_CHECK_RESPONSE for scenario-/);
+});
+
+test('a failed step skips the rest, an optional one only warns', async () => {
+    const { bridge } = createBridge();
+    const states = [];
+    const runner = createRunner(bridge, { setState: state => states.push(state) });
+
+    const report = await runner.run({
+        name: 'Failures',
+        steps: [
+            { expect: 'TLEND_READY', within: 20, optional: true },
+            { setState: 'PENDING_AUTH' },
+            { expect: 'AUTH_RESULT', within: 20 },
+            { setState: 'READY' },
+        ],
+    });
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.steps.map(step => step.status), ['warn', 'pass', 'fail', 'skipped']);
+    assert.deepEqual(states, ['PENDING_AUTH']);
+});
+
+test('expectNone fails when the message arrives', async () => {
+    const { bridge } = createBridge(message => [{
+        type: 'ERROR',
+        timestamp: Date.now(),
+        payload: { code: 'INVALID_MESSAGE', message: 'bad', recoverable: true },
+    }].filter(() => message.type === 'DISCONNECT'));
+
+    const report = await createRunner(bridge).run({
+        name: 'No error',
+        steps: [
+            { send: { type: 'DISCONNECT', payload: { reason: 'user_initiated' } } },
+            { expectNone: 'ERROR', within: 100 },
+        ],
+    });
+
+    assert.equal(report.steps[1].status, 'fail');
+    assert.equal(report.steps[1].detail, 'Unexpected ERROR: INVALID_MESSAGE - bad');
+});
+
+test('stop() fails the waiting step and ends the run', async () => {
+    const { bridge } = createBridge();
+    const runner = createRunner(bridge);
+
+    const running = runner.run({ name: 'Long', steps: [{ wait: 10000 }, { setState: 'READY' }] });
+    setTimeout(() => runner.stop(), 20);
+    const report = await running;
+
+    assert.equal(runner.stopped, true);
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.steps.map(step => [step.status, step.detail]), [['fail', 'Stopped'], ['skipped', 'Stopped']]);
+});
+
+test('a scenario cannot start without a bridge or while another runs', async () => {
+    await assert.rejects(createRunner(null).run({ name: 'x', steps: [{ wait: 1 }] }), /not loaded/);
+
+    const { bridge } = createBridge();
+    const runner = createRunner(bridge);
+    const running = runner.run({ name: 'x', steps: [{ wait: 20 }] });
+    await assert.rejects(runner.run({ name: 'y', steps: [{ wait: 1 }] }), /already running/);
+    await running;
+});
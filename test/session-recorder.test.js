@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TLendPartnerBridge } = require('../app/tlend-partner-bridge.js');
+const { SessionRecorder, TraceReplay, createSyntheticReplay } = require('../app/session-recorder.js');
+
+const TLEND_ORIGIN = 'https://app.tlend.co';
+const WALLET = '0:1d6f931b6f03f3a3a3a1337b939adc76c45099fe93b5d0e74d4b92068baa2b49';
+
+const loaded = () => ({ type: 'TLEND_LOADED', timestamp: Date.now(), payload: { version: '2.2.0', capabilities: [] } });
+
+// Record a bridge that checks auth once TLend has loaded, with a message from a foreign origin in between
+async function recordSession() {
+    const listeners = new Set();
+    const tlend = {
+        postMessage: message => message.type === 'AUTH_CHECK_REQUEST' && setTimeout(() => receive({
+            type: 'AUTH_CHECK_RESPONSE',
+            requestId: message.requestId,
+            timestamp: Date.now(),
+            payload: { authenticated: true, matchesRequested: true, address: WALLET },
+        }, TLEND_ORIGIN), 5),
+    };
+    const partner = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const receive = (message, origin) => listeners.forEach(listener => listener({ data: message, origin, source: tlend }));
+    const bridge = new TLendPartnerBridge({ targetWindow: tlend, targetOrigin: TLEND_ORIGIN, listenWindow: partner });
+
+    const recorder = new SessionRecorder({ meta: () => ({ partnerId: 'test-partner' }) });
+    recorder.attach(bridge);
+    recorder.mark('load', { src: TLEND_ORIGIN });
+    receive(loaded(), TLEND_ORIGIN);
+    receive(loaded(), 'https://evil.example');
+    await bridge.checkAuth(WALLET);
+    recorder.detach();
+    bridge.destroy();
+    return recorder;
+}
+
+test('a recorded session round-trips through JSON and NDJSON', async () => {
+    const recorder = await recordSession();
+    const trace = recorder.snapshot();
+
+    assert.equal(trace.format, SessionRecorder.FORMAT);
+    assert.deepEqual(trace.meta, { partnerId: 'test-partner' });
+    assert.deepEqual(trace.entries.map(entry => [entry.direction, entry.status, entry.event || entry.message.type]), [
+        ['meta', undefined, 'load'],
+        ['in', 'ok', 'TLEND_LOADED'],
+        ['in', 'rejected', 'TLEND_LOADED'],
+        ['out', 'ok', 'AUTH_CHECK_REQUEST'],
+        ['in', 'ok', 'AUTH_CHECK_RESPONSE'],
+    ]);
+    assert.equal(trace.entries[2].origin, 'https://evil.example');
+    assert.ok(trace.entries.every((entry, index) => index === 0 || entry.t >= trace.entries[index - 1].t));
+
+    assert.deepEqual(SessionRecorder.parse(recorder.exportJSON()), trace);
+    assert.deepEqual(SessionRecorder.parse(recorder.exportNDJSON()), trace);
+});
+
+test('text that is not a session trace is refused', () => {
+    assert.throws(() => SessionRecorder.parse('{"format":"har"}'), /Not a session trace/);
+    assert.throws(() => SessionRecorder.parse('not json'), /Neither JSON nor NDJSON/);
+    assert.throws(() => SessionRecorder.parse(JSON.stringify({
+        format: SessionRecorder.FORMAT,
+        version: SessionRecorder.VERSION,
+        entries: [{ t: 0, direction: 'in' }],
+    })), /entry 0 has no message/);
+});
+
+// Replay the recorded TLend side against a live bridge; `onLoaded` is what the Partner does then
+async function replayAgainst(trace, onLoaded) {
+    const { tlend, replay } = createSyntheticReplay(trace, { speed: 10, waitTimeout: 100 });
+    const bridge = new TLendPartnerBridge({ targetWindow: tlend, targetOrigin: TLEND_ORIGIN, listenWindow: tlend });
+    const pending = [];
+    bridge.on('TLEND_LOADED', () => pending.push(onLoaded(bridge)));
+
+    const report = await replay.run();
+    const answers = await Promise.all(pending);
+    bridge.destroy();
+    return { report, answers };
+}
+
+test('a replayed response answers the live request under its requestId', async () => {
+    const trace = (await recordSession()).snapshot();
+    const { report, answers } = await replayAgainst(trace, bridge => bridge.checkAuth(WALLET));
+
+    assert.equal(report.matches, true, JSON.stringify(report));
+    assert.deepEqual(report.observed, ['AUTH_CHECK_REQUEST']);
+    assert.equal(report.replayed, 2);
+    assert.equal(answers.length, 1);
+    assert.equal(answers[0].payload.address, WALLET);
+    assert.notEqual(answers[0].requestId, trace.entries[4].message.requestId);
+});
+
+test('a Partner that does not send the recorded request diverges', async () => {
+    const trace = (await recordSession()).snapshot();
+    const { report } = await replayAgainst(trace, async () => {});
+
+    assert.equal(report.matches, false);
+    assert.equal(report.diverged, 0);
+    assert.deepEqual(report.expected, ['AUTH_CHECK_REQUEST']);
+    assert.deepEqual(report.observed, []);
+    assert.deepEqual(report.skipped.map(item => [item.type, item.reason]), [['AUTH_CHECK_RESPONSE', 'no live AUTH_CHECK_REQUEST #1']]);
+});
+
+test('the partner role reloads the iframe and replays outbound messages after its TLEND_LOADED', async () => {
+    const trace = (await recordSession()).snapshot();
+    const sent = [];
+    let replay = null;
+    replay = new TraceReplay({
+        trace,
+        role: 'partner',
+        speed: 10,
+        waitTimeout: 100,
+        reload: () => setTimeout(() => replay.observe(loaded()), 5),
+        send: (message) => {
+            sent.push(message);
+            setTimeout(() => replay.observe({ ...trace.entries[4].message, requestId: message.requestId }), 5);
+        },
+    });
+
+    const report = await replay.run();
+
+    assert.equal(report.matches, true, JSON.stringify(report));
+    assert.deepEqual(sent.map(message => message.type), ['AUTH_CHECK_REQUEST']);
+    assert.equal(sent[0].requestId, trace.entries[3].message.requestId);
+    assert.deepEqual(report.observed, ['TLEND_LOADED', 'AUTH_CHECK_RESPONSE']);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const { CSS_VARIABLES, TLEND_PROTOCOL_VERSION } = require('../app/tlend-protocol.js');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+
+class AppLoader extends ResourceLoader {
+    fetch(url) {
+        const { hostname, pathname } = new URL(url);
+        if (hostname !== 'localhost') return Promise.resolve(Buffer.from(''));
+        return Promise.resolve(fs.readFileSync(path.join(APP_DIR, pathname)));
+    }
+}
+
+// Embeds the TLend mock under a fake parent and resolves with its TLEND_LOADED
+async function loadTLendMock(t, query = '') {
+    const posted = [];
+    const dom = await JSDOM.fromFile(path.join(APP_DIR, 'tlend-iframe-mock.html'), {
+        url: `http://localhost:8080/tlend-iframe-mock.html${query}`,
+        runScripts: 'dangerously',
+        resources: new AppLoader(),
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            const parent = { postMessage: message => posted.push(message) };
+            Object.defineProperty(window, 'parent', { value: parent });
+        },
+    });
+    t.after(() => dom.window.close());
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    await new Promise(resolve => setTimeout(resolve, 600));
+    return { window: dom.window, loaded: posted.find(message => message.type === 'TLEND_LOADED') };
+}
+
+test('TLEND_LOADED reports TLEND_PROTOCOL_VERSION by default', async t => {
+    const { window, loaded } = await loadTLendMock(t);
+
+    assert.equal(loaded.payload.version, TLEND_PROTOCOL_VERSION);
+    assert.equal(window.document.getElementById('faultVersion').value, TLEND_PROTOCOL_VERSION);
+    assert.ok(!window.document.getElementById('faultUrl').textContent.includes('version='));
+});
+
+test('2.3.0 is reported when asked for in the URL', async t => {
+    const { window, loaded } = await loadTLendMock(t, '?version=2.3.0');
+
+    assert.equal(loaded.payload.version, '2.3.0');
+    assert.equal(window.document.getElementById('faultVersion').value, '2.3.0');
+});
+
+test('2.3.0 can be picked in the fault panel', async t => {
+    const { window } = await loadTLendMock(t);
+    const sent = [];
+    window.parent.postMessage = message => sent.push(message);
+    const select = window.document.getElementById('faultVersion');
+
+    select.value = '2.3.0';
+    select.dispatchEvent(new window.Event('change'));
+    window.document.getElementById('sendLoadedBtn').click();
+
+    assert.equal(sent.find(message => message.type === 'TLEND_LOADED').payload.version, '2.3.0');
+    assert.ok(window.document.getElementById('faultUrl').textContent.endsWith('?version=2.3.0'));
+});
+
+test('Partner messages are logged as text', async t => {
+    const { window } = await loadTLendMock(t);
+    const hostile = '<img src=x onerror="window.injected = true">';
+    const receive = data => window.dispatchEvent(new window.MessageEvent('message', { data, origin: 'http://localhost:8080' }));
+
+    receive({ type: 'SET_LOGO', timestamp: Date.now(), payload: { mode: 'tlend_only', partnerName: hostile } });
+    receive({ type: hostile, timestamp: Date.now(), payload: {} });
+
+    const log = window.document.getElementById('eventLog');
+    assert.equal(log.querySelector('img'), null);
+    assert.ok(log.textContent.includes(JSON.stringify(hostile)));
+    assert.ok(log.textContent.includes(`${hostile} (invalid)`));
+    assert.equal(window.injected, undefined);
+});
+
+test('the TLend mock defines a default for every CSS variable', () => {
+    const html = fs.readFileSync(path.join(APP_DIR, 'tlend-iframe-mock.html'), 'utf8');
+    const root = html.match(/:root \{([^}]*)\}/)[1];
+    const defined = [...root.matchAll(/(--tlend-[\w-]+):/g)].map(match => match[1]);
+
+    assert.deepEqual(defined, Object.keys(CSS_VARIABLES));
+});
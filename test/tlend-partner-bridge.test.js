@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TLendPartnerBridge, TLendBridgeError } = require('../app/tlend-partner-bridge.js');
+
+const TLEND_ORIGIN = 'https://app.tlend.co';
+
+// A TLend window that records what is posted to it, and the window its messages arrive on
+function createBridge() {
+    const posted = [];
+    const tlend = { postMessage: message => posted.push(message) };
+    const listeners = new Set();
+    const partner = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const bridge = new TLendPartnerBridge({ targetWindow: tlend, targetOrigin: TLEND_ORIGIN, listenWindow: partner });
+    const receive = message => listeners.forEach(listener => listener({ data: message, origin: TLEND_ORIGIN, source: tlend }));
+    return { bridge, posted, receive };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a repay handler that times out is called once and reported as failed', async () => {
+    const { bridge, posted, receive } = createBridge();
+    let calls = 0;
+    bridge.onRepayRequest(async () => {
+        calls++;
+        throw new TLendBridgeError('TIMEOUT', 'wallet did not answer');
+    });
+    const retries = [];
+    bridge.on('retry', info => retries.push(info));
+
+    receive({ type: 'TLEND_LOADED', timestamp: Date.now(), payload: { version: '2.2.0', capabilities: [] } });
+    receive({
+        type: 'REPAY_REQUEST',
+        requestId: 'repay-1',
+        timestamp: Date.now(),
+        payload: { transaction: { validUntil: Math.floor(Date.now() / 1000) + 300, messages: [] } },
+    });
+
+    // Past the first TIMEOUT backoff (1s) of RFC 11.4
+    await sleep(1200);
+    bridge.destroy();
+
+    assert.equal(calls, 1);
+    assert.deepEqual(retries, []);
+    const results = posted.filter(message => message.type === 'REPAY_RESULT');
+    assert.equal(results.length, 1);
+    assert.equal(results[0].requestId, 'repay-1');
+    assert.equal(results[0].payload.success, false);
+    assert.equal(results[0].payload.error.code, 'TIMEOUT');
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REPAY_ERROR_CODES, validateMessage } = require('../app/tlend-protocol.js');
+
+// As sent by the TLend mock (tlend-iframe-mock.html)
+function repayRequest(amount) {
+    return {
+        type: 'REPAY_REQUEST',
+        timestamp: Date.now(),
+        requestId: 'repay-1',
+        payload: {
+            lendId: 12345,
+            nftIndex: '42',
+            amount: { currency: 'USDT', ...amount },
+            transaction: {
+                validUntil: Math.floor(Date.now() / 1000) + 300,
+                messages: [{ address: 'EQB59UeOkfqiM1Ka2TvLTCHbl5HSYNWoYvC9l2TAbcoUOUTS', amount: '60000000' }],
+            },
+            metadata: {
+                userAddress: '0:1d6f931b6f03f3a3a3a1337b939adc76c45099fe93b5d0e74d4b92068baa2b49',
+                tLendContractAddress: 'EQB4_xgJo8sgYO-ex8TUSLtwM5JSpEDAS60SetVRwcE95u1d',
+                jettonMasterAddress: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs',
+            },
+        },
+    };
+}
+
+test('amounts formatted the way TLend shows them match their value', () => {
+    const cases = [
+        { value: '50000000', decimals: 6, formatted: '50' },
+        { value: '50000000', decimals: 6, formatted: '50.00' },
+        { value: '1000500000', decimals: 6, formatted: '1,000.50' },
+        { value: '1000500000', decimals: 6, formatted: '1 000.5' },
+        { value: '1234567890000', decimals: 6, formatted: '1,234,567.89' },
+        // Rounded and truncated to the shown precision
+        { value: '1999999', decimals: 6, formatted: '2.00' },
+        { value: '1999999', decimals: 6, formatted: '1.99' },
+        { value: '333333333', decimals: 9, formatted: '0.33' },
+    ];
+    cases.forEach(amount => {
+        const { valid, errors, warnings } = validateMessage(repayRequest(amount));
+        assert.equal(valid, true, `${amount.formatted}: ${JSON.stringify(errors)}`);
+        assert.deepEqual(warnings, [], amount.formatted);
+    });
+});
+
+test('a formatted amount that does not match its value is a warning, not an error', () => {
+    const { valid, errors, warnings } = validateMessage(repayRequest({ value: '50000000', decimals: 6, formatted: '5.00' }));
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings.map(warning => warning.field), ['payload.amount.formatted']);
+});
+
+test('a malformed amount value is still an error', () => {
+    const { valid, errors } = validateMessage(repayRequest({ value: '50.5', decimals: 6, formatted: '50.5' }));
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(error => error.field), ['payload.amount.value']);
+});
+
+test('deprecated repay error code keys send RFC codes', () => {
+    const aliases = {
+        USER_CANCELLED: 'USER_REJECTED',
+        REJECTED: 'USER_REJECTED',
+        NETWORK_ERROR: 'TRANSACTION_FAILED',
+        UNKNOWN_ERROR: 'TRANSACTION_FAILED',
+    };
+    Object.entries(aliases).forEach(([key, code]) => {
+        assert.equal(REPAY_ERROR_CODES[key], code);
+        const { valid, errors } = validateMessage({
+            type: 'REPAY_RESULT',
+            timestamp: Date.now(),
+            requestId: 'repay-1',
+            payload: { success: false, error: { code: REPAY_ERROR_CODES[key], message: 'Failed' } },
+        });
+        assert.equal(valid, true, `${key}: ${JSON.stringify(errors)}`);
+    });
+});